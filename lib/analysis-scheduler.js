@@ -0,0 +1,255 @@
+// Shared queue for analysis requests to one backend: caps how many run at once,
+// retries 429/5xx with exponential backoff (honouring Retry-After) and opens a
+// circuit breaker after repeated failures so callers fall back to their local
+// summaries right away instead of waiting on a dead endpoint.
+const DEFAULT_SCHEDULER_OPTIONS = {
+  concurrency: 2,
+  maxRetries: 2,
+  baseDelayMs: 1000,
+  maxDelayMs: 30000,
+  failureThreshold: 3,
+  cooldownMs: 2 * 60 * 1000
+};
+
+const CIRCUIT_CLOSED = 'closed';
+const CIRCUIT_OPEN = 'open';
+const CIRCUIT_HALF_OPEN = 'half_open';
+const CIRCUIT_OPEN_ERROR_CODE = 'ANALYSIS_CIRCUIT_OPEN';
+const CANCELLED_ERROR_CODE = 'ANALYSIS_CANCELLED';
+
+function isRetryableStatus(status) {
+  const n = Number(status);
+  return n === 429 || (n >= 500 && n <= 599);
+}
+
+// Retry-After is either delay-seconds or an HTTP date; returns null when absent or invalid.
+function parseRetryAfterMs(value, now = Date.now()) {
+  const text = String(value === undefined || value === null ? '' : value).trim();
+  if (!text) return null;
+  if (/^\d+(?:\.\d+)?$/.test(text)) return Math.round(Number(text) * 1000);
+  const at = Date.parse(text);
+  return Number.isNaN(at) ? null : Math.max(0, at - now);
+}
+
+function createCircuitOpenError(openUntil) {
+  const err = new Error(`Analysis backend circuit is open until ${new Date(openUntil).toISOString()}`);
+  err.code = CIRCUIT_OPEN_ERROR_CODE;
+  return err;
+}
+
+// Thrown when the caller aborts a request (e.g. the user closed the panel waiting on
+// it); it is not a backend failure and never counts towards the circuit breaker.
+function createCancelledError() {
+  const err = new Error('Analysis request was cancelled');
+  err.code = CANCELLED_ERROR_CODE;
+  return err;
+}
+
+function isCancelledError(err) {
+  return !!err && err.code === CANCELLED_ERROR_CODE;
+}
+
+function createAnalysisScheduler(options = {}) {
+  const config = { ...DEFAULT_SCHEDULER_OPTIONS };
+  for (const key of Object.keys(DEFAULT_SCHEDULER_OPTIONS)) {
+    const n = Number(options[key]);
+    if (Number.isFinite(n) && n >= 0) config[key] = n;
+  }
+  config.concurrency = Math.max(1, Math.round(config.concurrency));
+  const now = typeof options.now === 'function' ? options.now : () => Date.now();
+  const sleep = typeof options.sleep === 'function'
+    ? options.sleep
+    : (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+  const onStateChange = typeof options.onStateChange === 'function' ? options.onStateChange : () => {};
+
+  const queue = [];
+  let active = 0;
+  let retrying = 0;
+  let circuit = CIRCUIT_CLOSED;
+  let openUntil = 0;
+  let probeInFlight = false;
+  let consecutiveFailures = 0;
+  let lastError = '';
+  let lastSignature = JSON.stringify(['healthy', 0, '', '']); // the initial state is not announced
+
+  // 'healthy' | 'degraded' (recent failures or retries) | 'open' | 'half_open'
+  function getHealth() {
+    if (circuit === CIRCUIT_OPEN) return now() < openUntil ? 'open' : 'half_open';
+    if (circuit === CIRCUIT_HALF_OPEN) return 'half_open';
+    return consecutiveFailures > 0 || retrying > 0 ? 'degraded' : 'healthy';
+  }
+
+  function getState() {
+    return {
+      health: getHealth(),
+      consecutiveFailures,
+      lastError,
+      openUntil: circuit === CIRCUIT_CLOSED ? '' : new Date(openUntil).toISOString(),
+      active,
+      queued: queue.length
+    };
+  }
+
+  // Queue length changes too often to be worth a notification on its own.
+  function emitIfChanged() {
+    const state = getState();
+    const signature = JSON.stringify([state.health, state.consecutiveFailures, state.lastError, state.openUntil]);
+    if (signature === lastSignature) return;
+    lastSignature = signature;
+    try {
+      onStateChange(state);
+    } catch (err) {
+      // Listener errors must not break the queue.
+    }
+  }
+
+  function openCircuit(durationMs) {
+    circuit = CIRCUIT_OPEN;
+    openUntil = now() + durationMs;
+    probeInFlight = false;
+  }
+
+  // After the cool-down a single probe request is let through; the rest keep
+  // failing fast until it succeeds.
+  function admit() {
+    if (circuit === CIRCUIT_OPEN) {
+      if (now() < openUntil) return false;
+      circuit = CIRCUIT_HALF_OPEN;
+    }
+    if (circuit === CIRCUIT_HALF_OPEN) {
+      if (probeInFlight) return false;
+      probeInFlight = true;
+    }
+    return true;
+  }
+
+  function recordSuccess() {
+    circuit = CIRCUIT_CLOSED;
+    probeInFlight = false;
+    consecutiveFailures = 0;
+    lastError = '';
+  }
+
+  // A cancelled probe says nothing about the backend: hand the probe slot back so
+  // the next request after the (unchanged) cool-down can try again.
+  function releaseProbe() {
+    if (circuit !== CIRCUIT_HALF_OPEN) return;
+    circuit = CIRCUIT_OPEN;
+    probeInFlight = false;
+  }
+
+  function recordFailure(err, retryAfterMs) {
+    consecutiveFailures += 1;
+    lastError = String((err && err.message) || err || '').slice(0, 240);
+    if (circuit === CIRCUIT_HALF_OPEN || consecutiveFailures >= config.failureThreshold) {
+      openCircuit(Math.max(config.cooldownMs, retryAfterMs || 0));
+    } else if (retryAfterMs !== null && retryAfterMs > config.maxDelayMs) {
+      // The server asked for a longer pause than we are willing to wait inline.
+      openCircuit(retryAfterMs);
+    }
+  }
+
+  async function runWithRetries(task) {
+    for (let attempt = 0; ; attempt += 1) {
+      try {
+        const result = await task();
+        recordSuccess();
+        emitIfChanged();
+        return result;
+      } catch (err) {
+        if (isCancelledError(err)) {
+          releaseProbe();
+          emitIfChanged();
+          throw err;
+        }
+        const retryAfterMs = parseRetryAfterMs(err && err.retryAfter, now());
+        const delayMs = retryAfterMs !== null
+          ? retryAfterMs
+          : Math.min(config.maxDelayMs, config.baseDelayMs * (2 ** attempt));
+        const canRetry = isRetryableStatus(err && err.status)
+          && attempt < config.maxRetries
+          && circuit !== CIRCUIT_HALF_OPEN
+          && delayMs <= config.maxDelayMs;
+        if (!canRetry) {
+          recordFailure(err, retryAfterMs);
+          emitIfChanged();
+          throw err;
+        }
+        retrying += 1;
+        lastError = String((err && err.message) || err || '').slice(0, 240);
+        emitIfChanged();
+        try {
+          await sleep(delayMs);
+        } finally {
+          retrying -= 1;
+        }
+      }
+    }
+  }
+
+  function pump() {
+    while (active < config.concurrency && queue.length > 0) {
+      const job = queue.shift();
+      if (job.signal && job.signal.aborted) {
+        job.reject(createCancelledError());
+        continue;
+      }
+      if (!admit()) {
+        job.reject(createCircuitOpenError(openUntil));
+        continue;
+      }
+      active += 1;
+      runWithRetries(job.task)
+        .then(job.resolve, job.reject)
+        .finally(() => {
+          active -= 1;
+          emitIfChanged();
+          pump();
+        });
+    }
+    emitIfChanged();
+  }
+
+  // `task` is an async function performing one request; it is retried as a whole.
+  // An aborted `signal` drops the job if it is still queued; a running task is
+  // expected to observe the signal itself and throw createCancelledError().
+  function schedule(task, scheduleOptions = {}) {
+    const signal = scheduleOptions.signal || null;
+    return new Promise((resolve, reject) => {
+      const job = { task, resolve, reject, signal };
+      if (signal) {
+        if (signal.aborted) {
+          reject(createCancelledError());
+          return;
+        }
+        signal.addEventListener('abort', () => {
+          const index = queue.indexOf(job);
+          if (index === -1) return;
+          queue.splice(index, 1);
+          reject(createCancelledError());
+        }, { once: true });
+      }
+      queue.push(job);
+      pump();
+    });
+  }
+
+  return {
+    schedule,
+    getState
+  };
+}
+
+function isCircuitOpenError(err) {
+  return !!err && err.code === CIRCUIT_OPEN_ERROR_CODE;
+}
+
+module.exports = {
+  DEFAULT_SCHEDULER_OPTIONS,
+  isRetryableStatus,
+  parseRetryAfterMs,
+  isCircuitOpenError,
+  createCancelledError,
+  isCancelledError,
+  createAnalysisScheduler
+};
@@ -0,0 +1,161 @@
+// Server-sent events parsing for streamed chat completions (`stream: true`), plus a
+// tolerant reader that pulls string fields out of a JSON reply that is still arriving.
+
+// Calls `onData(data)` once per complete event; multi-line `data:` fields are joined
+// with '\n' as the SSE spec requires. Comments and other fields are ignored.
+function createSseParser(onData) {
+  let buffer = '';
+  let dataLines = [];
+
+  function dispatch() {
+    if (dataLines.length > 0) onData(dataLines.join('\n'));
+    dataLines = [];
+  }
+
+  function processLine(line) {
+    if (line === '') {
+      dispatch();
+      return;
+    }
+    if (line.startsWith(':')) return;
+    const colon = line.indexOf(':');
+    const field = colon === -1 ? line : line.slice(0, colon);
+    if (field !== 'data') return;
+    const value = colon === -1 ? '' : line.slice(colon + 1);
+    dataLines.push(value.startsWith(' ') ? value.slice(1) : value);
+  }
+
+  return {
+    push(chunk) {
+      buffer += chunk;
+      const lines = buffer.split(/\r\n|\r|\n/);
+      buffer = lines.pop();
+      lines.forEach(processLine);
+    },
+    // Some servers close the stream without the trailing blank line.
+    flush() {
+      if (buffer) processLine(buffer);
+      buffer = '';
+      dispatch();
+    }
+  };
+}
+
+function extractDeltaText(delta) {
+  if (!delta) return '';
+  if (typeof delta.content === 'string') return delta.content;
+  if (Array.isArray(delta.content)) {
+    return delta.content.map((part) => (part && typeof part.text === 'string' ? part.text : '')).join('');
+  }
+  return '';
+}
+
+// `body` is a fetch response body (any async iterable of byte chunks). `onDelta(text)`
+// receives the accumulated reply after every chunk. Resolves to
+// { text, model, usage: { promptTokens, completionTokens } | null }; usage is only
+// present when the server honours `stream_options.include_usage`.
+async function readChatCompletionStream(body, options = {}) {
+  const onDelta = typeof options.onDelta === 'function' ? options.onDelta : () => {};
+  const onChunk = typeof options.onChunk === 'function' ? options.onChunk : () => {};
+  const decoder = new TextDecoder();
+  let text = '';
+  let model = '';
+  let usage = null;
+  let done = false;
+
+  const parser = createSseParser((data) => {
+    if (done) return;
+    if (data.trim() === '[DONE]') {
+      done = true;
+      return;
+    }
+    let payload;
+    try {
+      payload = JSON.parse(data);
+    } catch (err) {
+      return;
+    }
+    if (payload && payload.error) {
+      const message = typeof payload.error === 'string' ? payload.error : payload.error.message;
+      throw new Error(`OpenAI-compatible stream error: ${String(message || 'unknown').slice(0, 240)}`);
+    }
+    if (payload && payload.model) model = String(payload.model);
+    if (payload && payload.usage) {
+      usage = {
+        promptTokens: Number(payload.usage.prompt_tokens) || 0,
+        completionTokens: Number(payload.usage.completion_tokens) || 0
+      };
+    }
+    const choice = payload && Array.isArray(payload.choices) ? payload.choices[0] : null;
+    const piece = extractDeltaText(choice && choice.delta);
+    if (piece) {
+      text += piece;
+      onDelta(text);
+    }
+  });
+
+  for await (const chunk of body) {
+    onChunk();
+    parser.push(typeof chunk === 'string' ? chunk : decoder.decode(chunk, { stream: true }));
+    if (done) break;
+  }
+  parser.push(decoder.decode());
+  parser.flush();
+  return { text: text.trim(), model, usage };
+}
+
+const JSON_ESCAPES = { '"': '"', '\\': '\\', '/': '/', b: '\b', f: '\f', n: '\n', r: '\r', t: '\t' };
+
+// Reads `"field": "..."` string values from possibly truncated JSON text, e.g.
+// '{"summary":"完成登' -> { summary: '完成登' }. Missing fields are left out and an
+// escape sequence cut off at the end is dropped.
+function extractPartialJsonFields(text, fields) {
+  const source = String(text || '');
+  const result = {};
+  for (const field of fields) {
+    const match = new RegExp(`"${field}"\\s*:\\s*"`).exec(source);
+    if (!match) continue;
+    let value = '';
+    for (let i = match.index + match[0].length; i < source.length; i += 1) {
+      const ch = source[i];
+      if (ch === '"') break;
+      if (ch !== '\\') {
+        value += ch;
+        continue;
+      }
+      const next = source[i + 1];
+      if (next === undefined) break;
+      if (next === 'u') {
+        const hex = source.slice(i + 2, i + 6);
+        if (!/^[0-9a-fA-F]{4}$/.test(hex)) break;
+        value += String.fromCharCode(parseInt(hex, 16));
+        i += 5;
+        continue;
+      }
+      value += JSON_ESCAPES[next] !== undefined ? JSON_ESCAPES[next] : next;
+      i += 1;
+    }
+    result[field] = value;
+  }
+  return result;
+}
+
+// Aborts `controller` when the caller's `signal` aborts; returns a function that
+// detaches the listener once the request settles.
+function linkAbortSignal(controller, signal) {
+  if (!signal) return () => {};
+  if (signal.aborted) {
+    controller.abort();
+    return () => {};
+  }
+  const onAbort = () => controller.abort();
+  signal.addEventListener('abort', onAbort, { once: true });
+  return () => signal.removeEventListener('abort', onAbort);
+}
+
+module.exports = {
+  linkAbortSignal,
+  createSseParser,
+  readChatCompletionStream,
+  extractPartialJsonFields
+};
@@ -0,0 +1,119 @@
+const {
+  DEFAULT_ANTHROPIC_BASE_URL,
+  DEFAULT_ANTHROPIC_MODEL
+} = require('../renderer/analysis-backend');
+const { createCancelledError } = require('./analysis-scheduler');
+
+const ANTHROPIC_REQUEST_TIMEOUT_MS = 30000;
+
+let sdkModule = null;
+
+// Loaded on first use so the OpenAI-compatible path never pays for the SDK.
+function loadAnthropicSdk() {
+  if (!sdkModule) {
+    sdkModule = require('@anthropic-ai/sdk');
+  }
+  return sdkModule.Anthropic || sdkModule.default || sdkModule;
+}
+
+// The SDK appends `/v1/messages` itself, so a base URL copied with `/v1` is trimmed.
+function normalizeAnthropicBaseUrl(value) {
+  const trimmed = String(value || '').trim();
+  if (!trimmed) return DEFAULT_ANTHROPIC_BASE_URL;
+  const prefixed = /^https?:\/\//i.test(trimmed) ? trimmed : `http://${trimmed}`;
+  return prefixed.replace(/\/+$/, '').replace(/\/v1$/i, '');
+}
+
+// The analysis prompts are written as chat-completions messages; the Messages API
+// takes the system prompt as a separate field.
+function toAnthropicMessages(messages) {
+  const system = [];
+  const converted = [];
+  for (const message of Array.isArray(messages) ? messages : []) {
+    if (!message || typeof message.content !== 'string') continue;
+    if (message.role === 'system') {
+      system.push(message.content);
+      continue;
+    }
+    converted.push({ role: message.role === 'assistant' ? 'assistant' : 'user', content: message.content });
+  }
+  return { system: system.join('\n\n'), messages: converted };
+}
+
+function extractAnthropicMessageText(payload) {
+  const blocks = payload && Array.isArray(payload.content) ? payload.content : [];
+  return blocks
+    .filter((block) => block && block.type === 'text' && typeof block.text === 'string')
+    .map((block) => block.text)
+    .join('\n')
+    .trim();
+}
+
+function extractAnthropicUsage(payload) {
+  const usage = payload && payload.usage;
+  if (!usage || typeof usage !== 'object') return null;
+  return {
+    promptTokens: Number(usage.input_tokens) || 0,
+    completionTokens: Number(usage.output_tokens) || 0
+  };
+}
+
+// options: { apiKey, baseUrl, model, timeoutMs, signal }. Retries are left to the caller so a
+// failing heartbeat falls back to the local summary right away.
+// Resolves to { text, model, usage: { promptTokens, completionTokens } | null }.
+async function requestAnthropicCompletion(messages, maxTokens = 180, options = {}) {
+  const apiKey = String(options.apiKey || '').trim();
+  if (!apiKey) {
+    throw new Error('Anthropic API key is not configured');
+  }
+  const Anthropic = loadAnthropicSdk();
+  const client = new Anthropic({
+    apiKey,
+    baseURL: normalizeAnthropicBaseUrl(options.baseUrl),
+    timeout: Number(options.timeoutMs) || ANTHROPIC_REQUEST_TIMEOUT_MS,
+    maxRetries: 0
+  });
+
+  const { system, messages: converted } = toAnthropicMessages(messages);
+  const request = {
+    model: String(options.model || '').trim() || DEFAULT_ANTHROPIC_MODEL,
+    max_tokens: maxTokens,
+    temperature: 0.2,
+    messages: converted
+  };
+  if (system) request.system = system;
+
+  let payload;
+  try {
+    payload = await client.messages.create(request, options.signal ? { signal: options.signal } : undefined);
+  } catch (err) {
+    if (options.signal && options.signal.aborted) throw createCancelledError();
+    const status = err && err.status ? ` (${err.status})` : '';
+    const error = new Error(`Anthropic request failed${status}: ${String((err && err.message) || err).slice(0, 240)}`);
+    // Kept for the request scheduler's retry / Retry-After handling.
+    const headers = err && err.headers;
+    error.status = err && err.status;
+    error.retryAfter = headers
+      ? (typeof headers.get === 'function' ? headers.get('retry-after') : headers['retry-after']) || ''
+      : '';
+    throw error;
+  }
+  return {
+    text: extractAnthropicMessageText(payload),
+    model: String((payload && payload.model) || request.model),
+    usage: extractAnthropicUsage(payload)
+  };
+}
+
+async function createAnthropicCompletion(messages, maxTokens = 180, options = {}) {
+  return (await requestAnthropicCompletion(messages, maxTokens, options)).text;
+}
+
+module.exports = {
+  normalizeAnthropicBaseUrl,
+  toAnthropicMessages,
+  extractAnthropicMessageText,
+  extractAnthropicUsage,
+  requestAnthropicCompletion,
+  createAnthropicCompletion
+};
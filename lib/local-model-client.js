@@ -0,0 +1,151 @@
+const {
+  DEFAULT_LOCAL_BASE_URL,
+  LOCAL_API_OLLAMA
+} = require('../renderer/analysis-backend');
+const { createCancelledError } = require('./analysis-scheduler');
+const { linkAbortSignal } = require('./analysis-stream');
+
+const LOCAL_REQUEST_TIMEOUT_MS = 120000;
+const LOCAL_DISCOVERY_TIMEOUT_MS = 5000;
+
+function normalizeLocalBaseUrl(value) {
+  const trimmed = String(value || '').trim();
+  if (!trimmed) return DEFAULT_LOCAL_BASE_URL;
+  const prefixed = /^https?:\/\//i.test(trimmed) ? trimmed : `http://${trimmed}`;
+  return prefixed.replace(/\/+$/, '').replace(/\/v1$/i, '');
+}
+
+// Loopback only: "local" LAN hosts are still other machines.
+function isLoopbackUrl(value) {
+  let parsed;
+  try {
+    parsed = new URL(normalizeLocalBaseUrl(value));
+  } catch (err) {
+    return false;
+  }
+  const host = String(parsed.hostname || '').toLowerCase().replace(/^\[|\]$/g, '');
+  return host === 'localhost' || host === '::1' || /^127(?:\.\d{1,3}){3}$/.test(host);
+}
+
+async function requestJson(url, { method = 'GET', body, timeoutMs, signal }) {
+  if (typeof fetch !== 'function') {
+    throw new Error('Global fetch is unavailable in current runtime');
+  }
+  const controller = new AbortController();
+  const timeout = setTimeout(() => controller.abort(), timeoutMs);
+  const unlink = linkAbortSignal(controller, signal);
+  try {
+    const response = await fetch(url, {
+      method,
+      headers: body ? { 'Content-Type': 'application/json' } : {},
+      body: body ? JSON.stringify(body) : undefined,
+      signal: controller.signal
+    });
+    if (!response.ok) {
+      const errorBody = await response.text();
+      const error = new Error(`Local model request failed (${response.status}): ${errorBody.slice(0, 240)}`);
+      error.status = response.status;
+      error.retryAfter = response.headers.get('retry-after') || '';
+      throw error;
+    }
+    return await response.json();
+  } catch (err) {
+    if (signal && signal.aborted) throw createCancelledError();
+    throw err;
+  } finally {
+    clearTimeout(timeout);
+    unlink();
+  }
+}
+
+// Ollama lists models under /api/tags; llama.cpp's server (and other OpenAI-style
+// servers) under /v1/models.
+async function listLocalModels(options = {}) {
+  const base = normalizeLocalBaseUrl(options.baseUrl);
+  const timeoutMs = Number(options.timeoutMs) || LOCAL_DISCOVERY_TIMEOUT_MS;
+  if (options.api === LOCAL_API_OLLAMA) {
+    const payload = await requestJson(`${base}/api/tags`, { timeoutMs });
+    return (Array.isArray(payload && payload.models) ? payload.models : [])
+      .map((model) => String((model && (model.name || model.model)) || '').trim())
+      .filter(Boolean);
+  }
+  const payload = await requestJson(`${base}/v1/models`, { timeoutMs });
+  return (Array.isArray(payload && payload.data) ? payload.data : [])
+    .map((model) => String((model && model.id) || '').trim())
+    .filter(Boolean);
+}
+
+function extractLocalMessageText(payload) {
+  if (payload && payload.message && typeof payload.message.content === 'string') {
+    return payload.message.content.trim();
+  }
+  const choice = payload && Array.isArray(payload.choices) ? payload.choices[0] : null;
+  const content = choice && choice.message ? choice.message.content : '';
+  return typeof content === 'string' ? content.trim() : '';
+}
+
+// Ollama reports prompt_eval_count / eval_count; OpenAI-style servers send `usage`.
+function extractLocalUsage(payload) {
+  if (payload && (payload.prompt_eval_count !== undefined || payload.eval_count !== undefined)) {
+    return {
+      promptTokens: Number(payload.prompt_eval_count) || 0,
+      completionTokens: Number(payload.eval_count) || 0
+    };
+  }
+  const usage = payload && payload.usage;
+  if (!usage || typeof usage !== 'object') return null;
+  return {
+    promptTokens: Number(usage.prompt_tokens) || 0,
+    completionTokens: Number(usage.completion_tokens) || 0
+  };
+}
+
+// options: { api, baseUrl, model, localOnly, timeoutMs, signal }. With `localOnly`
+// the request is refused unless the endpoint is a loopback address.
+// Resolves to { text, model, usage: { promptTokens, completionTokens } | null }.
+async function requestLocalCompletion(messages, maxTokens = 180, options = {}) {
+  const base = normalizeLocalBaseUrl(options.baseUrl);
+  if (options.localOnly && !isLoopbackUrl(base)) {
+    throw new Error(`Local-only mode refuses non-loopback endpoint ${base}`);
+  }
+  const model = String(options.model || '').trim();
+  if (!model) {
+    throw new Error('Local model is not configured');
+  }
+  const timeoutMs = Number(options.timeoutMs) || LOCAL_REQUEST_TIMEOUT_MS;
+
+  if (options.api === LOCAL_API_OLLAMA) {
+    const payload = await requestJson(`${base}/api/chat`, {
+      method: 'POST',
+      timeoutMs,
+      signal: options.signal,
+      body: {
+        model,
+        messages,
+        stream: false,
+        options: { temperature: 0.2, num_predict: maxTokens }
+      }
+    });
+    return { text: extractLocalMessageText(payload), model, usage: extractLocalUsage(payload) };
+  }
+  const payload = await requestJson(`${base}/v1/chat/completions`, {
+    method: 'POST',
+    timeoutMs,
+    signal: options.signal,
+    body: { model, messages, max_tokens: maxTokens, temperature: 0.2, stream: false }
+  });
+  return { text: extractLocalMessageText(payload), model, usage: extractLocalUsage(payload) };
+}
+
+async function createLocalCompletion(messages, maxTokens = 180, options = {}) {
+  return (await requestLocalCompletion(messages, maxTokens, options)).text;
+}
+
+module.exports = {
+  normalizeLocalBaseUrl,
+  isLoopbackUrl,
+  listLocalModels,
+  extractLocalUsage,
+  requestLocalCompletion,
+  createLocalCompletion
+};
@@ -0,0 +1,435 @@
+// Offline heuristic analysis: reads common CLI output (git, npm / pnpm / yarn, jest,
+// vitest, pytest, cargo, go test, node --test, tsc) from the terminal text and builds
+// a heartbeat report and a tab topic without calling any API. The same input always
+// produces the same output.
+const { pickHeartbeatDetails } = require('../renderer/heartbeat-schema');
+
+const ERROR_PATTERN = /\b(error|failed|failure|exception|traceback|fatal|panic)\b|失败|错误|异常/i;
+const SUCCESS_PATTERN = /\b(done|success|completed|finished)\b|成功|完成|已完成/i;
+const WAITING_PATTERN = /\b(waiting|awaiting|confirm|proceed|yes\/no|y\/n)\b|是否继续|请确认|确认\?/i;
+
+// Only commands starting with one of these count; this keeps prompt detection from
+// picking up output lines such as "> pkg@1.0.0 test" or "# pass 12".
+const COMMAND_TOOLS = [
+  'git', 'npm', 'pnpm', 'yarn', 'npx', 'bun', 'node', 'deno', 'python', 'python3', 'pip', 'pip3',
+  'pytest', 'jest', 'vitest', 'cargo', 'rustc', 'go', 'tsc', 'make', 'cmake', 'docker', 'kubectl',
+  'mvn', 'gradle', 'dotnet', 'bundle', 'rake', 'composer', 'swift', 'flutter'
+];
+const COMMAND_TOOL_SOURCE = `(?:${COMMAND_TOOLS.join('|')})(?=\\s|$)`;
+const PROMPT_COMMAND_PATTERNS = [
+  // "$ npm test", "user@host repo % git status", "➜  repo git:(main) cargo test", "PS C:\repo> go test"
+  new RegExp(`(?:^|\\s)[$%#❯➜λ]\\s+(?:[\\w.-]+\\s+)?(?:git:\\([^)]*\\)\\s+)?(?:[✗✔]\\s+)?(${COMMAND_TOOL_SOURCE}.*)$`),
+  new RegExp(`\\S>\\s*(${COMMAND_TOOL_SOURCE}.*)$`),
+  // AI CLI transcripts: "• Ran npm test", "⏺ Bash(npm test)"
+  new RegExp(`^\\s*(?:[•●⏺]\\s*)?Ran\\s+(${COMMAND_TOOL_SOURCE}.*)$`),
+  new RegExp(`^\\s*(?:[•●⏺]\\s*)?Bash\\((${COMMAND_TOOL_SOURCE}.*)\\)\\s*$`)
+];
+// Commands that say nothing about the task at hand; they are listed but never name a tab.
+const TRIVIAL_COMMAND_PATTERN = /^git\s+(?:status|log|diff|show|branch|remote|fetch|stash\s+list)\b|^(?:npm|pnpm|yarn)\s+(?:-v|--version|ls|list)\b|^(?:node|python3?|go|cargo|tsc)\s+(?:-v|-V|--version|version)\b/;
+const MAX_COMMAND_CHARS = 120;
+const MAX_TOPIC_CHARS = 32;
+const MAX_COLLECTED_ITEMS = 8;
+
+const BRANCH_PATTERNS = [
+  /^On branch (\S+)/,
+  /Switched to (?:a new )?branch '([^']+)'/,
+  /^## (?!No commits)(\S+?)(?:\.\.\.\S*)?(?:\s|$)/,
+  /^\[([^\s\]]+)(?: \(root-commit\))? [0-9a-f]{7,40}\]/,
+  /git:\(([^)\s]+)\)/
+];
+const CHANGED_FILE_PATTERNS = [
+  /^\s*(?:modified|new file|deleted|renamed|both modified|typechange):\s+(?:.+ -> )?(.+?)\s*$/,
+  /^(?:[MADRCU][ MADRCU]|[ MADRCU][MADRCU]|\?\?) (?:.+ -> )?(\S+)$/,
+  /^\s*(\S+)\s+\|\s+(?:\d+ ?[+-]*|Bin\b.*)$/,
+  /^diff --git a\/\S+ b\/(\S+)$/
+];
+
+const PHRASES = {
+  zh: {
+    separator: '；',
+    clauseSeparator: '，',
+    listSeparator: '、',
+    statusLabels: { running: '进行中', waiting: '待输入', success: '阶段完成', error: '异常' },
+    advice: {
+      error: '检测到异常输出，建议先定位最近报错上下文，再决定后续处理步骤。',
+      waiting: '会话当前处于等待输入状态，建议先确认上一步输出含义，再继续交互。',
+      success: '检测到阶段性完成信号，建议进行结果校验并推进下一步任务。',
+      running: '会话持续推进中，建议关注最新输出中的关键变化与潜在风险。'
+    },
+    status: (label) => `状态：${label}。`,
+    idle: '会话进行中',
+    tests: (run) => `${run.tool} 测试：${run.passed} 通过，${run.failed} 失败${run.skipped ? `，${run.skipped} 跳过` : ''}`,
+    build: (build) => (build.errors > 0 ? `${build.tool}：${build.errors} 个错误` : `${build.tool}：无错误`),
+    branch: (branch) => `分支 ${branch}`,
+    changed: (count) => `${count} 个文件有改动`,
+    failing: (names) => `失败用例：${names}。`,
+    buildErrors: (build, messages) => `${build.tool} 报错：${messages}。`,
+    running: (command) => `运行 ${command}`,
+    fixTests: (name, command) => `修复 ${name} 后重新运行 ${command || '测试'}`,
+    fixBuild: (tool) => `修复 ${tool} 报告的错误后重新构建`,
+    checkError: '查看最近的报错输出',
+    answerPrompt: '确认终端中的提示后继续',
+    commit: '检查改动后提交'
+  },
+  en: {
+    separator: '; ',
+    clauseSeparator: ', ',
+    listSeparator: ', ',
+    statusLabels: { running: 'running', waiting: 'waiting for input', success: 'step done', error: 'error' },
+    advice: {
+      error: 'Error output detected; look at the latest failure before deciding what to do next.',
+      waiting: 'The session is waiting for input; check what the last output asks before answering.',
+      success: 'A step finished; verify the result and move on to the next task.',
+      running: 'The session is still making progress; watch the latest output for changes and risks.'
+    },
+    status: (label) => `Status: ${label}. `,
+    idle: 'Session in progress',
+    tests: (run) => `${run.tool} tests: ${run.passed} passed, ${run.failed} failed${run.skipped ? `, ${run.skipped} skipped` : ''}`,
+    build: (build) => (build.errors > 0 ? `${build.tool}: ${build.errors} errors` : `${build.tool}: no errors`),
+    branch: (branch) => `branch ${branch}`,
+    changed: (count) => `${count} files changed`,
+    failing: (names) => ` Failing: ${names}.`,
+    buildErrors: (build, messages) => ` ${build.tool} errors: ${messages}.`,
+    running: (command) => `Running ${command}`,
+    fixTests: (name, command) => `Fix ${name} and rerun ${command || 'the tests'}`,
+    fixBuild: (tool) => `Fix the ${tool} errors and rebuild`,
+    checkError: 'Check the latest error output',
+    answerPrompt: 'Answer the prompt in the terminal',
+    commit: 'Review the changes and commit'
+  },
+  ja: {
+    separator: '；',
+    clauseSeparator: '、',
+    listSeparator: '、',
+    statusLabels: { running: '進行中', waiting: '入力待ち', success: '段階完了', error: '異常' },
+    advice: {
+      error: 'エラー出力を検出しました。直近のエラー箇所を確認してから次の対応を決めてください。',
+      waiting: 'セッションは入力待ちです。直前の出力の意味を確認してから操作を続けてください。',
+      success: '段階的な完了を検出しました。結果を確認して次のタスクに進んでください。',
+      running: 'セッションは進行中です。最新の出力の変化とリスクに注意してください。'
+    },
+    status: (label) => `状態：${label}。`,
+    idle: 'セッション進行中',
+    tests: (run) => `${run.tool} テスト：成功 ${run.passed}、失敗 ${run.failed}${run.skipped ? `、スキップ ${run.skipped}` : ''}`,
+    build: (build) => (build.errors > 0 ? `${build.tool}：エラー ${build.errors} 件` : `${build.tool}：エラーなし`),
+    branch: (branch) => `ブランチ ${branch}`,
+    changed: (count) => `変更 ${count} ファイル`,
+    failing: (names) => `失敗したテスト：${names}。`,
+    buildErrors: (build, messages) => `${build.tool} のエラー：${messages}。`,
+    running: (command) => `${command} を実行`,
+    fixTests: (name, command) => `${name} を修正して ${command || 'テスト'} を再実行`,
+    fixBuild: (tool) => `${tool} のエラーを修正して再ビルド`,
+    checkError: '直近のエラー出力を確認',
+    answerPrompt: 'ターミナルの確認プロンプトに応答',
+    commit: '変更を確認してコミット'
+  }
+};
+
+function getPhrases(language) {
+  return PHRASES[language] || PHRASES.zh;
+}
+
+function cleanCommand(value) {
+  return String(value || '').replace(/\s+/g, ' ').trim().slice(0, MAX_COMMAND_CHARS);
+}
+
+function matchCommand(line) {
+  for (const pattern of PROMPT_COMMAND_PATTERNS) {
+    const match = line.match(pattern);
+    if (match) return cleanCommand(match[1]);
+  }
+  return '';
+}
+
+function parseCounts(text) {
+  const counts = {};
+  const pattern = /(\d+) (passed|failed|skipped|todo|errors?|ignored|xfailed|xpassed|deselected|total)\b/g;
+  let match;
+  while ((match = pattern.exec(text)) !== null) {
+    const key = match[2].startsWith('error') ? 'errors' : match[2];
+    counts[key] = (counts[key] || 0) + Number(match[1]);
+  }
+  return counts;
+}
+
+function pushUnique(list, value) {
+  const index = list.indexOf(value);
+  if (index !== -1) list.splice(index, 1);
+  list.push(value);
+}
+
+// Keyword guess over the whole text, used when no tool result was recognized.
+function inferStatusFromKeywords(text) {
+  if (ERROR_PATTERN.test(text)) return 'error';
+  if (WAITING_PATTERN.test(text)) return 'waiting';
+  if (SUCCESS_PATTERN.test(text)) return 'success';
+  return 'running';
+}
+
+// Facts read from the terminal text (ANSI codes already stripped):
+//   { branch, commands, changedFiles, tests: [{ tool, passed, failed, skipped, failing }],
+//     builds: [{ tool, errors, messages, files }], outcome: 'pass' | 'fail' | '' }
+// A result printed after a newer command replaces the tool's earlier result; results
+// within one command (cargo test binaries, go packages) are added up.
+function analyzeTerminalOutput(text) {
+  const lines = String(text || '').split(/\r?\n/);
+  const commands = [];
+  const changedFiles = [];
+  const runs = new Map();
+  const builds = new Map();
+  const failingNames = [];
+  let branch = '';
+  let lastCommandLine = -1;
+  let lastCommand = '';
+
+  function recordRun(tool, counts, index, replace) {
+    const previous = runs.get(tool);
+    if (!previous || replace || previous.since < lastCommandLine) {
+      runs.set(tool, { tool, passed: 0, failed: 0, skipped: 0, since: lastCommandLine, line: index });
+    }
+    const run = runs.get(tool);
+    run.passed += counts.passed || 0;
+    run.failed += (counts.failed || 0) + (counts.errors || 0);
+    run.skipped += (counts.skipped || 0) + (counts.ignored || 0) + (counts.todo || 0);
+    run.line = index;
+  }
+
+  function recordBuild(tool, index, { message = '', file = '', errors } = {}) {
+    const previous = builds.get(tool);
+    if (!previous || previous.since < lastCommandLine) {
+      builds.set(tool, { tool, errors: 0, messages: [], files: [], since: lastCommandLine, line: index });
+    }
+    const build = builds.get(tool);
+    if (message) {
+      pushUnique(build.messages, message);
+      build.errors = Math.max(build.errors, build.messages.length);
+    }
+    if (file) pushUnique(build.files, file);
+    if (errors !== undefined) build.errors = errors;
+    build.line = index;
+  }
+
+  lines.forEach((rawLine, index) => {
+    const line = rawLine.replace(/\s+$/, '');
+    if (!line.trim()) return;
+
+    // Prompts such as "➜  repo git:(main)" carry the branch, so check it first.
+    for (const pattern of BRANCH_PATTERNS) {
+      const match = line.match(pattern);
+      if (match) {
+        branch = match[1];
+        break;
+      }
+    }
+    const command = matchCommand(line);
+    if (command) {
+      pushUnique(commands, command);
+      lastCommandLine = index;
+      lastCommand = command;
+      return;
+    }
+
+    for (const pattern of CHANGED_FILE_PATTERNS) {
+      const match = line.match(pattern);
+      if (match && /[./]/.test(match[1])) {
+        pushUnique(changedFiles, match[1]);
+        break;
+      }
+    }
+
+    let match;
+    // jest: "Tests:       1 failed, 12 passed, 13 total"; vitest: "Tests  1 failed | 12 passed (13)"
+    if ((match = line.match(/^\s*Tests:\s+(.*\d+ (?:passed|failed|skipped|todo).*)$/))) {
+      recordRun('jest', parseCounts(match[1]), index, true);
+    } else if ((match = line.match(/^\s*Tests\s{2,}(.*\d+ (?:passed|failed|skipped).*)$/))) {
+      recordRun('vitest', parseCounts(match[1]), index, true);
+    } else if ((match = line.match(/^=+ (.*\d+ (?:passed|failed|errors?|skipped|xfailed|xpassed|deselected)\b.*?) in [\d.]+s\b.*=+$/))) {
+      recordRun('pytest', parseCounts(match[1]), index, true);
+    } else if ((match = line.match(/^test result: (?:ok|FAILED)\. (.+)$/))) {
+      recordRun('cargo', parseCounts(match[1]), index, false);
+    } else if (/^ok\s+\S+\s+(?:[\d.]+s|\(cached\))/.test(line)) {
+      recordRun('go', { passed: 1 }, index, false);
+    } else if (/^FAIL\s+\S+\s+(?:[\d.]+s|\[build failed\]|\[setup failed\])/.test(line)) {
+      recordRun('go', { failed: 1 }, index, false);
+    } else if ((match = line.match(/^(?:ℹ|#) tests (\d+)$/))) {
+      recordRun('node', {}, index, true);
+    } else if ((match = line.match(/^(?:ℹ|#) (pass|fail|skipped|todo) (\d+)$/))) {
+      const key = { pass: 'passed', fail: 'failed', skipped: 'skipped', todo: 'todo' }[match[1]];
+      recordRun('node', { [key]: Number(match[2]) }, index, false);
+    }
+
+    if ((match = line.match(/^\s*●\s+(.+)$/))) {
+      failingNames.push({ tool: 'jest', name: match[1].trim(), line: index });
+    } else if ((match = line.match(/^\s*(?:FAIL|×)\s+(.+ > .+?)(?:\s+\d+ms)?$/))) {
+      failingNames.push({ tool: 'vitest', name: match[1].trim(), line: index });
+    } else if ((match = line.match(/^(?:FAILED|ERROR) (\S+::\S+)/))) {
+      failingNames.push({ tool: 'pytest', name: match[1], line: index });
+    } else if ((match = line.match(/^test (\S+) \.\.\. FAILED$/))) {
+      failingNames.push({ tool: 'cargo', name: match[1], line: index });
+    } else if ((match = line.match(/^\s*--- FAIL: (\S+)/))) {
+      failingNames.push({ tool: 'go', name: match[1], line: index });
+    } else if ((match = line.match(/^\s*(?:not ok \d+ - |✖ )(.+?)(?: \([\d.]+ms\))?$/))) {
+      if (!/^(?:failing tests:|tests? failed)/i.test(match[1])) {
+        failingNames.push({ tool: 'node', name: match[1].trim(), line: index });
+      }
+    }
+
+    // tsc: "src/a.ts(3,5): error TS2322: ..." or "src/a.ts:3:5 - error TS2322: ..."
+    if ((match = line.match(/^(\S+\.(?:ts|tsx|mts|cts))(?:\((\d+),\d+\)|:(\d+):\d+)(?::| -) error (TS\d+)/))) {
+      recordBuild('tsc', index, { message: `${match[1]}:${match[2] || match[3]} ${match[4]}`, file: match[1] });
+    } else if ((match = line.match(/^Found (\d+) errors?\b/))) {
+      recordBuild('tsc', index, { errors: Number(match[1]) });
+    } else if ((match = line.match(/^error(\[E\d+\])?: (.+)$/))
+      && (match[1] || /^(?:cargo|rustc)\b/.test(lastCommand))) {
+      if (!/^(?:could not compile|aborting due to|test failed)/.test(match[2])) {
+        recordBuild('cargo', index, { message: `${match[1] ? `${match[1].slice(1, -1)} ` : ''}${match[2]}`.slice(0, 200) });
+      }
+    } else if ((match = line.match(/^\s*--> (\S+\.rs):\d+/)) && builds.has('cargo')) {
+      recordBuild('cargo', index, { file: match[1] });
+    } else if ((match = line.match(/^npm (?:ERR!|error) code (\S+)/))) {
+      recordBuild('npm', index, { message: `npm ${match[1]}` });
+    } else if ((match = line.match(/\b(ERR_PNPM_[A-Z_]+)\b/))) {
+      recordBuild('pnpm', index, { message: match[1] });
+    } else if ((match = line.match(/^error Command failed with exit code (\d+)/))) {
+      recordBuild('yarn', index, { message: `exit code ${match[1]}` });
+    }
+  });
+
+  const tests = Array.from(runs.values()).map((run) => {
+    const failing = [];
+    for (const item of failingNames) {
+      if (item.tool === run.tool && item.line > run.since && item.line <= run.line) pushUnique(failing, item.name);
+    }
+    return { ...run, failing };
+  });
+  const results = [
+    ...tests.map((run) => ({ line: run.line, ok: run.failed === 0 })),
+    ...Array.from(builds.values()).map((build) => ({ line: build.line, ok: build.errors === 0 }))
+  ].sort((a, b) => a.line - b.line);
+  const latest = results[results.length - 1];
+  const strip = ({ since, line, ...rest }) => rest;
+
+  return {
+    branch,
+    commands: commands.slice(-MAX_COLLECTED_ITEMS),
+    changedFiles: changedFiles.slice(-MAX_COLLECTED_ITEMS),
+    tests: tests.sort((a, b) => a.line - b.line).map(strip),
+    builds: Array.from(builds.values()).sort((a, b) => a.line - b.line).map(strip),
+    outcome: latest ? (latest.ok ? 'pass' : 'fail') : ''
+  };
+}
+
+function getLastMeaningfulCommand(facts) {
+  for (let i = facts.commands.length - 1; i >= 0; i -= 1) {
+    if (!TRIVIAL_COMMAND_PATTERN.test(facts.commands[i])) return facts.commands[i];
+  }
+  return '';
+}
+
+function inferOfflineStatus(text, facts) {
+  const tail = text.split('\n').map((line) => line.trim()).filter(Boolean).slice(-3).join('\n');
+  if (WAITING_PATTERN.test(tail)) return 'waiting';
+  if (facts.outcome === 'fail') return 'error';
+  if (facts.outcome === 'pass') return 'success';
+  return inferStatusFromKeywords(text);
+}
+
+function getNextStep(status, facts, command, phrases) {
+  if (status === 'waiting') return phrases.answerPrompt;
+  if (status === 'error') {
+    const failedRun = facts.tests.slice().reverse().find((run) => run.failed > 0);
+    if (failedRun && failedRun.failing.length > 0) return phrases.fixTests(failedRun.failing[0], command);
+    const failedBuild = facts.builds.slice().reverse().find((build) => build.errors > 0);
+    if (failedBuild) return phrases.fixBuild(failedBuild.tool);
+    return phrases.checkError;
+  }
+  if (status === 'success' && facts.changedFiles.length > 0) return phrases.commit;
+  return '';
+}
+
+// Heartbeat report in the schema of renderer/heartbeat-schema.js.
+// options: { language: 'zh' | 'en' | 'ja', limits: { summary, analysis } }
+function buildOfflineHeartbeat(text, options = {}) {
+  const cleaned = String(text || '');
+  const phrases = getPhrases(options.language);
+  const limits = options.limits || { summary: 140, analysis: 240 };
+  const facts = analyzeTerminalOutput(cleaned);
+  const status = inferOfflineStatus(cleaned, facts);
+  const command = getLastMeaningfulCommand(facts);
+
+  const summaryParts = [
+    ...facts.tests.map(phrases.tests),
+    ...facts.builds.map(phrases.build)
+  ];
+  const gitParts = [];
+  if (facts.branch) gitParts.push(phrases.branch(facts.branch));
+  if (facts.changedFiles.length > 0) gitParts.push(phrases.changed(facts.changedFiles.length));
+  if (gitParts.length > 0) summaryParts.push(gitParts.join(phrases.clauseSeparator));
+  let summary = summaryParts.join(phrases.separator);
+  if (!summary) {
+    const lines = cleaned.split('\n').map((line) => line.trim()).filter(Boolean);
+    summary = lines.slice(-4).join(' | ').slice(0, 80).replace(/\s+/g, ' ') || phrases.idle;
+  }
+
+  const failing = [];
+  const blockers = [];
+  for (const run of facts.tests) {
+    for (const name of run.failing) {
+      failing.push(name);
+      blockers.push(`${run.tool}: ${name}`);
+    }
+  }
+  let analysis = `${phrases.status(phrases.statusLabels[status])}${phrases.advice[status]}`;
+  if (failing.length > 0) {
+    analysis += phrases.failing(failing.slice(0, 3).join(phrases.listSeparator));
+  }
+  for (const build of facts.builds) {
+    if (build.messages.length === 0) continue;
+    analysis += phrases.buildErrors(build, build.messages.slice(0, 2).join(phrases.listSeparator));
+    for (const message of build.messages) blockers.push(`${build.tool}: ${message}`);
+  }
+
+  const buildFiles = facts.builds.flatMap((build) => build.files);
+  return {
+    status,
+    summary: summary.slice(0, limits.summary),
+    analysis: analysis.slice(0, limits.analysis),
+    ...pickHeartbeatDetails({
+      currentTask: command ? phrases.running(command) : '',
+      filesTouched: [...facts.changedFiles, ...buildFiles],
+      commandsRun: facts.commands,
+      blockers,
+      nextStep: getNextStep(status, facts, command, phrases)
+    })
+  };
+}
+
+function getRepoName(cwd, homeDir) {
+  const normalized = String(cwd || '').trim().replace(/[\\/]+$/, '');
+  if (!normalized || normalized === String(homeDir || '').replace(/[\\/]+$/, '')) return '';
+  const name = normalized.split(/[\\/]/).pop();
+  return /^[A-Za-z]:$/.test(name) ? '' : name;
+}
+
+function truncateTopic(value) {
+  return value.length > MAX_TOPIC_CHARS ? `${value.slice(0, MAX_TOPIC_CHARS - 1)}…` : value;
+}
+
+// Tab name from the repository name plus the current branch, else the last
+// meaningful command; '' when the text gives neither so callers use their default.
+// options: { cwd, homeDir }
+function buildOfflineTopic(text, options = {}) {
+  const facts = analyzeTerminalOutput(text);
+  const repo = getRepoName(options.cwd, options.homeDir);
+  if (facts.branch) {
+    return truncateTopic(repo ? `${repo} · ${facts.branch}` : facts.branch);
+  }
+  return truncateTopic(getLastMeaningfulCommand(facts));
+}
+
+module.exports = {
+  analyzeTerminalOutput,
+  inferStatusFromKeywords,
+  buildOfflineHeartbeat,
+  buildOfflineTopic
+};
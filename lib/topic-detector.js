@@ -1,6 +1,33 @@
 const path = require('path');
 const fs = require('fs');
-const { app, safeStorage } = require('electron');
+const os = require('os');
+const { app, safeStorage, net } = require('electron');
+const { normalizeLaunchProfiles } = require('../renderer/launch-profile');
+const { normalizeArchiveRetention } = require('../renderer/archive-retention');
+const { normalizeWorkDigestSchedule } = require('../renderer/work-digest-utils');
+const { normalizeAnalysisBackendSettings, DEFAULT_ANTHROPIC_MODEL } = require('../renderer/analysis-backend');
+const { normalizeAnalysisBudget, estimateTokens } = require('../renderer/analysis-usage');
+const {
+  normalizeAnalysisPromptSettings,
+  resolveOutputLanguage,
+  getDefaultTopic,
+  getHeartbeatLimits,
+  getEmptyHeartbeatReport,
+  buildPromptMessages,
+  buildWorkDigestMessages,
+  normalizeTopicText
+} = require('../renderer/analysis-prompts');
+const { createEmptyHeartbeatDetails, validateHeartbeatReport } = require('../renderer/heartbeat-schema');
+const {
+  normalizeRedactionSettings,
+  compileRedactionRules,
+  redactSecrets
+} = require('../renderer/secret-redaction');
+const { requestAnthropicCompletion } = require('./anthropic-messages');
+const { requestLocalCompletion, listLocalModels } = require('./local-model-client');
+const { createAnalysisScheduler, createCancelledError, isCancelledError } = require('./analysis-scheduler');
+const { linkAbortSignal, readChatCompletionStream, extractPartialJsonFields } = require('./analysis-stream');
+const { buildOfflineHeartbeat, buildOfflineTopic } = require('./offline-analyzer');
 
 // 使用用户数据目录存储配置
 const configPath = path.join(app.getPath('userData'), 'config.json');
@@ -10,28 +37,40 @@ let apiKey = '';
 let baseUrl = '';
 let aiCommand = 'codex';
 let configLoaded = false;
-const HEARTBEAT_MAX_CONTEXT_CHARS = 2600;
 const DEFAULT_HEARTBEAT_ENABLED = true;
 const DEFAULT_HEARTBEAT_INTERVAL_MS = 10 * 60 * 1000;
 const DEFAULT_HEARTBEAT_PREFER_SESSION_AI = false;
 const DEFAULT_ARCHIVE_METRICS_ENABLED = false;
+const DEFAULT_SESSION_RECORDING_ENABLED = false;
 const MIN_HEARTBEAT_INTERVAL_MS = 5 * 60 * 1000;
 const MAX_HEARTBEAT_INTERVAL_MS = 30 * 60 * 1000;
-const HEARTBEAT_ERROR_PATTERN = /\b(error|failed|failure|exception|traceback|fatal|panic)\b|失败|错误|异常/i;
-const HEARTBEAT_SUCCESS_PATTERN = /\b(done|success|completed|finished)\b|成功|完成|已完成/i;
-const HEARTBEAT_WAITING_PATTERN = /\b(waiting|awaiting|confirm|proceed|yes\/no|y\/n)\b|是否继续|请确认|确认\?/i;
 let heartbeatEnabled = DEFAULT_HEARTBEAT_ENABLED;
 let heartbeatIntervalMs = DEFAULT_HEARTBEAT_INTERVAL_MS;
 let heartbeatPreferSessionAi = DEFAULT_HEARTBEAT_PREFER_SESSION_AI;
 let archiveMetricsEnabled = DEFAULT_ARCHIVE_METRICS_ENABLED;
-const FORCE_CHATGPT_FOR_ANALYSIS = true;
+let sessionRecordingEnabled = DEFAULT_SESSION_RECORDING_ENABLED;
+let launchProfiles = [];
+let archiveRetention = normalizeArchiveRetention();
+let workDigestSchedule = normalizeWorkDigestSchedule();
+let analysisBackend = normalizeAnalysisBackendSettings();
+let redaction = normalizeRedactionSettings();
+let redactionRules = compileRedactionRules(redaction);
+let analysisBudget = normalizeAnalysisBudget();
+let analysisPrompts = normalizeAnalysisPromptSettings();
+let analysisAuditListener = null;
+let analysisHealthListener = null;
+let lastAnalysisBackend = '';
+// One request scheduler per backend so an outage of one does not trip the others.
+const analysisSchedulers = new Map();
 const DEFAULT_CHATGPT_ANALYSIS_MODEL = 'gpt-5.2';
 const DEFAULT_OPENAI_BASE_URL = 'https://api.openai.com';
 const OPENAI_CHAT_COMPLETIONS_SUFFIX = '/v1/chat/completions';
 const OPENAI_REQUEST_TIMEOUT_MS = 30000;
 const ANALYSIS_BACKEND = {
   ANTHROPIC: 'anthropic',
-  OPENAI_COMPAT: 'openai_compat'
+  OPENAI_COMPAT: 'openai_compat',
+  LOCAL: 'local',
+  OFFLINE: 'offline'
 };
 
 function normalizeAiCommand(value) {
@@ -57,6 +96,10 @@ function normalizeArchiveMetricsEnabled(value) {
   return value === true;
 }
 
+function normalizeSessionRecordingEnabled(value) {
+  return value === true;
+}
+
 function normalizeBaseUrlForRequests(value) {
   const trimmed = String(value || '').trim();
   if (!trimmed) return '';
@@ -130,8 +173,19 @@ function isLikelyVibeProxyUrl(parsedUrl) {
   return port === '8317' || port === '8318';
 }
 
+// An explicit backend from settings wins; 'auto' only considers Anthropic when an
+// Anthropic key has been configured and never picks the local backend.
 function resolveAnalysisBackend(context = {}) {
-  if (FORCE_CHATGPT_FOR_ANALYSIS) {
+  if (analysisBackend.localOnly || analysisBackend.backend === ANALYSIS_BACKEND.LOCAL) {
+    return ANALYSIS_BACKEND.LOCAL;
+  }
+  if (analysisBackend.backend === ANALYSIS_BACKEND.OFFLINE) {
+    return ANALYSIS_BACKEND.OFFLINE;
+  }
+  if (analysisBackend.backend === ANALYSIS_BACKEND.ANTHROPIC) {
+    return ANALYSIS_BACKEND.ANTHROPIC;
+  }
+  if (analysisBackend.backend !== 'auto' || !analysisBackend.anthropic.apiKey) {
     return ANALYSIS_BACKEND.OPENAI_COMPAT;
   }
 
@@ -166,6 +220,35 @@ function resolveAnalysisBackend(context = {}) {
   return ANALYSIS_BACKEND.ANTHROPIC;
 }
 
+function isNetworkOnline() {
+  try {
+    return !net || typeof net.isOnline !== 'function' || net.isOnline();
+  } catch (err) {
+    return true;
+  }
+}
+
+// The offline analyzer replaces the request when it is selected, when the machine
+// has no network, or when the remote backend has nothing to authenticate with (no
+// API key and no custom base URL such as a local proxy). The local model backend is
+// reachable offline and is never replaced.
+function resolveActiveAnalysisBackend(context = {}) {
+  const backend = resolveAnalysisBackend(context);
+  if (backend === ANALYSIS_BACKEND.OFFLINE || backend === ANALYSIS_BACKEND.LOCAL) return backend;
+  if (!isNetworkOnline()) return ANALYSIS_BACKEND.OFFLINE;
+  if (backend === ANALYSIS_BACKEND.ANTHROPIC) {
+    return analysisBackend.anthropic.apiKey ? backend : ANALYSIS_BACKEND.OFFLINE;
+  }
+  return apiKey || normalizeAnalysisContext(context).baseUrl ? backend : ANALYSIS_BACKEND.OFFLINE;
+}
+
+function noteAnalysisBackend(backend) {
+  if (backend !== lastAnalysisBackend) {
+    lastAnalysisBackend = backend;
+    reportAnalysisHealth();
+  }
+}
+
 function isLikelyOpenAIModel(modelValue) {
   const model = String(modelValue || '').trim();
   if (!model) return false;
@@ -216,7 +299,21 @@ function extractOpenAIMessageText(payload) {
   return '';
 }
 
-async function createOpenAICompatibleCompletion(messages, maxTokens = 180, context = {}) {
+function extractOpenAIUsage(payload) {
+  const usage = payload && payload.usage;
+  if (!usage || typeof usage !== 'object') return null;
+  return {
+    promptTokens: Number(usage.prompt_tokens) || 0,
+    completionTokens: Number(usage.completion_tokens) || 0
+  };
+}
+
+// Resolves to { text, model, usage: { promptTokens, completionTokens } | null }.
+// stream: { signal, onDelta }. With `onDelta` the reply is requested as SSE and
+// `onDelta(textSoFar)` fires per chunk; the timeout then counts from the last chunk
+// so a long reply that keeps arriving is not cut off. Aborting `signal` rejects
+// with a cancelled error.
+async function requestOpenAICompatibleCompletion(messages, maxTokens = 180, context = {}, stream = {}) {
   const normalizedContext = normalizeAnalysisContext(context);
   const normalizedBaseUrl = normalizeBaseUrlForRequests(normalizedContext.baseUrl) || DEFAULT_OPENAI_BASE_URL;
   if (typeof fetch !== 'function') {
@@ -224,8 +321,15 @@ async function createOpenAICompatibleCompletion(messages, maxTokens = 180, conte
   }
 
   const requestUrl = buildOpenAIChatCompletionsUrl(normalizedBaseUrl);
+  const streaming = typeof stream.onDelta === 'function';
   const controller = new AbortController();
-  const timeout = setTimeout(() => controller.abort(), OPENAI_REQUEST_TIMEOUT_MS);
+  let timeout = null;
+  const armTimeout = () => {
+    clearTimeout(timeout);
+    timeout = setTimeout(() => controller.abort(), OPENAI_REQUEST_TIMEOUT_MS);
+  };
+  armTimeout();
+  const unlink = linkAbortSignal(controller, stream.signal);
 
   try {
     const headers = {
@@ -235,39 +339,188 @@ async function createOpenAICompatibleCompletion(messages, maxTokens = 180, conte
       headers.Authorization = `Bearer ${apiKey}`;
     }
 
+    const model = resolveOpenAIHeartbeatModel(normalizedContext);
+    const body = {
+      model,
+      max_tokens: maxTokens,
+      temperature: 0.2,
+      messages
+    };
+    if (streaming) {
+      body.stream = true;
+      body.stream_options = { include_usage: true };
+    }
     const response = await fetch(requestUrl, {
       method: 'POST',
       headers,
       signal: controller.signal,
-      body: JSON.stringify({
-        model: resolveOpenAIHeartbeatModel(normalizedContext),
-        max_tokens: maxTokens,
-        temperature: 0.2,
-        messages
-      })
+      body: JSON.stringify(body)
     });
 
     if (!response.ok) {
       const errorBody = await response.text();
-      throw new Error(`OpenAI-compatible request failed (${response.status}): ${errorBody.slice(0, 240)}`);
+      const error = new Error(`OpenAI-compatible request failed (${response.status}): ${errorBody.slice(0, 240)}`);
+      error.status = response.status;
+      error.retryAfter = response.headers.get('retry-after') || '';
+      throw error;
+    }
+
+    // Proxies that ignore `stream` still answer with a plain JSON body.
+    const contentType = String(response.headers.get('content-type') || '');
+    if (streaming && response.body && contentType.includes('text/event-stream')) {
+      const result = await readChatCompletionStream(response.body, { onDelta: stream.onDelta, onChunk: armTimeout });
+      return { text: result.text, model: result.model || model, usage: result.usage };
     }
 
     const payload = await response.json();
-    return extractOpenAIMessageText(payload);
+    return {
+      text: extractOpenAIMessageText(payload),
+      model: String((payload && payload.model) || model),
+      usage: extractOpenAIUsage(payload)
+    };
+  } catch (err) {
+    if (stream.signal && stream.signal.aborted) throw createCancelledError();
+    throw err;
   } finally {
     clearTimeout(timeout);
+    unlink();
+  }
+}
+
+function setRedactionSettings(value) {
+  redaction = normalizeRedactionSettings(value);
+  redactionRules = compileRedactionRules(redaction);
+}
+
+function resolveAnalysisModel(backend, context = {}) {
+  if (backend === ANALYSIS_BACKEND.LOCAL) return analysisBackend.local.model;
+  if (backend === ANALYSIS_BACKEND.ANTHROPIC) return analysisBackend.anthropic.model || DEFAULT_ANTHROPIC_MODEL;
+  return resolveOpenAIHeartbeatModel(context);
+}
+
+// Only the OpenAI-compatible backend streams; the others honour `stream.signal` and
+// deliver the reply in one piece.
+function requestAnalysisBackend(backend, messages, maxTokens, context, stream = {}) {
+  if (backend === ANALYSIS_BACKEND.LOCAL) {
+    return requestLocalCompletion(messages, maxTokens, {
+      ...analysisBackend.local,
+      localOnly: analysisBackend.localOnly,
+      signal: stream.signal
+    });
+  }
+  if (backend === ANALYSIS_BACKEND.ANTHROPIC) {
+    return requestAnthropicCompletion(messages, maxTokens, { ...analysisBackend.anthropic, signal: stream.signal });
+  }
+  return requestOpenAICompatibleCompletion(messages, maxTokens, context, stream);
+}
+
+function getAnalysisScheduler(backend) {
+  if (!analysisSchedulers.has(backend)) {
+    analysisSchedulers.set(backend, createAnalysisScheduler({ onStateChange: () => reportAnalysisHealth() }));
+  }
+  return analysisSchedulers.get(backend);
+}
+
+// Health of the backend the next request will most likely use; with 'auto' that is
+// the one used last.
+function getAnalysisHealth() {
+  ensureConfigLoaded();
+  const backend = (analysisBackend.backend === 'auto' && lastAnalysisBackend) || resolveActiveAnalysisBackend({});
+  const scheduler = analysisSchedulers.get(backend);
+  return {
+    backend,
+    health: 'healthy',
+    consecutiveFailures: 0,
+    lastError: '',
+    openUntil: '',
+    active: 0,
+    queued: 0,
+    ...(scheduler ? scheduler.getState() : {})
+  };
+}
+
+function setAnalysisHealthListener(listener) {
+  analysisHealthListener = typeof listener === 'function' ? listener : null;
+}
+
+function reportAnalysisHealth() {
+  if (!analysisHealthListener) return;
+  try {
+    analysisHealthListener(getAnalysisHealth());
+  } catch (err) {
+    console.warn('Failed to report analysis health:', err.message);
+  }
+}
+
+function setAnalysisAuditListener(listener) {
+  analysisAuditListener = typeof listener === 'function' ? listener : null;
+}
+
+function reportAnalysisAudit(entry) {
+  if (!analysisAuditListener) return;
+  try {
+    analysisAuditListener(entry);
+  } catch (err) {
+    console.warn('Failed to record analysis audit entry:', err.message);
   }
 }
 
-function normalizeTopicText(raw) {
-  const compact = String(raw || '').replace(/\s+/g, ' ').trim();
-  if (!compact) return '新对话';
-  const cleaned = compact
-    .replace(/^["'“”`]+|["'“”`]+$/g, '')
-    .replace(/[。！!?,，；;：:]/g, '')
-    .trim();
-  if (!cleaned) return '新对话';
-  return cleaned.slice(0, 12);
+// Every prompt built from terminal text goes through here, so the local-only check,
+// secret redaction, request scheduling and the audit log are enforced in one place.
+// `context.purpose` and `context.tabId` only label the audit entry; `stream` is
+// passed through to the backend (see requestOpenAICompatibleCompletion).
+async function createAnalysisCompletion(messages, maxTokens = 180, context = {}, stream = {}) {
+  const outbound = messages.map((message) => ({
+    ...message,
+    content: redactSecrets(message.content, redactionRules).text
+  }));
+  const backend = resolveAnalysisBackend(context);
+  if (backend === ANALYSIS_BACKEND.OFFLINE) {
+    throw new Error('Offline analysis is selected, no request is sent');
+  }
+  const audit = { tabId: context.tabId, purpose: context.purpose, backend };
+  const startedAt = Date.now();
+  noteAnalysisBackend(backend);
+  try {
+    if (analysisBackend.localOnly && backend !== ANALYSIS_BACKEND.LOCAL) {
+      throw new Error('Local-only mode is enabled, refusing to use a remote analysis backend');
+    }
+    const result = await getAnalysisScheduler(backend).schedule(
+      () => requestAnalysisBackend(backend, outbound, maxTokens, context, stream),
+      { signal: stream.signal }
+    );
+    const usage = result.usage || {
+      promptTokens: estimateTokens(outbound.map((message) => message.content).join('\n')),
+      completionTokens: estimateTokens(result.text)
+    };
+    reportAnalysisAudit({
+      ...audit,
+      model: result.model,
+      ...usage,
+      tokensEstimated: !result.usage,
+      latencyMs: Date.now() - startedAt,
+      outcome: 'success'
+    });
+    return result.text;
+  } catch (err) {
+    reportAnalysisAudit({
+      ...audit,
+      model: resolveAnalysisModel(backend, context),
+      latencyMs: Date.now() - startedAt,
+      outcome: isCancelledError(err) ? 'cancelled' : 'fallback',
+      error: err.message
+    });
+    throw err;
+  }
+}
+
+// Model discovery for the settings form; `options` carries the unsaved form values.
+async function discoverLocalModels(options = {}) {
+  ensureConfigLoaded();
+  return listLocalModels({
+    api: options.api || analysisBackend.local.api,
+    baseUrl: options.baseUrl !== undefined ? options.baseUrl : analysisBackend.local.baseUrl
+  });
 }
 
 function isSafeStorageAvailable() {
@@ -306,6 +559,29 @@ function decodeApiKeyFromStorage(storedValue) {
   }
 }
 
+// 启动配置里的环境变量常含密钥，落盘时与 API Key 一样加密
+function mapLaunchProfileEnv(profiles, mapValue) {
+  return (Array.isArray(profiles) ? profiles : []).map((profile) => {
+    if (!profile || typeof profile !== 'object') return profile;
+    const env = profile.env && typeof profile.env === 'object' ? profile.env : {};
+    const nextEnv = {};
+    for (const key of Object.keys(env)) {
+      nextEnv[key] = mapValue(env[key]);
+    }
+    return { ...profile, env: nextEnv };
+  });
+}
+
+function hasPlainTextLaunchProfileEnv(profiles) {
+  return (Array.isArray(profiles) ? profiles : []).some((profile) => {
+    const env = profile && profile.env && typeof profile.env === 'object' ? profile.env : {};
+    return Object.values(env).some((value) => {
+      const text = String(value || '').trim();
+      return !!text && !text.startsWith(ENCRYPTED_API_KEY_PREFIX);
+    });
+  });
+}
+
 // 加载配置
 function loadConfig() {
   try {
@@ -320,7 +596,23 @@ function loadConfig() {
       heartbeatIntervalMs = normalizeHeartbeatIntervalMs(config.heartbeatIntervalMs);
       heartbeatPreferSessionAi = normalizeHeartbeatPreferSessionAi(config.heartbeatPreferSessionAi);
       archiveMetricsEnabled = normalizeArchiveMetricsEnabled(config.archiveMetricsEnabled);
-      if (rawStoredApiKey && !rawStoredApiKey.startsWith(ENCRYPTED_API_KEY_PREFIX) && isSafeStorageAvailable()) {
+      sessionRecordingEnabled = normalizeSessionRecordingEnabled(config.sessionRecordingEnabled);
+      launchProfiles = normalizeLaunchProfiles(mapLaunchProfileEnv(config.launchProfiles, decodeApiKeyFromStorage));
+      archiveRetention = normalizeArchiveRetention(config.archiveRetention);
+      workDigestSchedule = normalizeWorkDigestSchedule(config.workDigestSchedule);
+      const rawAnalysisBackend = config.analysisBackend && typeof config.analysisBackend === 'object' ? config.analysisBackend : {};
+      const rawStoredAnthropicKey = String((rawAnalysisBackend.anthropic && rawAnalysisBackend.anthropic.apiKey) || '').trim();
+      analysisBackend = normalizeAnalysisBackendSettings({
+        ...rawAnalysisBackend,
+        anthropic: { ...rawAnalysisBackend.anthropic, apiKey: decodeApiKeyFromStorage(rawStoredAnthropicKey) }
+      });
+      setRedactionSettings(config.redaction);
+      analysisBudget = normalizeAnalysisBudget(config.analysisBudget);
+      analysisPrompts = normalizeAnalysisPromptSettings(config.analysisPrompts);
+      const hasPlainTextSecrets = (rawStoredApiKey && !rawStoredApiKey.startsWith(ENCRYPTED_API_KEY_PREFIX))
+        || (rawStoredAnthropicKey && !rawStoredAnthropicKey.startsWith(ENCRYPTED_API_KEY_PREFIX))
+        || hasPlainTextLaunchProfileEnv(config.launchProfiles);
+      if (hasPlainTextSecrets && isSafeStorageAvailable()) {
         saveConfig();
       }
     }
@@ -339,7 +631,18 @@ function saveConfig() {
       heartbeatEnabled,
       heartbeatIntervalMs,
       heartbeatPreferSessionAi,
-      archiveMetricsEnabled
+      archiveMetricsEnabled,
+      sessionRecordingEnabled,
+      launchProfiles: mapLaunchProfileEnv(launchProfiles, encodeApiKeyForStorage),
+      archiveRetention,
+      workDigestSchedule,
+      analysisBackend: {
+        ...analysisBackend,
+        anthropic: { ...analysisBackend.anthropic, apiKey: encodeApiKeyForStorage(analysisBackend.anthropic.apiKey) }
+      },
+      redaction,
+      analysisBudget,
+      analysisPrompts
     };
     fs.writeFileSync(configPath, JSON.stringify(config, null, 2), 'utf8');
   } catch (err) {
@@ -373,7 +676,32 @@ function configure(newApiKey, newBaseUrl, newAiCommand, heartbeatConfig = {}, ru
       ? runtimeConfig.archiveMetricsEnabled
       : heartbeatConfig.archiveMetricsEnabled
   );
+  if (runtimeConfig.sessionRecordingEnabled !== undefined) {
+    sessionRecordingEnabled = normalizeSessionRecordingEnabled(runtimeConfig.sessionRecordingEnabled);
+  }
+  if (runtimeConfig.launchProfiles !== undefined) {
+    launchProfiles = normalizeLaunchProfiles(runtimeConfig.launchProfiles);
+  }
+  if (runtimeConfig.archiveRetention !== undefined) {
+    archiveRetention = normalizeArchiveRetention(runtimeConfig.archiveRetention);
+  }
+  if (runtimeConfig.workDigestSchedule !== undefined) {
+    workDigestSchedule = normalizeWorkDigestSchedule(runtimeConfig.workDigestSchedule);
+  }
+  if (runtimeConfig.analysisBackend !== undefined) {
+    analysisBackend = normalizeAnalysisBackendSettings(runtimeConfig.analysisBackend);
+  }
+  if (runtimeConfig.redaction !== undefined) {
+    setRedactionSettings(runtimeConfig.redaction);
+  }
+  if (runtimeConfig.analysisBudget !== undefined) {
+    analysisBudget = normalizeAnalysisBudget(runtimeConfig.analysisBudget);
+  }
+  if (runtimeConfig.analysisPrompts !== undefined) {
+    analysisPrompts = normalizeAnalysisPromptSettings(runtimeConfig.analysisPrompts);
+  }
   saveConfig();
+  reportAnalysisHealth();
 }
 
 function getConfig() {
@@ -385,67 +713,165 @@ function getConfig() {
     heartbeatEnabled,
     heartbeatIntervalMs,
     heartbeatPreferSessionAi,
-    archiveMetricsEnabled
+    archiveMetricsEnabled,
+    sessionRecordingEnabled,
+    launchProfiles: launchProfiles.map((profile) => ({ ...profile, env: { ...profile.env } })),
+    archiveRetention: { ...archiveRetention, pinnedCwds: archiveRetention.pinnedCwds.slice() },
+    workDigestSchedule: { ...workDigestSchedule },
+    analysisBackend: {
+      ...analysisBackend,
+      anthropic: { ...analysisBackend.anthropic },
+      local: { ...analysisBackend.local }
+    },
+    redaction: { ...redaction, customPatterns: redaction.customPatterns.slice() },
+    analysisBudget: { ...analysisBudget },
+    analysisPrompts: { ...analysisPrompts }
   };
 }
 
-function inferHeartbeatStatus(cleaned) {
-  if (HEARTBEAT_ERROR_PATTERN.test(cleaned)) return '异常';
-  if (HEARTBEAT_WAITING_PATTERN.test(cleaned)) return '待输入';
-  if (HEARTBEAT_SUCCESS_PATTERN.test(cleaned)) return '阶段完成';
-  return '进行中';
+function getSystemLocale() {
+  try {
+    return typeof app.getLocale === 'function' ? app.getLocale() : '';
+  } catch (err) {
+    return '';
+  }
+}
+
+// Language the topic and heartbeat replies are requested in ('zh' | 'en' | 'ja').
+function getOutputLanguage() {
+  ensureConfigLoaded();
+  return resolveOutputLanguage(analysisPrompts.language, getSystemLocale());
+}
+
+function getDefaultTopicText() {
+  return getDefaultTopic(getOutputLanguage());
+}
+
+// True when the rule-based analyzer answers instead of a request (see
+// resolveActiveAnalysisBackend); the health indicator follows the switch.
+function isOfflineAnalysis(context) {
+  const backend = resolveActiveAnalysisBackend(context);
+  if (backend !== ANALYSIS_BACKEND.OFFLINE) return false;
+  noteAnalysisBackend(backend);
+  return true;
+}
+
+// Values for the {{cwd}} / {{cli}} / {{model}} / {{log}} prompt template variables.
+function buildPromptValues(context, log) {
+  const source = context && typeof context === 'object' ? context : {};
+  const profile = source.sessionProfile && typeof source.sessionProfile === 'object' ? source.sessionProfile : {};
+  const command = String(source.aiCommand || profile.aiCommand || '').trim();
+  const profileCli = String(profile.cli || '').trim();
+  return {
+    cwd: source.cwd,
+    cli: profileCli && profileCli !== 'unknown' ? profileCli : command.split(/\s+/)[0],
+    model: String(profile.model || '').trim() || parseAiModelFromCommand(command),
+    log
+  };
 }
 
 async function detectTopic(bufferContent, context = {}) {
   ensureConfigLoaded();
-  const cleaned = stripAnsi(bufferContent).trim();
+  const language = getOutputLanguage();
+  const cleaned = redactSecrets(stripAnsi(bufferContent).trim(), redactionRules).text;
   if (!cleaned || cleaned.length < 50) {
-    return '新对话';
+    return getDefaultTopic(language);
+  }
+  const offlineTopic = buildOfflineTopic(cleaned, { cwd: context.cwd, homeDir: os.homedir() })
+    || getDefaultTopic(language);
+  if (isOfflineAnalysis(context)) {
+    return offlineTopic;
   }
 
-  async function detectTopicViaOpenAICompat() {
-    const text = await createOpenAICompatibleCompletion([
-      {
-        role: 'system',
-        content: '你是终端主题提取助手。只输出3-5个中文字主题词，不要解释，不要标点。无法判断时输出"新对话"。'
-      },
-      {
-        role: 'user',
-        content: cleaned.slice(-2000)
-      }
-    ], 40, context);
-    return normalizeTopicText(text);
+  async function detectTopicViaAnalysisBackend() {
+    const text = await createAnalysisCompletion(
+      buildPromptMessages('topic', analysisPrompts, language, buildPromptValues(context, cleaned.slice(-2000))),
+      40,
+      { purpose: 'topic', ...context }
+    );
+    return normalizeTopicText(text, language);
   }
 
   try {
-    return await detectTopicViaOpenAICompat();
+    return await detectTopicViaAnalysisBackend();
   } catch (err) {
-    console.warn('ChatGPT topic detection failed, fallback to default topic:', err.message);
-    return '新对话';
-  }
-}
-
-function createFallbackHeartbeat(cleaned) {
-  const lines = cleaned
-    .split('\n')
-    .map((line) => line.trim())
-    .filter(Boolean);
-  const summary = (lines.slice(-4).join(' | ').slice(0, 80) || '会话进行中').replace(/\s+/g, ' ');
-  const status = inferHeartbeatStatus(cleaned);
-  const analysisByStatus = {
-    '异常': '检测到异常输出，建议先定位最近报错上下文，再决定后续处理步骤。',
-    '待输入': '会话当前处于等待输入状态，建议先确认上一步输出含义，再继续交互。',
-    '阶段完成': '检测到阶段性完成信号，建议进行结果校验并推进下一步任务。',
-    '进行中': '会话持续推进中，建议关注最新输出中的关键变化与潜在风险。'
-  };
+    console.warn('AI topic detection failed, fallback to offline topic:', err.message);
+    return offlineTopic;
+  }
+}
 
-  return {
-    summary,
-    analysis: `状态：${status}。${analysisByStatus[status] || analysisByStatus['进行中']}`
-  };
+// The reply must match the heartbeat schema (renderer/heartbeat-schema.js) exactly;
+// anything else is logged and replaced by the local fallback as a whole.
+function parseHeartbeatFromResponse(text, fallback, limits = getHeartbeatLimits()) {
+  if (!text || typeof text !== 'string') return fallback;
+
+  const jsonMatch = text.match(/\{[\s\S]*\}/);
+  if (!jsonMatch) return fallback;
+
+  let parsed;
+  try {
+    parsed = JSON.parse(jsonMatch[0]);
+  } catch (err) {
+    return fallback;
+  }
+  const { report, errors } = validateHeartbeatReport(parsed, limits);
+  if (!report) {
+    console.warn('AI heartbeat reply does not match the schema, fallback to offline analysis:', errors.join('; '));
+    return fallback;
+  }
+  return report;
+}
+
+// Secrets are masked before the text is used for either the request or the local
+// fallback; the report carries `redactions: { count, types }` when anything matched.
+// options: { signal, onProgress }. `onProgress({ summary, analysis })` receives the
+// partially streamed report; a cancelled request rejects instead of falling back.
+async function analyzeHeartbeat(bufferContent, context = {}, options = {}) {
+  ensureConfigLoaded();
+  const redacted = redactSecrets(stripAnsi(bufferContent).trim(), redactionRules);
+  const cleaned = redacted.text;
+  const language = getOutputLanguage();
+  if (!cleaned) {
+    return {
+      status: 'running',
+      ...getEmptyHeartbeatReport(language),
+      ...createEmptyHeartbeatDetails()
+    };
+  }
+  const withRedactions = (report) => (
+    redacted.count > 0 ? { ...report, redactions: { count: redacted.count, types: redacted.types } } : report
+  );
+
+  const fallback = buildOfflineHeartbeat(cleaned, { language, limits: getHeartbeatLimits(language) });
+  if (isOfflineAnalysis(context)) {
+    return withRedactions(fallback);
+  }
+  const stream = { signal: options.signal };
+  if (typeof options.onProgress === 'function') {
+    stream.onDelta = (partial) => {
+      const fields = extractPartialJsonFields(partial, ['summary', 'analysis']);
+      if (fields.summary || fields.analysis) {
+        options.onProgress({ summary: fields.summary || '', analysis: fields.analysis || '' });
+      }
+    };
+  }
+
+  try {
+    const text = await createAnalysisCompletion(
+      buildPromptMessages('heartbeat', analysisPrompts, language, buildPromptValues(context, cleaned.slice(-analysisBackend.contextChars))),
+      400,
+      { purpose: 'heartbeat', ...context },
+      stream
+    );
+    return withRedactions(parseHeartbeatFromResponse(text, fallback, getHeartbeatLimits(language)));
+  } catch (err) {
+    if (isCancelledError(err)) throw err;
+    console.warn('AI heartbeat analysis failed, fallback to offline analysis:', err.message);
+    return withRedactions(fallback);
+  }
 }
 
-function parseHeartbeatFromResponse(text, fallback) {
+function parseWorkDigestFromResponse(text, fallback) {
   if (!text || typeof text !== 'string') return fallback;
 
   const jsonMatch = text.match(/\{[\s\S]*\}/);
@@ -456,49 +882,42 @@ function parseHeartbeatFromResponse(text, fallback) {
     const summary = String(parsed.summary || '').trim();
     const analysis = String(parsed.analysis || '').trim();
     if (!summary || !analysis) return fallback;
+    const projects = (Array.isArray(parsed.projects) ? parsed.projects : [])
+      .filter((item) => item && typeof item === 'object')
+      .map((item) => ({
+        cwd: String(item.cwd || '').trim(),
+        summary: String(item.summary || '').trim().slice(0, 240)
+      }))
+      .filter((item) => item.cwd && item.summary);
     return {
-      summary: summary.slice(0, 140),
-      analysis: analysis.slice(0, 240)
+      summary: summary.slice(0, 180),
+      analysis: analysis.slice(0, 280),
+      projects,
+      generatedBy: 'ai'
     };
   } catch (err) {
     return fallback;
   }
 }
 
-async function analyzeHeartbeat(bufferContent, context = {}) {
+// `digestText` is the per-project overview built in main/work-digest.js; `fallback`
+// is returned (marked as local) when the request fails or the reply is not usable.
+async function summarizeWorkDigest(digestText, fallback, context = {}) {
   ensureConfigLoaded();
-  const cleaned = stripAnsi(bufferContent).trim();
-  if (!cleaned) {
-    return {
-      summary: '会话暂时无输出',
-      analysis: '状态：等待新内容。'
-    };
+  const localDigest = { ...fallback, generatedBy: 'local' };
+  if (isOfflineAnalysis(context)) {
+    return localDigest;
   }
-
-  const fallback = createFallbackHeartbeat(cleaned);
-
   try {
-    const text = await createOpenAICompatibleCompletion([
-      {
-        role: 'system',
-        content: '你是终端会话监控分析助手。严格输出 JSON：{"summary":"当前进展总结","analysis":"状态判断与后续分析"}。不要输出任何额外文字，不要输出按键级指令（如 y/yes）。'
-      },
-      {
-        role: 'user',
-        content: `请基于以下终端日志生成总结。
-要求：
-1) summary 20-40字，聚焦当前会话进展与关键结果。
-2) analysis 40-90字，给出状态判断、风险点与下一步建议。
-3) 只输出 JSON。
-
-终端日志：
-${cleaned.slice(-HEARTBEAT_MAX_CONTEXT_CHARS)}`
-      }
-    ], 180, context);
-    return parseHeartbeatFromResponse(text, fallback);
+    const text = await createAnalysisCompletion(
+      buildWorkDigestMessages(getOutputLanguage(), digestText),
+      600,
+      { purpose: 'work_digest', ...context }
+    );
+    return parseWorkDigestFromResponse(text, localDigest);
   } catch (err) {
-    console.warn('ChatGPT heartbeat analysis failed, fallback to local summary:', err.message);
-    return fallback;
+    console.warn('AI work digest failed, fallback to local digest:', err.message);
+    return localDigest;
   }
 }
 
@@ -506,7 +925,7 @@ async function detectTopics(tabBuffers) {
   ensureConfigLoaded();
   const results = await Promise.allSettled(
     tabBuffers.map(async ({ tabId, buffer, context }) => {
-      const topic = await detectTopic(buffer, context || {});
+      const topic = await detectTopic(buffer, { ...(context || {}), tabId });
       return { tabId, topic };
     })
   );
@@ -515,8 +934,23 @@ async function detectTopics(tabBuffers) {
     if (result.status === 'fulfilled') {
       return result.value;
     }
-    return { tabId: tabBuffers[i].tabId, topic: '新对话' };
+    return { tabId: tabBuffers[i].tabId, topic: getDefaultTopicText() };
   });
 }
 
-module.exports = { detectTopic, detectTopics, analyzeHeartbeat, stripAnsi, configure, getConfig };
+module.exports = {
+  detectTopic,
+  detectTopics,
+  getDefaultTopicText,
+  getOutputLanguage,
+  analyzeHeartbeat,
+  isCancelledError,
+  summarizeWorkDigest,
+  discoverLocalModels,
+  setAnalysisAuditListener,
+  getAnalysisHealth,
+  setAnalysisHealthListener,
+  stripAnsi,
+  configure,
+  getConfig
+};
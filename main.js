@@ -1,16 +1,61 @@
-const { app, BrowserWindow, ipcMain, Menu, dialog, Notification } = require('electron');
+const { app, BrowserWindow, ipcMain, Menu, dialog, Notification, shell } = require('electron');
 const fs = require('fs');
 const path = require('path');
+const { execFile } = require('child_process');
 const pty = require('node-pty');
 const topicDetector = require('./lib/topic-detector');
-const { resolveShellLaunch } = require('./main/platform-shell');
+const { resolveShellLaunch, listAvailableShells, parseWslDistroList } = require('./main/platform-shell');
 const { attachNavigationGuards, buildBrowserSecurityOptions } = require('./main/security-policy');
-const { createArchiveStore } = require('./main/archive-store');
+const { createArchiveStore, isSqliteAvailable } = require('./main/archive-store');
 const { shouldLogArchiveMetrics: shouldLogArchiveMetricsPolicy } = require('./main/archive-metrics');
+const {
+  EXPORT_FORMATS,
+  normalizeExportFormat,
+  exportFormatIncludesDigest,
+  buildExportFileName,
+  buildArchiveExport
+} = require('./main/archive-export');
+const {
+  WORK_DIGEST_EVENT_TYPE,
+  buildWorkDigestStats,
+  buildWorkDigestPrompt,
+  buildFallbackWorkDigest,
+  buildWorkDigestRecord
+} = require('./main/work-digest');
+const { createSessionRecorder } = require('./main/session-recorder');
+const { createWorkspaceStore } = require('./main/workspace-store');
+const { createKeybindingStore } = require('./main/keybinding-store');
+const { createAnalysisAuditLog } = require('./main/analysis-audit');
+const { normalizePaneLayout, listPaneIds } = require('./renderer/pane-layout');
+const { normalizeScrollbackEntries } = require('./renderer/scrollback-restore');
+const { COMMAND_MENUS, COMMANDS, listMenuCommands } = require('./renderer/command-registry');
+const { findLaunchProfile, DEFAULT_INITIAL_DELAY_MS } = require('./renderer/launch-profile');
+const { normalizeArchiveRetention } = require('./renderer/archive-retention');
+const {
+  normalizeWorkDigestSchedule,
+  normalizeWorkDigestFrequency,
+  computeNextWorkDigestRunAt,
+  resolveWorkDigestPeriod,
+  getWorkDigestLabel
+} = require('./renderer/work-digest-utils');
+const {
+  compileRedactionRules,
+  redactSecrets,
+  mergeRedactionCounts
+} = require('./renderer/secret-redaction');
+const { normalizeAnalysisBudget, isBudgetExceeded } = require('./renderer/analysis-usage');
+const {
+  HEARTBEAT_TEXT_FIELDS,
+  HEARTBEAT_LIST_FIELDS,
+  getHeartbeatStatusLabel,
+  pickHeartbeatDetails
+} = require('./renderer/heartbeat-schema');
 
 let win;
 const terminals = new Map();
 const confirmAlertAt = new Map();
+// On-demand archive summaries still streaming: streamId -> { tabId, controller }.
+const summaryStreams = new Map();
 const CONFIRM_ALERT_COOLDOWN_MS = 10000;
 const DEFAULT_HEARTBEAT_INTERVAL_MS = 10 * 60 * 1000;
 const MIN_HEARTBEAT_INTERVAL_MS = 5 * 60 * 1000;
@@ -20,19 +65,32 @@ const HEARTBEAT_CONTEXT_TAIL_CHARS = 2600;
 const HEARTBEAT_SIGNAL_DEBOUNCE_MS = 3000;
 const HEARTBEAT_NOTIFY_COOLDOWN_MS = 45000;
 const HEARTBEAT_INITIAL_DELAY_MS = 60 * 1000;
-const HEARTBEAT_ARCHIVE_RETENTION_DAYS = 30;
 const HEARTBEAT_MAX_QUERY_DAYS = 90;
 const HEARTBEAT_MAX_QUERY_LIMIT = 200;
 const HEARTBEAT_DEFAULT_QUERY_DAYS = 14;
 const HEARTBEAT_DEFAULT_QUERY_LIMIT = 40;
 const SESSION_ARCHIVE_DIRNAME = 'session-archive';
 const TAB_STATE_FILENAME = 'tab-state.json';
+const TAB_SCROLLBACK_FILENAME = 'tab-scrollback.json';
+const WORKSPACES_DIRNAME = 'workspaces';
+const KEYBINDINGS_FILENAME = 'keybindings.json';
+const ANALYSIS_AUDIT_DIRNAME = 'analysis-audit';
 const ANALYSIS_BUFFER_MAX_CHARS = 24000;
+const RECORDING_MAX_READ_BYTES = 64 * 1024 * 1024;
 const heartbeatRuntime = {
   enabled: true,
   intervalMs: DEFAULT_HEARTBEAT_INTERVAL_MS
 };
 let archiveMetricsEnabled = false;
+let sessionRecordingEnabled = false;
+let archiveRetention = normalizeArchiveRetention();
+let workDigestSchedule = normalizeWorkDigestSchedule();
+let redactionRules = compileRedactionRules();
+let analysisBudget = normalizeAnalysisBudget();
+let analysisBudgetPausedDay = ''; // day for which the "heartbeats paused" notice was sent
+let workDigestTimer = null;
+let workDigestInFlight = false;
+let workDigestNotification = null; // kept referenced so its click handler survives GC
 const HEARTBEAT_ERROR_PATTERN = /\b(error|failed|failure|exception|traceback|fatal|panic)\b|失败|错误|异常/i;
 const HEARTBEAT_SUCCESS_PATTERN = /\b(done|success|completed|finished)\b|成功|完成|已完成/i;
 const HEARTBEAT_WAITING_PATTERN = /是否继续|请确认|确认\?|are you sure|do you want to continue|yes\/no|y\/n|y\/N|Y\/n|confirm/i;
@@ -63,9 +121,34 @@ const tabStateRuntime = {
     tabs: []
   }
 };
+const tabScrollbackRuntime = {
+  loaded: false,
+  data: {
+    version: 1,
+    updatedAt: '',
+    tabs: {}
+  }
+};
 let hasAppliedInitialTerminalRelayout = false;
+const workspaceStore = createWorkspaceStore({
+  getWorkspaceDir: () => path.join(app.getPath('userData'), WORKSPACES_DIRNAME)
+});
+const analysisAudit = createAnalysisAuditLog({
+  getAuditDir: () => path.join(app.getPath('userData'), ANALYSIS_AUDIT_DIRNAME)
+});
+const keybindingStore = createKeybindingStore({
+  getFilePath: () => path.join(app.getPath('userData'), KEYBINDINGS_FILENAME),
+  platform: process.platform,
+  commands: COMMANDS,
+  onChange: (state) => {
+    buildMenu();
+    if (win && !win.isDestroyed()) {
+      win.webContents.send('keybindings:changed', state);
+    }
+  }
+});
 const archiveStore = createArchiveStore({
-  driver: 'jsonl',
+  driver: resolveArchiveDriver(),
   getArchiveRootDir,
   resolveSessionIdByTab,
   maxQueryDays: HEARTBEAT_MAX_QUERY_DAYS,
@@ -191,6 +274,12 @@ function createHeartbeatSignature(rawBuffer) {
     .slice(-HEARTBEAT_CONTEXT_TAIL_CHARS);
 }
 
+// Text sent for heartbeat analysis: the analysis buffer keeps more history than the
+// signature, and topicDetector trims it to the configured context length.
+function getHeartbeatAnalysisInput(entry, signature) {
+  return entry.analysisBuffer && entry.analysisBuffer.trim() ? entry.analysisBuffer : signature;
+}
+
 function appendAnalysisBuffer(entry, text) {
   if (!entry) return;
   const chunk = stripAnsiForDetection(String(text || ''))
@@ -451,10 +540,12 @@ function updateSessionProfileFromHint(entry, hintText, detectedFrom, confidence)
   return previousSignature !== sessionProfileSignature(entry.sessionProfile) || commandChanged;
 }
 
-function buildTopicAnalysisContext(entry) {
+function buildTopicAnalysisContext(entry, tabId = '') {
   if (!entry) return {};
   const profile = ensureSessionProfile(entry, entry.autoCommand);
   return {
+    tabId: tabId || entry.tabId || '',
+    cwd: entry.cwd || '',
     aiCommand: entry.autoCommand || '',
     sessionProfile: profile
   };
@@ -497,13 +588,36 @@ function normalizeTabState(rawState = {}) {
       const cwd = sanitizeArchiveLine(item.cwd || '', 640);
       const lastCliCommand = sanitizeArchiveLine(item.lastCliCommand || item.autoCommand || '', 220);
       const manuallyRenamed = !!item.manuallyRenamed;
-      return {
+      const launchProfileId = sanitizeArchiveLine(item.launchProfileId || '', 60);
+      const normalized = {
         tabId,
         title,
         cwd,
         lastCliCommand,
         manuallyRenamed
       };
+      if (launchProfileId) {
+        normalized.launchProfileId = launchProfileId;
+      }
+      const shellChoice = sanitizeArchiveLine(item.shell || '', 260);
+      if (shellChoice) {
+        normalized.shell = shellChoice;
+      }
+      const layout = normalizePaneLayout(item.layout);
+      const paneIds = listPaneIds(layout);
+      if (paneIds.length > 1 && paneIds.includes(tabId)) {
+        const rawPanes = Array.isArray(item.panes) ? item.panes : [];
+        normalized.layout = layout;
+        normalized.panes = rawPanes
+          .filter((pane) => pane && typeof pane === 'object')
+          .map((pane) => ({
+            paneId: sanitizeArchiveLine(pane.paneId, 80),
+            cwd: sanitizeArchiveLine(pane.cwd || '', 640),
+            lastCliCommand: sanitizeArchiveLine(pane.lastCliCommand || '', 220)
+          }))
+          .filter((pane) => pane.paneId && pane.paneId !== tabId && paneIds.includes(pane.paneId));
+      }
+      return normalized;
     })
     .filter(Boolean);
 
@@ -589,6 +703,75 @@ function saveTabState(snapshotPayload = {}) {
   return tabStateRuntime.data;
 }
 
+function getTabScrollbackPath() {
+  return path.join(app.getPath('userData'), TAB_SCROLLBACK_FILENAME);
+}
+
+function loadTabScrollback() {
+  if (tabScrollbackRuntime.loaded) {
+    return tabScrollbackRuntime.data;
+  }
+  tabScrollbackRuntime.loaded = true;
+
+  const filePath = getTabScrollbackPath();
+  if (!fs.existsSync(filePath)) return tabScrollbackRuntime.data;
+  try {
+    const parsed = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    const rawTabs = parsed && typeof parsed.tabs === 'object' && parsed.tabs ? parsed.tabs : {};
+    const entries = normalizeScrollbackEntries(
+      Object.keys(rawTabs).map((id) => ({ id, data: rawTabs[id] && rawTabs[id].data }))
+    );
+    const nextTabs = {};
+    for (const item of entries) {
+      nextTabs[item.id] = {
+        data: item.data,
+        savedAt: sanitizeArchiveLine(rawTabs[item.id].savedAt, 40)
+      };
+    }
+    tabScrollbackRuntime.data = {
+      version: 1,
+      updatedAt: sanitizeArchiveLine(parsed.updatedAt, 40),
+      tabs: nextTabs
+    };
+  } catch (err) {
+    console.warn('[tab-scrollback] Failed to load saved scrollback, ignoring it:', err.message);
+  }
+  return tabScrollbackRuntime.data;
+}
+
+// Replaces the whole scrollback state: terminals missing from `rawEntries` are dropped.
+function saveTabScrollback(rawEntries) {
+  const previous = loadTabScrollback().tabs;
+  const nowIso = new Date().toISOString();
+  const nextTabs = {};
+  for (const item of normalizeScrollbackEntries(rawEntries)) {
+    if (item.data) {
+      nextTabs[item.id] = { data: item.data, savedAt: nowIso };
+    } else if (previous[item.sourceId] || previous[item.id]) {
+      nextTabs[item.id] = previous[item.sourceId] || previous[item.id];
+    }
+  }
+
+  const payload = { version: 1, updatedAt: nowIso, tabs: nextTabs };
+  const filePath = getTabScrollbackPath();
+  const tempPath = `${filePath}.tmp`;
+  if (!ensureDirSync(path.dirname(filePath))) return false;
+  try {
+    fs.writeFileSync(tempPath, JSON.stringify(payload), 'utf8');
+    fs.renameSync(tempPath, filePath);
+    tabScrollbackRuntime.data = payload;
+    return true;
+  } catch (err) {
+    console.warn('[tab-scrollback] Failed to persist scrollback:', err.message);
+    try {
+      if (fs.existsSync(tempPath)) fs.unlinkSync(tempPath);
+    } catch (cleanupErr) {
+      console.warn('[tab-scrollback] Failed to cleanup temp file:', cleanupErr.message);
+    }
+    return false;
+  }
+}
+
 function canUseAsTerminalCwd(dirPath) {
   const candidate = String(dirPath || '').trim();
   if (!candidate) return false;
@@ -677,6 +860,43 @@ function ensureSessionArchiveFile(entry) {
   return true;
 }
 
+function startSessionRecording(tabId, entry, size = {}) {
+  if (!entry || entry.recorder || !sessionRecordingEnabled) return false;
+  if (!ensureSessionArchiveFile(entry)) return false;
+
+  const recordingPath = entry.archiveFilePath.replace(/\.jsonl$/, '.cast');
+  try {
+    entry.recorder = createSessionRecorder({
+      filePath: recordingPath,
+      cols: size.cols,
+      rows: size.rows,
+      title: sanitizeArchiveLine(entry.autoCommand || entry.cwd || tabId, 160),
+      env: { SHELL: entry.shell || '', TERM: 'xterm-256color' }
+    });
+    entry.recordingPath = recordingPath;
+    return true;
+  } catch (err) {
+    console.warn('[session-recorder] Failed to start recording:', err.message);
+    entry.recorder = null;
+    return false;
+  }
+}
+
+function stopSessionRecording(entry) {
+  if (!entry || !entry.recorder) return;
+  try {
+    entry.recorder.close();
+  } catch (err) {
+    console.warn('[session-recorder] Failed to close recording:', err.message);
+  }
+  entry.recorder = null;
+}
+
+function isPathInsideDir(filePath, dirPath) {
+  const relative = path.relative(path.resolve(dirPath), path.resolve(filePath));
+  return !!relative && !relative.startsWith('..') && !path.isAbsolute(relative);
+}
+
 function appendHeartbeatArchiveRecord(tabId, entry, eventType, payload = {}) {
   if (!entry) return false;
   if (!entry.sessionId) {
@@ -690,8 +910,26 @@ function appendHeartbeatArchiveRecord(tabId, entry, eventType, payload = {}) {
   if (!ensureSessionArchiveFile(entry)) return false;
 
   const nowIso = new Date().toISOString();
-  const summary = sanitizeArchiveLine(payload.summary, 180);
-  const analysis = sanitizeArchiveLine(payload.analysis, 280);
+  // Redact before whitespace is collapsed and text truncated, so multi-line keys are
+  // matched whole. `payload.redactions` carries counts from text masked upstream.
+  const redactedSummary = redactSecrets(payload.summary, redactionRules);
+  const redactedAnalysis = redactSecrets(payload.analysis, redactionRules);
+  const detailRedactions = [];
+  const redactDetail = (text) => {
+    const redacted = redactSecrets(text, redactionRules);
+    detailRedactions.push(redacted);
+    return redacted.text;
+  };
+  const details = pickHeartbeatDetails(payload);
+  for (const field of HEARTBEAT_TEXT_FIELDS) {
+    details[field] = redactDetail(details[field]);
+  }
+  for (const field of HEARTBEAT_LIST_FIELDS) {
+    details[field] = details[field].map(redactDetail);
+  }
+  const redactions = mergeRedactionCounts(payload.redactions, redactedSummary, redactedAnalysis, ...detailRedactions);
+  const summary = sanitizeArchiveLine(redactedSummary.text, 180);
+  const analysis = sanitizeArchiveLine(redactedAnalysis.text, 280);
   const status = sanitizeArchiveLine(payload.status, 40) || inferHeartbeatStatusFromText(`${summary}\n${analysis}`);
   const reason = sanitizeArchiveLine(payload.reason, 40);
   const source = sanitizeArchiveLine(payload.source, 40) || 'heartbeat';
@@ -714,6 +952,14 @@ function appendHeartbeatArchiveRecord(tabId, entry, eventType, payload = {}) {
   if (cli) record.cli = cli;
   if (provider) record.provider = provider;
   if (model) record.model = model;
+  // Structured heartbeat fields, only stored when the model filled them in.
+  for (const field of HEARTBEAT_TEXT_FIELDS) {
+    if (details[field]) record[field] = details[field];
+  }
+  for (const field of HEARTBEAT_LIST_FIELDS) {
+    if (details[field].length > 0) record[field] = details[field];
+  }
+  if (redactions.count > 0) record.redactions = redactions;
 
   try {
     fs.appendFileSync(entry.archiveFilePath, `${JSON.stringify(record)}\n`, 'utf8');
@@ -749,7 +995,8 @@ function appendHeartbeatArchiveRecord(tabId, entry, eventType, payload = {}) {
       lastSummary: summary,
       lastAnalysis: analysis,
       lastStatus: status,
-      archivePath: relativeArchivePath
+      archivePath: relativeArchivePath,
+      recordingPath: entry.recordingPath ? path.relative(archiveRoot, entry.recordingPath) : ''
     });
   } catch (err) {
     console.warn('[heartbeat-archive] Failed to persist archive index meta:', err.message);
@@ -778,25 +1025,30 @@ function markSessionEnded(tabId, entry, eventType, detail = '') {
   });
 }
 
-function cleanupOldHeartbeatArchives() {
-  const root = getArchiveRootDir();
-  if (!fs.existsSync(root)) return;
-
-  const cutoff = Date.now() - HEARTBEAT_ARCHIVE_RETENTION_DAYS * 24 * 60 * 60 * 1000;
-  const entries = fs.readdirSync(root, { withFileTypes: true });
-  for (const item of entries) {
-    if (!item.isDirectory()) continue;
-    if (!/^\d{4}-\d{2}-\d{2}$/.test(item.name)) continue;
-
-    const dirTs = new Date(`${item.name}T00:00:00Z`).getTime();
-    if (Number.isNaN(dirTs)) continue;
-    if (dirTs >= cutoff) continue;
+function getOpenSessionIds() {
+  const sessionIds = new Set();
+  for (const entry of terminals.values()) {
+    if (entry.sessionId) sessionIds.add(entry.sessionId);
+  }
+  return sessionIds;
+}
 
-    try {
-      fs.rmSync(path.join(root, item.name), { recursive: true, force: true });
-    } catch (err) {
-      console.warn('[heartbeat-archive] Failed to remove old archive dir:', item.name, err.message);
+// Applies the retention settings (age, size cap, pinned cwds). Sessions still open in
+// a tab are never removed.
+function cleanupOldHeartbeatArchives() {
+  try {
+    const report = archiveStore.applyRetention(archiveRetention, { protectedSessionIds: getOpenSessionIds() });
+    if (report.removedFiles > 0 || report.prunedIndexEntries > 0) {
+      console.log(
+        `[heartbeat-archive] retention removedSessions=${report.removedSessions.length} ` +
+        `files=${report.removedFiles} bytes=${report.removedBytes} age=${report.removedByAge} ` +
+        `size=${report.removedBySize} prunedIndex=${report.prunedIndexEntries} pinned=${report.pinnedSessions}`
+      );
     }
+    return report;
+  } catch (err) {
+    console.warn('[heartbeat-archive] Failed to apply archive retention:', err.message);
+    return null;
   }
 }
 
@@ -805,6 +1057,30 @@ function resolveSessionIdByTab(tabId) {
   return entry && entry.sessionId ? entry.sessionId : '';
 }
 
+// JSONL day files stay the source of truth; ARCHIVE_DRIVER=sqlite additionally keeps
+// an archive.sqlite alongside them for queries and session metadata.
+function resolveArchiveDriver() {
+  const requested = String(process.env.ARCHIVE_DRIVER || '').trim().toLowerCase();
+  if (requested !== 'sqlite') return 'jsonl';
+  if (!isSqliteAvailable()) {
+    console.warn('[heartbeat-archive] SQLite driver unavailable, falling back to JSONL');
+    return 'jsonl';
+  }
+  return 'sqlite';
+}
+
+function importJsonlArchiveIntoStore() {
+  if (typeof archiveStore.importJsonlArchive !== 'function') return;
+  try {
+    const summary = archiveStore.importJsonlArchive();
+    if (summary.files > 0) {
+      console.log(`[heartbeat-archive] Imported ${summary.records} records from ${summary.files} JSONL files into SQLite`);
+    }
+  } catch (err) {
+    console.warn('[heartbeat-archive] Failed to import JSONL archive into SQLite:', err.message);
+  }
+}
+
 function isLegacyArchiveQueryEnabled() {
   return process.env.ARCHIVE_QUERY_LEGACY === '1';
 }
@@ -830,13 +1106,16 @@ function queryHeartbeatArchive(options = {}) {
   if (stats && shouldLogArchiveMetrics()) {
     console.log(
       `[heartbeat-archive] query mode=${stats.queryMode} total=${result.total} ` +
-      `files=${stats.filesScanned} usedIndex=${stats.usedIndex} elapsedMs=${stats.elapsedMs}`
+      `files=${stats.filesScanned} usedIndex=${stats.usedIndex} fullText=${!!stats.fullText} ` +
+      `indexHits=${stats.indexHits || 0} elapsedMs=${stats.elapsedMs}`
     );
   }
   return result;
 }
 
-async function summarizeHeartbeatArchive(options = {}) {
+// `stream` ({ signal, onProgress }) is passed to analyzeHeartbeat so an on-demand
+// summary can be shown while it is generated and cancelled with the panel.
+async function summarizeHeartbeatArchive(options = {}, stream = {}) {
   const queryMode = getArchiveQueryMode();
   const { result, timeline, stats } = archiveStore.summarizeInput({
     ...(options || {}),
@@ -845,7 +1124,8 @@ async function summarizeHeartbeatArchive(options = {}) {
   if (stats && shouldLogArchiveMetrics()) {
     console.log(
       `[heartbeat-archive] summarize mode=${stats.queryMode} total=${result.total} ` +
-      `files=${stats.filesScanned} usedIndex=${stats.usedIndex} elapsedMs=${stats.elapsedMs}`
+      `files=${stats.filesScanned} usedIndex=${stats.usedIndex} fullText=${!!stats.fullText} ` +
+      `indexHits=${stats.indexHits || 0} elapsedMs=${stats.elapsedMs}`
     );
   }
   if (result.records.length === 0) {
@@ -856,7 +1136,11 @@ async function summarizeHeartbeatArchive(options = {}) {
         const signature = createHeartbeatSignature(entry.buffer);
         if (signature.length > 0) {
           try {
-            const report = await topicDetector.analyzeHeartbeat(signature, buildTopicAnalysisContext(entry));
+            const report = await topicDetector.analyzeHeartbeat(
+              getHeartbeatAnalysisInput(entry, signature),
+              { ...buildTopicAnalysisContext(entry, requestedTabId), purpose: 'archive_summary' },
+              stream
+            );
             return {
               ...result,
               summary: report.summary || '已基于当前会话输出生成总结',
@@ -864,6 +1148,7 @@ async function summarizeHeartbeatArchive(options = {}) {
               liveSnapshot: true
             };
           } catch (err) {
+            if (topicDetector.isCancelledError(err)) throw err;
             console.warn('[heartbeat-archive] Live snapshot summarize failed:', err.message);
           }
         }
@@ -877,7 +1162,10 @@ async function summarizeHeartbeatArchive(options = {}) {
     };
   }
 
-  const report = await topicDetector.analyzeHeartbeat(timeline);
+  const report = await topicDetector.analyzeHeartbeat(timeline, {
+    tabId: sanitizeArchiveLine(options.tabId, 80),
+    purpose: 'archive_summary'
+  }, stream);
   return {
     ...result,
     summary: report.summary || '已提取会话心跳归档摘要',
@@ -885,6 +1173,176 @@ async function summarizeHeartbeatArchive(options = {}) {
   };
 }
 
+// Export takes the heartbeat:query filters; tabId is left out so exports are
+// reproducible from the archive alone.
+function pickArchiveExportFilters(options = {}) {
+  return {
+    days: options.days,
+    cwd: options.cwd,
+    sessionId: options.sessionId,
+    eventType: options.eventType,
+    keyword: options.keyword
+  };
+}
+
+async function exportHeartbeatArchive(options = {}) {
+  const format = normalizeExportFormat(options.format);
+  const filters = pickArchiveExportFilters(options || {});
+  const result = queryHeartbeatArchive({
+    ...filters,
+    limit: HEARTBEAT_MAX_QUERY_LIMIT,
+    sort: 'time'
+  });
+  if (!result.records || result.records.length === 0) {
+    return { success: false, error: '当前筛选条件下没有可导出的归档记录' };
+  }
+
+  const { extension, filterName } = EXPORT_FORMATS[format];
+  const saveResult = await dialog.showSaveDialog(win, {
+    title: '导出会话归档',
+    defaultPath: path.join(app.getPath('documents'), buildExportFileName(format)),
+    filters: [{ name: filterName, extensions: [extension] }]
+  });
+  if (saveResult.canceled || !saveResult.filePath) {
+    return { canceled: true };
+  }
+
+  let digest = null;
+  if (options.includeDigest && exportFormatIncludesDigest(format)) {
+    try {
+      const report = await summarizeHeartbeatArchive(filters);
+      digest = { summary: report.summary || '', analysis: report.analysis || '' };
+    } catch (err) {
+      digest = { error: err.message };
+    }
+  }
+
+  const { content } = buildArchiveExport({
+    format,
+    records: result.records,
+    query: result.query,
+    total: result.total,
+    digest
+  });
+  fs.writeFileSync(saveResult.filePath, content, 'utf8');
+  return {
+    success: true,
+    path: saveResult.filePath,
+    format,
+    exported: result.records.length,
+    total: result.total
+  };
+}
+
+function appendWorkDigestRecord(record) {
+  const dayDir = path.join(getArchiveRootDir(), isoDayStamp(record.ts));
+  if (!ensureDirSync(dayDir)) return false;
+  const filePath = path.join(dayDir, `${record.sessionId}.jsonl`);
+  try {
+    fs.appendFileSync(filePath, `${JSON.stringify(record)}\n`, 'utf8');
+  } catch (err) {
+    console.warn('[work-digest] Failed to append digest record:', err.message);
+    return false;
+  }
+  try {
+    archiveStore.append(record, { filePath });
+  } catch (err) {
+    console.warn('[work-digest] Failed to update archive index:', err.message);
+  }
+  return true;
+}
+
+function showWorkDigestNotification(record) {
+  try {
+    if (!Notification || typeof Notification.isSupported !== 'function' || !Notification.isSupported()) {
+      return false;
+    }
+    const notification = new Notification({
+      title: getWorkDigestLabel(record.digest.frequency, record.digest.language),
+      body: record.summary,
+      silent: false
+    });
+    notification.on('click', () => {
+      if (!win || win.isDestroyed()) return;
+      if (win.isMinimized()) win.restore();
+      win.show();
+      win.focus();
+      sendCommandToRenderer('digest.open', { sessionId: record.sessionId });
+    });
+    notification.show();
+    workDigestNotification = notification;
+    return true;
+  } catch (err) {
+    console.warn('[work-digest] Failed to show notification:', err.message);
+    return false;
+  }
+}
+
+// Builds a digest for the day or week up to now from every session in the archive,
+// stores it as a `work_digest` record and announces it. Scheduled runs with no
+// session activity are skipped silently.
+async function runWorkDigest(options = {}) {
+  if (workDigestInFlight) {
+    return { success: false, error: '工作摘要正在生成中，请稍候' };
+  }
+  workDigestInFlight = true;
+  try {
+    const frequency = normalizeWorkDigestFrequency(options.frequency);
+    const reason = options.reason === 'schedule' ? 'schedule' : 'manual';
+    const now = Date.now();
+    const period = resolveWorkDigestPeriod(frequency, now);
+    const stats = buildWorkDigestStats(archiveStore.listRecordsInRange(period), period);
+    if (stats.totals.sessions === 0) {
+      return { success: false, empty: true, error: `${getWorkDigestLabel(frequency)}：该时间段内没有 AI 会话活动` };
+    }
+
+    const language = topicDetector.getOutputLanguage();
+    const report = await topicDetector.summarizeWorkDigest(
+      buildWorkDigestPrompt(stats, frequency, language),
+      buildFallbackWorkDigest(stats, language)
+    );
+    const record = buildWorkDigestRecord({ stats, report, frequency, reason, language, now });
+    if (!appendWorkDigestRecord(record)) {
+      return { success: false, error: '工作摘要写入归档失败' };
+    }
+    const notified = showWorkDigestNotification(record);
+    if (win && !win.isDestroyed()) {
+      win.webContents.send('digest:ready', { record, notified });
+    }
+    return { success: true, record };
+  } finally {
+    workDigestInFlight = false;
+  }
+}
+
+function scheduleWorkDigest() {
+  if (workDigestTimer) {
+    clearTimeout(workDigestTimer);
+    workDigestTimer = null;
+  }
+  const nextRunAt = computeNextWorkDigestRunAt(workDigestSchedule);
+  if (!nextRunAt) return;
+  workDigestTimer = setTimeout(() => {
+    workDigestTimer = null;
+    runWorkDigest({ frequency: workDigestSchedule.frequency, reason: 'schedule' })
+      .then((result) => {
+        if (!result.success && !result.empty) console.warn('[work-digest] Scheduled digest failed:', result.error);
+      })
+      .catch((err) => console.warn('[work-digest] Scheduled digest failed:', err.message))
+      .finally(() => scheduleWorkDigest());
+  }, Math.max(1000, nextRunAt - Date.now()));
+}
+
+function listWorkDigests(options = {}) {
+  const result = archiveStore.query({
+    eventType: WORK_DIGEST_EVENT_TYPE,
+    days: options.days || HEARTBEAT_MAX_QUERY_DAYS,
+    limit: options.limit || 60,
+    sort: 'time'
+  });
+  return { digests: result.records, total: result.total };
+}
+
 function normalizeHeartbeatIntervalMs(value) {
   const n = Number(value);
   if (!Number.isFinite(n)) return DEFAULT_HEARTBEAT_INTERVAL_MS;
@@ -899,6 +1357,53 @@ function applyHeartbeatConfig(config = {}) {
 function applyRuntimeSettings(config = {}) {
   applyHeartbeatConfig(config);
   archiveMetricsEnabled = config.archiveMetricsEnabled === true;
+  sessionRecordingEnabled = config.sessionRecordingEnabled === true;
+  archiveRetention = normalizeArchiveRetention(config.archiveRetention);
+  workDigestSchedule = normalizeWorkDigestSchedule(config.workDigestSchedule);
+  redactionRules = compileRedactionRules(config.redaction);
+  analysisBudget = normalizeAnalysisBudget(config.analysisBudget);
+}
+
+function cancelSummaryStreams(predicate) {
+  for (const [streamId, stream] of summaryStreams) {
+    if (!predicate(stream, streamId)) continue;
+    stream.controller.abort();
+    summaryStreams.delete(streamId);
+  }
+}
+
+function sendAnalysisHealth(health) {
+  if (win && !win.isDestroyed()) {
+    win.webContents.send('analysis:health', health);
+  }
+}
+
+function recordAnalysisAudit(entry) {
+  try {
+    analysisAudit.record(entry);
+  } catch (err) {
+    console.warn('[analysis-audit] Failed to append audit entry:', err.message);
+  }
+}
+
+// Background heartbeats stop for the rest of the (UTC) day once the token budget is
+// used up; manual summaries and topic refreshes still run.
+function isAnalysisBudgetExhausted() {
+  if (!analysisBudget.dailyTokenLimit) return false;
+  const totals = analysisAudit.getDayTotals();
+  if (!isBudgetExceeded(totals, analysisBudget)) return false;
+  if (analysisBudgetPausedDay !== totals.day) {
+    analysisBudgetPausedDay = totals.day;
+    console.log(`[heartbeat] Daily analysis budget reached (${totals.totalTokens}/${analysisBudget.dailyTokenLimit} tokens), pausing background heartbeats`);
+    if (win && !win.isDestroyed()) {
+      win.webContents.send('analysis:budget-paused', {
+        day: totals.day,
+        totalTokens: totals.totalTokens,
+        dailyTokenLimit: analysisBudget.dailyTokenLimit
+      });
+    }
+  }
+  return true;
 }
 
 async function runHeartbeat(tabId, entry, options = {}) {
@@ -920,11 +1425,18 @@ async function runHeartbeat(tabId, entry, options = {}) {
     return;
   }
 
+  if (isAnalysisBudgetExhausted()) return;
+
   entry.heartbeatInFlight = true;
   try {
     const activityMark = entry.activitySeq;
-    const report = await topicDetector.analyzeHeartbeat(signature, buildTopicAnalysisContext(entry));
-    const heartbeatStatus = inferHeartbeatStatusFromText(`${report.summary || ''}\n${report.analysis || ''}`);
+    const report = await topicDetector.analyzeHeartbeat(
+      getHeartbeatAnalysisInput(entry, signature),
+      buildTopicAnalysisContext(entry, tabId)
+    );
+    const heartbeatStatus = getHeartbeatStatusLabel(report.status)
+      || inferHeartbeatStatusFromText(`${report.summary || ''}\n${report.analysis || ''}`);
+    const details = pickHeartbeatDetails(report);
 
     entry.lastHeartbeatSignature = signature;
     entry.lastHeartbeatActivitySeq = activityMark;
@@ -936,9 +1448,11 @@ async function runHeartbeat(tabId, entry, options = {}) {
       reason,
       source: 'background',
       status: heartbeatStatus,
+      ...details,
       cli: entry.sessionProfile && entry.sessionProfile.cli,
       provider: entry.sessionProfile && entry.sessionProfile.provider,
-      model: entry.sessionProfile && entry.sessionProfile.model
+      model: entry.sessionProfile && entry.sessionProfile.model,
+      redactions: report.redactions
     });
 
     if (win && !win.isDestroyed()) {
@@ -947,6 +1461,7 @@ async function runHeartbeat(tabId, entry, options = {}) {
         summary: report.summary || '会话进行中',
         analysis: report.analysis || '请继续查看最新输出。',
         status: heartbeatStatus,
+        details,
         source: 'background',
         reason,
         at: new Date().toISOString()
@@ -1090,11 +1605,14 @@ ipcMain.handle('notify:info', async (event, { title, body }) => {
 ipcMain.handle('terminal:create', (event, payload = {}) => {
   const { tabId, cwd, autoCommand } = payload;
   const options = payload && typeof payload.options === 'object' ? payload.options : {};
-  const shellMode = sanitizeArchiveLine(options.shellMode, 20).toLowerCase();
+  // Profiles are looked up from saved settings so the renderer never supplies raw env values.
+  const launchProfile = findLaunchProfile(topicDetector.getConfig().launchProfiles, options.launchProfileId);
+  const shellMode = (launchProfile && launchProfile.shellMode) || sanitizeArchiveLine(options.shellMode, 20).toLowerCase();
   const shellResolution = resolveShellLaunch({
     platform: process.platform,
     env: process.env,
     preferredShell: process.env.SHELL,
+    shell: sanitizeArchiveLine(options.shell, 260) || (launchProfile && launchProfile.shell) || '',
     shellMode
   });
   const shell = shellResolution.shell;
@@ -1109,7 +1627,8 @@ ipcMain.handle('terminal:create', (event, payload = {}) => {
 
   console.log(
     `[terminal:create] tab=${tabId} shell=${shell} args="${shellArgs.join(' ')}" cwd="${resolvedCwd}"` +
-    (autoCommandPreview ? ` auto="${autoCommandPreview}"` : '')
+    (autoCommandPreview ? ` auto="${autoCommandPreview}"` : '') +
+    (launchProfile ? ` profile="${launchProfile.name}" envKeys=${Object.keys(launchProfile.env).length}` : '')
   );
   if (shellResolution.isFallback) {
     console.warn(`[terminal] Shell fallback for tab ${tabId}: source=${shellResolution.resolvedFrom} reason=${shellResolution.fallbackReason || 'non_preferred_shell'}`);
@@ -1124,7 +1643,12 @@ ipcMain.handle('terminal:create', (event, payload = {}) => {
       cols: 80,
       rows: 24,
       cwd: resolvedCwd,
-      env: { ...process.env, ...(shellResolution.envPatch || {}), TERM: 'xterm-256color' }
+      env: {
+        ...process.env,
+        ...(shellResolution.envPatch || {}),
+        ...(launchProfile ? launchProfile.env : {}),
+        TERM: 'xterm-256color'
+      }
     });
     console.log(`[terminal:create] spawn ok tab=${tabId}`);
   } catch (err) {
@@ -1140,6 +1664,8 @@ ipcMain.handle('terminal:create', (event, payload = {}) => {
     isAiSession: !!autoCommand,
     autoCommand: String(autoCommand || '').trim(),
     cwd: resolvedCwd,
+    shell,
+    launchProfileId: launchProfile ? launchProfile.id : '',
     tabId,
     sessionId: createSessionId(tabId),
     sessionStartedAt: new Date().toISOString(),
@@ -1160,10 +1686,13 @@ ipcMain.handle('terminal:create', (event, payload = {}) => {
     inputLineBuffer: '',
     inputEscapeSequence: false,
     confirmPending: false,
-    confirmPrompt: ''
+    confirmPrompt: '',
+    recorder: null,
+    recordingPath: ''
   };
   entry.sessionProfile = ensureSessionProfile(entry, entry.autoCommand);
   terminals.set(tabId, entry);
+  startSessionRecording(tabId, entry, { cols: 80, rows: 24 });
   emitSessionProfileUpdate(tabId, entry, 'session_create');
   startHeartbeat(tabId, entry);
   appendHeartbeatArchiveRecord(tabId, entry, 'session_start', {
@@ -1180,6 +1709,9 @@ ipcMain.handle('terminal:create', (event, payload = {}) => {
     if (win && !win.isDestroyed()) {
       win.webContents.send('terminal:output', { tabId, data });
     }
+    if (entry.recorder) {
+      entry.recorder.writeOutput(data);
+    }
     // Append to rolling buffer (keep last 4000 raw chars, strip on read)
     entry.buffer += data;
     if (entry.buffer.length > 4000) {
@@ -1201,14 +1733,16 @@ ipcMain.handle('terminal:create', (event, payload = {}) => {
     }
 
     if (shouldNotifyConfirmPrompt(tabId, plain) && win && !win.isDestroyed()) {
+      const redactedPrompt = redactSecrets(plain, redactionRules);
       entry.confirmPending = true;
-      entry.confirmPrompt = sanitizeArchiveLine(plain.slice(-160).trim(), 160);
+      entry.confirmPrompt = sanitizeArchiveLine(redactedPrompt.text.slice(-160).trim(), 160);
       appendHeartbeatArchiveRecord(tabId, entry, 'confirm_prompt', {
         summary: '检测到确认类提示',
-        analysis: sanitizeArchiveLine(plain.slice(-220), 220),
+        analysis: sanitizeArchiveLine(redactedPrompt.text.slice(-220), 220),
         reason: 'confirm_signal',
         source: 'detector',
-        status: '待输入'
+        status: '待输入',
+        redactions: redactedPrompt
       });
       win.webContents.send('terminal:confirm-needed', {
         tabId,
@@ -1221,6 +1755,7 @@ ipcMain.handle('terminal:create', (event, payload = {}) => {
     entry.alive = false;
     markSessionEnded(tabId, entry, 'session_exit', `退出码：${exitCode}`);
     stopHeartbeat(entry);
+    stopSessionRecording(entry);
     if (win && !win.isDestroyed()) {
       win.webContents.send('terminal:closed', { tabId, exitCode });
     }
@@ -1232,7 +1767,7 @@ ipcMain.handle('terminal:create', (event, payload = {}) => {
       if (entry.alive) {
         ptyProcess.write(autoCommand + '\r');
       }
-    }, 500);
+    }, launchProfile ? launchProfile.initialDelayMs : DEFAULT_INITIAL_DELAY_MS);
   }
 
   // Workaround: nudge window size to force xterm.js relayout.
@@ -1254,7 +1789,12 @@ ipcMain.handle('terminal:create', (event, payload = {}) => {
     resolvedCwd,
     cwdFallbackApplied: cwdResolution.fallbackApplied,
     cwdFallbackReason: cwdResolution.fallbackReason,
-    requestedCwd: cwdResolution.requestedCwd
+    requestedCwd: cwdResolution.requestedCwd,
+    launchProfileName: launchProfile ? launchProfile.name : '',
+    shell,
+    shellArgs,
+    shellMode: shellResolution.shellMode,
+    shellFallbackReason: shellResolution.fallbackReason
   };
 });
 
@@ -1338,6 +1878,9 @@ ipcMain.on('terminal:resize', (event, { tabId, cols, rows }) => {
   const entry = terminals.get(tabId);
   if (entry && entry.alive) {
     entry.pty.resize(cols, rows);
+    if (entry.recorder) {
+      entry.recorder.writeResize(cols, rows);
+    }
   }
 });
 
@@ -1346,12 +1889,14 @@ ipcMain.handle('terminal:close', (event, { tabId }) => {
   if (entry) {
     markSessionEnded(tabId, entry, 'tab_closed');
     stopHeartbeat(entry);
+    stopSessionRecording(entry);
     if (entry.alive) {
       entry.pty.kill();
     }
     terminals.delete(tabId);
   }
   confirmAlertAt.delete(tabId);
+  cancelSummaryStreams((stream) => stream.tabId === tabId);
   return { tabId };
 });
 
@@ -1366,7 +1911,7 @@ ipcMain.handle('topic:refresh', async (event, options = {}) => {
       tabBuffers.push({
         tabId: requestedTabId,
         buffer: requestedEntry.analysisBuffer || requestedEntry.buffer,
-        context: buildTopicAnalysisContext(requestedEntry)
+        context: buildTopicAnalysisContext(requestedEntry, requestedTabId)
       });
     }
   } else {
@@ -1374,7 +1919,7 @@ ipcMain.handle('topic:refresh', async (event, options = {}) => {
       tabBuffers.push({
         tabId,
         buffer: entry.analysisBuffer || entry.buffer,
-        context: buildTopicAnalysisContext(entry)
+        context: buildTopicAnalysisContext(entry, tabId)
       });
     }
   }
@@ -1400,14 +1945,14 @@ ipcMain.handle('topic:refresh', async (event, options = {}) => {
       success: true,
       results: results.map((item) => ({
         tabId: String(item.tabId || ''),
-        topic: String(item.topic || '新对话')
+        topic: String(item.topic || topicDetector.getDefaultTopicText())
       }))
     };
   } catch (err) {
     for (const { tabId } of tabBuffers) {
       if (win && !win.isDestroyed()) {
         win.webContents.send('topic:status', {
-          tabId: String(tabId || ''), status: 'error', topic: '新对话'
+          tabId: String(tabId || ''), status: 'error', topic: topicDetector.getDefaultTopicText()
         });
       }
     }
@@ -1415,6 +1960,51 @@ ipcMain.handle('topic:refresh', async (event, options = {}) => {
   }
 });
 
+// --- IPC: Session recordings ---
+
+ipcMain.handle('recording:open', async (event, options = {}) => {
+  const archiveRoot = getArchiveRootDir();
+  let filePath = String(options && options.filePath ? options.filePath : '').trim();
+  if (filePath && !path.isAbsolute(filePath)) {
+    filePath = path.join(archiveRoot, filePath);
+  }
+
+  if (!filePath) {
+    const result = await dialog.showOpenDialog(win, {
+      title: '打开会话录像',
+      defaultPath: fs.existsSync(archiveRoot) ? archiveRoot : app.getPath('userData'),
+      properties: ['openFile'],
+      filters: [{ name: 'asciicast', extensions: ['cast'] }]
+    });
+    if (result.canceled || result.filePaths.length === 0) {
+      return { canceled: true };
+    }
+    filePath = result.filePaths[0];
+  } else if (!isPathInsideDir(filePath, archiveRoot)) {
+    return { canceled: false, error: '录像文件不在会话归档目录内' };
+  }
+
+  try {
+    const stat = fs.statSync(filePath);
+    if (stat.size > RECORDING_MAX_READ_BYTES) {
+      return { canceled: false, error: `录像文件过大（>${Math.round(RECORDING_MAX_READ_BYTES / 1024 / 1024)}MB）` };
+    }
+    for (const entry of terminals.values()) {
+      if (entry.recorder && entry.recordingPath === filePath) {
+        entry.recorder.flush();
+      }
+    }
+    return {
+      canceled: false,
+      filePath,
+      fileName: path.basename(filePath),
+      content: fs.readFileSync(filePath, 'utf8')
+    };
+  } catch (err) {
+    return { canceled: false, error: err.message };
+  }
+});
+
 // --- IPC: Settings ---
 
 ipcMain.handle('settings:get', () => {
@@ -1423,10 +2013,64 @@ ipcMain.handle('settings:get', () => {
   return config;
 });
 
+let wslDistroListPromise = null;
+
+function listWslDistros() {
+  if (process.platform !== 'win32') return Promise.resolve([]);
+  if (!wslDistroListPromise) {
+    wslDistroListPromise = new Promise((resolve) => {
+      execFile('wsl.exe', ['-l', '-q'], { encoding: 'buffer', timeout: 4000, windowsHide: true }, (err, stdout) => {
+        if (err) {
+          console.warn('[shell] Failed to list WSL distributions:', err.message);
+          resolve([]);
+          return;
+        }
+        resolve(parseWslDistroList(stdout));
+      });
+    });
+  }
+  return wslDistroListPromise;
+}
+
+ipcMain.handle('analysis:local-models', async (event, options = {}) => {
+  try {
+    return { success: true, models: await topicDetector.discoverLocalModels(options || {}) };
+  } catch (err) {
+    return { success: false, models: [], error: err.message };
+  }
+});
+
+ipcMain.handle('analysis:health', () => topicDetector.getAnalysisHealth());
+
+ipcMain.handle('analysis:usage', (event, options = {}) => {
+  try {
+    const totals = analysisAudit.getDayTotals();
+    return {
+      success: true,
+      days: analysisAudit.summarize({ days: options && options.days }),
+      budget: { ...analysisBudget },
+      paused: isBudgetExceeded(totals, analysisBudget),
+      auditDir: analysisAudit.getAuditDir()
+    };
+  } catch (err) {
+    return { success: false, days: [], error: err.message };
+  }
+});
+
+ipcMain.handle('shell:list', async () => {
+  const wslDistros = await listWslDistros();
+  return {
+    platform: process.platform,
+    defaultShell: process.env.SHELL || '',
+    shells: listAvailableShells({ platform: process.platform, env: process.env, wslDistros })
+  };
+});
+
 ipcMain.handle('settings:save', (event, { apiKey, baseUrl, aiCommand, heartbeat, runtime }) => {
   topicDetector.configure(apiKey, baseUrl, aiCommand, heartbeat || {}, runtime || {});
   applyRuntimeSettings(topicDetector.getConfig());
   restartAllHeartbeatTimers();
+  scheduleWorkDigest();
   return { success: true };
 });
 
@@ -1444,6 +2088,79 @@ ipcMain.handle('tabs:snapshot:save', (event, payload = {}) => {
   };
 });
 
+ipcMain.handle('tabs:scrollback:get', (event, payload = {}) => {
+  const tabId = sanitizeArchiveLine(payload && payload.tabId, 80);
+  const saved = tabId ? loadTabScrollback().tabs[tabId] : null;
+  return saved ? { data: saved.data, savedAt: saved.savedAt } : { data: '', savedAt: '' };
+});
+
+ipcMain.handle('tabs:scrollback:save', (event, payload = {}) => {
+  return { success: saveTabScrollback(payload && payload.entries) };
+});
+
+ipcMain.on('tabs:scrollback:save-sync', (event, payload = {}) => {
+  event.returnValue = { success: saveTabScrollback(payload && payload.entries) };
+});
+
+// --- IPC: Workspaces ---
+
+function listWorkspacesSafely() {
+  try {
+    return workspaceStore.list();
+  } catch (err) {
+    console.warn('[workspace] Failed to list workspaces:', err.message);
+    return [];
+  }
+}
+
+ipcMain.handle('workspace:list', () => {
+  return { workspaces: listWorkspacesSafely() };
+});
+
+ipcMain.handle('workspace:load', (event, payload = {}) => {
+  const workspace = workspaceStore.load(payload && payload.name);
+  if (!workspace) {
+    return { success: false, error: '未找到该工作区' };
+  }
+  return { success: true, workspace };
+});
+
+ipcMain.handle('workspace:save', (event, payload = {}) => {
+  try {
+    const workspace = workspaceStore.save(payload && payload.name, payload && payload.workspace);
+    buildMenu();
+    return { success: true, workspace };
+  } catch (err) {
+    return { success: false, error: err.message };
+  }
+});
+
+ipcMain.handle('workspace:delete', (event, payload = {}) => {
+  try {
+    const removed = workspaceStore.remove(payload && payload.name);
+    buildMenu();
+    return { success: removed };
+  } catch (err) {
+    return { success: false, error: err.message };
+  }
+});
+
+// --- IPC: Keybindings ---
+
+ipcMain.handle('keybindings:get', () => {
+  return keybindingStore.getState();
+});
+
+ipcMain.handle('keybindings:open', async () => {
+  try {
+    const filePath = keybindingStore.ensureFile();
+    const error = await shell.openPath(filePath);
+    return error ? { success: false, error, path: filePath } : { success: true, path: filePath };
+  } catch (err) {
+    return { success: false, error: err.message };
+  }
+});
+
 // --- IPC: Heartbeat archive ---
 
 ipcMain.handle('heartbeat:query', (event, options = {}) => {
@@ -1454,10 +2171,87 @@ ipcMain.handle('heartbeat:query', (event, options = {}) => {
   }
 });
 
+ipcMain.handle('archive:sessions', (event, options = {}) => {
+  try {
+    return archiveStore.listSessions(options || {});
+  } catch (err) {
+    return { sessions: [], total: 0, query: {}, facets: {}, error: err.message };
+  }
+});
+
+ipcMain.handle('archive:analytics', (event, options = {}) => {
+  try {
+    return { success: true, analytics: archiveStore.aggregate(options || {}) };
+  } catch (err) {
+    return { success: false, error: err.message };
+  }
+});
+
+ipcMain.handle('archive:retention:run', () => {
+  const report = cleanupOldHeartbeatArchives();
+  return report ? { success: true, report } : { success: false, error: '归档清理失败，详见日志' };
+});
+
+ipcMain.handle('archive:repair', () => {
+  try {
+    const report = archiveStore.verifyAndRepair({ protectedSessionIds: getOpenSessionIds() });
+    console.log(
+      `[heartbeat-archive] repair files=${report.filesScanned} records=${report.records} ` +
+      `badLines=${report.badLines} quarantined=${report.quarantinedFiles.length} ` +
+      `sessions=${report.rebuiltSessions} stale=${report.staleSessions} indexRecovered=${report.indexRecovered}`
+    );
+    return { success: true, report };
+  } catch (err) {
+    console.warn('[heartbeat-archive] Failed to verify archive:', err.message);
+    return { success: false, error: err.message };
+  }
+});
+
+ipcMain.handle('archive:export', async (event, options = {}) => {
+  try {
+    return await exportHeartbeatArchive(options || {});
+  } catch (err) {
+    return { success: false, error: err.message };
+  }
+});
+
+ipcMain.handle('digest:run', async (event, options = {}) => {
+  try {
+    return await runWorkDigest({ frequency: options && options.frequency, reason: 'manual' });
+  } catch (err) {
+    return { success: false, error: err.message };
+  }
+});
+
+ipcMain.handle('digest:list', (event, options = {}) => {
+  try {
+    return listWorkDigests(options || {});
+  } catch (err) {
+    return { digests: [], total: 0, error: err.message };
+  }
+});
+
+// With a `streamId` the partial summary is pushed as heartbeat:summarize-progress
+// events until the request settles or heartbeat:summarize-cancel aborts it.
 ipcMain.handle('heartbeat:summarize', async (event, options = {}) => {
+  const streamId = sanitizeArchiveLine(options && options.streamId, 80);
+  const stream = {};
+  if (streamId) {
+    const controller = new AbortController();
+    summaryStreams.set(streamId, { tabId: sanitizeArchiveLine(options.tabId, 80), controller });
+    stream.signal = controller.signal;
+    stream.onProgress = (partial) => {
+      if (!event.sender.isDestroyed()) {
+        event.sender.send('heartbeat:summarize-progress', { streamId, ...partial });
+      }
+    };
+  }
   try {
-    return await summarizeHeartbeatArchive(options);
+    return await summarizeHeartbeatArchive(options, stream);
   } catch (err) {
+    if (topicDetector.isCancelledError(err)) {
+      return { records: [], total: 0, query: {}, cancelled: true, summary: '', analysis: '' };
+    }
     return {
       records: [],
       total: 0,
@@ -1465,12 +2259,63 @@ ipcMain.handle('heartbeat:summarize', async (event, options = {}) => {
       summary: '会话归档总结失败',
       analysis: `原因：${err.message}`
     };
+  } finally {
+    if (streamId) summaryStreams.delete(streamId);
   }
 });
 
+ipcMain.handle('heartbeat:summarize-cancel', (event, options = {}) => {
+  const streamId = sanitizeArchiveLine(options && options.streamId, 80);
+  const cancelled = summaryStreams.has(streamId);
+  cancelSummaryStreams((stream, id) => id === streamId);
+  return { success: true, cancelled };
+});
+
 // --- Menu & Shortcuts ---
 
+function sendCommandToRenderer(id, args) {
+  if (win && !win.isDestroyed()) {
+    win.webContents.send('command:run', { id, args: args || {} });
+  }
+}
+
+function buildCommandMenuItems(menuId) {
+  const items = [];
+  let previousGroup = null;
+  for (const command of listMenuCommands(menuId)) {
+    if (previousGroup !== null && command.group !== previousGroup) {
+      items.push({ type: 'separator' });
+    }
+    previousGroup = command.group;
+    const item = {
+      label: command.title,
+      click: () => sendCommandToRenderer(command.id)
+    };
+    const accelerator = keybindingStore.getAccelerator(command.id);
+    if (accelerator) {
+      item.accelerator = accelerator;
+    }
+    items.push(item);
+  }
+  return items;
+}
+
+function buildWorkspaceMenuItems() {
+  const workspaces = listWorkspacesSafely();
+  if (workspaces.length === 0) {
+    return [{ label: '暂无已保存的工作区', enabled: false }];
+  }
+  return workspaces.map((item) => ({
+    label: `${item.name}（${item.tabCount} 个标签）`,
+    click: () => sendCommandToRenderer('workspace.openNamed', { name: item.name })
+  }));
+}
+
 function buildMenu() {
+  const menuExtras = {
+    workspace: [{ type: 'separator' }, ...buildWorkspaceMenuItems()],
+    view: [{ type: 'separator' }, { role: 'toggleDevTools' }]
+  };
   const template = [
     {
       label: app.name,
@@ -1484,100 +2329,10 @@ function buildMenu() {
         { role: 'quit' }
       ]
     },
-    {
-      label: '文件',
-      submenu: [
-        {
-          label: '新建 AI 标签页',
-          accelerator: 'CmdOrCtrl+T',
-          click: () => {
-            if (win) win.webContents.send('shortcut:new-tab');
-          }
-        },
-        {
-          label: '关闭标签页',
-          accelerator: 'CmdOrCtrl+W',
-          click: () => {
-            if (win) win.webContents.send('shortcut:close-tab');
-          }
-        }
-      ]
-    },
-    {
-      label: '查看',
-      submenu: [
-        {
-          label: '刷新标签分析',
-          accelerator: 'CmdOrCtrl+R',
-          click: () => {
-            if (win) win.webContents.send('shortcut:refresh-topics');
-          }
-        },
-        {
-          label: '提取当前会话心跳归档',
-          accelerator: 'CmdOrCtrl+Shift+H',
-          click: () => {
-            if (win) win.webContents.send('shortcut:show-heartbeat-archive');
-          }
-        },
-        {
-          label: '跳转到下一个待确认会话',
-          accelerator: 'CmdOrCtrl+Shift+.',
-          click: () => {
-            if (win) win.webContents.send('shortcut:next-confirm-tab');
-          }
-        },
-        { type: 'separator' },
-        {
-          label: '放大字体',
-          accelerator: 'CmdOrCtrl+Plus',
-          click: () => {
-            if (win) win.webContents.send('shortcut:increase-font');
-          }
-        },
-        {
-          label: '缩小字体',
-          accelerator: 'CmdOrCtrl+-',
-          click: () => {
-            if (win) win.webContents.send('shortcut:decrease-font');
-          }
-        },
-        {
-          label: '重置字体大小',
-          accelerator: 'CmdOrCtrl+0',
-          click: () => {
-            if (win) win.webContents.send('shortcut:reset-font');
-          }
-        },
-        { type: 'separator' },
-        {
-          label: '上一个标签',
-          accelerator: 'CmdOrCtrl+Alt+Left',
-          click: () => {
-            console.log('Prev tab menu clicked');
-            if (win) win.webContents.send('shortcut:prev-tab');
-          }
-        },
-        {
-          label: '下一个标签',
-          accelerator: 'CmdOrCtrl+Alt+Right',
-          click: () => {
-            console.log('Next tab menu clicked');
-            if (win) win.webContents.send('shortcut:next-tab');
-          }
-        },
-        { type: 'separator' },
-        ...Array.from({ length: 9 }, (_, i) => ({
-          label: `标签页 ${i + 1}`,
-          accelerator: `CmdOrCtrl+${i + 1}`,
-          click: () => {
-            if (win) win.webContents.send('shortcut:switch-tab', { index: i });
-          }
-        })),
-        { type: 'separator' },
-        { role: 'toggleDevTools' }
-      ]
-    },
+    ...COMMAND_MENUS.map((menu) => ({
+      label: menu.label,
+      submenu: [...buildCommandMenuItems(menu.id), ...(menuExtras[menu.id] || [])]
+    })),
     { role: 'editMenu' },
     { role: 'windowMenu' }
   ];
@@ -1590,20 +2345,38 @@ function buildMenu() {
 app.whenReady().then(() => {
   ensureNodePtySpawnHelperExecutable();
   applyRuntimeSettings(topicDetector.getConfig());
+  topicDetector.setAnalysisAuditListener(recordAnalysisAudit);
+  topicDetector.setAnalysisHealthListener(sendAnalysisHealth);
+  try {
+    analysisAudit.prune();
+  } catch (err) {
+    console.warn('[analysis-audit] Failed to prune audit files:', err.message);
+  }
   cleanupOldHeartbeatArchives();
+  importJsonlArchiveIntoStore();
+  scheduleWorkDigest();
+  keybindingStore.load();
+  keybindingStore.watch();
   createWindow();
 });
 
 app.on('before-quit', () => {
+  keybindingStore.unwatch();
+  if (workDigestTimer) clearTimeout(workDigestTimer);
   persistTabState();
   for (const [tabId, entry] of terminals) {
     markSessionEnded(tabId, entry, 'app_shutdown');
+    stopSessionRecording(entry);
+  }
+  if (typeof archiveStore.close === 'function') {
+    archiveStore.close();
   }
 });
 
 app.on('window-all-closed', () => {
   for (const [tabId, entry] of terminals) {
     markSessionEnded(tabId, entry, 'app_shutdown');
+    stopSessionRecording(entry);
     if (entry.alive) entry.pty.kill();
   }
   app.quit();
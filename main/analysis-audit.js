@@ -0,0 +1,132 @@
+const fs = require('fs');
+const path = require('path');
+const {
+  normalizeAnalysisPurpose,
+  usageDayStamp,
+  createUsageTotals,
+  addUsageEntry,
+  summarizeUsageByDay,
+  MAX_USAGE_DAYS
+} = require('../renderer/analysis-usage');
+
+// Audit files older than this are removed by prune(); usage views never look further back.
+const AUDIT_RETENTION_DAYS = MAX_USAGE_DAYS;
+const DAY_FILE_PATTERN = /^(\d{4}-\d{2}-\d{2})\.jsonl$/;
+
+function sanitizeLine(value, maxLength) {
+  return String(value || '')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .slice(0, maxLength);
+}
+
+function toCount(value) {
+  const n = Number(value);
+  return Number.isFinite(n) && n > 0 ? Math.round(n) : 0;
+}
+
+function normalizeAuditEntry(entry = {}, now = Date.now()) {
+  const date = new Date(entry.ts || now);
+  const ts = Number.isNaN(date.getTime()) ? new Date(now).toISOString() : date.toISOString();
+  const record = {
+    ts,
+    day: usageDayStamp(ts),
+    tabId: sanitizeLine(entry.tabId, 80),
+    purpose: normalizeAnalysisPurpose(entry.purpose),
+    backend: sanitizeLine(entry.backend, 40) || 'unknown',
+    model: sanitizeLine(entry.model, 80),
+    promptTokens: toCount(entry.promptTokens),
+    completionTokens: toCount(entry.completionTokens),
+    tokensEstimated: entry.tokensEstimated === true,
+    latencyMs: toCount(entry.latencyMs),
+    outcome: ['success', 'cancelled'].includes(entry.outcome) ? entry.outcome : 'fallback'
+  };
+  const error = sanitizeLine(entry.error, 240);
+  if (error) record.error = error;
+  return record;
+}
+
+// One JSONL file per UTC day under `getAuditDir()`. Today's totals are kept in
+// memory so the heartbeat budget check does not read the file on every tick.
+function createAnalysisAuditLog(options = {}) {
+  const getAuditDir = typeof options.getAuditDir === 'function' ? options.getAuditDir : () => '';
+  const now = typeof options.now === 'function' ? options.now : () => Date.now();
+  let todayTotals = null;
+
+  function getDayFilePath(day) {
+    const dir = getAuditDir();
+    return dir && day ? path.join(dir, `${day}.jsonl`) : '';
+  }
+
+  function readDayEntries(day) {
+    const filePath = getDayFilePath(day);
+    if (!filePath || !fs.existsSync(filePath)) return [];
+    const entries = [];
+    for (const line of fs.readFileSync(filePath, 'utf8').split('\n')) {
+      if (!line.trim()) continue;
+      try {
+        entries.push(JSON.parse(line));
+      } catch (err) {
+        // A partially written line only loses that one request.
+      }
+    }
+    return entries;
+  }
+
+  function getDayTotals(day = usageDayStamp(now())) {
+    if (todayTotals && todayTotals.day === day) return { ...todayTotals };
+    const totals = readDayEntries(day).reduce(addUsageEntry, createUsageTotals(day));
+    if (day === usageDayStamp(now())) todayTotals = totals;
+    return { ...totals };
+  }
+
+  function record(entry) {
+    const normalized = normalizeAuditEntry(entry, now());
+    const dir = getAuditDir();
+    if (!dir) return null;
+    fs.mkdirSync(dir, { recursive: true });
+    fs.appendFileSync(getDayFilePath(normalized.day), `${JSON.stringify(normalized)}\n`, 'utf8');
+    if (normalized.day === usageDayStamp(now())) {
+      if (!todayTotals || todayTotals.day !== normalized.day) {
+        getDayTotals(normalized.day);
+      } else {
+        addUsageEntry(todayTotals, normalized);
+      }
+    }
+    return normalized;
+  }
+
+  function summarize(query = {}) {
+    const rows = summarizeUsageByDay([], { days: query.days, now: now() });
+    const entries = rows.flatMap((row) => readDayEntries(row.day));
+    return summarizeUsageByDay(entries, { days: rows.length, now: now() });
+  }
+
+  function prune(keepDays = AUDIT_RETENTION_DAYS) {
+    const dir = getAuditDir();
+    if (!dir || !fs.existsSync(dir)) return [];
+    const cutoff = usageDayStamp(now() - Math.max(1, keepDays) * 24 * 60 * 60 * 1000);
+    const removed = [];
+    for (const name of fs.readdirSync(dir)) {
+      const match = name.match(DAY_FILE_PATTERN);
+      if (!match || match[1] >= cutoff) continue;
+      fs.unlinkSync(path.join(dir, name));
+      removed.push(name);
+    }
+    return removed;
+  }
+
+  return {
+    getAuditDir,
+    record,
+    getDayTotals,
+    summarize,
+    prune
+  };
+}
+
+module.exports = {
+  AUDIT_RETENTION_DAYS,
+  normalizeAuditEntry,
+  createAnalysisAuditLog
+};
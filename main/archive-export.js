@@ -0,0 +1,213 @@
+const path = require('path');
+
+const EXPORT_FORMATS = {
+  markdown: { extension: 'md', filterName: 'Markdown' },
+  csv: { extension: 'csv', filterName: 'CSV' },
+  json: { extension: 'json', filterName: 'JSON' }
+};
+
+const CSV_COLUMNS = [
+  'ts',
+  'sessionId',
+  'tabId',
+  'cwd',
+  'eventType',
+  'status',
+  'summary',
+  'analysis',
+  'cli',
+  'provider',
+  'model',
+  'reason',
+  'source'
+];
+
+const EVENT_TYPE_LABELS = {
+  heartbeat: '心跳',
+  session_start: '会话开始',
+  confirm_prompt: '待确认',
+  confirm_resolved: '已确认',
+  tab_closed: '标签关闭',
+  session_exit: '会话退出',
+  app_shutdown: '应用退出',
+  work_digest: '工作摘要'
+};
+
+// CSV holds records only, so the (paid) AI digest is never requested for it.
+function exportFormatIncludesDigest(format) {
+  return normalizeExportFormat(format) !== 'csv';
+}
+
+function normalizeExportFormat(value) {
+  const format = String(value || '').trim().toLowerCase();
+  if (format === 'md') return 'markdown';
+  return Object.prototype.hasOwnProperty.call(EXPORT_FORMATS, format) ? format : 'markdown';
+}
+
+function pad2(value) {
+  return String(value).padStart(2, '0');
+}
+
+function buildExportFileName(format, now = new Date()) {
+  const { extension } = EXPORT_FORMATS[normalizeExportFormat(format)];
+  const stamp = `${now.getFullYear()}${pad2(now.getMonth() + 1)}${pad2(now.getDate())}-${pad2(now.getHours())}${pad2(now.getMinutes())}`;
+  return `shaoterm-archive-${stamp}.${extension}`;
+}
+
+// Timestamps are archived as UTC ISO strings; the report keeps them in UTC so
+// exports from different machines line up.
+function formatTimestamp(ts) {
+  const text = String(ts || '');
+  return /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}/.test(text) ? `${text.slice(0, 10)} ${text.slice(11, 16)}` : text;
+}
+
+// Fields come from terminal output; a leading = + - @ (or tab / CR) would make
+// spreadsheet apps evaluate the cell as a formula, so such fields get a ' prefix.
+function escapeCsvField(value) {
+  const raw = value === undefined || value === null ? '' : String(value);
+  const text = /^[=+\-@\t\r]/.test(raw) ? `'${raw}` : raw;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function buildRecordsCsv(records) {
+  const lines = [CSV_COLUMNS.join(',')];
+  for (const record of records) {
+    lines.push(CSV_COLUMNS.map((column) => escapeCsvField(record[column])).join(','));
+  }
+  // The BOM lets spreadsheet apps detect UTF-8 and show Chinese text correctly.
+  return `\ufeff${lines.join('\r\n')}\r\n`;
+}
+
+function describeQuery(query = {}) {
+  const parts = [];
+  if (query.days) parts.push(`最近 ${query.days} 天`);
+  if (query.cwd) parts.push(`目录包含 \`${query.cwd}\``);
+  if (query.sessionId) parts.push(`会话 \`${query.sessionId}\``);
+  if (query.eventType) parts.push(`事件 ${EVENT_TYPE_LABELS[query.eventType] || query.eventType}`);
+  if (query.keyword) parts.push(`关键词“${query.keyword}”`);
+  return parts.join('，') || '全部记录';
+}
+
+function sortByLatest(groups) {
+  return groups.sort((a, b) => String(b.lastTs).localeCompare(String(a.lastTs)));
+}
+
+// Groups records by project directory, then by session. Records inside a session
+// are chronological; projects and sessions are ordered by their latest activity.
+function groupRecordsByProject(records) {
+  const projects = new Map();
+  for (const record of records) {
+    const cwd = String(record.cwd || '');
+    if (!projects.has(cwd)) {
+      projects.set(cwd, { cwd, lastTs: '', sessions: new Map() });
+    }
+    const project = projects.get(cwd);
+    const sessionId = String(record.sessionId || '');
+    if (!project.sessions.has(sessionId)) {
+      project.sessions.set(sessionId, { sessionId, lastTs: '', records: [] });
+    }
+    const session = project.sessions.get(sessionId);
+    session.records.push(record);
+    if (String(record.ts) > session.lastTs) session.lastTs = String(record.ts);
+    if (String(record.ts) > project.lastTs) project.lastTs = String(record.ts);
+  }
+
+  return sortByLatest([...projects.values()]).map((project) => ({
+    cwd: project.cwd,
+    lastTs: project.lastTs,
+    sessions: sortByLatest([...project.sessions.values()]).map((session) => ({
+      ...session,
+      records: session.records.slice().sort((a, b) => String(a.ts).localeCompare(String(b.ts)))
+    }))
+  }));
+}
+
+function buildMarkdownReport({ records = [], query = {}, total = records.length, digest = null, generatedAt = new Date().toISOString() } = {}) {
+  const lines = ['# ShaoTerm 会话归档报告', ''];
+  lines.push(`- 生成时间：${formatTimestamp(generatedAt)} (UTC)`);
+  lines.push(`- 筛选条件：${describeQuery(query)}`);
+  lines.push(total > records.length
+    ? `- 记录数：导出最新 ${records.length} 条（共 ${total} 条）`
+    : `- 记录数：${records.length} 条`);
+  lines.push('');
+
+  if (digest) {
+    lines.push('## AI 摘要', '');
+    if (digest.error) {
+      lines.push(`> 摘要生成失败：${digest.error}`);
+    } else {
+      if (digest.summary) lines.push(`**${digest.summary}**`, '');
+      if (digest.analysis) lines.push(digest.analysis);
+    }
+    lines.push('');
+  }
+
+  for (const project of groupRecordsByProject(records)) {
+    const projectName = project.cwd ? path.basename(project.cwd) || project.cwd : '未知目录';
+    lines.push(`## ${projectName}`, '');
+    if (project.cwd) lines.push(`\`${project.cwd}\``, '');
+
+    for (const session of project.sessions) {
+      const first = session.records[0];
+      const last = session.records[session.records.length - 1];
+      const profile = [first.cli, first.model].filter(Boolean).join(' · ');
+      lines.push(`### 会话 ${session.sessionId || '未知会话'}`, '');
+      lines.push(`${formatTimestamp(first.ts)} → ${formatTimestamp(last.ts)}，${session.records.length} 条记录${profile ? `（${profile}）` : ''}`, '');
+      for (const record of session.records) {
+        const label = EVENT_TYPE_LABELS[record.eventType] || record.eventType || '';
+        const head = [formatTimestamp(record.ts), label, record.status ? `[${record.status}]` : ''].filter(Boolean).join(' ');
+        const body = [record.summary, record.analysis].filter(Boolean).join(' — ');
+        lines.push(`- ${head}${body ? ` ${body}` : ''}`);
+      }
+      lines.push('');
+    }
+  }
+
+  if (records.length === 0) {
+    lines.push('_没有符合条件的归档记录。_', '');
+  }
+  return lines.join('\n');
+}
+
+function buildJsonBundle({ records = [], query = {}, total = records.length, digest = null, generatedAt = new Date().toISOString() } = {}) {
+  return `${JSON.stringify({
+    kind: 'shaoterm-archive-export',
+    version: 1,
+    generatedAt,
+    query,
+    total,
+    exported: records.length,
+    digest: digest || null,
+    records
+  }, null, 2)}\n`;
+}
+
+function buildArchiveExport(options = {}) {
+  const format = normalizeExportFormat(options.format);
+  let content;
+  if (format === 'csv') {
+    content = buildRecordsCsv(options.records || []);
+  } else if (format === 'json') {
+    content = buildJsonBundle(options);
+  } else {
+    content = buildMarkdownReport(options);
+  }
+  return {
+    format,
+    extension: EXPORT_FORMATS[format].extension,
+    content
+  };
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  CSV_COLUMNS,
+  normalizeExportFormat,
+  exportFormatIncludesDigest,
+  buildExportFileName,
+  groupRecordsByProject,
+  buildRecordsCsv,
+  buildMarkdownReport,
+  buildJsonBundle,
+  buildArchiveExport
+};
@@ -0,0 +1,159 @@
+// Driver-independent part of the archive analytics: each driver collects the
+// sessions, activity records (heartbeats and confirms) and per-day activity of a
+// range its own way and this module turns them into the dashboard payload.
+const { clampInteger, sanitizeLine, createSessionActivity, applySessionActivity } = require('./shared');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_ANALYTICS_DAYS = 30;
+const ERROR_STATUS = '异常';
+
+// Ranges are whole UTC days ending today, matching the archive's day directories.
+function resolveAnalyticsRange(options = {}, limits = {}, now = Date.now()) {
+  const days = clampInteger(options.days, 1, limits.maxQueryDays || 90, DEFAULT_ANALYTICS_DAYS);
+  const today = new Date(now).toISOString().slice(0, 10);
+  const firstDay = new Date(Date.parse(`${today}T00:00:00.000Z`) - (days - 1) * DAY_MS).toISOString().slice(0, 10);
+  return {
+    days,
+    firstDay,
+    lastDay: today,
+    since: `${firstDay}T00:00:00.000Z`,
+    until: new Date(now).toISOString(),
+    cwd: sanitizeLine(options.cwd, 640)
+  };
+}
+
+function listRangeDays(range) {
+  const days = [];
+  for (let ts = Date.parse(range.since); days.length < range.days; ts += DAY_MS) {
+    days.push(new Date(ts).toISOString().slice(0, 10));
+  }
+  return days;
+}
+
+function isSessionInRange(session, range) {
+  if (!session || !session.sessionId) return false;
+  const startedAt = String(session.startedAt || session.lastAt || '');
+  const lastAt = String(session.lastAt || session.endedAt || startedAt);
+  if (!startedAt || startedAt >= range.until || lastAt < range.since) return false;
+  return !range.cwd || String(session.cwd || '').includes(range.cwd);
+}
+
+// Session span clipped to the range; open sessions count up to their last record.
+function getSessionActiveMs(session, range) {
+  const start = Math.max(Date.parse(session.startedAt || session.lastAt), Date.parse(range.since));
+  const end = Math.min(Date.parse(session.endedAt || session.lastAt || session.startedAt), Date.parse(range.until));
+  return Number.isFinite(start) && Number.isFinite(end) ? Math.max(0, end - start) : 0;
+}
+
+// Folds time-sorted activity records per session, the same way the work digest does.
+function collectSessionActivity(records) {
+  const sessions = new Map();
+  for (const record of records) {
+    const sessionId = String(record.sessionId || '');
+    if (!sessions.has(sessionId)) sessions.set(sessionId, createSessionActivity());
+    applySessionActivity(sessions.get(sessionId), record);
+  }
+  return sessions;
+}
+
+function buildConfirmWaitSummary(sessions) {
+  const summary = { prompts: 0, resolved: 0, pending: 0, totalWaitMs: 0, maxWaitMs: 0, avgWaitMs: 0 };
+  for (const activity of sessions.values()) {
+    summary.prompts += activity.confirmPrompts;
+    summary.resolved += activity.confirmsResolved;
+    summary.totalWaitMs += activity.confirmWaitMs;
+    summary.maxWaitMs = Math.max(summary.maxWaitMs, activity.maxConfirmWaitMs);
+    if (activity.confirmOpenedAt) summary.pending += 1;
+  }
+  summary.avgWaitMs = summary.resolved > 0 ? Math.round(summary.totalWaitMs / summary.resolved) : 0;
+  return summary;
+}
+
+// Records must be sorted by time; prompts still open at the end are counted as pending.
+function summarizeConfirmWaits(records) {
+  return buildConfirmWaitSummary(collectSessionActivity(records));
+}
+
+// Day -> { events, sessions } from raw records (the JSONL driver's path; SQLite
+// groups in SQL instead).
+function countDayActivity(records) {
+  const byDay = new Map();
+  for (const record of records) {
+    const day = String(record.ts || '').slice(0, 10);
+    if (!day) continue;
+    if (!byDay.has(day)) byDay.set(day, { events: 0, sessionIds: new Set() });
+    const entry = byDay.get(day);
+    entry.events += 1;
+    if (record.sessionId) entry.sessionIds.add(String(record.sessionId));
+  }
+  return [...byDay.entries()].map(([day, entry]) => ({ day, events: entry.events, sessions: entry.sessionIds.size }));
+}
+
+function countBy(sessions, key) {
+  const counts = new Map();
+  for (const session of sessions) {
+    const value = String(session[key] || '').trim() || '(未知)';
+    counts.set(value, (counts.get(value) || 0) + 1);
+  }
+  return [...counts.entries()]
+    .sort((left, right) => right[1] - left[1] || left[0].localeCompare(right[0]))
+    .map(([value, count]) => ({ value, count }));
+}
+
+// A session's status is the one of its last heartbeat or confirm prompt in the range,
+// not the index lastStatus, which end records overwrite.
+function buildArchiveAnalytics({ range, sessions, activityRecords, dayActivity }) {
+  const activity = collectSessionActivity(activityRecords || []);
+  const inRange = (Array.isArray(sessions) ? sessions : [])
+    .filter((session) => isSessionInRange(session, range))
+    .map((session) => {
+      const sessionActivity = activity.get(String(session.sessionId));
+      return { ...session, lastStatus: sessionActivity ? sessionActivity.lastStatus : '' };
+    });
+
+  const projects = new Map();
+  let activeMs = 0;
+  let errorSessions = 0;
+  for (const session of inRange) {
+    const cwd = String(session.cwd || '').trim() || '(未知目录)';
+    if (!projects.has(cwd)) projects.set(cwd, { cwd, sessions: 0, activeMs: 0, errorSessions: 0 });
+    const project = projects.get(cwd);
+    const sessionActiveMs = getSessionActiveMs(session, range);
+    const isError = session.lastStatus === ERROR_STATUS;
+    project.sessions += 1;
+    project.activeMs += sessionActiveMs;
+    if (isError) project.errorSessions += 1;
+    activeMs += sessionActiveMs;
+    if (isError) errorSessions += 1;
+  }
+
+  const activityByDay = new Map((dayActivity || []).map((item) => [item.day, item]));
+  const heatmap = listRangeDays(range).map((day) => {
+    const item = activityByDay.get(day);
+    return { day, events: item ? Number(item.events) || 0 : 0, sessions: item ? Number(item.sessions) || 0 : 0 };
+  });
+
+  return {
+    range: { days: range.days, since: range.since, until: range.until, cwd: range.cwd },
+    totals: {
+      sessions: inRange.length,
+      activeMs,
+      errorSessions,
+      errorRatio: inRange.length > 0 ? errorSessions / inRange.length : 0,
+      events: heatmap.reduce((sum, item) => sum + item.events, 0)
+    },
+    projects: [...projects.values()].sort((left, right) => right.activeMs - left.activeMs || left.cwd.localeCompare(right.cwd)),
+    clis: countBy(inRange, 'cli'),
+    models: countBy(inRange, 'model'),
+    statuses: countBy(inRange, 'lastStatus'),
+    confirmWait: buildConfirmWaitSummary(activity),
+    heatmap
+  };
+}
+
+module.exports = {
+  resolveAnalyticsRange,
+  summarizeConfirmWaits,
+  countDayActivity,
+  buildArchiveAnalytics
+};
@@ -1,12 +1,20 @@
 const { createMemoryArchiveIndex } = require('./memory-index');
 const { createJsonlStore } = require('./jsonl-store');
+const { createSqliteStore } = require('./sqlite-store');
+const { detectSqliteDriver, isSqliteAvailable } = require('./sqlite-database');
+
+const ARCHIVE_DRIVERS = ['jsonl', 'sqlite'];
 
 function createArchiveStore(options = {}) {
   const driver = String(options.driver || 'jsonl').trim().toLowerCase();
-  if (driver !== 'jsonl') {
+  if (!ARCHIVE_DRIVERS.includes(driver)) {
     throw new Error(`Unsupported archive driver: ${driver}`);
   }
 
+  if (driver === 'sqlite') {
+    return createSqliteStore(options);
+  }
+
   const index = createMemoryArchiveIndex();
   return createJsonlStore({
     ...options,
@@ -15,5 +23,8 @@ function createArchiveStore(options = {}) {
 }
 
 module.exports = {
-  createArchiveStore
+  ARCHIVE_DRIVERS,
+  createArchiveStore,
+  detectSqliteDriver,
+  isSqliteAvailable
 };
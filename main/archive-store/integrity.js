@@ -0,0 +1,185 @@
+const fs = require('fs');
+const path = require('path');
+const { WORK_DIGEST_EVENT_TYPE, isDayStamp, mergeSessionMeta } = require('./shared');
+
+const SESSION_END_EVENT_TYPES = new Set(['tab_closed', 'session_exit', 'app_shutdown']);
+const QUARANTINE_SUFFIX = '.bad';
+
+function writeFileAtomicSync(filePath, content) {
+  const tempPath = `${filePath}.tmp`;
+  try {
+    fs.writeFileSync(tempPath, content, 'utf8');
+    fs.renameSync(tempPath, filePath);
+  } catch (err) {
+    try {
+      if (fs.existsSync(tempPath)) fs.unlinkSync(tempPath);
+    } catch (cleanupErr) {
+      // The original error is the useful one.
+    }
+    throw err;
+  }
+}
+
+function isValidArchiveRecord(value) {
+  return !!value
+    && typeof value === 'object'
+    && !Array.isArray(value)
+    && typeof value.ts === 'string'
+    && Number.isFinite(Date.parse(value.ts));
+}
+
+// Splits a JSONL file into parsed records and the raw lines that are not valid
+// archive records (bad JSON, or JSON without a usable `ts`).
+function readArchiveFileLines(filePath) {
+  const raw = fs.readFileSync(filePath, 'utf8');
+  const records = [];
+  const badLines = [];
+  for (const line of raw.split('\n')) {
+    const trimmed = line.trim();
+    if (!trimmed) continue;
+    let parsed = null;
+    try {
+      parsed = JSON.parse(trimmed);
+    } catch (err) {
+      parsed = null;
+    }
+    if (isValidArchiveRecord(parsed)) {
+      records.push(parsed);
+    } else {
+      badLines.push(line);
+    }
+  }
+  return { records, badLines };
+}
+
+// Bad lines are appended to `<file>.bad` and the file is rewritten with only the
+// valid records, so nothing is thrown away.
+function quarantineBadLines(filePath, records, badLines) {
+  fs.appendFileSync(`${filePath}${QUARANTINE_SUFFIX}`, `${badLines.join('\n')}\n`, 'utf8');
+  const content = records.map((record) => JSON.stringify(record)).join('\n');
+  writeFileAtomicSync(filePath, content ? `${content}\n` : '');
+}
+
+function pickLast(records, key) {
+  for (let i = records.length - 1; i >= 0; i -= 1) {
+    const value = records[i][key];
+    if (value !== undefined && value !== null && String(value).trim()) return value;
+  }
+  return '';
+}
+
+// Rebuilds one session's index.json entry from its records. Fields the records do
+// not carry (isAiSession) are kept from the existing entry.
+function buildSessionMetaFromRecords(sessionId, records, context = {}) {
+  const sorted = records.slice().sort((a, b) => a.ts.localeCompare(b.ts));
+  const first = sorted[0];
+  const last = sorted[sorted.length - 1];
+  const endRecord = sorted.find((record) => SESSION_END_EVENT_TYPES.has(record.eventType));
+  const meta = mergeSessionMeta(context.existing, {
+    sessionId,
+    tabId: pickLast(sorted, 'tabId'),
+    cwd: pickLast(sorted, 'cwd'),
+    cli: pickLast(sorted, 'cli'),
+    provider: pickLast(sorted, 'provider'),
+    model: pickLast(sorted, 'model'),
+    startedAt: first.ts,
+    endedAt: endRecord ? endRecord.ts : '',
+    lastAt: last.ts,
+    lastSummary: last.summary || '',
+    lastAnalysis: last.analysis || '',
+    lastStatus: last.status || '',
+    archivePath: context.archivePath || '',
+    recordingPath: context.recordingPath || ''
+  });
+  return { ...meta, eventCount: sorted.length };
+}
+
+// Rescans every day directory. With `repair`, corrupt lines are quarantined; files
+// of sessions in `protectedSessionIds` are still being appended to and are only
+// reported. Returns the rebuilt session map alongside the report.
+function scanArchiveIntegrity(archiveRootDir, options = {}) {
+  const repair = options.repair === true;
+  const existingSessions = options.existingSessions && typeof options.existingSessions === 'object'
+    ? options.existingSessions
+    : {};
+  const protectedSessionIds = options.protectedSessionIds instanceof Set ? options.protectedSessionIds : new Set();
+  const report = {
+    repaired: repair,
+    filesScanned: 0,
+    unreadableFiles: [],
+    records: 0,
+    badLines: 0,
+    quarantinedFiles: [],
+    skippedOpenFiles: [],
+    rebuiltSessions: 0,
+    staleSessions: 0
+  };
+  const sessions = {};
+  if (!archiveRootDir || !fs.existsSync(archiveRootDir)) {
+    return { report, sessions };
+  }
+
+  const dayStamps = fs.readdirSync(archiveRootDir, { withFileTypes: true })
+    .filter((item) => item.isDirectory() && isDayStamp(item.name))
+    .map((item) => item.name)
+    .sort();
+  const recordsBySession = new Map();
+
+  for (const day of dayStamps) {
+    const dayDir = path.join(archiveRootDir, day);
+    const fileNames = fs.readdirSync(dayDir).filter((name) => name.endsWith('.jsonl')).sort();
+    for (const fileName of fileNames) {
+      const filePath = path.join(dayDir, fileName);
+      const relativePath = path.relative(archiveRootDir, filePath);
+      let parsed;
+      try {
+        parsed = readArchiveFileLines(filePath);
+      } catch (err) {
+        report.unreadableFiles.push(relativePath);
+        continue;
+      }
+      report.filesScanned += 1;
+      report.records += parsed.records.length;
+      report.badLines += parsed.badLines.length;
+
+      const fileSessionId = fileName.replace(/\.jsonl$/, '');
+      if (parsed.badLines.length > 0 && repair) {
+        if (protectedSessionIds.has(fileSessionId)) {
+          report.skippedOpenFiles.push(relativePath);
+        } else {
+          quarantineBadLines(filePath, parsed.records, parsed.badLines);
+          report.quarantinedFiles.push(relativePath);
+        }
+      }
+
+      for (const record of parsed.records) {
+        if (record.eventType === WORK_DIGEST_EVENT_TYPE) continue;
+        const sessionId = String(record.sessionId || fileSessionId);
+        if (!recordsBySession.has(sessionId)) {
+          recordsBySession.set(sessionId, { records: [], archivePath: relativePath });
+        }
+        recordsBySession.get(sessionId).records.push(record);
+      }
+    }
+  }
+
+  for (const [sessionId, { records, archivePath }] of recordsBySession) {
+    const castPath = archivePath.replace(/\.jsonl$/, '.cast');
+    sessions[sessionId] = buildSessionMetaFromRecords(sessionId, records, {
+      existing: existingSessions[sessionId],
+      archivePath,
+      recordingPath: fs.existsSync(path.join(archiveRootDir, castPath)) ? castPath : ''
+    });
+  }
+  report.rebuiltSessions = Object.keys(sessions).length;
+  report.staleSessions = Object.keys(existingSessions).filter((sessionId) => !sessions[sessionId]).length;
+  return { report, sessions };
+}
+
+module.exports = {
+  QUARANTINE_SUFFIX,
+  writeFileAtomicSync,
+  readArchiveFileLines,
+  buildSessionMetaFromRecords,
+  scanArchiveIntegrity
+};
@@ -1,23 +1,29 @@
 const fs = require('fs');
 const path = require('path');
 
-function clampInteger(value, min, max, fallback) {
-  const n = Number(value);
-  if (!Number.isFinite(n)) return fallback;
-  return Math.min(max, Math.max(min, Math.round(n)));
-}
-
-function sanitizeLine(value, maxLength) {
-  return String(value || '')
-    .replace(/\s+/g, ' ')
-    .trim()
-    .slice(0, maxLength);
-}
-
-function normalizeQueryMode(value) {
-  const mode = String(value || '').trim().toLowerCase();
-  return mode === 'legacy' ? 'legacy' : 'auto';
-}
+const {
+  sanitizeLine,
+  isDayStamp,
+  isDayWithinDays,
+  resolveQueryLimits,
+  normalizeQueryOptions,
+  normalizeSessionListOptions,
+  normalizeRecordRange,
+  mergeSessionMeta,
+  buildSummaryTimeline,
+  WORK_DIGEST_EVENT_TYPE,
+  SESSION_ACTIVITY_EVENT_TYPES
+} = require('./shared');
+const {
+  scanArchiveUnits,
+  readUnitCwd,
+  planArchiveRetention,
+  removeArchiveUnits,
+  createRetentionReport
+} = require('./retention');
+const { writeFileAtomicSync, scanArchiveIntegrity } = require('./integrity');
+const { resolveAnalyticsRange, countDayActivity, buildArchiveAnalytics } = require('./analytics');
+const { parseSearchQuery } = require('./memory-index');
 
 function readJsonLines(filePath) {
   try {
@@ -40,22 +46,14 @@ function readJsonLines(filePath) {
   }
 }
 
-function isDayStamp(name) {
-  return /^\d{4}-\d{2}-\d{2}$/.test(name);
-}
-
 function collectDayDirectories(archiveRootDir, days) {
   if (!archiveRootDir || !fs.existsSync(archiveRootDir)) return [];
   const now = Date.now();
-  const maxAgeMs = days * 24 * 60 * 60 * 1000;
 
   return fs.readdirSync(archiveRootDir, { withFileTypes: true })
     .filter((item) => item.isDirectory() && isDayStamp(item.name))
     .map((item) => item.name)
-    .filter((stamp) => {
-      const ts = new Date(`${stamp}T00:00:00Z`).getTime();
-      return Number.isFinite(ts) && now - ts <= maxAgeMs;
-    })
+    .filter((stamp) => isDayWithinDays(stamp, days, now))
     .sort((left, right) => right.localeCompare(left));
 }
 
@@ -91,11 +89,11 @@ function createJsonlStore(options = {}) {
     ? options.resolveSessionIdByTab
     : () => '';
   const index = options.index || null;
-  const maxQueryDays = clampInteger(options.maxQueryDays, 1, 365, 90);
-  const defaultQueryDays = clampInteger(options.defaultQueryDays, 1, maxQueryDays, 14);
-  const maxQueryLimit = clampInteger(options.maxQueryLimit, 1, 5000, 200);
-  const defaultQueryLimit = clampInteger(options.defaultQueryLimit, 1, maxQueryLimit, 40);
+  const limits = resolveQueryLimits(options);
+  const { maxQueryDays } = limits;
   const metadataCache = createArchiveStoreMetadataCache();
+  // Set when a corrupt index.json was moved aside; cleared by the next repair.
+  let indexQuarantined = false;
 
   function getArchiveIndexPath() {
     const archiveRootDir = getArchiveRootDir();
@@ -152,6 +150,15 @@ function createJsonlStore(options = {}) {
       };
       metadataCache.mtimeMs = stat.mtimeMs;
     } catch (err) {
+      // Move the unreadable file aside instead of overwriting it with the next
+      // upsert; verifyAndRepair rebuilds the sessions from the JSONL records.
+      console.warn('[heartbeat-archive] index.json is corrupt, moved to index.json.bad:', err.message);
+      try {
+        fs.renameSync(indexPath, `${indexPath}.bad`);
+        indexQuarantined = true;
+      } catch (renameErr) {
+        console.warn('[heartbeat-archive] Failed to quarantine index.json:', renameErr.message);
+      }
       metadataCache.state = createEmptyArchiveIndexState();
       metadataCache.mtimeMs = stat.mtimeMs;
     }
@@ -167,7 +174,7 @@ function createJsonlStore(options = {}) {
     if (!indexPath) return false;
 
     try {
-      fs.writeFileSync(indexPath, JSON.stringify(nextState, null, 2), 'utf8');
+      writeFileAtomicSync(indexPath, JSON.stringify(nextState, null, 2));
       metadataCache.state = nextState;
       try {
         const stat = fs.statSync(indexPath);
@@ -215,30 +222,6 @@ function createJsonlStore(options = {}) {
     }
   }
 
-  function normalizeQueryOptions(options = {}) {
-    const days = clampInteger(options.days, 1, maxQueryDays, defaultQueryDays);
-    const limit = clampInteger(options.limit, 1, maxQueryLimit, defaultQueryLimit);
-    const keyword = sanitizeLine(options.keyword, 120).toLowerCase();
-    const eventType = sanitizeLine(options.eventType, 40);
-    const tabId = sanitizeLine(options.tabId, 80);
-    const cwd = sanitizeLine(options.cwd, 280);
-    const queryMode = normalizeQueryMode(options.queryMode);
-    let sessionId = sanitizeLine(options.sessionId, 120);
-    if (!sessionId && tabId) {
-      sessionId = sanitizeLine(resolveSessionIdByTab(tabId), 120);
-    }
-    return {
-      days,
-      limit,
-      keyword,
-      eventType,
-      tabId,
-      cwd,
-      sessionId,
-      queryMode
-    };
-  }
-
   function collectFilesForQuery(archiveRootDir, queryOptions) {
     const files = [];
     let usedIndex = false;
@@ -282,61 +265,87 @@ function createJsonlStore(options = {}) {
     };
   }
 
+  function collectFacetValues(sessions, key) {
+    const counts = new Map();
+    for (const session of sessions) {
+      const value = String(session[key] || '').trim();
+      if (!value) continue;
+      counts.set(value, (counts.get(value) || 0) + 1);
+    }
+    return Array.from(counts.entries())
+      .sort((left, right) => right[1] - left[1] || left[0].localeCompare(right[0]))
+      .map(([value, count]) => ({ value, count }));
+  }
+
+  function sessionHasEventType(archiveRootDir, session, eventType, indexedFiles) {
+    if (!session.archivePath) return false;
+    const filePath = path.join(archiveRootDir, session.archivePath);
+    if (indexedFiles) return indexedFiles.has(filePath);
+    return readJsonLines(filePath).some((record) => record && record.eventType === eventType);
+  }
+
+  // Lists sessions from index.json. Facets are computed before filtering so the
+  // browser can always offer every known project dir / CLI / model / status.
+  function listSessions(options = {}) {
+    const archiveRootDir = getArchiveRootDir();
+    const normalized = normalizeSessionListOptions(options, limits);
+    const allSessions = Object.values(readArchiveIndexState().sessions || {})
+      .filter((session) => session && typeof session === 'object' && session.sessionId);
+    const facets = {
+      cwds: collectFacetValues(allSessions, 'cwd'),
+      clis: collectFacetValues(allSessions, 'cli'),
+      models: collectFacetValues(allSessions, 'model'),
+      statuses: collectFacetValues(allSessions, 'lastStatus')
+    };
+
+    let indexedFiles = null;
+    if (normalized.eventType && archiveRootDir && index && typeof index.getCandidateFiles === 'function') {
+      const dayStamps = collectDayDirectories(archiveRootDir, maxQueryDays);
+      hydrateIndexForDays(archiveRootDir, dayStamps);
+      // Without day stamps the index returns exactly the files holding this event type.
+      indexedFiles = new Set(index.getCandidateFiles({ eventType: normalized.eventType }));
+    }
+
+    const matched = allSessions.filter((session) => {
+      if (normalized.cwd && !String(session.cwd || '').includes(normalized.cwd)) return false;
+      if (normalized.cli && session.cli !== normalized.cli) return false;
+      if (normalized.model && session.model !== normalized.model) return false;
+      if (normalized.status && session.lastStatus !== normalized.status) return false;
+      const startedDay = String(session.startedAt || session.lastAt || '').slice(0, 10);
+      const lastDay = String(session.lastAt || session.startedAt || '').slice(0, 10);
+      if (normalized.from && lastDay < normalized.from) return false;
+      if (normalized.to && startedDay > normalized.to) return false;
+      if (normalized.keyword) {
+        const haystack = `${session.lastSummary || ''} ${session.lastAnalysis || ''} ${session.cwd || ''}`.toLowerCase();
+        if (!haystack.includes(normalized.keyword)) return false;
+      }
+      if (normalized.eventType && !sessionHasEventType(archiveRootDir, session, normalized.eventType, indexedFiles)) {
+        return false;
+      }
+      return true;
+    });
+
+    matched.sort((left, right) => String(right.lastAt || '').localeCompare(String(left.lastAt || '')));
+    return {
+      sessions: matched.slice(0, normalized.limit),
+      total: matched.length,
+      query: normalized,
+      facets
+    };
+  }
+
   function upsertSessionMeta(payload = {}) {
     const sessionId = sanitizeLine(payload.sessionId, 120);
     if (!sessionId) return false;
 
     const state = readArchiveIndexState();
     const sessions = state.sessions && typeof state.sessions === 'object' ? state.sessions : {};
-    const existing = sessions[sessionId] && typeof sessions[sessionId] === 'object'
-      ? sessions[sessionId]
-      : {};
-
-    const nextEventCount = Math.max(0, Number(existing.eventCount) || 0) + (payload.incrementEventCount ? 1 : 0);
-    const startedAt = sanitizeLine(payload.startedAt, 40) || sanitizeLine(existing.startedAt, 40) || new Date().toISOString();
-    const lastAt = sanitizeLine(payload.lastAt, 40) || sanitizeLine(existing.lastAt, 40) || new Date().toISOString();
-    const endedAt = payload.endedAt !== undefined
-      ? (sanitizeLine(payload.endedAt, 40) || null)
-      : (existing.endedAt || null);
-    const tabId = sanitizeLine(payload.tabId, 80) || sanitizeLine(existing.tabId, 80) || '';
-    const cwd = sanitizeLine(payload.cwd, 640) || sanitizeLine(existing.cwd, 640) || '';
-    const isAiSession = payload.isAiSession !== undefined ? !!payload.isAiSession : !!existing.isAiSession;
-    const cli = sanitizeLine(payload.cli, 40) || sanitizeLine(existing.cli, 40) || '';
-    const provider = sanitizeLine(payload.provider, 40) || sanitizeLine(existing.provider, 40) || '';
-    const model = sanitizeLine(payload.model, 80) || sanitizeLine(existing.model, 80) || '';
-    const archivePath = sanitizeLine(payload.archivePath, 360) || sanitizeLine(existing.archivePath, 360) || '';
-    const lastSummary = payload.lastSummary !== undefined
-      ? sanitizeLine(payload.lastSummary, 180)
-      : sanitizeLine(existing.lastSummary, 180);
-    const lastAnalysis = payload.lastAnalysis !== undefined
-      ? sanitizeLine(payload.lastAnalysis, 280)
-      : sanitizeLine(existing.lastAnalysis, 280);
-    const lastStatus = payload.lastStatus !== undefined
-      ? sanitizeLine(payload.lastStatus, 40)
-      : sanitizeLine(existing.lastStatus, 40);
-
     const nextState = {
       version: 1,
       updatedAt: new Date().toISOString(),
       sessions: {
         ...sessions,
-        [sessionId]: {
-          sessionId,
-          tabId,
-          cwd,
-          isAiSession,
-          cli,
-          provider,
-          model,
-          startedAt,
-          endedAt,
-          lastAt,
-          eventCount: nextEventCount,
-          lastSummary,
-          lastAnalysis,
-          lastStatus,
-          archivePath
-        }
+        [sessionId]: mergeSessionMeta(sessions[sessionId], { ...payload, sessionId })
       }
     };
     return writeArchiveIndexState(nextState);
@@ -352,10 +361,61 @@ function createJsonlStore(options = {}) {
     }
   }
 
+  function matchesRecordFilters(record, normalized) {
+    if (!record || typeof record !== 'object') return false;
+    if (normalized.sessionId && record.sessionId !== normalized.sessionId) return false;
+    if (normalized.tabId && record.tabId !== normalized.tabId) return false;
+    if (normalized.cwd && !String(record.cwd || '').includes(normalized.cwd)) return false;
+    if (normalized.eventType && record.eventType !== normalized.eventType) return false;
+    return true;
+  }
+
+  // Keywords without indexable tokens (`->`, `::`, `$?`) are left to the substring scan.
+  function canUseFullTextIndex(normalized) {
+    return !!normalized.keyword
+      && normalized.queryMode !== 'legacy'
+      && !!index
+      && typeof index.search === 'function'
+      && parseSearchQuery(normalized.keyword).tokens.length > 0;
+  }
+
+  // Keyword queries are answered from the inverted index instead of re-reading files.
+  function queryFullText(archiveRootDir, normalized, startedAt) {
+    const resolved = collectFilesForQuery(archiveRootDir, normalized);
+    let filesScanned = 0;
+    for (const filePath of resolved.files) {
+      // A session file found via index.json may predate the hydrated day range.
+      if (typeof index.hasFile === 'function' && index.hasFile(filePath)) continue;
+      for (const record of readJsonLines(filePath)) {
+        index.addRecord(record, filePath);
+      }
+      filesScanned += 1;
+    }
+
+    const hits = index.search(normalized.keyword, { files: new Set(resolved.files) });
+    const matched = hits.filter((hit) => matchesRecordFilters(hit.record, normalized));
+    if (normalized.sort === 'time') {
+      matched.sort((left, right) => String(right.record.ts || '').localeCompare(String(left.record.ts || '')));
+    }
+    return {
+      records: matched.slice(0, normalized.limit).map((hit) => hit.record),
+      total: matched.length,
+      query: normalized,
+      stats: {
+        queryMode: normalized.queryMode,
+        filesScanned,
+        usedIndex: true,
+        fullText: true,
+        indexHits: hits.length,
+        elapsedMs: Date.now() - startedAt
+      }
+    };
+  }
+
   function query(options = {}) {
     const startedAt = Date.now();
     const archiveRootDir = getArchiveRootDir();
-    const normalized = normalizeQueryOptions(options);
+    const normalized = normalizeQueryOptions(options, limits, resolveSessionIdByTab);
     if (!archiveRootDir) {
       return {
         records: [],
@@ -365,21 +425,23 @@ function createJsonlStore(options = {}) {
           queryMode: normalized.queryMode,
           filesScanned: 0,
           usedIndex: false,
+          fullText: false,
+          indexHits: 0,
           elapsedMs: Date.now() - startedAt
         }
       };
     }
 
+    if (canUseFullTextIndex(normalized)) {
+      return queryFullText(archiveRootDir, normalized, startedAt);
+    }
+
     const resolved = collectFilesForQuery(archiveRootDir, normalized);
     const matched = [];
     for (const filePath of resolved.files) {
       const records = readJsonLines(filePath);
       for (const record of records) {
-        if (!record || typeof record !== 'object') continue;
-        if (normalized.sessionId && record.sessionId !== normalized.sessionId) continue;
-        if (normalized.tabId && record.tabId !== normalized.tabId) continue;
-        if (normalized.cwd && !String(record.cwd || '').includes(normalized.cwd)) continue;
-        if (normalized.eventType && record.eventType !== normalized.eventType) continue;
+        if (!matchesRecordFilters(record, normalized)) continue;
         if (normalized.keyword) {
           const haystack = `${record.summary || ''} ${record.analysis || ''} ${record.status || ''}`.toLowerCase();
           if (!haystack.includes(normalized.keyword)) continue;
@@ -397,18 +459,16 @@ function createJsonlStore(options = {}) {
         queryMode: normalized.queryMode,
         filesScanned: resolved.files.length,
         usedIndex: !!resolved.usedIndex,
+        fullText: false,
+        indexHits: 0,
         elapsedMs: Date.now() - startedAt
       }
     };
   }
 
   function summarizeInput(options = {}) {
-    const result = query(options);
-    const timeline = result.records
-      .slice(0, 24)
-      .reverse()
-      .map((record) => `[${record.ts}] ${record.status || '进行中'} ${record.summary || ''} ${record.analysis || ''}`)
-      .join('\n');
+    const result = query({ ...options, sort: 'time' });
+    const timeline = buildSummaryTimeline(result.records);
     return {
       result,
       timeline,
@@ -416,14 +476,130 @@ function createJsonlStore(options = {}) {
     };
   }
 
+  // Every record with since <= ts < until, oldest first. Sessions keep appending to
+  // the file of their first day, so besides the day directories in range this also
+  // reads the files of index.json sessions that were still active after `since`.
+  function listRecordsInRange(options = {}) {
+    const archiveRootDir = getArchiveRootDir();
+    const range = normalizeRecordRange(options);
+    if (!archiveRootDir || !range || !fs.existsSync(archiveRootDir)) return [];
+
+    const sinceDay = range.since.slice(0, 10);
+    const untilDay = range.until.slice(0, 10);
+    const dayStamps = fs.readdirSync(archiveRootDir, { withFileTypes: true })
+      .filter((item) => item.isDirectory() && isDayStamp(item.name))
+      .map((item) => item.name)
+      .filter((day) => day >= sinceDay && day <= untilDay);
+    const files = new Set(listArchiveFilesByDays(archiveRootDir, dayStamps));
+    for (const session of Object.values(readArchiveIndexState().sessions || {})) {
+      if (!session || !session.archivePath || String(session.lastAt || '') < range.since) continue;
+      const filePath = path.join(archiveRootDir, session.archivePath);
+      if (fs.existsSync(filePath)) files.add(filePath);
+    }
+
+    const records = [];
+    for (const filePath of files) {
+      for (const record of readJsonLines(filePath)) {
+        const ts = String(record.ts || '');
+        if (ts >= range.since && ts < range.until) records.push(record);
+      }
+    }
+    return records.sort((left, right) => String(left.ts).localeCompare(String(right.ts)));
+  }
+
+  // Dashboard aggregates for the last `days` days: session spans and CLI/model
+  // counts come from index.json, statuses, confirm waits and the heatmap from the records.
+  function aggregate(options = {}) {
+    const range = resolveAnalyticsRange(options, limits, options.now);
+    const records = listRecordsInRange(range).filter((record) => (
+      record.eventType !== WORK_DIGEST_EVENT_TYPE
+      && (!range.cwd || String(record.cwd || '').includes(range.cwd))
+    ));
+    return buildArchiveAnalytics({
+      range,
+      sessions: Object.values(readArchiveIndexState().sessions || {}),
+      activityRecords: records.filter((record) => SESSION_ACTIVITY_EVENT_TYPES.includes(record.eventType)),
+      dayActivity: countDayActivity(records)
+    });
+  }
+
+  function pruneStaleSessions(archiveRootDir) {
+    const sessions = readArchiveIndexState().sessions || {};
+    const nextSessions = {};
+    let pruned = 0;
+    for (const [sessionId, session] of Object.entries(sessions)) {
+      const archivePath = session && session.archivePath;
+      if (archivePath && !fs.existsSync(path.join(archiveRootDir, archivePath))) {
+        pruned += 1;
+        continue;
+      }
+      nextSessions[sessionId] = session;
+    }
+    if (pruned > 0) {
+      writeArchiveIndexState({
+        version: 1,
+        updatedAt: new Date().toISOString(),
+        sessions: nextSessions
+      });
+    }
+    return pruned;
+  }
+
+  // Deletes expired or over-quota session files, then drops index.json entries whose
+  // archive file is gone and forgets the removed files in the memory index.
+  function applyRetention(policy, options = {}) {
+    const archiveRootDir = getArchiveRootDir();
+    const sessions = readArchiveIndexState().sessions || {};
+    const plan = planArchiveRetention(scanArchiveUnits(archiveRootDir), {
+      policy,
+      now: options.now,
+      protectedSessionIds: options.protectedSessionIds,
+      resolveCwd: (sessionId, unit) => (sessions[sessionId] && sessions[sessionId].cwd) || readUnitCwd(unit)
+    });
+    const removed = removeArchiveUnits(archiveRootDir, plan.removals);
+    if (index && typeof index.removeFiles === 'function') {
+      index.removeFiles(removed.flatMap((unit) => unit.files));
+    }
+    const prunedIndexEntries = archiveRootDir ? pruneStaleSessions(archiveRootDir) : 0;
+    return createRetentionReport(plan, removed, { prunedIndexEntries });
+  }
+
+  // Rescans all day directories, quarantines corrupt lines and rebuilds index.json
+  // from the records. `repair: false` only reports.
+  function verifyAndRepair(options = {}) {
+    const archiveRootDir = getArchiveRootDir();
+    const { report, sessions } = scanArchiveIntegrity(archiveRootDir, {
+      repair: options.repair !== false,
+      existingSessions: readArchiveIndexState().sessions || {},
+      protectedSessionIds: options.protectedSessionIds
+    });
+    report.indexRecovered = indexQuarantined;
+    if (report.repaired && archiveRootDir) {
+      writeArchiveIndexState({
+        version: 1,
+        updatedAt: new Date().toISOString(),
+        sessions
+      });
+      indexQuarantined = false;
+    }
+    return report;
+  }
+
   return {
     append,
     upsertSessionMeta,
     query,
-    summarizeInput
+    listSessions,
+    summarizeInput,
+    listRecordsInRange,
+    aggregate,
+    applyRetention,
+    verifyAndRepair
   };
 }
 
 module.exports = {
-  createJsonlStore
+  createJsonlStore,
+  readJsonLines,
+  listArchiveFilesByDays
 };
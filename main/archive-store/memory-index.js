@@ -40,12 +40,108 @@ function intersectSets(sets = []) {
   return result;
 }
 
+// CJK ideographs, kana and hangul have no word boundaries, so they are indexed as
+// overlapping bigrams; other scripts are split into lowercase word tokens.
+const CJK_CHAR_PATTERN = /[぀-ヿ㐀-䶿一-鿿가-힯豈-﫿]/;
+const TOKEN_RUN_PATTERN = /[぀-ヿ㐀-䶿一-鿿가-힯豈-﫿]+|[\p{L}\p{N}_]+/gu;
+const MIN_PREFIX_EXPANSION_LENGTH = 3;
+const PREFIX_MATCH_WEIGHT = 0.5;
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+
+function normalizeSearchText(value) {
+  return String(value || '')
+    .toLowerCase()
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+function tokenizeText(text) {
+  const tokens = [];
+  const normalized = normalizeSearchText(text);
+  for (const match of normalized.matchAll(TOKEN_RUN_PATTERN)) {
+    const run = match[0];
+    if (!CJK_CHAR_PATTERN.test(run[0])) {
+      tokens.push(run);
+      continue;
+    }
+    const chars = Array.from(run);
+    if (chars.length === 1) {
+      tokens.push(run);
+      continue;
+    }
+    for (let i = 0; i < chars.length - 1; i += 1) {
+      tokens.push(chars[i] + chars[i + 1]);
+    }
+  }
+  return tokens;
+}
+
+// `"exact phrase" other words` -> phrases must appear verbatim, every term token must match.
+function parseSearchQuery(query) {
+  const text = String(query || '');
+  const phrases = [];
+  const rest = text.replace(/"([^"]*)"/g, (whole, phrase) => {
+    const normalized = normalizeSearchText(phrase);
+    if (normalized) phrases.push(normalized);
+    return ' ';
+  });
+  const tokens = new Set(tokenizeText(rest));
+  for (const phrase of phrases) {
+    for (const token of tokenizeText(phrase)) {
+      tokens.add(token);
+    }
+  }
+  return {
+    phrases,
+    tokens: Array.from(tokens)
+  };
+}
+
+// The whole keyword, quotes dropped, for the substring match that backs up the tokens.
+function getSearchSubstring(query) {
+  return normalizeSearchText(String(query || '').replace(/"/g, ' '));
+}
+
+function getRecordSearchText(record) {
+  const data = record && typeof record === 'object' ? record : {};
+  return normalizeSearchText(`${data.summary || ''} ${data.analysis || ''} ${data.status || ''}`);
+}
+
 function createMemoryArchiveIndex() {
   const bySessionId = new Map();
   const byTabId = new Map();
   const byEventType = new Map();
   const byDayStamp = new Map();
   const loadedDays = new Set();
+  const indexedFiles = new Set();
+  // Full-text index: one document per record, postings map token -> Map(docId -> term frequency).
+  const documents = [];
+  const documentKeys = new Set();
+  const postings = new Map();
+  let totalTokenCount = 0;
+  let documentCount = 0;
+
+  function addDocument(data, filePath) {
+    // Live appends and later day hydration can both see the same record.
+    const key = `${filePath}\n${data.ts || ''}\n${data.eventType || ''}\n${data.summary || ''}`;
+    if (documentKeys.has(key)) return;
+    documentKeys.add(key);
+
+    const tokens = tokenizeText(getRecordSearchText(data));
+    const docId = documents.length;
+    documents.push({ key, record: data, filePath, length: tokens.length });
+    totalTokenCount += tokens.length;
+    documentCount += 1;
+    for (const token of tokens) {
+      let posting = postings.get(token);
+      if (!posting) {
+        posting = new Map();
+        postings.set(token, posting);
+      }
+      posting.set(docId, (posting.get(docId) || 0) + 1);
+    }
+  }
 
   function addRecord(record, filePath) {
     const data = record && typeof record === 'object' ? record : {};
@@ -56,6 +152,43 @@ function createMemoryArchiveIndex() {
     addFileToBucket(byTabId, data.tabId, resolvedFilePath);
     addFileToBucket(byEventType, data.eventType, resolvedFilePath);
     addFileToBucket(byDayStamp, String(data.ts || '').slice(0, 10), resolvedFilePath);
+    indexedFiles.add(resolvedFilePath);
+    addDocument(data, resolvedFilePath);
+  }
+
+  function hasFile(filePath) {
+    return indexedFiles.has(String(filePath || '').trim());
+  }
+
+  // Drops files deleted by retention. Removed documents leave a null slot so the
+  // remaining doc ids stay valid.
+  function removeFiles(filePaths = []) {
+    const targets = new Set(filePaths.map((filePath) => String(filePath || '').trim()).filter(Boolean));
+    if (targets.size === 0) return 0;
+    for (const bucketMap of [bySessionId, byTabId, byEventType, byDayStamp]) {
+      for (const [key, bucket] of bucketMap) {
+        for (const filePath of targets) bucket.delete(filePath);
+        if (bucket.size === 0) bucketMap.delete(key);
+      }
+    }
+    let removed = 0;
+    for (let docId = 0; docId < documents.length; docId += 1) {
+      const doc = documents[docId];
+      if (!doc || !targets.has(doc.filePath)) continue;
+      for (const token of new Set(tokenizeText(getRecordSearchText(doc.record)))) {
+        const posting = postings.get(token);
+        if (!posting) continue;
+        posting.delete(docId);
+        if (posting.size === 0) postings.delete(token);
+      }
+      documentKeys.delete(doc.key);
+      totalTokenCount -= doc.length;
+      documentCount -= 1;
+      documents[docId] = null;
+      removed += 1;
+    }
+    for (const filePath of targets) indexedFiles.delete(filePath);
+    return removed;
   }
 
   function markDayLoaded(dayStamp) {
@@ -102,14 +235,111 @@ function createMemoryArchiveIndex() {
     return Array.from(intersectSets(sets));
   }
 
+  // Exact postings plus, for longer word tokens, prefix matches ("build" finds "building")
+  // at a reduced weight. Single CJK characters expand to every bigram containing them.
+  function lookupToken(token) {
+    const matches = [];
+    const exact = postings.get(token);
+    if (exact) matches.push({ posting: exact, weight: 1 });
+    const isCjk = CJK_CHAR_PATTERN.test(token[0]);
+    const expandCjk = isCjk && Array.from(token).length === 1;
+    const expandPrefix = !isCjk && token.length >= MIN_PREFIX_EXPANSION_LENGTH;
+    if (expandCjk || expandPrefix) {
+      for (const [candidate, posting] of postings) {
+        if (candidate === token) continue;
+        if (expandCjk ? candidate.includes(token) : candidate.startsWith(token)) {
+          matches.push({ posting, weight: PREFIX_MATCH_WEIGHT });
+        }
+      }
+    }
+    return matches;
+  }
+
+  // BM25 scores of the documents matching every token; empty when a token matches nothing.
+  function scoreTokens(tokens) {
+    const averageLength = totalTokenCount / documentCount || 1;
+    let candidateScores = null;
+    for (const token of tokens) {
+      const tokenScores = new Map();
+      for (const { posting, weight } of lookupToken(token)) {
+        const idf = Math.log(1 + (documentCount - posting.size + 0.5) / (posting.size + 0.5));
+        for (const [docId, frequency] of posting) {
+          if (candidateScores && !candidateScores.has(docId)) continue;
+          const doc = documents[docId];
+          const norm = frequency + BM25_K1 * (1 - BM25_B + BM25_B * (doc.length / averageLength));
+          const score = weight * idf * ((frequency * (BM25_K1 + 1)) / norm);
+          tokenScores.set(docId, Math.max(tokenScores.get(docId) || 0, score));
+        }
+      }
+      if (tokenScores.size === 0) return new Map();
+      if (candidateScores) {
+        for (const [docId, score] of tokenScores) {
+          tokenScores.set(docId, score + candidateScores.get(docId));
+        }
+      }
+      candidateScores = tokenScores;
+    }
+    return candidateScores || new Map();
+  }
+
+  // Returns [{ record, filePath, score }] sorted by BM25 score (ties: newest first).
+  // Records that only contain the keyword as a substring ("error" in "TypeError")
+  // match too, as they did before the index, and rank after the token matches.
+  // options.files limits results to the given file paths.
+  function search(query, options = {}) {
+    const parsed = parseSearchQuery(query);
+    const substring = getSearchSubstring(query);
+    if (!substring || documentCount === 0) return [];
+    const allowedFiles = options.files instanceof Set ? options.files : null;
+
+    const scores = scoreTokens(parsed.tokens);
+    for (let docId = 0; docId < documents.length; docId += 1) {
+      const doc = documents[docId];
+      if (!doc || scores.has(docId)) continue;
+      if (getRecordSearchText(doc.record).includes(substring)) scores.set(docId, 0);
+    }
+
+    const results = [];
+    for (const [docId, score] of scores) {
+      const doc = documents[docId];
+      if (allowedFiles && !allowedFiles.has(doc.filePath)) continue;
+      if (parsed.phrases.length > 0) {
+        const text = getRecordSearchText(doc.record);
+        if (!parsed.phrases.every((phrase) => text.includes(phrase))) continue;
+      }
+      results.push({ record: doc.record, filePath: doc.filePath, score });
+    }
+    results.sort((left, right) => right.score - left.score
+      || String(right.record.ts || '').localeCompare(String(left.record.ts || '')));
+    return results;
+  }
+
+  function getStats() {
+    return {
+      documents: documentCount,
+      tokens: postings.size,
+      files: indexedFiles.size
+    };
+  }
+
   return {
     addRecord,
+    removeFiles,
+    hasFile,
     markDayLoaded,
     areDaysLoaded,
-    getCandidateFiles
+    getCandidateFiles,
+    search,
+    getStats
   };
 }
 
 module.exports = {
-  createMemoryArchiveIndex
+  CJK_CHAR_PATTERN,
+  MIN_PREFIX_EXPANSION_LENGTH,
+  createMemoryArchiveIndex,
+  getRecordSearchText,
+  getSearchSubstring,
+  tokenizeText,
+  parseSearchQuery
 };
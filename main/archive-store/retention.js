@@ -0,0 +1,177 @@
+const fs = require('fs');
+const path = require('path');
+const { normalizeArchiveRetention, isCwdPinned } = require('../../renderer/archive-retention');
+const { isDayStamp } = require('./shared');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const ARCHIVE_FILE_PATTERN = /\.(jsonl|cast|jsonl\.bad)$/;
+const UNIT_HEAD_BYTES = 16 * 1024;
+
+// A session's archive (`<day>/<sessionId>.jsonl`), its recording (`.cast`) and any
+// quarantined lines (`.jsonl.bad`) are kept or deleted together, so retention works on these per-session units.
+function scanArchiveUnits(archiveRootDir) {
+  if (!archiveRootDir || !fs.existsSync(archiveRootDir)) return [];
+  const units = new Map();
+  const dayStamps = fs.readdirSync(archiveRootDir, { withFileTypes: true })
+    .filter((item) => item.isDirectory() && isDayStamp(item.name))
+    .map((item) => item.name);
+
+  for (const day of dayStamps) {
+    const dayDir = path.join(archiveRootDir, day);
+    let names = [];
+    try {
+      names = fs.readdirSync(dayDir);
+    } catch (err) {
+      continue;
+    }
+    for (const name of names) {
+      if (!ARCHIVE_FILE_PATTERN.test(name)) continue;
+      const filePath = path.join(dayDir, name);
+      let stat;
+      try {
+        stat = fs.statSync(filePath);
+      } catch (err) {
+        continue;
+      }
+      if (!stat.isFile()) continue;
+      const sessionId = name.replace(ARCHIVE_FILE_PATTERN, '');
+      const key = `${day}/${sessionId}`;
+      if (!units.has(key)) {
+        units.set(key, { day, sessionId, files: [], size: 0, mtimeMs: 0 });
+      }
+      const unit = units.get(key);
+      unit.files.push(filePath);
+      unit.size += stat.size;
+      unit.mtimeMs = Math.max(unit.mtimeMs, stat.mtimeMs);
+    }
+  }
+  return [...units.values()];
+}
+
+// Sessions missing from the metadata fall back to the cwd of their first record.
+function readUnitCwd(unit) {
+  const filePath = (unit.files || []).find((item) => item.endsWith('.jsonl'));
+  if (!filePath) return '';
+  let fd;
+  try {
+    fd = fs.openSync(filePath, 'r');
+    const buffer = Buffer.alloc(UNIT_HEAD_BYTES);
+    const bytesRead = fs.readSync(fd, buffer, 0, UNIT_HEAD_BYTES, 0);
+    const firstLine = buffer.toString('utf8', 0, bytesRead).split('\n')[0];
+    const record = JSON.parse(firstLine);
+    return record && typeof record.cwd === 'string' ? record.cwd : '';
+  } catch (err) {
+    return '';
+  } finally {
+    if (fd !== undefined) fs.closeSync(fd);
+  }
+}
+
+// Decides which units to delete: first everything older than `days`, then the oldest
+// remaining units until the total fits under `maxSizeMb`. Pinned and protected
+// (currently open) sessions are never selected; they still count toward the total.
+function planArchiveRetention(units, options = {}) {
+  const policy = normalizeArchiveRetention(options.policy);
+  const now = Number.isFinite(options.now) ? options.now : Date.now();
+  const resolveCwd = typeof options.resolveCwd === 'function' ? options.resolveCwd : () => '';
+  const protectedSessionIds = options.protectedSessionIds instanceof Set ? options.protectedSessionIds : new Set();
+  const cutoff = now - policy.days * DAY_MS;
+
+  const removals = [];
+  const kept = [];
+  let pinnedUnits = 0;
+  for (const unit of units) {
+    if (protectedSessionIds.has(unit.sessionId)) {
+      kept.push(unit);
+      continue;
+    }
+    if (isCwdPinned(resolveCwd(unit.sessionId, unit), policy.pinnedCwds)) {
+      pinnedUnits += 1;
+      kept.push(unit);
+      continue;
+    }
+    const dayTs = new Date(`${unit.day}T00:00:00Z`).getTime();
+    if (Number.isFinite(dayTs) && dayTs < cutoff) {
+      removals.push({ ...unit, reason: 'age' });
+    } else {
+      kept.push({ ...unit, removable: true });
+    }
+  }
+
+  const totalBytes = units.reduce((sum, unit) => sum + unit.size, 0);
+  let remainingBytes = kept.reduce((sum, unit) => sum + unit.size, 0);
+  const capBytes = policy.maxSizeMb * 1024 * 1024;
+  if (capBytes > 0 && remainingBytes > capBytes) {
+    const candidates = kept
+      .filter((unit) => unit.removable)
+      .sort((a, b) => a.day.localeCompare(b.day) || a.mtimeMs - b.mtimeMs);
+    for (const unit of candidates) {
+      if (remainingBytes <= capBytes) break;
+      const { removable, ...rest } = unit;
+      removals.push({ ...rest, reason: 'size' });
+      remainingBytes -= unit.size;
+    }
+  }
+
+  return {
+    policy,
+    removals,
+    pinnedUnits,
+    totalBytes,
+    remainingBytes
+  };
+}
+
+// Deletes the planned units and any day directory left empty. Returns the units
+// that were actually removed.
+function removeArchiveUnits(archiveRootDir, removals) {
+  const removed = [];
+  const touchedDays = new Set();
+  for (const unit of removals) {
+    let ok = true;
+    for (const filePath of unit.files) {
+      try {
+        fs.rmSync(filePath, { force: true });
+      } catch (err) {
+        ok = false;
+        console.warn('[heartbeat-archive] Failed to remove archive file:', filePath, err.message);
+      }
+    }
+    touchedDays.add(unit.day);
+    if (ok) removed.push(unit);
+  }
+  for (const day of touchedDays) {
+    const dayDir = path.join(archiveRootDir, day);
+    try {
+      if (fs.readdirSync(dayDir).length === 0) fs.rmdirSync(dayDir);
+    } catch (err) {
+      // Left for the next run.
+    }
+  }
+  return removed;
+}
+
+function createRetentionReport(plan, removed, extra = {}) {
+  const removedBytes = removed.reduce((sum, unit) => sum + unit.size, 0);
+  return {
+    policy: plan.policy,
+    removedSessions: removed.map((unit) => unit.sessionId),
+    removedFiles: removed.reduce((sum, unit) => sum + unit.files.length, 0),
+    removedBytes,
+    removedByAge: removed.filter((unit) => unit.reason === 'age').length,
+    removedBySize: removed.filter((unit) => unit.reason === 'size').length,
+    pinnedSessions: plan.pinnedUnits,
+    totalBytesBefore: plan.totalBytes,
+    totalBytesAfter: plan.totalBytes - removedBytes,
+    prunedIndexEntries: 0,
+    ...extra
+  };
+}
+
+module.exports = {
+  scanArchiveUnits,
+  readUnitCwd,
+  planArchiveRetention,
+  removeArchiveUnits,
+  createRetentionReport
+};
@@ -0,0 +1,211 @@
+// Option normalization and session-meta merging shared by every archive driver, so
+// JSONL and SQLite answer the same query with the same semantics.
+
+// Work digests are archived next to session records but never describe a session
+// themselves, so session rebuilding and digest inputs skip them.
+const WORK_DIGEST_EVENT_TYPE = 'work_digest';
+
+// Only heartbeats and confirm prompts say how a session is going; the status written
+// with tab_closed / session_exit / app_shutdown is guessed from "会话结束" text.
+const SESSION_STATUS_EVENT_TYPES = ['heartbeat', 'confirm_prompt'];
+const SESSION_ACTIVITY_EVENT_TYPES = ['heartbeat', 'confirm_prompt', 'confirm_resolved'];
+
+function clampInteger(value, min, max, fallback) {
+  const n = Number(value);
+  if (!Number.isFinite(n)) return fallback;
+  return Math.min(max, Math.max(min, Math.round(n)));
+}
+
+function sanitizeLine(value, maxLength) {
+  return String(value || '')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .slice(0, maxLength);
+}
+
+function normalizeQueryMode(value) {
+  const mode = String(value || '').trim().toLowerCase();
+  return mode === 'legacy' ? 'legacy' : 'auto';
+}
+
+function isDayStamp(name) {
+  return /^\d{4}-\d{2}-\d{2}$/.test(name);
+}
+
+function normalizeDayStamp(value) {
+  const text = sanitizeLine(value, 10);
+  if (!isDayStamp(text)) return '';
+  return Number.isFinite(new Date(`${text}T00:00:00Z`).getTime()) ? text : '';
+}
+
+// Day directories whose UTC midnight falls within the last `days` days are in range.
+function isDayWithinDays(dayStamp, days, now = Date.now()) {
+  const ts = new Date(`${dayStamp}T00:00:00Z`).getTime();
+  return Number.isFinite(ts) && now - ts <= days * 24 * 60 * 60 * 1000;
+}
+
+function resolveQueryLimits(options = {}) {
+  const maxQueryDays = clampInteger(options.maxQueryDays, 1, 365, 90);
+  const maxQueryLimit = clampInteger(options.maxQueryLimit, 1, 5000, 200);
+  return {
+    maxQueryDays,
+    defaultQueryDays: clampInteger(options.defaultQueryDays, 1, maxQueryDays, 14),
+    maxQueryLimit,
+    defaultQueryLimit: clampInteger(options.defaultQueryLimit, 1, maxQueryLimit, 40)
+  };
+}
+
+function normalizeQueryOptions(options = {}, limits, resolveSessionIdByTab) {
+  const days = clampInteger(options.days, 1, limits.maxQueryDays, limits.defaultQueryDays);
+  const limit = clampInteger(options.limit, 1, limits.maxQueryLimit, limits.defaultQueryLimit);
+  const keyword = sanitizeLine(options.keyword, 120).toLowerCase();
+  const eventType = sanitizeLine(options.eventType, 40);
+  const tabId = sanitizeLine(options.tabId, 80);
+  const cwd = sanitizeLine(options.cwd, 280);
+  const queryMode = normalizeQueryMode(options.queryMode);
+  const sort = String(options.sort || '').trim().toLowerCase() === 'time' ? 'time' : 'relevance';
+  let sessionId = sanitizeLine(options.sessionId, 120);
+  if (!sessionId && tabId && typeof resolveSessionIdByTab === 'function') {
+    sessionId = sanitizeLine(resolveSessionIdByTab(tabId), 120);
+  }
+  return {
+    days,
+    limit,
+    keyword,
+    eventType,
+    tabId,
+    cwd,
+    sessionId,
+    queryMode,
+    sort
+  };
+}
+
+function normalizeSessionListOptions(options = {}, limits) {
+  let from = normalizeDayStamp(options.from);
+  let to = normalizeDayStamp(options.to);
+  if (from && to && from > to) {
+    [from, to] = [to, from];
+  }
+  return {
+    cwd: sanitizeLine(options.cwd, 640),
+    cli: sanitizeLine(options.cli, 40),
+    model: sanitizeLine(options.model, 80),
+    status: sanitizeLine(options.status, 40),
+    eventType: sanitizeLine(options.eventType, 40),
+    keyword: sanitizeLine(options.keyword, 120).toLowerCase(),
+    from,
+    to,
+    limit: clampInteger(options.limit, 1, limits.maxQueryLimit, limits.maxQueryLimit)
+  };
+}
+
+function toEpochMs(value, fallback) {
+  if (value === undefined || value === null || value === '') return fallback;
+  return new Date(value).getTime();
+}
+
+// `since` / `until` accept ISO strings or epoch ms; `until` defaults to now.
+// Returns ISO bounds (since inclusive, until exclusive) or null for an empty range.
+function normalizeRecordRange(options = {}) {
+  const since = toEpochMs(options.since, NaN);
+  const until = toEpochMs(options.until, Date.now());
+  if (!Number.isFinite(since) || !Number.isFinite(until) || since >= until) return null;
+  return {
+    since: new Date(since).toISOString(),
+    until: new Date(until).toISOString()
+  };
+}
+
+function mergeSessionMeta(existingMeta, payload = {}, nowIso = new Date().toISOString()) {
+  const existing = existingMeta && typeof existingMeta === 'object' ? existingMeta : {};
+  const sessionId = sanitizeLine(payload.sessionId, 120) || sanitizeLine(existing.sessionId, 120);
+  return {
+    sessionId,
+    tabId: sanitizeLine(payload.tabId, 80) || sanitizeLine(existing.tabId, 80) || '',
+    cwd: sanitizeLine(payload.cwd, 640) || sanitizeLine(existing.cwd, 640) || '',
+    isAiSession: payload.isAiSession !== undefined ? !!payload.isAiSession : !!existing.isAiSession,
+    cli: sanitizeLine(payload.cli, 40) || sanitizeLine(existing.cli, 40) || '',
+    provider: sanitizeLine(payload.provider, 40) || sanitizeLine(existing.provider, 40) || '',
+    model: sanitizeLine(payload.model, 80) || sanitizeLine(existing.model, 80) || '',
+    startedAt: sanitizeLine(payload.startedAt, 40) || sanitizeLine(existing.startedAt, 40) || nowIso,
+    endedAt: payload.endedAt !== undefined
+      ? (sanitizeLine(payload.endedAt, 40) || null)
+      : (existing.endedAt || null),
+    lastAt: sanitizeLine(payload.lastAt, 40) || sanitizeLine(existing.lastAt, 40) || nowIso,
+    eventCount: Math.max(0, Number(existing.eventCount) || 0) + (payload.incrementEventCount ? 1 : 0),
+    lastSummary: payload.lastSummary !== undefined
+      ? sanitizeLine(payload.lastSummary, 180)
+      : sanitizeLine(existing.lastSummary, 180),
+    lastAnalysis: payload.lastAnalysis !== undefined
+      ? sanitizeLine(payload.lastAnalysis, 280)
+      : sanitizeLine(existing.lastAnalysis, 280),
+    lastStatus: payload.lastStatus !== undefined
+      ? sanitizeLine(payload.lastStatus, 40)
+      : sanitizeLine(existing.lastStatus, 40),
+    archivePath: sanitizeLine(payload.archivePath, 360) || sanitizeLine(existing.archivePath, 360) || '',
+    recordingPath: sanitizeLine(payload.recordingPath, 360) || sanitizeLine(existing.recordingPath, 360) || ''
+  };
+}
+
+function createSessionActivity() {
+  return {
+    lastStatus: '',
+    confirmPrompts: 0,
+    confirmsResolved: 0,
+    confirmWaitMs: 0,
+    maxConfirmWaitMs: 0,
+    confirmOpenedAt: ''
+  };
+}
+
+// Folds one record of a session into its status and confirm waits. The work digest
+// and the analytics dashboard both go through here, so they report the same numbers.
+// Records must arrive in time order; a confirm_prompt pairs with the next
+// confirm_resolved, and a prompt redrawn while one is open counts as another prompt
+// but not as another wait. Returns the wait of a resolved prompt, otherwise null.
+function applySessionActivity(activity, record) {
+  if (SESSION_STATUS_EVENT_TYPES.includes(record.eventType) && record.status) {
+    activity.lastStatus = String(record.status);
+  }
+  if (record.eventType === 'confirm_prompt') {
+    activity.confirmPrompts += 1;
+    if (!activity.confirmOpenedAt) activity.confirmOpenedAt = record.ts;
+    return null;
+  }
+  if (record.eventType !== 'confirm_resolved' || !activity.confirmOpenedAt) return null;
+  const waitMs = Math.max(0, Date.parse(record.ts) - Date.parse(activity.confirmOpenedAt));
+  activity.confirmsResolved += 1;
+  activity.confirmWaitMs += waitMs;
+  activity.maxConfirmWaitMs = Math.max(activity.maxConfirmWaitMs, waitMs);
+  activity.confirmOpenedAt = '';
+  return waitMs;
+}
+
+function buildSummaryTimeline(records) {
+  return records
+    .slice(0, 24)
+    .reverse()
+    .map((record) => `[${record.ts}] ${record.status || '进行中'} ${record.summary || ''} ${record.analysis || ''}`)
+    .join('\n');
+}
+
+module.exports = {
+  WORK_DIGEST_EVENT_TYPE,
+  SESSION_STATUS_EVENT_TYPES,
+  SESSION_ACTIVITY_EVENT_TYPES,
+  clampInteger,
+  sanitizeLine,
+  normalizeQueryMode,
+  isDayStamp,
+  normalizeDayStamp,
+  isDayWithinDays,
+  resolveQueryLimits,
+  normalizeQueryOptions,
+  normalizeSessionListOptions,
+  normalizeRecordRange,
+  mergeSessionMeta,
+  createSessionActivity,
+  applySessionActivity,
+  buildSummaryTimeline
+};
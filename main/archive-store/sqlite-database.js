@@ -0,0 +1,108 @@
+// Thin adapter over the SQLite bindings we can load: better-sqlite3 (bundled with the
+// app and rebuilt for Electron by scripts/before-build.js) or Node's built-in
+// node:sqlite (Node 22.5+, so only when running the stores under plain Node; the
+// Node inside Electron 33 is older).
+// Both expose prepare/run/all/get with positional parameters, which is all we use.
+
+function loadBetterSqlite3() {
+  try {
+    return require('better-sqlite3');
+  } catch (err) {
+    return null;
+  }
+}
+
+function loadNodeSqlite() {
+  try {
+    return require('node:sqlite').DatabaseSync;
+  } catch (err) {
+    return null;
+  }
+}
+
+const SQLITE_DRIVERS = [
+  { name: 'better-sqlite3', load: loadBetterSqlite3 },
+  { name: 'node:sqlite', load: loadNodeSqlite }
+];
+
+// Loading the module proves little: better-sqlite3 loads without a native binding
+// built for this runtime (the app does not rebuild native modules) and only throws
+// when a database is opened. Each candidate therefore opens and closes an in-memory
+// database; the first one that works is used.
+function selectSqliteDriver(drivers = SQLITE_DRIVERS) {
+  for (const driver of drivers) {
+    const Database = driver.load();
+    if (!Database) continue;
+    try {
+      new Database(':memory:').close();
+      return { name: driver.name, Database };
+    } catch (err) {
+      console.warn(`[heartbeat-archive] SQLite driver ${driver.name} failed to open a database:`, err.message);
+    }
+  }
+  return null;
+}
+
+let selectedDriver;
+
+function getSqliteDriver() {
+  if (selectedDriver === undefined) selectedDriver = selectSqliteDriver();
+  return selectedDriver;
+}
+
+function detectSqliteDriver() {
+  const driver = getSqliteDriver();
+  return driver ? driver.name : '';
+}
+
+function isSqliteAvailable() {
+  return !!getSqliteDriver();
+}
+
+function openSqliteDatabase(filePath) {
+  const driver = getSqliteDriver();
+  if (!driver) {
+    throw new Error('SQLite 驱动不可用：需要 better-sqlite3 或 Node 22.5+ 内置的 node:sqlite');
+  }
+
+  const db = new driver.Database(filePath);
+  const statements = new Map();
+
+  function prepare(sql) {
+    let statement = statements.get(sql);
+    if (!statement) {
+      statement = db.prepare(sql);
+      statements.set(sql, statement);
+    }
+    return statement;
+  }
+
+  function transaction(fn) {
+    db.exec('BEGIN');
+    try {
+      const result = fn();
+      db.exec('COMMIT');
+      return result;
+    } catch (err) {
+      db.exec('ROLLBACK');
+      throw err;
+    }
+  }
+
+  return {
+    driverName: driver.name,
+    exec: (sql) => db.exec(sql),
+    run: (sql, params = []) => prepare(sql).run(...params),
+    get: (sql, params = []) => prepare(sql).get(...params),
+    all: (sql, params = []) => prepare(sql).all(...params),
+    transaction,
+    close: () => db.close()
+  };
+}
+
+module.exports = {
+  selectSqliteDriver,
+  detectSqliteDriver,
+  isSqliteAvailable,
+  openSqliteDatabase
+};
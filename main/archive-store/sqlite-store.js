@@ -0,0 +1,664 @@
+const fs = require('fs');
+const path = require('path');
+const { openSqliteDatabase } = require('./sqlite-database');
+const {
+  CJK_CHAR_PATTERN,
+  MIN_PREFIX_EXPANSION_LENGTH,
+  getRecordSearchText,
+  getSearchSubstring,
+  tokenizeText,
+  parseSearchQuery
+} = require('./memory-index');
+const { readJsonLines, listArchiveFilesByDays } = require('./jsonl-store');
+const {
+  sanitizeLine,
+  isDayStamp,
+  resolveQueryLimits,
+  normalizeQueryOptions,
+  normalizeSessionListOptions,
+  normalizeRecordRange,
+  mergeSessionMeta,
+  buildSummaryTimeline,
+  WORK_DIGEST_EVENT_TYPE,
+  SESSION_ACTIVITY_EVENT_TYPES
+} = require('./shared');
+const {
+  scanArchiveUnits,
+  readUnitCwd,
+  planArchiveRetention,
+  removeArchiveUnits,
+  createRetentionReport
+} = require('./retention');
+const { scanArchiveIntegrity } = require('./integrity');
+const { resolveAnalyticsRange, buildArchiveAnalytics } = require('./analytics');
+
+const SQLITE_SCHEMA_VERSION = 1;
+const DEFAULT_DATABASE_FILENAME = 'archive.sqlite';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const SCHEMA_SQL = `
+  CREATE TABLE IF NOT EXISTS records (
+    id INTEGER PRIMARY KEY,
+    ts TEXT NOT NULL,
+    day TEXT NOT NULL,
+    session_id TEXT NOT NULL DEFAULT '',
+    tab_id TEXT NOT NULL DEFAULT '',
+    cwd TEXT NOT NULL DEFAULT '',
+    event_type TEXT NOT NULL DEFAULT '',
+    status TEXT NOT NULL DEFAULT '',
+    summary TEXT NOT NULL DEFAULT '',
+    search_text TEXT NOT NULL DEFAULT '',
+    data TEXT NOT NULL
+  );
+  CREATE UNIQUE INDEX IF NOT EXISTS records_identity ON records(session_id, ts, event_type, summary);
+  CREATE INDEX IF NOT EXISTS records_session_ts ON records(session_id, ts);
+  CREATE INDEX IF NOT EXISTS records_tab_ts ON records(tab_id, ts);
+  CREATE INDEX IF NOT EXISTS records_event_ts ON records(event_type, ts);
+  CREATE INDEX IF NOT EXISTS records_day_ts ON records(day, ts);
+
+  CREATE TABLE IF NOT EXISTS sessions (
+    session_id TEXT PRIMARY KEY,
+    tab_id TEXT NOT NULL DEFAULT '',
+    cwd TEXT NOT NULL DEFAULT '',
+    is_ai_session INTEGER NOT NULL DEFAULT 0,
+    cli TEXT NOT NULL DEFAULT '',
+    provider TEXT NOT NULL DEFAULT '',
+    model TEXT NOT NULL DEFAULT '',
+    started_at TEXT NOT NULL DEFAULT '',
+    ended_at TEXT,
+    last_at TEXT NOT NULL DEFAULT '',
+    event_count INTEGER NOT NULL DEFAULT 0,
+    last_summary TEXT NOT NULL DEFAULT '',
+    last_analysis TEXT NOT NULL DEFAULT '',
+    last_status TEXT NOT NULL DEFAULT '',
+    archive_path TEXT NOT NULL DEFAULT '',
+    recording_path TEXT NOT NULL DEFAULT ''
+  );
+  CREATE INDEX IF NOT EXISTS sessions_last_at ON sessions(last_at);
+  CREATE INDEX IF NOT EXISTS sessions_cwd ON sessions(cwd);
+  CREATE INDEX IF NOT EXISTS sessions_cli ON sessions(cli);
+  CREATE INDEX IF NOT EXISTS sessions_model ON sessions(model);
+  CREATE INDEX IF NOT EXISTS sessions_status ON sessions(last_status);
+
+  CREATE TABLE IF NOT EXISTS imported_files (
+    path TEXT PRIMARY KEY,
+    size INTEGER NOT NULL,
+    mtime_ms REAL NOT NULL
+  );
+  CREATE TABLE IF NOT EXISTS meta (
+    key TEXT PRIMARY KEY,
+    value TEXT NOT NULL
+  );
+`;
+
+// Same token stream as the JSONL driver's in-memory index, stored space-separated so
+// FTS5 only has to split on spaces (underscores stay inside tokens).
+const FTS_SCHEMA_SQL = `
+  CREATE VIRTUAL TABLE IF NOT EXISTS records_fts USING fts5(tokens, tokenize = "unicode61 tokenchars '_'");
+`;
+
+const SESSION_COLUMNS = [
+  ['sessionId', 'session_id'],
+  ['tabId', 'tab_id'],
+  ['cwd', 'cwd'],
+  ['isAiSession', 'is_ai_session'],
+  ['cli', 'cli'],
+  ['provider', 'provider'],
+  ['model', 'model'],
+  ['startedAt', 'started_at'],
+  ['endedAt', 'ended_at'],
+  ['lastAt', 'last_at'],
+  ['eventCount', 'event_count'],
+  ['lastSummary', 'last_summary'],
+  ['lastAnalysis', 'last_analysis'],
+  ['lastStatus', 'last_status'],
+  ['archivePath', 'archive_path'],
+  ['recordingPath', 'recording_path']
+];
+
+function rowToSession(row) {
+  const session = {};
+  for (const [key, column] of SESSION_COLUMNS) {
+    session[key] = row[column];
+  }
+  session.isAiSession = !!session.isAiSession;
+  session.eventCount = Number(session.eventCount) || 0;
+  session.endedAt = session.endedAt || null;
+  return session;
+}
+
+function sessionToParams(session) {
+  return SESSION_COLUMNS.map(([key]) => {
+    const value = session[key];
+    if (key === 'isAiSession') return value ? 1 : 0;
+    if (key === 'endedAt') return value || null;
+    if (key === 'eventCount') return Number(value) || 0;
+    return String(value || '');
+  });
+}
+
+// First day stamp whose UTC midnight is within the last `days` days (matches
+// the JSONL driver's day-directory filter).
+function firstDayWithinDays(days, now = Date.now()) {
+  const cutoff = now - days * DAY_MS;
+  const cutoffDay = new Date(cutoff).toISOString().slice(0, 10);
+  const cutoffMidnight = new Date(`${cutoffDay}T00:00:00Z`).getTime();
+  return cutoffMidnight >= cutoff
+    ? cutoffDay
+    : new Date(cutoffMidnight + DAY_MS).toISOString().slice(0, 10);
+}
+
+function quoteFtsToken(token) {
+  return `"${token.replace(/"/g, '""')}"`;
+}
+
+function createSqliteStore(options = {}) {
+  const getArchiveRootDir = typeof options.getArchiveRootDir === 'function'
+    ? options.getArchiveRootDir
+    : () => String(options.archiveRootDir || '').trim();
+  const getDatabasePath = typeof options.getDatabasePath === 'function'
+    ? options.getDatabasePath
+    : () => {
+      const archiveRootDir = getArchiveRootDir();
+      return archiveRootDir ? path.join(archiveRootDir, DEFAULT_DATABASE_FILENAME) : '';
+    };
+  const resolveSessionIdByTab = typeof options.resolveSessionIdByTab === 'function'
+    ? options.resolveSessionIdByTab
+    : () => '';
+  const limits = resolveQueryLimits(options);
+
+  let db = null;
+  let ftsAvailable = false;
+
+  function getDatabase() {
+    if (db) return db;
+    const databasePath = getDatabasePath();
+    if (!databasePath) {
+      throw new Error('无法确定归档数据库路径');
+    }
+    fs.mkdirSync(path.dirname(databasePath), { recursive: true });
+    const opened = openSqliteDatabase(databasePath);
+    try {
+      opened.exec('PRAGMA journal_mode = WAL; PRAGMA synchronous = NORMAL;');
+      opened.exec(SCHEMA_SQL);
+      try {
+        opened.exec(FTS_SCHEMA_SQL);
+        ftsAvailable = true;
+      } catch (err) {
+        // SQLite builds without FTS5 fall back to substring matching.
+        ftsAvailable = false;
+      }
+      opened.run('INSERT OR REPLACE INTO meta(key, value) VALUES (?, ?)', ['schemaVersion', String(SQLITE_SCHEMA_VERSION)]);
+    } catch (err) {
+      opened.close();
+      throw err;
+    }
+    db = opened;
+    return db;
+  }
+
+  // `day` follows the JSONL day directory the record lives in (sessions keep the
+  // file of their first day), so day filters and retention agree with that driver.
+  function insertRecord(database, record, filePath = '') {
+    if (!record || typeof record !== 'object') return false;
+    const ts = sanitizeLine(record.ts, 40);
+    if (!ts) return false;
+    const dirName = filePath ? path.basename(path.dirname(filePath)) : '';
+    const searchText = getRecordSearchText(record);
+    const result = database.run(
+      `INSERT OR IGNORE INTO records
+        (ts, day, session_id, tab_id, cwd, event_type, status, summary, search_text, data)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        ts,
+        isDayStamp(dirName) ? dirName : ts.slice(0, 10),
+        String(record.sessionId || ''),
+        String(record.tabId || ''),
+        String(record.cwd || ''),
+        String(record.eventType || ''),
+        String(record.status || ''),
+        String(record.summary || ''),
+        searchText,
+        JSON.stringify(record)
+      ]
+    );
+    if (!result.changes) return false;
+    if (ftsAvailable) {
+      database.run('INSERT INTO records_fts(rowid, tokens) VALUES (?, ?)', [
+        Number(result.lastInsertRowid),
+        tokenizeText(searchText).join(' ')
+      ]);
+    }
+    return true;
+  }
+
+  function readSession(database, sessionId) {
+    const row = database.get('SELECT * FROM sessions WHERE session_id = ?', [sessionId]);
+    return row ? rowToSession(row) : null;
+  }
+
+  function writeSession(database, session) {
+    database.run(
+      `INSERT OR REPLACE INTO sessions (${SESSION_COLUMNS.map(([, column]) => column).join(', ')})
+        VALUES (${SESSION_COLUMNS.map(() => '?').join(', ')})`,
+      sessionToParams(session)
+    );
+  }
+
+  function upsertSessionMeta(payload = {}) {
+    const sessionId = sanitizeLine(payload.sessionId, 120);
+    if (!sessionId) return false;
+    const database = getDatabase();
+    return database.transaction(() => {
+      writeSession(database, mergeSessionMeta(readSession(database, sessionId), { ...payload, sessionId }));
+      return true;
+    });
+  }
+
+  function append(record, meta = {}) {
+    const database = getDatabase();
+    database.transaction(() => {
+      insertRecord(database, record, meta.filePath);
+      if (meta.sessionMeta && typeof meta.sessionMeta === 'object') {
+        const sessionId = sanitizeLine(meta.sessionMeta.sessionId, 120);
+        if (sessionId) {
+          writeSession(database, mergeSessionMeta(readSession(database, sessionId), { ...meta.sessionMeta, sessionId }));
+        }
+      }
+    });
+  }
+
+  function usesFullText(normalized) {
+    return !!normalized.keyword
+      && normalized.queryMode !== 'legacy'
+      && parseSearchQuery(normalized.keyword).tokens.length > 0;
+  }
+
+  // Builds the keyword part of the WHERE clause. Legacy queries and keywords without
+  // searchable tokens (`->`, `::`, `$?`) fall back to a substring match, like the
+  // JSONL driver's file scan. Full-text queries match the tokens or, like the memory
+  // index, the whole keyword as a substring ("error" in "TypeError").
+  function buildKeywordClause(normalized) {
+    if (!usesFullText(normalized)) {
+      return { match: '', conditions: ['instr(r.search_text, ?) > 0'], params: [normalized.keyword] };
+    }
+    const parsed = parseSearchQuery(normalized.keyword);
+
+    const ftsTerms = [];
+    const conditions = [];
+    const params = [];
+    for (const token of parsed.tokens) {
+      const isCjk = CJK_CHAR_PATTERN.test(token[0]);
+      if (!ftsAvailable || (isCjk && Array.from(token).length === 1)) {
+        conditions.push('instr(r.search_text, ?) > 0');
+        params.push(token);
+        continue;
+      }
+      const prefix = !isCjk && token.length >= MIN_PREFIX_EXPANSION_LENGTH ? '*' : '';
+      ftsTerms.push(`${quoteFtsToken(token)}${prefix}`);
+    }
+    for (const phrase of parsed.phrases) {
+      conditions.push('instr(r.search_text, ?) > 0');
+      params.push(phrase);
+    }
+    if (ftsTerms.length > 0) conditions.unshift('fts.fts_id IS NOT NULL');
+    return {
+      match: ftsTerms.join(' AND '),
+      conditions: [`((${conditions.join(' AND ')}) OR instr(r.search_text, ?) > 0)`],
+      params: [...params, getSearchSubstring(normalized.keyword)]
+    };
+  }
+
+  function query(options = {}) {
+    const startedAt = Date.now();
+    const normalized = normalizeQueryOptions(options, limits, resolveSessionIdByTab);
+    const useFullText = usesFullText(normalized);
+    const emptyResult = () => ({
+      records: [],
+      total: 0,
+      query: normalized,
+      stats: {
+        queryMode: normalized.queryMode,
+        filesScanned: 0,
+        usedIndex: true,
+        fullText: useFullText,
+        indexHits: 0,
+        elapsedMs: Date.now() - startedAt
+      }
+    });
+    if (!getDatabasePath()) {
+      const result = emptyResult();
+      return { ...result, stats: { ...result.stats, usedIndex: false } };
+    }
+
+    const database = getDatabase();
+    const conditions = [];
+    const params = [];
+    // Like the JSONL driver, a known session is returned whole regardless of `days`.
+    const knownSession = normalized.sessionId ? readSession(database, normalized.sessionId) : null;
+    if (!knownSession) {
+      conditions.push('r.day >= ?');
+      params.push(firstDayWithinDays(normalized.days));
+    }
+    if (normalized.sessionId) {
+      conditions.push('r.session_id = ?');
+      params.push(normalized.sessionId);
+    }
+    if (normalized.tabId) {
+      conditions.push('r.tab_id = ?');
+      params.push(normalized.tabId);
+    }
+    if (normalized.cwd) {
+      conditions.push('instr(r.cwd, ?) > 0');
+      params.push(normalized.cwd);
+    }
+    if (normalized.eventType) {
+      conditions.push('r.event_type = ?');
+      params.push(normalized.eventType);
+    }
+
+    let from = 'records r';
+    let orderBy = 'r.ts DESC';
+    if (normalized.keyword) {
+      const keywordClause = buildKeywordClause(normalized);
+      if (keywordClause.match) {
+        // Substring-only matches have no FTS row and rank after the scored ones.
+        from = `records r LEFT JOIN (
+          SELECT rowid AS fts_id, bm25(records_fts) AS fts_rank FROM records_fts WHERE records_fts MATCH ?
+        ) fts ON fts.fts_id = r.id`;
+        params.unshift(keywordClause.match);
+        if (normalized.sort !== 'time') {
+          orderBy = 'fts.fts_rank IS NULL, fts.fts_rank, r.ts DESC';
+        }
+      }
+      conditions.push(...keywordClause.conditions);
+      params.push(...keywordClause.params);
+    }
+
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    const total = Number(database.get(`SELECT COUNT(*) AS count FROM ${from} ${where}`, params).count) || 0;
+    const rows = total > 0
+      ? database.all(`SELECT r.data AS data FROM ${from} ${where} ORDER BY ${orderBy} LIMIT ?`, [...params, normalized.limit])
+      : [];
+    return {
+      records: rows.map((row) => JSON.parse(row.data)),
+      total,
+      query: normalized,
+      stats: {
+        queryMode: normalized.queryMode,
+        filesScanned: 0,
+        usedIndex: true,
+        fullText: useFullText,
+        indexHits: useFullText ? total : 0,
+        elapsedMs: Date.now() - startedAt
+      }
+    };
+  }
+
+  function listFacet(database, column) {
+    return database.all(
+      `SELECT ${column} AS value, COUNT(*) AS count FROM sessions
+        WHERE ${column} != '' GROUP BY ${column} ORDER BY count DESC, value ASC`
+    ).map((row) => ({ value: row.value, count: Number(row.count) }));
+  }
+
+  function listSessions(options = {}) {
+    const normalized = normalizeSessionListOptions(options, limits);
+    if (!getDatabasePath()) {
+      return { sessions: [], total: 0, query: normalized, facets: { cwds: [], clis: [], models: [], statuses: [] } };
+    }
+    const database = getDatabase();
+    const facets = {
+      cwds: listFacet(database, 'cwd'),
+      clis: listFacet(database, 'cli'),
+      models: listFacet(database, 'model'),
+      statuses: listFacet(database, 'last_status')
+    };
+
+    const conditions = [];
+    const params = [];
+    if (normalized.cwd) {
+      conditions.push('instr(s.cwd, ?) > 0');
+      params.push(normalized.cwd);
+    }
+    for (const [key, column] of [['cli', 'cli'], ['model', 'model'], ['status', 'last_status']]) {
+      if (!normalized[key]) continue;
+      conditions.push(`s.${column} = ?`);
+      params.push(normalized[key]);
+    }
+    if (normalized.from) {
+      conditions.push("substr(COALESCE(NULLIF(s.last_at, ''), s.started_at), 1, 10) >= ?");
+      params.push(normalized.from);
+    }
+    if (normalized.to) {
+      conditions.push("substr(COALESCE(NULLIF(s.started_at, ''), s.last_at), 1, 10) <= ?");
+      params.push(normalized.to);
+    }
+    if (normalized.keyword) {
+      conditions.push("instr(lower(s.last_summary || ' ' || s.last_analysis || ' ' || s.cwd), ?) > 0");
+      params.push(normalized.keyword);
+    }
+    if (normalized.eventType) {
+      conditions.push('EXISTS (SELECT 1 FROM records r WHERE r.session_id = s.session_id AND r.event_type = ?)');
+      params.push(normalized.eventType);
+    }
+
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    const total = Number(database.get(`SELECT COUNT(*) AS count FROM sessions s ${where}`, params).count) || 0;
+    const rows = database.all(
+      `SELECT s.* FROM sessions s ${where} ORDER BY s.last_at DESC LIMIT ?`,
+      [...params, normalized.limit]
+    );
+    return {
+      sessions: rows.map(rowToSession),
+      total,
+      query: normalized,
+      facets
+    };
+  }
+
+  function summarizeInput(options = {}) {
+    const result = query({ ...options, sort: 'time' });
+    return {
+      result,
+      timeline: buildSummaryTimeline(result.records),
+      stats: result.stats || null
+    };
+  }
+
+  function listRecordsInRange(options = {}) {
+    const range = normalizeRecordRange(options);
+    if (!range) return [];
+    return getDatabase()
+      .all('SELECT data FROM records WHERE ts >= ? AND ts < ? ORDER BY ts ASC, id ASC', [range.since, range.until])
+      .map((row) => JSON.parse(row.data));
+  }
+
+  function aggregate(options = {}) {
+    const range = resolveAnalyticsRange(options, limits, options.now);
+    if (!getDatabasePath()) {
+      return buildArchiveAnalytics({ range, sessions: [], activityRecords: [], dayActivity: [] });
+    }
+    const database = getDatabase();
+    const conditions = ['ts >= ?', 'ts < ?', 'event_type != ?'];
+    const params = [range.since, range.until, WORK_DIGEST_EVENT_TYPE];
+    if (range.cwd) {
+      conditions.push('instr(cwd, ?) > 0');
+      params.push(range.cwd);
+    }
+    const where = conditions.join(' AND ');
+    const dayActivity = database.all(
+      `SELECT substr(ts, 1, 10) AS day, COUNT(*) AS events, COUNT(DISTINCT session_id) AS sessions
+        FROM records WHERE ${where} GROUP BY day`,
+      params
+    );
+    const activityRecords = database.all(
+      `SELECT data FROM records WHERE ${where} AND event_type IN (${SESSION_ACTIVITY_EVENT_TYPES.map(() => '?').join(', ')})
+        ORDER BY ts ASC, id ASC`,
+      [...params, ...SESSION_ACTIVITY_EVENT_TYPES]
+    ).map((row) => JSON.parse(row.data));
+    const sessions = database.all(
+      "SELECT * FROM sessions WHERE COALESCE(NULLIF(started_at, ''), last_at) < ? AND COALESCE(NULLIF(last_at, ''), ended_at, started_at) >= ?",
+      [range.until, range.since]
+    ).map(rowToSession);
+    return buildArchiveAnalytics({ range, sessions, activityRecords, dayActivity });
+  }
+
+  // Imports JSONL day directories and index.json sessions. Files are tracked by
+  // size + mtime and records are de-duplicated, so re-running only picks up changes.
+  function importJsonlArchive() {
+    const archiveRootDir = getArchiveRootDir();
+    const summary = { files: 0, skippedFiles: 0, records: 0, sessions: 0 };
+    if (!archiveRootDir || !fs.existsSync(archiveRootDir)) return summary;
+    const database = getDatabase();
+
+    const dayStamps = fs.readdirSync(archiveRootDir, { withFileTypes: true })
+      .filter((item) => item.isDirectory() && isDayStamp(item.name))
+      .map((item) => item.name)
+      .sort();
+    for (const filePath of listArchiveFilesByDays(archiveRootDir, dayStamps)) {
+      let stat;
+      try {
+        stat = fs.statSync(filePath);
+      } catch (err) {
+        continue;
+      }
+      const relativePath = path.relative(archiveRootDir, filePath);
+      const previous = database.get('SELECT size, mtime_ms FROM imported_files WHERE path = ?', [relativePath]);
+      if (previous && Number(previous.size) === stat.size && Number(previous.mtime_ms) === stat.mtimeMs) {
+        summary.skippedFiles += 1;
+        continue;
+      }
+      const records = readJsonLines(filePath);
+      database.transaction(() => {
+        for (const record of records) {
+          if (insertRecord(database, record, filePath)) summary.records += 1;
+        }
+        database.run(
+          'INSERT OR REPLACE INTO imported_files(path, size, mtime_ms) VALUES (?, ?, ?)',
+          [relativePath, stat.size, stat.mtimeMs]
+        );
+      });
+      summary.files += 1;
+    }
+
+    const indexPath = path.join(archiveRootDir, 'index.json');
+    let sessions = {};
+    try {
+      const parsed = JSON.parse(fs.readFileSync(indexPath, 'utf8'));
+      sessions = parsed && parsed.sessions && typeof parsed.sessions === 'object' ? parsed.sessions : {};
+    } catch (err) {
+      sessions = {};
+    }
+    database.transaction(() => {
+      for (const raw of Object.values(sessions)) {
+        const sessionId = sanitizeLine(raw && raw.sessionId, 120);
+        // Rows already in SQLite are newer than index.json.
+        if (!sessionId || readSession(database, sessionId)) continue;
+        writeSession(database, mergeSessionMeta(raw, { sessionId }));
+        summary.sessions += 1;
+      }
+    });
+    database.run('INSERT OR REPLACE INTO meta(key, value) VALUES (?, ?)', ['jsonlImportedAt', new Date().toISOString()]);
+    return summary;
+  }
+
+  function deleteRecords(database, whereSql, params) {
+    if (ftsAvailable) {
+      database.run(`DELETE FROM records_fts WHERE rowid IN (SELECT id FROM records WHERE ${whereSql})`, params);
+    }
+    database.run(`DELETE FROM records WHERE ${whereSql}`, params);
+  }
+
+  // Same file-level retention as the JSONL driver; rows for removed files and
+  // sessions whose archive file is gone are deleted in one transaction.
+  function applyRetention(policy, options = {}) {
+    const archiveRootDir = getArchiveRootDir();
+    const units = scanArchiveUnits(archiveRootDir);
+    const database = archiveRootDir ? getDatabase() : null;
+    const plan = planArchiveRetention(units, {
+      policy,
+      now: options.now,
+      protectedSessionIds: options.protectedSessionIds,
+      resolveCwd: (sessionId, unit) => {
+        const session = database ? readSession(database, sessionId) : null;
+        return (session && session.cwd) || readUnitCwd(unit);
+      }
+    });
+    const removed = removeArchiveUnits(archiveRootDir, plan.removals);
+    if (!database) return createRetentionReport(plan, removed);
+
+    let prunedIndexEntries = 0;
+    database.transaction(() => {
+      for (const unit of removed) {
+        deleteRecords(database, 'session_id = ? AND day = ?', [unit.sessionId, unit.day]);
+        for (const filePath of unit.files) {
+          database.run('DELETE FROM imported_files WHERE path = ?', [path.relative(archiveRootDir, filePath)]);
+        }
+      }
+      const sessions = database.all("SELECT session_id, archive_path FROM sessions WHERE archive_path != ''");
+      for (const row of sessions) {
+        if (fs.existsSync(path.join(archiveRootDir, row.archive_path))) continue;
+        deleteRecords(database, 'session_id = ?', [row.session_id]);
+        database.run('DELETE FROM sessions WHERE session_id = ?', [row.session_id]);
+        prunedIndexEntries += 1;
+      }
+    });
+    return createRetentionReport(plan, removed, { prunedIndexEntries });
+  }
+
+  // Quarantines corrupt JSONL lines like the JSONL driver, replaces the sessions
+  // table with metadata rebuilt from the records and re-imports rewritten files.
+  function verifyAndRepair(options = {}) {
+    const archiveRootDir = getArchiveRootDir();
+    const database = archiveRootDir ? getDatabase() : null;
+    const existingSessions = {};
+    if (database) {
+      for (const row of database.all('SELECT * FROM sessions')) {
+        const session = rowToSession(row);
+        existingSessions[session.sessionId] = session;
+      }
+    }
+    const { report, sessions } = scanArchiveIntegrity(archiveRootDir, {
+      repair: options.repair !== false,
+      existingSessions,
+      protectedSessionIds: options.protectedSessionIds
+    });
+    report.indexRecovered = false;
+    if (report.repaired && database) {
+      database.transaction(() => {
+        database.run('DELETE FROM sessions');
+        for (const session of Object.values(sessions)) {
+          writeSession(database, session);
+        }
+      });
+      importJsonlArchive();
+    }
+    return report;
+  }
+
+  function close() {
+    if (!db) return;
+    db.close();
+    db = null;
+  }
+
+  return {
+    append,
+    upsertSessionMeta,
+    query,
+    listSessions,
+    summarizeInput,
+    listRecordsInRange,
+    aggregate,
+    importJsonlArchive,
+    applyRetention,
+    verifyAndRepair,
+    close
+  };
+}
+
+module.exports = {
+  SQLITE_SCHEMA_VERSION,
+  createSqliteStore
+};
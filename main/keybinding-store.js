@@ -0,0 +1,106 @@
+const fs = require('fs');
+const path = require('path');
+const { resolveKeybindings, createKeybindingsTemplate } = require('../renderer/keybindings');
+const { getDefaultAccelerator } = require('../renderer/command-registry');
+
+const DEFAULT_WATCH_INTERVAL_MS = 1000;
+
+function createKeybindingStore(options = {}) {
+  const getFilePath = typeof options.getFilePath === 'function' ? options.getFilePath : () => '';
+  const platform = String(options.platform || process.platform);
+  // Defaults are resolved for this platform once, so everything below sees one accelerator.
+  const commands = (Array.isArray(options.commands) ? options.commands : [])
+    .map((command) => ({ ...command, accelerator: getDefaultAccelerator(command, platform) }));
+  const onChange = typeof options.onChange === 'function' ? options.onChange : () => {};
+  const watchIntervalMs = Number(options.watchIntervalMs) || DEFAULT_WATCH_INTERVAL_MS;
+
+  let state = {
+    ...resolveKeybindings({}, { platform, commands }),
+    exists: false
+  };
+  let watchedPath = '';
+
+  function readUserKeybindings(filePath) {
+    if (!filePath || !fs.existsSync(filePath)) {
+      return { raw: {}, exists: false, parseError: '' };
+    }
+    try {
+      const text = fs.readFileSync(filePath, 'utf8');
+      return { raw: text.trim() ? JSON.parse(text) : {}, exists: true, parseError: '' };
+    } catch (err) {
+      return { raw: null, exists: true, parseError: err.message };
+    }
+  }
+
+  // A file that fails to parse (e.g. saved mid-edit) keeps the previous bindings.
+  function load() {
+    const { raw, exists, parseError } = readUserKeybindings(getFilePath());
+    if (parseError) {
+      state = {
+        ...state,
+        exists,
+        errors: [`keybindings.json 解析失败，继续使用上一次的配置：${parseError}`],
+        conflicts: []
+      };
+      return state;
+    }
+    state = {
+      ...resolveKeybindings(raw, { platform, commands }),
+      exists
+    };
+    return state;
+  }
+
+  function getState() {
+    return state;
+  }
+
+  function getAccelerator(commandId) {
+    return state.commandAccelerators[commandId] || '';
+  }
+
+  function ensureFile() {
+    const filePath = getFilePath();
+    if (!filePath) {
+      throw new Error('无法确定快捷键配置路径');
+    }
+    if (!fs.existsSync(filePath)) {
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
+      const tempPath = `${filePath}.tmp`;
+      fs.writeFileSync(tempPath, `${JSON.stringify(createKeybindingsTemplate(commands), null, 2)}\n`, 'utf8');
+      fs.renameSync(tempPath, filePath);
+    }
+    return filePath;
+  }
+
+  // fs.watchFile polls, which survives editors that save by replacing the file.
+  function watch() {
+    const filePath = getFilePath();
+    if (!filePath || watchedPath === filePath) return;
+    unwatch();
+    watchedPath = filePath;
+    fs.watchFile(filePath, { interval: watchIntervalMs }, (current, previous) => {
+      if (current.mtimeMs === previous.mtimeMs && current.size === previous.size) return;
+      onChange(load());
+    });
+  }
+
+  function unwatch() {
+    if (!watchedPath) return;
+    fs.unwatchFile(watchedPath);
+    watchedPath = '';
+  }
+
+  return {
+    load,
+    getState,
+    getAccelerator,
+    ensureFile,
+    watch,
+    unwatch
+  };
+}
+
+module.exports = {
+  createKeybindingStore
+};
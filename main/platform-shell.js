@@ -74,53 +74,175 @@ function buildWindowsCandidates(env, preferredShell) {
 }
 
 function basenameLower(shell) {
-  return path.basename(String(shell || '')).toLowerCase();
+  return path.basename(String(shell || '').replace(/\\/g, '/')).toLowerCase();
+}
+
+// '' is the default login shell; 'nologin' starts an interactive non-login shell;
+// 'fast' skips user rc files where the shell allows it.
+const SHELL_MODES = ['', 'nologin', 'fast'];
+
+function normalizeShellMode(value) {
+  const mode = sanitizeShellMode(value);
+  return SHELL_MODES.includes(mode) ? mode : '';
+}
+
+// Shells that can be picked by name. Absolute paths are probed first, then PATH.
+const SHELL_PRESETS = [
+  { id: 'zsh', label: 'zsh', unix: ['/bin/zsh', '/usr/bin/zsh', '/opt/homebrew/bin/zsh', '/usr/local/bin/zsh', 'zsh'], win32: [] },
+  { id: 'bash', label: 'bash', unix: ['/bin/bash', '/usr/bin/bash', '/opt/homebrew/bin/bash', '/usr/local/bin/bash', 'bash'], win32: ['bash.exe'] },
+  { id: 'fish', label: 'fish', unix: ['/opt/homebrew/bin/fish', '/usr/local/bin/fish', '/usr/bin/fish', 'fish'], win32: ['fish.exe'] },
+  { id: 'nu', label: 'Nushell', unix: ['/opt/homebrew/bin/nu', '/usr/local/bin/nu', '/usr/bin/nu', 'nu'], win32: ['nu.exe'] },
+  { id: 'pwsh', label: 'PowerShell 7', unix: ['/opt/homebrew/bin/pwsh', '/usr/local/bin/pwsh', '/usr/bin/pwsh', 'pwsh'], win32: ['pwsh.exe'] },
+  { id: 'powershell', label: 'Windows PowerShell', unix: [], win32: ['powershell.exe'] },
+  { id: 'cmd', label: '命令提示符', unix: [], win32: ['cmd.exe'] }
+];
+
+const WSL_SHELL_PREFIX = 'wsl:';
+
+const SHELL_ARG_SETS = {
+  zsh: { login: ['-l'], nologin: ['-i'], fast: ['-f'] },
+  bash: { login: ['-l'], nologin: ['-i'], fast: ['--noprofile', '--norc'] },
+  fish: { login: ['-l'], nologin: ['-i'], fast: ['--no-config'] },
+  nu: { login: ['-l'], nologin: [], fast: ['--no-config-file'] },
+  pwsh: { login: ['-Login', '-NoLogo'], nologin: ['-NoLogo'], fast: ['-NoLogo', '-NoProfile'] },
+  cmd: { login: [], nologin: [], fast: ['/Q'] }
+};
+
+function getShellFamily(shell) {
+  const lower = basenameLower(shell).replace(/\.exe$/, '');
+  if (lower === 'powershell' || lower === 'pwsh') return 'pwsh';
+  if (lower === 'nushell') return 'nu';
+  return lower;
 }
 
 function buildShellArgs(shell, platform, shellMode) {
-  const mode = sanitizeShellMode(shellMode);
-  const lower = basenameLower(shell);
-  const fastMode = mode === 'fast';
+  const mode = normalizeShellMode(shellMode);
+  const family = getShellFamily(shell);
+  const argSet = SHELL_ARG_SETS[family];
+  const key = mode || 'login';
 
   if (platform === 'win32') {
-    if (lower === 'cmd' || lower === 'cmd.exe') {
-      return fastMode ? ['/Q'] : [];
-    }
+    if (!argSet) return [];
+    // -Login is only meaningful for pwsh on macOS/Linux.
+    if (family === 'pwsh' && key === 'login') return ['-NoLogo'];
+    return argSet[key].slice();
+  }
 
-    if (lower === 'powershell' || lower === 'powershell.exe' || lower === 'pwsh' || lower === 'pwsh.exe') {
-      return fastMode ? ['-NoLogo', '-NoProfile'] : ['-NoLogo'];
-    }
-    return [];
+  if (argSet) {
+    return argSet[key].slice();
+  }
+  return key === 'nologin' ? [] : ['-l'];
+}
+
+function getPathDirs(env, platform) {
+  const raw = String(env.PATH || env.Path || '');
+  return raw.split(platform === 'win32' ? ';' : ':').map((item) => item.trim()).filter(Boolean);
+}
+
+function findShellExecutable(name, options = {}) {
+  const shell = normalizeCandidate(name);
+  if (!shell) return '';
+  if (isPathLikeShell(shell)) {
+    return canUseShellPath(shell) ? shell : '';
+  }
+  const platform = String(options.platform || process.platform);
+  const env = options.env && typeof options.env === 'object' ? options.env : process.env;
+  for (const dir of getPathDirs(env, platform)) {
+    const candidate = path.join(dir, shell);
+    if (canUseShellPath(candidate)) return candidate;
+  }
+  return '';
+}
+
+function findWslExecutable(env, platform) {
+  const systemRoot = String(env.SystemRoot || env.SYSTEMROOT || '').trim();
+  if (systemRoot) {
+    const bundled = findShellExecutable(path.join(systemRoot, 'System32', 'wsl.exe'), { env, platform });
+    if (bundled) return bundled;
+  }
+  return findShellExecutable('wsl.exe', { env, platform });
+}
+
+// `selection` is what the user picked: a preset id, `wsl:<distro>`, or a shell path/command.
+function resolveShellSelection(selection, options = {}) {
+  const choice = normalizeCandidate(selection);
+  if (!choice) return null;
+  const platform = String(options.platform || process.platform);
+  const env = options.env && typeof options.env === 'object' ? options.env : process.env;
+
+  if (choice.toLowerCase().startsWith(WSL_SHELL_PREFIX)) {
+    const distro = choice.slice(WSL_SHELL_PREFIX.length).trim();
+    const wslPath = platform === 'win32' && distro ? findWslExecutable(env, platform) : '';
+    return wslPath ? { shell: wslPath, wslDistro: distro } : { shell: '' };
+  }
+
+  const preset = SHELL_PRESETS.find((item) => item.id === choice.toLowerCase());
+  const names = preset ? preset[platform === 'win32' ? 'win32' : 'unix'] : [choice];
+  for (const name of names) {
+    const found = findShellExecutable(name, { env, platform });
+    if (found) return { shell: found, wslDistro: '' };
   }
+  return { shell: '' };
+}
 
-  if (!fastMode) {
-    return ['-l'];
+// Lists preset shells that exist on this machine plus any detected WSL distributions.
+function listAvailableShells(options = {}) {
+  const platform = String(options.platform || process.platform);
+  const env = options.env && typeof options.env === 'object' ? options.env : process.env;
+  const shells = [];
+  for (const preset of SHELL_PRESETS) {
+    const resolved = resolveShellSelection(preset.id, { platform, env });
+    if (resolved && resolved.shell) {
+      shells.push({ id: preset.id, label: preset.label, path: resolved.shell });
+    }
+  }
+  if (platform === 'win32') {
+    const wslPath = findWslExecutable(env, platform);
+    for (const distro of Array.isArray(options.wslDistros) ? options.wslDistros : []) {
+      if (!wslPath) break;
+      shells.push({ id: `${WSL_SHELL_PREFIX}${distro}`, label: `WSL · ${distro}`, path: wslPath });
+    }
   }
+  return shells;
+}
 
-  if (lower === 'zsh' || lower === 'zsh.exe') {
-    return ['-f'];
+// `wsl.exe -l -q` prints UTF-16LE on most Windows builds.
+function parseWslDistroList(output) {
+  let text = '';
+  if (Buffer.isBuffer(output)) {
+    text = output.includes(0) ? output.toString('utf16le') : output.toString('utf8');
+  } else {
+    text = String(output || '');
   }
-  if (lower === 'bash' || lower === 'bash.exe') {
-    return ['--noprofile', '--norc'];
+  const distros = [];
+  for (const rawLine of text.replace(/\u0000/g, '').replace(/^\uFEFF/, '').split(/\r?\n/)) {
+    const line = rawLine.trim();
+    if (line && !distros.includes(line)) {
+      distros.push(line);
+    }
   }
-  return ['-l'];
+  return distros;
 }
 
 function resolveShellLaunch(options = {}) {
   const platform = String(options.platform || process.platform);
   const env = options.env && typeof options.env === 'object' ? options.env : process.env;
   const preferredShell = normalizeCandidate(options.preferredShell);
-  const shellMode = sanitizeShellMode(options.shellMode);
+  const shellMode = normalizeShellMode(options.shellMode);
+  const requestedShell = normalizeCandidate(options.shell);
+  const selection = resolveShellSelection(requestedShell, { platform, env });
+
+  let chosen = null;
+  if (selection && selection.shell) {
+    chosen = { shell: selection.shell, source: 'selected_shell' };
+  }
+
   const candidates = platform === 'win32'
     ? buildWindowsCandidates(env, preferredShell)
     : buildUnixCandidates(platform, env, preferredShell);
 
-  let chosen = null;
-  for (const candidate of candidates) {
-    if (canUseShellPath(candidate.shell)) {
-      chosen = candidate;
-      break;
-    }
+  if (!chosen) {
+    chosen = candidates.find((candidate) => canUseShellPath(candidate.shell)) || null;
   }
 
   if (!chosen) {
@@ -130,20 +252,39 @@ function resolveShellLaunch(options = {}) {
     };
   }
 
-  const args = buildShellArgs(chosen.shell, platform, shellMode);
+  // WSL starts the distribution's own default shell, so shell modes do not apply.
+  const args = selection && selection.wslDistro && chosen.source === 'selected_shell'
+    ? ['-d', selection.wslDistro]
+    : buildShellArgs(chosen.shell, platform, shellMode);
+  let fallbackReason = '';
+  if (chosen.source === 'emergency_fallback') {
+    fallbackReason = 'no_usable_shell_candidate';
+  } else if (requestedShell && chosen.source !== 'selected_shell') {
+    fallbackReason = 'selected_shell_unavailable';
+  }
   return {
     shell: chosen.shell,
     args,
     envPatch: {},
     platform,
     shellMode: shellMode || '',
+    requestedShell,
     resolvedFrom: chosen.source,
-    isFallback: chosen.source !== 'preferred_shell' && chosen.source !== 'env_shell',
-    fallbackReason: chosen.source === 'emergency_fallback' ? 'no_usable_shell_candidate' : ''
+    isFallback: !['selected_shell', 'preferred_shell', 'env_shell'].includes(chosen.source) || !!fallbackReason,
+    fallbackReason
   };
 }
 
 module.exports = {
+  SHELL_MODES,
+  SHELL_PRESETS,
+  WSL_SHELL_PREFIX,
+  buildShellArgs,
+  findShellExecutable,
+  listAvailableShells,
+  normalizeShellMode,
+  parseWslDistroList,
   resolveShellLaunch,
+  resolveShellSelection,
   sanitizeShellMode
 };
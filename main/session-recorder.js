@@ -0,0 +1,144 @@
+const fs = require('fs');
+
+// Writes raw PTY output as an asciicast v2 file:
+//   line 1: header object { version: 2, width, height, timestamp, ... }
+//   line N: event array [elapsedSeconds, code, data] with code 'o' (output) or 'r' (resize "COLSxROWS").
+const ASCIICAST_VERSION = 2;
+const DEFAULT_FLUSH_INTERVAL_MS = 200;
+const DEFAULT_MAX_PENDING_CHARS = 64 * 1024;
+const DEFAULT_MAX_FILE_BYTES = 200 * 1024 * 1024;
+
+function clampInteger(value, min, max, fallback) {
+  const n = Number(value);
+  if (!Number.isFinite(n)) return fallback;
+  return Math.min(max, Math.max(min, Math.round(n)));
+}
+
+function buildAsciicastHeader(options = {}) {
+  const startedAtMs = Number.isFinite(options.startedAtMs) ? options.startedAtMs : Date.now();
+  const header = {
+    version: ASCIICAST_VERSION,
+    width: clampInteger(options.cols, 1, 1000, 80),
+    height: clampInteger(options.rows, 1, 1000, 24),
+    timestamp: Math.floor(startedAtMs / 1000)
+  };
+  const title = String(options.title || '').trim();
+  if (title) header.title = title.slice(0, 160);
+  const env = options.env && typeof options.env === 'object' ? options.env : {};
+  const shell = String(env.SHELL || '').trim();
+  const term = String(env.TERM || '').trim();
+  if (shell || term) {
+    header.env = {};
+    if (shell) header.env.SHELL = shell;
+    if (term) header.env.TERM = term;
+  }
+  return header;
+}
+
+function formatAsciicastEvent(elapsedMs, code, data) {
+  const seconds = Math.max(0, Number(elapsedMs) || 0) / 1000;
+  return `${JSON.stringify([Number(seconds.toFixed(6)), code, String(data)])}\n`;
+}
+
+function createSessionRecorder(options = {}) {
+  const filePath = String(options.filePath || '').trim();
+  if (!filePath) {
+    throw new Error('Session recorder requires a filePath');
+  }
+
+  const now = typeof options.now === 'function' ? options.now : Date.now;
+  const startedAtMs = now();
+  const flushIntervalMs = clampInteger(options.flushIntervalMs, 0, 10000, DEFAULT_FLUSH_INTERVAL_MS);
+  const maxPendingChars = clampInteger(options.maxPendingChars, 1, 16 * 1024 * 1024, DEFAULT_MAX_PENDING_CHARS);
+  const maxFileBytes = clampInteger(options.maxFileBytes, 1024, Number.MAX_SAFE_INTEGER, DEFAULT_MAX_FILE_BYTES);
+
+  let pending = '';
+  let flushTimer = null;
+  let closed = false;
+  let truncated = false;
+  let bytesWritten = 0;
+
+  const headerLine = `${JSON.stringify(buildAsciicastHeader({ ...options, startedAtMs }))}\n`;
+  fs.writeFileSync(filePath, headerLine, 'utf8');
+  bytesWritten = Buffer.byteLength(headerLine, 'utf8');
+
+  function flush() {
+    if (flushTimer) {
+      clearTimeout(flushTimer);
+      flushTimer = null;
+    }
+    if (!pending) return true;
+    const chunk = pending;
+    pending = '';
+    try {
+      fs.appendFileSync(filePath, chunk, 'utf8');
+      bytesWritten += Buffer.byteLength(chunk, 'utf8');
+      return true;
+    } catch (err) {
+      console.warn('[session-recorder] Failed to append events:', err.message);
+      return false;
+    }
+  }
+
+  function scheduleFlush() {
+    if (pending.length >= maxPendingChars || flushIntervalMs === 0) {
+      flush();
+      return;
+    }
+    if (flushTimer) return;
+    flushTimer = setTimeout(flush, flushIntervalMs);
+    if (flushTimer && typeof flushTimer.unref === 'function') {
+      flushTimer.unref();
+    }
+  }
+
+  function pushEvent(code, data) {
+    if (closed || truncated) return false;
+    const line = formatAsciicastEvent(now() - startedAtMs, code, data);
+    if (bytesWritten + pending.length + line.length > maxFileBytes) {
+      truncated = true;
+      pending += formatAsciicastEvent(now() - startedAtMs, 'o', '\r\n[recording stopped: size limit reached]\r\n');
+      flush();
+      return false;
+    }
+    pending += line;
+    scheduleFlush();
+    return true;
+  }
+
+  function writeOutput(data) {
+    const text = String(data || '');
+    if (!text) return false;
+    return pushEvent('o', text);
+  }
+
+  function writeResize(cols, rows) {
+    const width = clampInteger(cols, 1, 1000, 0);
+    const height = clampInteger(rows, 1, 1000, 0);
+    if (!width || !height) return false;
+    return pushEvent('r', `${width}x${height}`);
+  }
+
+  function close() {
+    if (closed) return;
+    flush();
+    closed = true;
+  }
+
+  return {
+    filePath,
+    writeOutput,
+    writeResize,
+    flush,
+    close,
+    isClosed: () => closed,
+    isTruncated: () => truncated
+  };
+}
+
+module.exports = {
+  ASCIICAST_VERSION,
+  buildAsciicastHeader,
+  formatAsciicastEvent,
+  createSessionRecorder
+};
@@ -0,0 +1,308 @@
+const {
+  WORK_DIGEST_EVENT_TYPE,
+  sanitizeLine,
+  createSessionActivity,
+  applySessionActivity
+} = require('./archive-store/shared');
+const { normalizeWorkDigestFrequency, formatDigestDuration, getWorkDigestLabel } = require('../renderer/work-digest-utils');
+
+const SESSION_END_EVENT_TYPES = new Set(['tab_closed', 'session_exit', 'app_shutdown']);
+const MAX_SESSION_HIGHLIGHTS = 3;
+const DIGEST_PROMPT_MAX_CHARS = 6000;
+const ERROR_STATUS = '异常';
+
+// Text of the session overview sent to the model and of the local fallback digest,
+// in the analysis output language ('zh' | 'en' | 'ja').
+const DIGEST_TEXT = {
+  zh: {
+    noConfirms: '无确认请求',
+    confirms: (count) => `确认请求 ${count} 次`,
+    averageWait: (duration) => `，平均等待 ${duration}`,
+    pending: (count) => `，${count} 次未响应`,
+    terminalSession: '终端会话',
+    states: { running: '进行中', endedInError: '以异常结束', ended: '已结束', error: '当前异常' },
+    noHighlights: '无心跳摘要',
+    session: (name, state, confirms, highlights) => `- ${name}（${state}，${confirms}）：${highlights}`,
+    header: (label, since, until) => `${label}，时间范围（UTC）：${since} — ${until}`,
+    totals: (totals, confirms) => `共 ${totals.projects} 个项目、${totals.sessions} 个会话，${totals.errorSessions} 个以异常结束，${confirms}`,
+    project: (project, confirms) => `项目 ${project.cwd}：${project.sessions.length} 个会话，${project.errorSessions} 个以异常结束，${confirms}`,
+    truncated: '……（其余内容已省略）',
+    emptySummary: '该时间段内没有 AI 会话活动',
+    emptyAnalysis: '没有可汇总的心跳或确认记录。',
+    summary: (totals) => `${totals.projects} 个项目共 ${totals.sessions} 个会话`
+      + (totals.errorSessions > 0 ? `，${totals.errorSessions} 个会话以异常结束` : ''),
+    analysis: (confirms, hasErrors) => `${confirms}。${hasErrors ? '建议优先复查以异常结束的会话。' : '各会话未出现以异常结束的情况。'}`,
+    listSeparator: '；'
+  },
+  en: {
+    noConfirms: 'no confirmation requests',
+    confirms: (count) => `${count} confirmation request${count === 1 ? '' : 's'}`,
+    averageWait: (duration) => `, average wait ${duration}`,
+    pending: (count) => `, ${count} unanswered`,
+    terminalSession: 'terminal session',
+    states: { running: 'running', endedInError: 'ended with an error', ended: 'ended', error: 'currently failing' },
+    noHighlights: 'no heartbeat summaries',
+    session: (name, state, confirms, highlights) => `- ${name} (${state}, ${confirms}): ${highlights}`,
+    header: (label, since, until) => `${label}, period (UTC): ${since} — ${until}`,
+    totals: (totals, confirms) => `${totals.projects} projects, ${totals.sessions} sessions, ${totals.errorSessions} ended with an error, ${confirms}`,
+    project: (project, confirms) => `Project ${project.cwd}: ${project.sessions.length} sessions, ${project.errorSessions} ended with an error, ${confirms}`,
+    truncated: '... (rest omitted)',
+    emptySummary: 'No AI session activity in this period',
+    emptyAnalysis: 'There are no heartbeats or confirmations to summarize.',
+    summary: (totals) => `${totals.sessions} sessions across ${totals.projects} projects`
+      + (totals.errorSessions > 0 ? `, ${totals.errorSessions} ended with an error` : ''),
+    analysis: (confirms, hasErrors) => `${confirms.charAt(0).toUpperCase()}${confirms.slice(1)}. ${hasErrors ? 'Review the sessions that ended with an error first.' : 'No session ended with an error.'}`,
+    listSeparator: '; '
+  },
+  ja: {
+    noConfirms: '確認リクエストなし',
+    confirms: (count) => `確認リクエスト ${count} 回`,
+    averageWait: (duration) => `、平均待ち時間 ${duration}`,
+    pending: (count) => `、${count} 回未応答`,
+    terminalSession: 'ターミナルセッション',
+    states: { running: '進行中', endedInError: '異常で終了', ended: '終了', error: '現在異常' },
+    noHighlights: 'ハートビート要約なし',
+    session: (name, state, confirms, highlights) => `- ${name}（${state}、${confirms}）：${highlights}`,
+    header: (label, since, until) => `${label}、期間（UTC）：${since} — ${until}`,
+    totals: (totals, confirms) => `${totals.projects} プロジェクト、${totals.sessions} セッション、うち ${totals.errorSessions} 件が異常で終了、${confirms}`,
+    project: (project, confirms) => `プロジェクト ${project.cwd}：${project.sessions.length} セッション、うち ${project.errorSessions} 件が異常で終了、${confirms}`,
+    truncated: '……（以下省略）',
+    emptySummary: 'この期間に AI セッションの活動はありません',
+    emptyAnalysis: '集計できるハートビートや確認の記録がありません。',
+    summary: (totals) => `${totals.projects} プロジェクトで ${totals.sessions} セッション`
+      + (totals.errorSessions > 0 ? `、うち ${totals.errorSessions} 件が異常で終了` : ''),
+    analysis: (confirms, hasErrors) => `${confirms}。${hasErrors ? '異常で終了したセッションを優先して確認してください。' : '異常で終了したセッションはありません。'}`,
+    listSeparator: '；'
+  }
+};
+
+function pickDigestLanguage(language) {
+  return Object.prototype.hasOwnProperty.call(DIGEST_TEXT, language) ? language : 'zh';
+}
+
+function createSessionStats(record) {
+  return {
+    sessionId: String(record.sessionId || ''),
+    cwd: String(record.cwd || ''),
+    cli: '',
+    model: '',
+    firstAt: record.ts,
+    lastAt: record.ts,
+    heartbeats: 0,
+    highlights: [],
+    ended: false,
+    endedAt: '',
+    endedInError: false,
+    ...createSessionActivity()
+  };
+}
+
+function addHighlight(session, summary) {
+  const text = sanitizeLine(summary, 120);
+  if (!text || session.highlights.includes(text)) return;
+  session.highlights.push(text);
+  if (session.highlights.length > MAX_SESSION_HIGHLIGHTS) session.highlights.shift();
+}
+
+// A prompt that is answered adds its wait; one still open at the end of the range
+// (or when the session ended) is reported as pending instead.
+function applyRecord(session, record) {
+  session.lastAt = record.ts;
+  if (record.cli) session.cli = String(record.cli);
+  if (record.model) session.model = String(record.model);
+  if (!session.cwd && record.cwd) session.cwd = String(record.cwd);
+  applySessionActivity(session, record);
+
+  if (SESSION_END_EVENT_TYPES.has(record.eventType)) {
+    if (!session.ended) {
+      session.ended = true;
+      session.endedAt = record.ts;
+    }
+    return;
+  }
+  if (record.eventType === 'heartbeat') {
+    session.heartbeats += 1;
+    addHighlight(session, record.summary);
+  }
+}
+
+function finalizeSession(session) {
+  const { confirmOpenedAt, ...rest } = session;
+  return {
+    ...rest,
+    pendingConfirms: confirmOpenedAt ? 1 : 0,
+    endedInError: session.ended && session.lastStatus === ERROR_STATUS
+  };
+}
+
+// Groups the records of one period by project (cwd) and session. Sessions that only
+// opened and closed without a heartbeat or confirm prompt are left out.
+function buildWorkDigestStats(records, period = {}) {
+  const sessions = new Map();
+  const sorted = (Array.isArray(records) ? records : [])
+    .filter((record) => record && record.ts && record.eventType !== WORK_DIGEST_EVENT_TYPE)
+    .sort((left, right) => String(left.ts).localeCompare(String(right.ts)));
+  for (const record of sorted) {
+    const sessionId = String(record.sessionId || '');
+    if (!sessionId) continue;
+    if (!sessions.has(sessionId)) sessions.set(sessionId, createSessionStats(record));
+    applyRecord(sessions.get(sessionId), record);
+  }
+
+  const projects = new Map();
+  for (const raw of sessions.values()) {
+    const session = finalizeSession(raw);
+    if (session.heartbeats === 0 && session.confirmPrompts === 0) continue;
+    const cwd = session.cwd || '(未知目录)';
+    if (!projects.has(cwd)) {
+      projects.set(cwd, {
+        cwd,
+        sessions: [],
+        errorSessions: 0,
+        confirmPrompts: 0,
+        confirmsResolved: 0,
+        confirmWaitMs: 0,
+        pendingConfirms: 0
+      });
+    }
+    const project = projects.get(cwd);
+    project.sessions.push(session);
+    if (session.endedInError) project.errorSessions += 1;
+    project.confirmPrompts += session.confirmPrompts;
+    project.confirmsResolved += session.confirmsResolved;
+    project.confirmWaitMs += session.confirmWaitMs;
+    project.pendingConfirms += session.pendingConfirms;
+  }
+
+  const projectList = [...projects.values()]
+    .sort((left, right) => right.sessions.length - left.sessions.length || left.cwd.localeCompare(right.cwd));
+  const totals = projectList.reduce((sum, project) => ({
+    projects: sum.projects + 1,
+    sessions: sum.sessions + project.sessions.length,
+    errorSessions: sum.errorSessions + project.errorSessions,
+    confirmPrompts: sum.confirmPrompts + project.confirmPrompts,
+    confirmsResolved: sum.confirmsResolved + project.confirmsResolved,
+    confirmWaitMs: sum.confirmWaitMs + project.confirmWaitMs,
+    pendingConfirms: sum.pendingConfirms + project.pendingConfirms
+  }), { projects: 0, sessions: 0, errorSessions: 0, confirmPrompts: 0, confirmsResolved: 0, confirmWaitMs: 0, pendingConfirms: 0 });
+
+  return {
+    since: period.since || '',
+    until: period.until || '',
+    totals,
+    projects: projectList
+  };
+}
+
+function describeConfirmWaits(item, language) {
+  const text = DIGEST_TEXT[language];
+  if (!item.confirmPrompts) return text.noConfirms;
+  const average = item.confirmsResolved > 0
+    ? text.averageWait(formatDigestDuration(item.confirmWaitMs / item.confirmsResolved, language))
+    : '';
+  const pending = item.pendingConfirms > 0 ? text.pending(item.pendingConfirms) : '';
+  return `${text.confirms(item.confirmPrompts)}${average}${pending}`;
+}
+
+function describeSession(session, language) {
+  const text = DIGEST_TEXT[language];
+  const name = [session.cli, session.model].filter(Boolean).join('·') || text.terminalSession;
+  let state = text.states.running;
+  if (session.endedInError) state = text.states.endedInError;
+  else if (session.ended) state = text.states.ended;
+  else if (session.lastStatus === ERROR_STATUS) state = text.states.error;
+  const highlights = session.highlights.join(' | ') || text.noHighlights;
+  return text.session(name, state, describeConfirmWaits(session, language), highlights);
+}
+
+// Plain-text input for topicDetector.summarizeWorkDigest, written in the output
+// language; trimmed to keep the request small even for busy weeks.
+function buildWorkDigestPrompt(stats, frequency, language) {
+  const lang = pickDigestLanguage(language);
+  const text = DIGEST_TEXT[lang];
+  const lines = [
+    text.header(getWorkDigestLabel(frequency, lang), stats.since, stats.until),
+    text.totals(stats.totals, describeConfirmWaits(stats.totals, lang))
+  ];
+  for (const project of stats.projects) {
+    lines.push('', text.project(project, describeConfirmWaits(project, lang)));
+    for (const session of project.sessions) {
+      lines.push(describeSession(session, lang));
+    }
+  }
+  const overview = lines.join('\n');
+  return overview.length > DIGEST_PROMPT_MAX_CHARS ? `${overview.slice(0, DIGEST_PROMPT_MAX_CHARS)}\n${text.truncated}` : overview;
+}
+
+// Used when the AI request fails or there is nothing to send.
+function buildFallbackWorkDigest(stats, language) {
+  const lang = pickDigestLanguage(language);
+  const text = DIGEST_TEXT[lang];
+  const { totals } = stats;
+  if (totals.sessions === 0) {
+    return {
+      summary: text.emptySummary,
+      analysis: text.emptyAnalysis,
+      projects: []
+    };
+  }
+  return {
+    summary: text.summary(totals),
+    analysis: text.analysis(describeConfirmWaits(totals, lang), totals.errorSessions > 0),
+    projects: stats.projects.map((project) => ({
+      cwd: project.cwd,
+      summary: project.sessions
+        .map((session) => session.highlights[session.highlights.length - 1])
+        .filter(Boolean)
+        .slice(0, 3)
+        .join(text.listSeparator)
+    }))
+  };
+}
+
+function buildWorkDigestId(frequency, now) {
+  const stamp = new Date(now).toISOString().replace(/[-:]/g, '').slice(0, 13);
+  return `digest-${normalizeWorkDigestFrequency(frequency)}-${stamp}`;
+}
+
+// The digest is archived as its own `work_digest` record. `summary` / `analysis`
+// follow the normal record limits; everything else lives under `digest`, including
+// the output language the text was written in.
+function buildWorkDigestRecord({ stats, report, frequency, reason, language, now = Date.now() }) {
+  const normalizedFrequency = normalizeWorkDigestFrequency(frequency);
+  const projectSummaries = new Map(
+    (Array.isArray(report.projects) ? report.projects : []).map((item) => [item.cwd, sanitizeLine(item.summary, 240)])
+  );
+  return {
+    ts: new Date(now).toISOString(),
+    sessionId: buildWorkDigestId(normalizedFrequency, now),
+    tabId: '',
+    cwd: '',
+    eventType: WORK_DIGEST_EVENT_TYPE,
+    reason: sanitizeLine(reason, 40) || 'manual',
+    source: 'digest',
+    status: stats.totals.errorSessions > 0 ? ERROR_STATUS : '阶段完成',
+    summary: sanitizeLine(report.summary, 180),
+    analysis: sanitizeLine(report.analysis, 280),
+    digest: {
+      frequency: normalizedFrequency,
+      language: pickDigestLanguage(language),
+      since: stats.since,
+      until: stats.until,
+      generatedBy: report.generatedBy === 'ai' ? 'ai' : 'local',
+      totals: stats.totals,
+      projects: stats.projects.map((project) => ({
+        ...project,
+        summary: projectSummaries.get(project.cwd) || ''
+      }))
+    }
+  };
+}
+
+module.exports = {
+  WORK_DIGEST_EVENT_TYPE,
+  buildWorkDigestStats,
+  buildWorkDigestPrompt,
+  buildFallbackWorkDigest,
+  buildWorkDigestRecord
+};
@@ -0,0 +1,180 @@
+const fs = require('fs');
+const path = require('path');
+const { normalizePaneLayout, listPaneIds } = require('../renderer/pane-layout');
+
+const WORKSPACE_SCHEMA_VERSION = 1;
+const MAX_WORKSPACE_TABS = 40;
+const MAX_WORKSPACE_NAME_LENGTH = 60;
+const SHELL_MODES = ['', 'nologin', 'fast'];
+
+function sanitizeLine(value, maxLength) {
+  return String(value || '')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .slice(0, maxLength);
+}
+
+function normalizeWorkspaceName(value) {
+  return sanitizeLine(value, MAX_WORKSPACE_NAME_LENGTH);
+}
+
+// File names must stay stable for a given workspace name and be safe on every
+// platform, so non-ASCII names are hex-encoded rather than stripped.
+function workspaceFileNameFor(name) {
+  const normalized = normalizeWorkspaceName(name);
+  if (!normalized) return '';
+  const slug = Array.from(normalized.toLowerCase())
+    .map((ch) => (/[a-z0-9_-]/.test(ch) ? ch : `~${ch.codePointAt(0).toString(16)}`))
+    .join('')
+    .slice(0, 180);
+  return `${slug}.json`;
+}
+
+function normalizeWorkspaceTab(item, index) {
+  if (!item || typeof item !== 'object') return null;
+  const tabId = sanitizeLine(item.tabId || `tab-${index + 1}`, 80);
+  const shellMode = sanitizeLine(item.shellMode, 20).toLowerCase();
+  const tab = {
+    tabId,
+    title: sanitizeLine(item.title, 120) || '终端',
+    manuallyRenamed: !!item.manuallyRenamed,
+    cwd: sanitizeLine(item.cwd, 640),
+    autoCommand: sanitizeLine(item.autoCommand || item.lastCliCommand, 220),
+    shellMode: SHELL_MODES.includes(shellMode) ? shellMode : ''
+  };
+  const launchProfileId = sanitizeLine(item.launchProfileId, 60);
+  if (launchProfileId) {
+    tab.launchProfileId = launchProfileId;
+  }
+  const shell = sanitizeLine(item.shell, 260);
+  if (shell) {
+    tab.shell = shell;
+  }
+
+  const layout = normalizePaneLayout(item.layout);
+  const paneIds = listPaneIds(layout);
+  if (paneIds.length > 1 && paneIds.includes(tabId)) {
+    tab.layout = layout;
+    tab.panes = (Array.isArray(item.panes) ? item.panes : [])
+      .filter((pane) => pane && typeof pane === 'object')
+      .map((pane) => ({
+        paneId: sanitizeLine(pane.paneId, 80),
+        cwd: sanitizeLine(pane.cwd, 640),
+        lastCliCommand: sanitizeLine(pane.lastCliCommand, 220)
+      }))
+      .filter((pane) => pane.paneId && pane.paneId !== tabId && paneIds.includes(pane.paneId));
+  }
+  return tab;
+}
+
+function normalizeWorkspace(raw = {}) {
+  const source = raw && typeof raw === 'object' ? raw : {};
+  const name = normalizeWorkspaceName(source.name);
+  const tabs = (Array.isArray(source.tabs) ? source.tabs : [])
+    .slice(0, MAX_WORKSPACE_TABS)
+    .map((item, index) => normalizeWorkspaceTab(item, index))
+    .filter(Boolean);
+  const activeIndex = Number.isInteger(source.activeIndex)
+    ? Math.min(Math.max(source.activeIndex, 0), Math.max(tabs.length - 1, 0))
+    : 0;
+
+  return {
+    version: WORKSPACE_SCHEMA_VERSION,
+    name,
+    createdAt: sanitizeLine(source.createdAt, 40),
+    updatedAt: sanitizeLine(source.updatedAt, 40),
+    activeIndex,
+    tabs
+  };
+}
+
+function createWorkspaceStore(options = {}) {
+  const getWorkspaceDir = typeof options.getWorkspaceDir === 'function'
+    ? options.getWorkspaceDir
+    : () => '';
+
+  function resolveWorkspacePath(name) {
+    const dirPath = getWorkspaceDir();
+    const fileName = workspaceFileNameFor(name);
+    if (!dirPath || !fileName) return '';
+    return path.join(dirPath, fileName);
+  }
+
+  function readWorkspaceFile(filePath) {
+    try {
+      const parsed = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+      const workspace = normalizeWorkspace(parsed);
+      return workspace.name ? workspace : null;
+    } catch (err) {
+      return null;
+    }
+  }
+
+  function list() {
+    const dirPath = getWorkspaceDir();
+    if (!dirPath || !fs.existsSync(dirPath)) return [];
+    return fs.readdirSync(dirPath, { withFileTypes: true })
+      .filter((item) => item.isFile() && item.name.endsWith('.json'))
+      .map((item) => readWorkspaceFile(path.join(dirPath, item.name)))
+      .filter(Boolean)
+      .map((workspace) => ({
+        name: workspace.name,
+        tabCount: workspace.tabs.length,
+        updatedAt: workspace.updatedAt
+      }))
+      .sort((left, right) => left.name.localeCompare(right.name));
+  }
+
+  function load(name) {
+    const filePath = resolveWorkspacePath(name);
+    if (!filePath || !fs.existsSync(filePath)) return null;
+    return readWorkspaceFile(filePath);
+  }
+
+  function save(name, payload = {}) {
+    const normalizedName = normalizeWorkspaceName(name);
+    if (!normalizedName) {
+      throw new Error('工作区名称不能为空');
+    }
+    const workspace = normalizeWorkspace({ ...payload, name: normalizedName });
+    if (workspace.tabs.length === 0) {
+      throw new Error('工作区至少需要一个标签页');
+    }
+
+    const filePath = resolveWorkspacePath(normalizedName);
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    const existing = fs.existsSync(filePath) ? readWorkspaceFile(filePath) : null;
+    const nowIso = new Date().toISOString();
+    const next = {
+      ...workspace,
+      createdAt: (existing && existing.createdAt) || nowIso,
+      updatedAt: nowIso
+    };
+
+    const tempPath = `${filePath}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(next, null, 2), 'utf8');
+    fs.renameSync(tempPath, filePath);
+    return next;
+  }
+
+  function remove(name) {
+    const filePath = resolveWorkspacePath(name);
+    if (!filePath || !fs.existsSync(filePath)) return false;
+    fs.unlinkSync(filePath);
+    return true;
+  }
+
+  return {
+    list,
+    load,
+    save,
+    remove
+  };
+}
+
+module.exports = {
+  WORKSPACE_SCHEMA_VERSION,
+  normalizeWorkspace,
+  workspaceFileNameFor,
+  createWorkspaceStore
+};
@@ -1,8 +1,11 @@
 const { contextBridge, ipcRenderer } = require('electron');
 
 contextBridge.exposeInMainWorld('api', {
+  platform: process.platform,
+
   // Directory picker
   selectDirectory: () => ipcRenderer.invoke('dialog:select-directory'),
+  listShells: () => ipcRenderer.invoke('shell:list'),
   confirmDialog: (title, message, detail) => ipcRenderer.invoke('dialog:confirm', { title, message, detail }),
   notifyInfo: (title, body) => ipcRenderer.invoke('notify:info', { title, body }),
 
@@ -47,43 +50,49 @@ contextBridge.exposeInMainWorld('api', {
   getSettings: () => ipcRenderer.invoke('settings:get'),
   saveSettings: (apiKey, baseUrl, aiCommand, heartbeat, runtime) =>
     ipcRenderer.invoke('settings:save', { apiKey, baseUrl, aiCommand, heartbeat, runtime }),
+  listLocalModels: (options) => ipcRenderer.invoke('analysis:local-models', options || {}),
+  getAnalysisUsage: (options) => ipcRenderer.invoke('analysis:usage', options || {}),
+  getAnalysisHealth: () => ipcRenderer.invoke('analysis:health'),
+  onAnalysisHealth: (callback) => {
+    ipcRenderer.on('analysis:health', (event, payload) => callback(payload));
+  },
+  onAnalysisBudgetPaused: (callback) => {
+    ipcRenderer.on('analysis:budget-paused', (event, payload) => callback(payload));
+  },
   getTabSnapshot: () => ipcRenderer.invoke('tabs:snapshot:get'),
   saveTabSnapshot: (snapshot) => ipcRenderer.invoke('tabs:snapshot:save', { snapshot }),
+  getTabScrollback: (tabId) => ipcRenderer.invoke('tabs:scrollback:get', { tabId }),
+  saveTabScrollback: (entries) => ipcRenderer.invoke('tabs:scrollback:save', { entries }),
+  saveTabScrollbackSync: (entries) => ipcRenderer.sendSync('tabs:scrollback:save-sync', { entries }),
   queryHeartbeatArchive: (options) => ipcRenderer.invoke('heartbeat:query', options || {}),
   summarizeHeartbeatArchive: (options) => ipcRenderer.invoke('heartbeat:summarize', options || {}),
-
-  // Shortcuts (main -> renderer)
-  onNewTab: (callback) => {
-    ipcRenderer.on('shortcut:new-tab', () => callback());
-  },
-  onCloseTab: (callback) => {
-    ipcRenderer.on('shortcut:close-tab', () => callback());
-  },
-  onRefreshTopics: (callback) => {
-    ipcRenderer.on('shortcut:refresh-topics', () => callback());
-  },
-  onShowHeartbeatArchive: (callback) => {
-    ipcRenderer.on('shortcut:show-heartbeat-archive', () => callback());
+  cancelHeartbeatSummary: (streamId) => ipcRenderer.invoke('heartbeat:summarize-cancel', { streamId }),
+  onHeartbeatSummaryProgress: (callback) => {
+    ipcRenderer.on('heartbeat:summarize-progress', (event, payload) => callback(payload));
+  },
+  listArchiveSessions: (options) => ipcRenderer.invoke('archive:sessions', options || {}),
+  getArchiveAnalytics: (options) => ipcRenderer.invoke('archive:analytics', options || {}),
+  exportHeartbeatArchive: (options) => ipcRenderer.invoke('archive:export', options || {}),
+  runArchiveRetention: () => ipcRenderer.invoke('archive:retention:run'),
+  repairArchive: () => ipcRenderer.invoke('archive:repair'),
+  runWorkDigest: (options) => ipcRenderer.invoke('digest:run', options || {}),
+  listWorkDigests: (options) => ipcRenderer.invoke('digest:list', options || {}),
+  onWorkDigestReady: (callback) => {
+    ipcRenderer.on('digest:ready', (event, payload) => callback(payload));
+  },
+  openRecording: (options) => ipcRenderer.invoke('recording:open', options || {}),
+  listWorkspaces: () => ipcRenderer.invoke('workspace:list'),
+  loadWorkspace: (name) => ipcRenderer.invoke('workspace:load', { name }),
+  saveWorkspace: (name, workspace) => ipcRenderer.invoke('workspace:save', { name, workspace }),
+  deleteWorkspace: (name) => ipcRenderer.invoke('workspace:delete', { name }),
+  getKeybindings: () => ipcRenderer.invoke('keybindings:get'),
+  openKeybindings: () => ipcRenderer.invoke('keybindings:open'),
+  onKeybindingsChanged: (callback) => {
+    ipcRenderer.on('keybindings:changed', (event, payload) => callback(payload));
   },
-  onNextConfirmTab: (callback) => {
-    ipcRenderer.on('shortcut:next-confirm-tab', () => callback());
-  },
-  onSwitchTab: (callback) => {
-    ipcRenderer.on('shortcut:switch-tab', (event, payload) => callback(payload));
-  },
-  onIncreaseFont: (callback) => {
-    ipcRenderer.on('shortcut:increase-font', () => callback());
-  },
-  onDecreaseFont: (callback) => {
-    ipcRenderer.on('shortcut:decrease-font', () => callback());
-  },
-  onResetFont: (callback) => {
-    ipcRenderer.on('shortcut:reset-font', () => callback());
-  },
-  onPrevTab: (callback) => {
-    ipcRenderer.on('shortcut:prev-tab', () => callback());
-  },
-  onNextTab: (callback) => {
-    ipcRenderer.on('shortcut:next-tab', () => callback());
+
+  // Menu commands (main -> renderer); ids come from renderer/command-registry.js
+  onCommand: (callback) => {
+    ipcRenderer.on('command:run', (event, payload) => callback(payload));
   }
 });
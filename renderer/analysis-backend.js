@@ -0,0 +1,98 @@
+(function bootstrapAnalysisBackend(root, factory) {
+  const api = factory();
+  if (typeof module === 'object' && module.exports) {
+    module.exports = api;
+  }
+  if (root && typeof root === 'object') {
+    root.AnalysisBackendUtils = api;
+  }
+})(typeof globalThis !== 'undefined' ? globalThis : this, function createAnalysisBackendUtils() {
+  // Analysis backend settings shape:
+  //   { backend: 'openai_compat' | 'anthropic' | 'local' | 'offline' | 'auto',
+  //     anthropic: { apiKey, baseUrl, model },
+  //     local: { api: 'ollama' | 'openai', baseUrl, model },
+  //     contextChars, localOnly }
+  // The OpenAI-compatible backend keeps using the top-level apiKey / baseUrl settings;
+  // 'auto' picks a backend from the base URL and the session's AI command.
+  // `localOnly` pins the backend to 'local' so terminal text never leaves the machine.
+  // 'offline' never sends a request and uses the rule-based analyzer in lib/; it is
+  // also used automatically when a remote backend has no credentials or network.
+  const ANALYSIS_BACKEND_OPTIONS = [
+    { value: 'openai_compat', label: 'OpenAI 兼容接口' },
+    { value: 'anthropic', label: 'Anthropic Messages API' },
+    { value: 'local', label: '本地模型（Ollama / llama.cpp）' },
+    { value: 'offline', label: '离线规则分析（不调用任何接口）' },
+    { value: 'auto', label: '自动（按 Base URL 与会话命令判断）' }
+  ];
+  const LOCAL_API_OLLAMA = 'ollama';
+  const LOCAL_API_OPENAI = 'openai';
+  const LOCAL_API_OPTIONS = [
+    { value: LOCAL_API_OLLAMA, label: 'Ollama（/api/chat）' },
+    { value: LOCAL_API_OPENAI, label: 'OpenAI 兼容（llama.cpp server）' }
+  ];
+  const DEFAULT_ANALYSIS_BACKEND = 'openai_compat';
+  const DEFAULT_ANTHROPIC_BASE_URL = 'https://api.anthropic.com';
+  const DEFAULT_ANTHROPIC_MODEL = 'claude-haiku-4-5';
+  const DEFAULT_LOCAL_BASE_URL = 'http://127.0.0.1:11434';
+  // Terminal text sent per heartbeat. The upper bound matches the analysis buffer
+  // main.js keeps per session.
+  const DEFAULT_CONTEXT_CHARS = 2600;
+  const MIN_CONTEXT_CHARS = 500;
+  const MAX_CONTEXT_CHARS = 24000;
+  const MAX_FIELD_LENGTH = 400;
+
+  function normalizeText(value) {
+    return String(value || '').trim().slice(0, MAX_FIELD_LENGTH);
+  }
+
+  function normalizeContextChars(value) {
+    const n = Number(value);
+    if (value === '' || value === null || value === undefined || !Number.isFinite(n)) return DEFAULT_CONTEXT_CHARS;
+    return Math.min(MAX_CONTEXT_CHARS, Math.max(MIN_CONTEXT_CHARS, Math.round(n)));
+  }
+
+  function normalizeAnalysisBackend(value) {
+    const backend = String(value || '').trim().toLowerCase();
+    return ANALYSIS_BACKEND_OPTIONS.some((option) => option.value === backend) ? backend : DEFAULT_ANALYSIS_BACKEND;
+  }
+
+  // Empty base URL / model mean "use the default"; they are kept empty so the
+  // settings form can show the defaults as placeholders.
+  function normalizeAnalysisBackendSettings(value) {
+    const source = value && typeof value === 'object' ? value : {};
+    const anthropic = source.anthropic && typeof source.anthropic === 'object' ? source.anthropic : {};
+    const local = source.local && typeof source.local === 'object' ? source.local : {};
+    const localOnly = source.localOnly === true;
+    return {
+      backend: localOnly ? 'local' : normalizeAnalysisBackend(source.backend),
+      anthropic: {
+        apiKey: normalizeText(anthropic.apiKey),
+        baseUrl: normalizeText(anthropic.baseUrl).replace(/\/+$/, ''),
+        model: normalizeText(anthropic.model)
+      },
+      local: {
+        api: local.api === LOCAL_API_OPENAI ? LOCAL_API_OPENAI : LOCAL_API_OLLAMA,
+        baseUrl: normalizeText(local.baseUrl).replace(/\/+$/, ''),
+        model: normalizeText(local.model)
+      },
+      contextChars: normalizeContextChars(source.contextChars),
+      localOnly
+    };
+  }
+
+  return {
+    ANALYSIS_BACKEND_OPTIONS,
+    LOCAL_API_OLLAMA,
+    LOCAL_API_OPENAI,
+    LOCAL_API_OPTIONS,
+    DEFAULT_ANALYSIS_BACKEND,
+    DEFAULT_ANTHROPIC_BASE_URL,
+    DEFAULT_ANTHROPIC_MODEL,
+    DEFAULT_LOCAL_BASE_URL,
+    DEFAULT_CONTEXT_CHARS,
+    MIN_CONTEXT_CHARS,
+    MAX_CONTEXT_CHARS,
+    normalizeAnalysisBackend,
+    normalizeAnalysisBackendSettings
+  };
+});
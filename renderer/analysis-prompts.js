@@ -0,0 +1,342 @@
+(function bootstrapAnalysisPrompts(root, factory) {
+  const api = factory();
+  if (typeof module === 'object' && module.exports) {
+    module.exports = api;
+  }
+  if (root && typeof root === 'object') {
+    root.AnalysisPromptUtils = api;
+  }
+})(typeof globalThis !== 'undefined' ? globalThis : this, function createAnalysisPromptUtils() {
+  // Settings shape: { language: 'auto' | 'zh' | 'en' | 'ja', topicTemplate, heartbeatTemplate }.
+  // An empty template means the built-in one for the resolved language. Templates
+  // are the user message of the request; the system prompt fixes the output format.
+  const OUTPUT_LANGUAGE_OPTIONS = [
+    { value: 'auto', label: '自动（跟随系统语言）' },
+    { value: 'zh', label: '中文' },
+    { value: 'en', label: 'English' },
+    { value: 'ja', label: '日本語' }
+  ];
+  const OUTPUT_LANGUAGES = ['zh', 'en', 'ja'];
+  const DEFAULT_OUTPUT_LANGUAGE = 'zh';
+  const PROMPT_PURPOSES = ['topic', 'heartbeat'];
+  const PROMPT_VARIABLES = ['cwd', 'cli', 'model', 'log'];
+  const MAX_PROMPT_TEMPLATE_CHARS = 4000;
+  const VARIABLE_PATTERN = /\{\{\s*([A-Za-z_][A-Za-z0-9_]*)\s*\}\}/g;
+
+  const DEFAULT_TOPICS = {
+    zh: '新对话',
+    en: 'New session',
+    ja: '新しい会話'
+  };
+
+  const UNKNOWN_VALUES = {
+    zh: '未知',
+    en: 'unknown',
+    ja: '不明'
+  };
+
+  // maxWords applies to space-separated languages; CJK topics are capped by characters.
+  const TOPIC_LIMITS = {
+    zh: { maxChars: 12, maxWords: 0 },
+    en: { maxChars: 32, maxWords: 4 },
+    ja: { maxChars: 12, maxWords: 0 }
+  };
+
+  const HEARTBEAT_LIMITS = {
+    zh: { summary: 140, analysis: 240 },
+    en: { summary: 280, analysis: 480 },
+    ja: { summary: 140, analysis: 240 }
+  };
+
+  // Heartbeat reported without a request while the terminal buffer is still empty.
+  const EMPTY_HEARTBEAT_REPORTS = {
+    zh: { summary: '会话暂时无输出', analysis: '状态：等待新内容。' },
+    en: { summary: 'No session output yet', analysis: 'Status: waiting for new output.' },
+    ja: { summary: 'セッションの出力はまだありません', analysis: '状態：新しい出力待ち。' }
+  };
+
+  const SYSTEM_PROMPTS = {
+    topic: {
+      zh: '你是终端主题提取助手。只输出主题词本身，不要任何解释。',
+      en: 'You name terminal sessions. Output only the name itself, with no explanation.',
+      ja: 'あなたはターミナルセッションのテーマ抽出アシスタントです。テーマ名だけを出力し、説明は付けないでください。'
+    },
+    // The JSON shape is checked by HeartbeatSchemaUtils.validateHeartbeatReport.
+    heartbeat: {
+      zh: '你是终端会话监控分析助手。严格输出 JSON：{"status":"running|waiting|success|error","summary":"当前进展总结","analysis":"状态判断与后续分析","currentTask":"当前任务","filesTouched":["涉及的文件"],"commandsRun":["执行过的命令"],"blockers":["阻塞问题"],"nextStep":"下一步"}。status 取值：running 进行中，waiting 等待用户输入或确认，success 阶段完成，error 出现错误。没有内容的数组输出 []。不要输出任何额外文字，不要输出按键级指令（如 y/yes）。',
+      en: 'You monitor terminal sessions. Output strict JSON only: {"status":"running|waiting|success|error","summary":"progress so far","analysis":"status assessment and next steps","currentTask":"current task","filesTouched":["files involved"],"commandsRun":["commands executed"],"blockers":["blocking problems"],"nextStep":"next step"}. status: running = in progress, waiting = waiting for user input or confirmation, success = milestone reached, error = something failed. Use [] for empty arrays. No extra text and no keystroke-level instructions (such as y/yes). Write the text fields in English.',
+      ja: 'あなたはターミナルセッションの監視アシスタントです。JSON のみを厳密に出力してください：{"status":"running|waiting|success|error","summary":"現在の進捗","analysis":"状況判断と今後の提案","currentTask":"現在のタスク","filesTouched":["関係するファイル"],"commandsRun":["実行したコマンド"],"blockers":["阻害要因"],"nextStep":"次の一手"}。status は running＝進行中、waiting＝ユーザーの入力・確認待ち、success＝区切りまで完了、error＝エラー発生。空の配列は [] とします。余計な文章やキー入力レベルの指示（y/yes など）は出力しないでください。テキスト項目は日本語で書いてください。'
+    }
+  };
+
+  const DEFAULT_PROMPT_TEMPLATES = {
+    topic: {
+      zh: [
+        '请为以下终端会话起一个标签名。',
+        '要求：3-5 个中文字的主题词，概括当前在做的事；不要解释，不要标点。无法判断时输出"新对话"。',
+        '',
+        '工作目录：{{cwd}}',
+        'AI 工具：{{cli}}（模型：{{model}}）',
+        '',
+        '终端日志：',
+        '{{log}}'
+      ].join('\n'),
+      en: [
+        'Name the terminal session below for its tab.',
+        'Requirements: 2-4 English words describing the current task; no explanation, no punctuation. If unclear, output "New session".',
+        '',
+        'Working directory: {{cwd}}',
+        'AI tool: {{cli}} (model: {{model}})',
+        '',
+        'Terminal log:',
+        '{{log}}'
+      ].join('\n'),
+      ja: [
+        '次のターミナルセッションにタブ名を付けてください。',
+        '条件：現在の作業を表す 3〜8 文字程度の日本語のテーマ。説明や句読点は不要です。判断できない場合は「新しい会話」と出力してください。',
+        '',
+        '作業ディレクトリ：{{cwd}}',
+        'AI ツール：{{cli}}（モデル：{{model}}）',
+        '',
+        'ターミナルログ：',
+        '{{log}}'
+      ].join('\n')
+    },
+    heartbeat: {
+      zh: [
+        '请基于以下终端日志生成总结。',
+        '要求：',
+        '1) summary 20-40字，聚焦当前会话进展与关键结果。',
+        '2) analysis 40-90字，给出状态判断、风险点与下一步建议。',
+        '3) status 依据日志判断；filesTouched、commandsRun 只列日志中出现过的文件与命令，blockers 列出阻塞当前任务的问题。',
+        '4) 只输出 JSON。',
+        '',
+        '工作目录：{{cwd}}',
+        'AI 工具：{{cli}}（模型：{{model}}）',
+        '',
+        '终端日志：',
+        '{{log}}'
+      ].join('\n'),
+      en: [
+        'Summarize the terminal log below.',
+        'Requirements:',
+        "1) summary: 10-25 words on the session's progress and key results.",
+        '2) analysis: 25-60 words with a status assessment, risks and the next step.',
+        '3) Judge status from the log; list only files and commands that appear in the log, and blockers that stop the current task.',
+        '4) Output JSON only.',
+        '',
+        'Working directory: {{cwd}}',
+        'AI tool: {{cli}} (model: {{model}})',
+        '',
+        'Terminal log:',
+        '{{log}}'
+      ].join('\n'),
+      ja: [
+        '次のターミナルログを要約してください。',
+        '条件：',
+        '1) summary は 20〜40 文字で、セッションの進捗と主な結果をまとめる。',
+        '2) analysis は 40〜90 文字で、状況判断・リスク・次の一手を示す。',
+        '3) status はログから判断し、filesTouched・commandsRun にはログに現れたファイルとコマンドだけを、blockers には現在のタスクを妨げている問題を挙げる。',
+        '4) JSON のみを出力する。',
+        '',
+        '作業ディレクトリ：{{cwd}}',
+        'AI ツール：{{cli}}（モデル：{{model}}）',
+        '',
+        'ターミナルログ：',
+        '{{log}}'
+      ].join('\n')
+    }
+  };
+
+  // The work digest prompt is not user-editable; the session overview built by
+  // main/work-digest.js is appended after the template.
+  const WORK_DIGEST_SYSTEM_PROMPTS = {
+    zh: '你是团队工作日报助手。严格输出 JSON：{"summary":"整体进展","analysis":"异常与等待确认的情况及后续建议","projects":[{"cwd":"项目目录","summary":"该项目完成的工作"}]}。不要输出任何额外文字。',
+    en: 'You write team work reports. Output strict JSON only: {"summary":"overall progress","analysis":"errors, confirmation waits and suggested follow-ups","projects":[{"cwd":"project directory","summary":"work done in the project"}]}. No extra text. Write the text fields in English.',
+    ja: 'あなたはチームの作業日報アシスタントです。JSON のみを厳密に出力してください：{"summary":"全体の進捗","analysis":"異常と確認待ちの状況、今後の提案","projects":[{"cwd":"プロジェクトのディレクトリ","summary":"そのプロジェクトで完了した作業"}]}。余計な文章は出力しないでください。テキスト項目は日本語で書いてください。'
+  };
+
+  const WORK_DIGEST_PROMPT_TEMPLATES = {
+    zh: [
+      '请基于以下各项目 AI 会话统计生成工作摘要。',
+      '要求：',
+      '1) summary 30-60字，概括这段时间完成了什么。',
+      '2) analysis 40-120字，点出以异常结束的会话、确认等待过长的情况与后续建议。',
+      '3) projects 按输入中的项目目录逐一给出 20-60 字总结，cwd 必须与输入一致。',
+      '4) 只输出 JSON。',
+      '',
+      '会话统计：'
+    ].join('\n'),
+    en: [
+      'Write a work summary from the per-project AI session statistics below.',
+      'Requirements:',
+      '1) summary: 15-35 words on what was done in this period.',
+      '2) analysis: 20-70 words pointing out sessions that ended in an error, long confirmation waits and suggested follow-ups.',
+      '3) projects: one 10-35 word summary per project directory in the input; cwd must match the input exactly.',
+      '4) Output JSON only.',
+      '',
+      'Session statistics:'
+    ].join('\n'),
+    ja: [
+      '次のプロジェクトごとの AI セッション統計から作業サマリーを作成してください。',
+      '条件：',
+      '1) summary は 30〜60 文字で、この期間に完了したことをまとめる。',
+      '2) analysis は 40〜120 文字で、異常で終わったセッション、長い確認待ち、今後の提案を挙げる。',
+      '3) projects は入力のプロジェクトディレクトリごとに 20〜60 文字でまとめ、cwd は入力と完全に一致させる。',
+      '4) JSON のみを出力する。',
+      '',
+      'セッション統計：'
+    ].join('\n')
+  };
+
+  function normalizeOutputLanguageSetting(value) {
+    const text = String(value || '').trim().toLowerCase();
+    return OUTPUT_LANGUAGES.includes(text) ? text : 'auto';
+  }
+
+  // 'auto' follows the system locale (e.g. 'en-US', 'ja', 'zh-CN'); locales other
+  // than Chinese and Japanese get English. Without a locale the app default applies.
+  function resolveOutputLanguage(setting, locale = '') {
+    const normalized = normalizeOutputLanguageSetting(setting);
+    if (normalized !== 'auto') return normalized;
+    const prefix = String(locale || '').trim().toLowerCase().split(/[-_]/)[0];
+    if (!prefix) return DEFAULT_OUTPUT_LANGUAGE;
+    if (prefix === 'zh' || prefix === 'ja') return prefix;
+    return 'en';
+  }
+
+  function normalizeTemplate(value) {
+    return String(value || '').replace(/\r\n?/g, '\n').trim().slice(0, MAX_PROMPT_TEMPLATE_CHARS);
+  }
+
+  function normalizeAnalysisPromptSettings(value = {}) {
+    const source = value && typeof value === 'object' ? value : {};
+    return {
+      language: normalizeOutputLanguageSetting(source.language),
+      topicTemplate: normalizeTemplate(source.topicTemplate),
+      heartbeatTemplate: normalizeTemplate(source.heartbeatTemplate)
+    };
+  }
+
+  function pickLanguage(language) {
+    return OUTPUT_LANGUAGES.includes(language) ? language : DEFAULT_OUTPUT_LANGUAGE;
+  }
+
+  function getDefaultTopic(language) {
+    return DEFAULT_TOPICS[pickLanguage(language)];
+  }
+
+  function getDefaultPromptTemplate(purpose, language) {
+    const templates = DEFAULT_PROMPT_TEMPLATES[purpose] || DEFAULT_PROMPT_TEMPLATES.topic;
+    return templates[pickLanguage(language)];
+  }
+
+  function getHeartbeatLimits(language) {
+    return { ...HEARTBEAT_LIMITS[pickLanguage(language)] };
+  }
+
+  function getEmptyHeartbeatReport(language) {
+    return { ...EMPTY_HEARTBEAT_REPORTS[pickLanguage(language)] };
+  }
+
+  // Placeholders other than PROMPT_VARIABLES, listed once each, for the settings form.
+  function findUnknownPromptVariables(template) {
+    const unknown = [];
+    for (const match of String(template || '').matchAll(VARIABLE_PATTERN)) {
+      const name = match[1];
+      if (!PROMPT_VARIABLES.includes(name) && !unknown.includes(name)) unknown.push(name);
+    }
+    return unknown;
+  }
+
+  // Unknown placeholders are left as typed. A template without {{log}} still gets
+  // the log appended, otherwise the model would have nothing to analyse.
+  function renderPromptTemplate(template, values = {}, language = DEFAULT_OUTPUT_LANGUAGE) {
+    const unknownValue = UNKNOWN_VALUES[pickLanguage(language)];
+    const text = String(template || '');
+    let usesLog = false;
+    const rendered = text.replace(VARIABLE_PATTERN, (placeholder, name) => {
+      if (!PROMPT_VARIABLES.includes(name)) return placeholder;
+      if (name === 'log') {
+        usesLog = true;
+        return String(values.log || '');
+      }
+      const value = String(values[name] || '').replace(/\s+/g, ' ').trim();
+      return value || unknownValue;
+    });
+    if (usesLog) return rendered;
+    return `${rendered}\n\n${String(values.log || '')}`.trim();
+  }
+
+  // Returns the chat messages for `purpose` ('topic' | 'heartbeat').
+  function buildPromptMessages(purpose, settings, language, values = {}) {
+    const kind = PROMPT_PURPOSES.includes(purpose) ? purpose : 'topic';
+    const normalized = normalizeAnalysisPromptSettings(settings);
+    const lang = pickLanguage(language);
+    const template = normalized[`${kind}Template`] || getDefaultPromptTemplate(kind, lang);
+    return [
+      { role: 'system', content: SYSTEM_PROMPTS[kind][lang] },
+      { role: 'user', content: renderPromptTemplate(template, values, lang) }
+    ];
+  }
+
+  function buildWorkDigestMessages(language, digestText) {
+    const lang = pickLanguage(language);
+    return [
+      { role: 'system', content: WORK_DIGEST_SYSTEM_PROMPTS[lang] },
+      { role: 'user', content: `${WORK_DIGEST_PROMPT_TEMPLATES[lang]}\n${String(digestText || '')}` }
+    ];
+  }
+
+  function truncateWords(text, maxWords, maxChars) {
+    let words = text.split(' ').filter(Boolean);
+    if (maxWords > 0) words = words.slice(0, maxWords);
+    let result = words.join(' ');
+    while (result.length > maxChars && words.length > 1) {
+      words = words.slice(0, -1);
+      result = words.join(' ');
+    }
+    return result.slice(0, maxChars);
+  }
+
+  // Turns a model reply into a tab name: first non-empty line, without quotes,
+  // a leading "Topic:" label or punctuation, capped per language.
+  function normalizeTopicText(raw, language = DEFAULT_OUTPUT_LANGUAGE) {
+    const lang = pickLanguage(language);
+    const fallback = DEFAULT_TOPICS[lang];
+    const firstLine = String(raw || '')
+      .split(/\r?\n/)
+      .map((line) => line.trim())
+      .find(Boolean) || '';
+    const cleaned = firstLine
+      .replace(/^(?:topic|title|name|主题|主題|标题|タイトル|テーマ)\s*[:：]\s*/i, '')
+      .replace(/^["'“”‘’`「『【]+|["'“”‘’`」』】]+$/g, '')
+      .replace(/[。！!?？,，、；;：:]/g, '')
+      .replace(/\s+/g, ' ')
+      .trim();
+    if (!cleaned) return fallback;
+    const limits = TOPIC_LIMITS[lang];
+    if (limits.maxWords > 0) {
+      return truncateWords(cleaned.replace(/\.+$/, ''), limits.maxWords, limits.maxChars) || fallback;
+    }
+    return cleaned.slice(0, limits.maxChars);
+  }
+
+  return {
+    OUTPUT_LANGUAGE_OPTIONS,
+    PROMPT_VARIABLES,
+    MAX_PROMPT_TEMPLATE_CHARS,
+    normalizeOutputLanguageSetting,
+    resolveOutputLanguage,
+    normalizeAnalysisPromptSettings,
+    getDefaultTopic,
+    getDefaultPromptTemplate,
+    getHeartbeatLimits,
+    getEmptyHeartbeatReport,
+    findUnknownPromptVariables,
+    renderPromptTemplate,
+    buildPromptMessages,
+    buildWorkDigestMessages,
+    normalizeTopicText
+  };
+});
@@ -0,0 +1,146 @@
+(function bootstrapAnalysisUsage(root, factory) {
+  const api = factory();
+  if (typeof module === 'object' && module.exports) {
+    module.exports = api;
+  }
+  if (root && typeof root === 'object') {
+    root.AnalysisUsageUtils = api;
+  }
+})(typeof globalThis !== 'undefined' ? globalThis : this, function createAnalysisUsageUtils() {
+  // Audit entry shape (one per analysis request):
+  //   { ts, day, tabId, purpose, backend, model, promptTokens, completionTokens,
+  //     tokensEstimated, latencyMs, outcome: 'success' | 'fallback' | 'cancelled', error }
+  // `fallback` means the request failed and the caller used its local summary;
+  // `cancelled` means the user aborted it and is not counted as a failure.
+  // Budget shape: { dailyTokenLimit } where 0 means unlimited.
+  const ANALYSIS_PURPOSE_OPTIONS = [
+    { value: 'topic', label: '标签主题' },
+    { value: 'heartbeat', label: '心跳摘要' },
+    { value: 'archive_summary', label: '归档摘要' },
+    { value: 'work_digest', label: '工作摘要' }
+  ];
+  const MAX_DAILY_TOKEN_LIMIT = 100000000;
+  const DEFAULT_USAGE_DAYS = 7;
+  const MAX_USAGE_DAYS = 90;
+  const DAY_MS = 24 * 60 * 60 * 1000;
+
+  function normalizeAnalysisBudget(value) {
+    const source = value && typeof value === 'object' ? value : {};
+    const n = Number(source.dailyTokenLimit);
+    return {
+      dailyTokenLimit: Number.isFinite(n) && n > 0 ? Math.min(MAX_DAILY_TOKEN_LIMIT, Math.round(n)) : 0
+    };
+  }
+
+  function normalizeAnalysisPurpose(value) {
+    const purpose = String(value || '').trim();
+    return ANALYSIS_PURPOSE_OPTIONS.some((option) => option.value === purpose) ? purpose : 'topic';
+  }
+
+  function getAnalysisPurposeLabel(value) {
+    const option = ANALYSIS_PURPOSE_OPTIONS.find((item) => item.value === value);
+    return option ? option.label : String(value || '');
+  }
+
+  // Used when a backend does not report usage: CJK characters count as one token
+  // each, everything else as four characters per token.
+  function estimateTokens(text) {
+    const value = String(text || '');
+    if (!value) return 0;
+    const cjk = (value.match(/[\u3000-\u9fff\uac00-\ud7af\uff00-\uffef]/g) || []).length;
+    return cjk + Math.ceil((value.length - cjk) / 4);
+  }
+
+  function usageDayStamp(value) {
+    const date = new Date(value);
+    return Number.isNaN(date.getTime()) ? '' : date.toISOString().slice(0, 10);
+  }
+
+  function createUsageTotals(day = '') {
+    return {
+      day,
+      requests: 0,
+      failures: 0,
+      estimatedRequests: 0,
+      promptTokens: 0,
+      completionTokens: 0,
+      totalTokens: 0,
+      totalLatencyMs: 0,
+      byPurpose: {}
+    };
+  }
+
+  function toCount(value) {
+    const n = Number(value);
+    return Number.isFinite(n) && n > 0 ? Math.round(n) : 0;
+  }
+
+  // Mutates and returns `totals`.
+  function addUsageEntry(totals, entry) {
+    if (!entry || typeof entry !== 'object') return totals;
+    const promptTokens = toCount(entry.promptTokens);
+    const completionTokens = toCount(entry.completionTokens);
+    totals.requests += 1;
+    if (entry.outcome !== 'success' && entry.outcome !== 'cancelled') totals.failures += 1;
+    if (entry.tokensEstimated) totals.estimatedRequests += 1;
+    totals.promptTokens += promptTokens;
+    totals.completionTokens += completionTokens;
+    totals.totalTokens += promptTokens + completionTokens;
+    totals.totalLatencyMs += toCount(entry.latencyMs);
+    const purpose = normalizeAnalysisPurpose(entry.purpose);
+    const bucket = totals.byPurpose[purpose] || { requests: 0, totalTokens: 0 };
+    bucket.requests += 1;
+    bucket.totalTokens += promptTokens + completionTokens;
+    totals.byPurpose[purpose] = bucket;
+    return totals;
+  }
+
+  // One row per UTC day ending today, newest first; days without requests are zero.
+  function summarizeUsageByDay(entries, options = {}) {
+    const days = Math.min(MAX_USAGE_DAYS, Math.max(1, Math.round(Number(options.days) || DEFAULT_USAGE_DAYS)));
+    const now = Number(options.now) || Date.now();
+    const rows = [];
+    const byDay = new Map();
+    for (let i = 0; i < days; i += 1) {
+      const totals = createUsageTotals(usageDayStamp(now - i * DAY_MS));
+      rows.push(totals);
+      byDay.set(totals.day, totals);
+    }
+    for (const entry of Array.isArray(entries) ? entries : []) {
+      const totals = byDay.get(entry && (entry.day || usageDayStamp(entry.ts)));
+      if (totals) addUsageEntry(totals, entry);
+    }
+    return rows.map((totals) => ({
+      ...totals,
+      avgLatencyMs: totals.requests > 0 ? Math.round(totals.totalLatencyMs / totals.requests) : 0
+    }));
+  }
+
+  function isBudgetExceeded(totals, budget) {
+    const { dailyTokenLimit } = normalizeAnalysisBudget(budget);
+    return dailyTokenLimit > 0 && !!totals && toCount(totals.totalTokens) >= dailyTokenLimit;
+  }
+
+  function formatTokenCount(value) {
+    const n = toCount(value);
+    if (n >= 1000000) return `${(n / 1000000).toFixed(1)}M`;
+    if (n >= 10000) return `${(n / 1000).toFixed(1)}k`;
+    return String(n);
+  }
+
+  return {
+    ANALYSIS_PURPOSE_OPTIONS,
+    DEFAULT_USAGE_DAYS,
+    MAX_USAGE_DAYS,
+    normalizeAnalysisBudget,
+    normalizeAnalysisPurpose,
+    getAnalysisPurposeLabel,
+    estimateTokens,
+    usageDayStamp,
+    createUsageTotals,
+    addUsageEntry,
+    summarizeUsageByDay,
+    isBudgetExceeded,
+    formatTokenCount
+  };
+});
@@ -0,0 +1,242 @@
+// Session analytics dashboard: renders the aggregates computed by the archive store
+// (active hours per project, CLI / model mix, error ratio, confirm waits, daily heatmap).
+const ANALYTICS_DEFAULT_DAYS = 30;
+const ANALYTICS_MAX_BARS = 8;
+const ANALYTICS_WEEKDAY_LABELS = ['一', '', '三', '', '五', '', '日'];
+
+function getAnalyticsDashboardUtils() {
+  return typeof AnalyticsDashboardUtils === 'object' && AnalyticsDashboardUtils ? AnalyticsDashboardUtils : null;
+}
+
+function formatAnalyticsWait(ms) {
+  if (typeof WorkDigestUtils === 'object' && WorkDigestUtils) return WorkDigestUtils.formatDigestDuration(ms);
+  return `${Math.round((Number(ms) || 0) / 1000)} 秒`;
+}
+
+class AnalyticsDashboard {
+  // options.loadAnalytics({ days, cwd }) returns the 'archive:analytics' IPC payload;
+  // options.onClose() is optional.
+  constructor(rootElement, options = {}) {
+    this.root = rootElement;
+    this.options = options;
+    this.requestSeq = 0;
+
+    this.content = document.createElement('div');
+    this.content.className = 'modal-content analytics-content';
+    this.root.innerHTML = '';
+    this.root.appendChild(this.content);
+
+    const header = document.createElement('div');
+    header.className = 'archive-browser-header';
+    const title = document.createElement('span');
+    title.className = 'archive-browser-title';
+    title.textContent = '会话统计';
+
+    const utils = getAnalyticsDashboardUtils();
+    this.rangeSelect = document.createElement('select');
+    this.rangeSelect.className = 'archive-browser-select';
+    for (const days of utils ? utils.ANALYTICS_RANGE_OPTIONS : [ANALYTICS_DEFAULT_DAYS]) {
+      const option = document.createElement('option');
+      option.value = String(days);
+      option.textContent = `最近 ${days} 天`;
+      this.rangeSelect.appendChild(option);
+    }
+    this.rangeSelect.value = String(ANALYTICS_DEFAULT_DAYS);
+    this.rangeSelect.addEventListener('change', () => this.refresh());
+
+    this.cwdInput = document.createElement('input');
+    this.cwdInput.type = 'text';
+    this.cwdInput.className = 'archive-browser-select analytics-cwd-input';
+    this.cwdInput.placeholder = '按目录过滤';
+    this.cwdInput.spellcheck = false;
+    this.cwdInput.addEventListener('keydown', (event) => {
+      if (event.key === 'Enter') this.refresh();
+    });
+
+    const refreshButton = this.createButton('刷新', () => this.refresh());
+    const closeButton = this.createButton('×', () => this.close());
+    closeButton.title = '关闭';
+    header.append(title, this.rangeSelect, this.cwdInput, refreshButton, closeButton);
+
+    this.body = document.createElement('div');
+    this.body.className = 'analytics-body';
+
+    this.statusLine = document.createElement('div');
+    this.statusLine.className = 'archive-browser-status';
+
+    this.content.append(header, this.body, this.statusLine);
+    this.root.addEventListener('click', (event) => {
+      if (event.target === this.root) this.close();
+    });
+    this.root.addEventListener('keydown', (event) => {
+      if (event.key === 'Escape') this.close();
+    });
+  }
+
+  createButton(label, onClick) {
+    const button = document.createElement('button');
+    button.className = 'archive-browser-btn';
+    button.textContent = label;
+    button.addEventListener('click', onClick);
+    return button;
+  }
+
+  isOpen() {
+    return !this.root.classList.contains('hidden');
+  }
+
+  open() {
+    this.root.classList.remove('hidden');
+    return this.refresh();
+  }
+
+  close() {
+    this.root.classList.add('hidden');
+    if (typeof this.options.onClose === 'function') {
+      this.options.onClose();
+    }
+  }
+
+  async refresh() {
+    const seq = ++this.requestSeq;
+    this.statusLine.textContent = '统计中…';
+    let result;
+    try {
+      result = await this.options.loadAnalytics({
+        days: Number(this.rangeSelect.value) || ANALYTICS_DEFAULT_DAYS,
+        cwd: this.cwdInput.value.trim()
+      });
+    } catch (err) {
+      result = { success: false, error: err && err.message ? err.message : String(err) };
+    }
+    if (seq !== this.requestSeq) return;
+
+    this.body.innerHTML = '';
+    if (!result || !result.success || !result.analytics) {
+      this.statusLine.textContent = `统计失败：${(result && result.error) || '未知错误'}`;
+      return;
+    }
+    const { analytics } = result;
+    this.statusLine.textContent = `${analytics.range.since.slice(0, 10)} — ${analytics.range.until.slice(0, 10)}（UTC），共 ${analytics.totals.events} 条归档记录`;
+    this.render(analytics);
+  }
+
+  appendText(parent, className, text) {
+    const element = document.createElement('div');
+    element.className = className;
+    element.textContent = text;
+    parent.appendChild(element);
+    return element;
+  }
+
+  appendSection(title) {
+    const section = document.createElement('div');
+    section.className = 'analytics-section';
+    this.appendText(section, 'analytics-section-title', title);
+    this.body.appendChild(section);
+    return section;
+  }
+
+  render(analytics) {
+    const utils = getAnalyticsDashboardUtils();
+    const { totals, confirmWait } = analytics;
+    if (totals.sessions === 0 && totals.events === 0) {
+      this.appendText(this.body, 'archive-browser-empty', '该时间段内没有归档会话。');
+      return;
+    }
+
+    const cards = document.createElement('div');
+    cards.className = 'analytics-cards';
+    const confirmDetail = confirmWait.prompts > 0
+      ? `确认 ${confirmWait.prompts} 次${confirmWait.pending > 0 ? `，${confirmWait.pending} 次未响应` : ''}`
+      : '无确认请求';
+    for (const [label, value, detail, isWarning] of [
+      ['会话', String(totals.sessions), `${analytics.projects.length} 个项目`, false],
+      ['活跃时长', utils ? utils.formatActiveHours(totals.activeMs) : '', '会话开始到最后一条记录', false],
+      ['异常比例', utils ? utils.formatPercent(totals.errorRatio) : '', `${totals.errorSessions} 个会话最后状态为异常`, totals.errorSessions > 0],
+      ['平均确认等待', confirmWait.resolved > 0 ? formatAnalyticsWait(confirmWait.avgWaitMs) : '—', confirmDetail, false]
+    ]) {
+      const card = document.createElement('div');
+      card.className = `analytics-card${isWarning ? ' warning' : ''}`;
+      this.appendText(card, 'analytics-card-label', label);
+      this.appendText(card, 'analytics-card-value', value);
+      this.appendText(card, 'analytics-card-detail', detail);
+      cards.appendChild(card);
+    }
+    this.body.appendChild(cards);
+
+    this.renderHeatmap(this.appendSection('每日活跃'), analytics.heatmap);
+    this.renderBars(
+      this.appendSection('项目活跃时长'),
+      analytics.projects.map((project) => ({
+        label: project.cwd,
+        value: project.activeMs,
+        text: `${utils ? utils.formatActiveHours(project.activeMs) : ''} · ${project.sessions} 个会话`
+      }))
+    );
+
+    const mix = document.createElement('div');
+    mix.className = 'analytics-columns';
+    this.body.appendChild(mix);
+    for (const [title, items] of [['CLI', analytics.clis], ['模型', analytics.models], ['最后状态', analytics.statuses]]) {
+      const section = this.appendSection(title);
+      mix.appendChild(section);
+      this.renderBars(section, items.map((item) => ({ label: item.value, value: item.count, text: String(item.count) })));
+    }
+  }
+
+  renderBars(section, items) {
+    if (items.length === 0) {
+      this.appendText(section, 'archive-session-meta', '暂无数据');
+      return;
+    }
+    const max = Math.max(...items.map((item) => item.value), 1);
+    for (const item of items.slice(0, ANALYTICS_MAX_BARS)) {
+      const row = document.createElement('div');
+      row.className = 'analytics-bar-row';
+      const label = this.appendText(row, 'analytics-bar-label', item.label);
+      label.title = item.label;
+      const track = document.createElement('div');
+      track.className = 'analytics-bar-track';
+      const fill = document.createElement('div');
+      fill.className = 'analytics-bar-fill';
+      fill.style.width = `${Math.max(2, (item.value / max) * 100)}%`;
+      track.appendChild(fill);
+      row.appendChild(track);
+      this.appendText(row, 'analytics-bar-value', item.text);
+      section.appendChild(row);
+    }
+    if (items.length > ANALYTICS_MAX_BARS) {
+      this.appendText(section, 'archive-session-meta', `另有 ${items.length - ANALYTICS_MAX_BARS} 项未显示`);
+    }
+  }
+
+  renderHeatmap(section, heatmap) {
+    const utils = getAnalyticsDashboardUtils();
+    if (!utils) return;
+    const { weeks } = utils.buildHeatmapWeeks(heatmap);
+    const grid = document.createElement('div');
+    grid.className = 'analytics-heatmap';
+
+    const labels = document.createElement('div');
+    labels.className = 'analytics-heatmap-week';
+    for (const text of ANALYTICS_WEEKDAY_LABELS) {
+      this.appendText(labels, 'analytics-heatmap-label', text);
+    }
+    grid.appendChild(labels);
+
+    const sessionsByDay = new Map(heatmap.map((item) => [item.day, item.sessions]));
+    for (const week of weeks) {
+      const column = document.createElement('div');
+      column.className = 'analytics-heatmap-week';
+      for (const cell of week) {
+        const element = document.createElement('div');
+        element.className = cell ? `analytics-heatmap-cell level-${cell.level}` : 'analytics-heatmap-cell empty';
+        if (cell) element.title = `${cell.day}：${cell.value} 条记录，${sessionsByDay.get(cell.day) || 0} 个会话`;
+        column.appendChild(element);
+      }
+      grid.appendChild(column);
+    }
+    section.appendChild(grid);
+  }
+}
@@ -0,0 +1,60 @@
+(function bootstrapAnalyticsDashboardUtils(root, factory) {
+  const api = factory();
+  if (typeof module === 'object' && module.exports) {
+    module.exports = api;
+  }
+  if (root && typeof root === 'object') {
+    root.AnalyticsDashboardUtils = api;
+  }
+})(typeof globalThis !== 'undefined' ? globalThis : this, function createAnalyticsDashboardUtils() {
+  // Formatting helpers for the payload of archiveStore.aggregate(); heatmap days
+  // are UTC day stamps, laid out as week columns with Monday on top.
+  const ANALYTICS_RANGE_OPTIONS = [7, 30, 90];
+  const HEATMAP_LEVELS = 4;
+  const HOUR_MS = 60 * 60 * 1000;
+
+  function formatActiveHours(ms) {
+    const value = Math.max(0, Number(ms) || 0);
+    if (value < HOUR_MS) return `${Math.round(value / 60000)} 分钟`;
+    const hours = value / HOUR_MS;
+    return `${hours >= 10 ? Math.round(hours) : Math.round(hours * 10) / 10} 小时`;
+  }
+
+  function formatPercent(ratio) {
+    const value = Math.max(0, Math.min(1, Number(ratio) || 0));
+    return `${Math.round(value * 100)}%`;
+  }
+
+  function getHeatmapLevel(value, max) {
+    if (!value || !max) return 0;
+    return Math.max(1, Math.min(HEATMAP_LEVELS, Math.ceil((value / max) * HEATMAP_LEVELS)));
+  }
+
+  // [{ day, events, sessions }] -> { max, weeks: [[cell | null] x 7] }. Cells before
+  // the first day and after the last one are null so every column has 7 rows.
+  function buildHeatmapWeeks(heatmap, key = 'events') {
+    const days = Array.isArray(heatmap) ? heatmap : [];
+    const max = days.reduce((result, item) => Math.max(result, Number(item[key]) || 0), 0);
+    const weeks = [];
+    let week = null;
+    for (const item of days) {
+      const row = (new Date(`${item.day}T00:00:00.000Z`).getUTCDay() + 6) % 7;
+      if (!week || row === 0) {
+        week = new Array(7).fill(null);
+        weeks.push(week);
+      }
+      const value = Number(item[key]) || 0;
+      week[row] = { day: item.day, value, level: getHeatmapLevel(value, max) };
+    }
+    return { max, weeks };
+  }
+
+  return {
+    ANALYTICS_RANGE_OPTIONS,
+    HEATMAP_LEVELS,
+    formatActiveHours,
+    formatPercent,
+    getHeatmapLevel,
+    buildHeatmapWeeks
+  };
+});
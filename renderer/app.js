@@ -1,4 +1,4 @@
-/* global TerminalManager, ConfirmHintUtils */
+/* global TerminalManager, ConfirmHintUtils, PaneLayoutUtils, CastPlayerUtils, ReplayViewer, ArchiveBrowserPanel, ScrollbackRestoreUtils, LaunchProfileUtils, CommandRegistryUtils */
 
 (function appRendererScope() {
 
@@ -92,6 +92,9 @@ function createFallbackTerminalManager() {
       throw new Error('终端渲染内核未加载');
     },
     write() {},
+    has() { return false; },
+    getSize() { return null; },
+    serialize() { return ''; },
     fit() { return null; },
     focus() {},
     getScrollDistance() { return 0; },
@@ -101,6 +104,7 @@ function createFallbackTerminalManager() {
     scrollToBottom() {},
     destroy() {},
     setLightMode() {},
+    setTerminalKeybindings() {},
     increaseFontSize() {},
     decreaseFontSize() {},
     resetFontSize() {}
@@ -157,10 +161,90 @@ const confirmHintUtils = (() => {
   console.warn('[tab-confirm] ConfirmHintUtils is missing, fallback to built-in helpers.');
   return fallback;
 })();
-const tabs = []; // { id, title, manuallyRenamed, cwd, autoCommand, heartbeatStatus, heartbeatSummary, heartbeatAnalysis, heartbeatAt, confirmPending, confirmPrompt, confirmDetectedAt, sessionReady, sessionState, sessionStartPromise, pendingAutoCommand }
+const paneLayoutUtils = (() => {
+  if (typeof PaneLayoutUtils === 'object' && PaneLayoutUtils) {
+    return PaneLayoutUtils;
+  }
+  console.warn('[pane] PaneLayoutUtils is missing, split panes are disabled.');
+  return null;
+})();
+const scrollbackRestoreUtils = (() => {
+  if (typeof ScrollbackRestoreUtils === 'object' && ScrollbackRestoreUtils) {
+    return ScrollbackRestoreUtils;
+  }
+  console.warn('[scrollback] ScrollbackRestoreUtils is missing, scrollback restore is disabled.');
+  return null;
+})();
+const commandRegistry = (() => {
+  if (typeof CommandRegistryUtils === 'object' && CommandRegistryUtils) {
+    return CommandRegistryUtils;
+  }
+  console.warn('[command] CommandRegistryUtils is missing, menu commands and the palette are disabled.');
+  return null;
+})();
+const launchProfileUtils = (() => {
+  if (typeof LaunchProfileUtils === 'object' && LaunchProfileUtils) {
+    return LaunchProfileUtils;
+  }
+  console.warn('[launch-profile] LaunchProfileUtils is missing, launch profiles are disabled.');
+  return null;
+})();
+const archiveRetentionUtils = (() => {
+  if (typeof ArchiveRetentionUtils === 'object' && ArchiveRetentionUtils) {
+    return ArchiveRetentionUtils;
+  }
+  console.warn('[archive-retention] ArchiveRetentionUtils is missing, retention settings are read-only.');
+  return null;
+})();
+const analysisBackendUtils = (() => {
+  if (typeof AnalysisBackendUtils === 'object' && AnalysisBackendUtils) {
+    return AnalysisBackendUtils;
+  }
+  console.warn('[analysis-backend] AnalysisBackendUtils is missing, analysis backend settings are read-only.');
+  return null;
+})();
+const secretRedactionUtils = (() => {
+  if (typeof SecretRedactionUtils === 'object' && SecretRedactionUtils) {
+    return SecretRedactionUtils;
+  }
+  console.warn('[secret-redaction] SecretRedactionUtils is missing, redaction settings are read-only.');
+  return null;
+})();
+const analysisUsageUtils = (() => {
+  if (typeof AnalysisUsageUtils === 'object' && AnalysisUsageUtils) {
+    return AnalysisUsageUtils;
+  }
+  console.warn('[analysis-usage] AnalysisUsageUtils is missing, analysis budget settings are read-only.');
+  return null;
+})();
+const analysisPromptUtils = (() => {
+  if (typeof AnalysisPromptUtils === 'object' && AnalysisPromptUtils) {
+    return AnalysisPromptUtils;
+  }
+  console.warn('[analysis-prompts] AnalysisPromptUtils is missing, prompt settings are read-only.');
+  return null;
+})();
+const heartbeatSchemaUtils = (() => {
+  if (typeof HeartbeatSchemaUtils === 'object' && HeartbeatSchemaUtils) {
+    return HeartbeatSchemaUtils;
+  }
+  console.warn('[heartbeat-schema] HeartbeatSchemaUtils is missing, heartbeat details are hidden.');
+  return null;
+})();
+const workDigestUtils = (() => {
+  if (typeof WorkDigestUtils === 'object' && WorkDigestUtils) {
+    return WorkDigestUtils;
+  }
+  console.warn('[work-digest] WorkDigestUtils is missing, digest schedule settings are read-only.');
+  return null;
+})();
+const tabs = []; // { id, title, manuallyRenamed, cwd, autoCommand, heartbeatStatus, heartbeatSummary, heartbeatAnalysis, heartbeatDetails, heartbeatAt, confirmPending, confirmPrompt, confirmDetectedAt, sessionReady, sessionState, sessionStartPromise, pendingAutoCommand, launchShellMode, launchProfileId, launchProfileName, shell, resolvedShell, layout, panes, activePaneId, restoreScrollbackKey }
+const paneOwnerTabIds = new Map(); // secondary paneId -> owning tabId (primary pane id equals tab id)
+const paneElements = new Map();
 const pendingTopicRefreshTabs = new Set();
 let activeTabId = null;
 let inAppNoticeContainer = null;
+const summaryStreamNotices = new Map(); // streamId -> streaming notice of an on-demand archive summary
 const TAB_SNAPSHOT_KEY = 'shaoterm.tab-snapshot.v1';
 const TAB_SNAPSHOT_SCHEMA_VERSION = 2;
 let isRestoringTabs = false;
@@ -173,19 +257,84 @@ const tabBar = document.getElementById('tab-bar');
 const btnAddTerminal = document.getElementById('btn-add-terminal');
 const btnAddAi = document.getElementById('btn-add-ai');
 const terminalContainer = document.getElementById('terminal-container');
+const mainArea = document.getElementById('main-area');
+const archiveBrowserElement = document.getElementById('archive-browser');
 const btnSettings = document.getElementById('btn-settings');
 const btnConfirmQueue = document.getElementById('btn-confirm-queue');
+const btnAnalysisHealth = document.getElementById('btn-analysis-health');
 const btnScrollBottom = document.getElementById('btn-scroll-bottom');
 const settingsModal = document.getElementById('settings-modal');
 const settingsAiCommand = document.getElementById('settings-ai-command');
 const settingsBaseUrl = document.getElementById('settings-base-url');
 const settingsApiKey = document.getElementById('settings-api-key');
+const settingsAnalysisBackend = document.getElementById('settings-analysis-backend');
+const settingsAnthropicFields = document.getElementById('settings-anthropic-fields');
+const settingsAnthropicBaseUrl = document.getElementById('settings-anthropic-base-url');
+const settingsAnthropicApiKey = document.getElementById('settings-anthropic-api-key');
+const settingsAnthropicModel = document.getElementById('settings-anthropic-model');
+const settingsLocalFields = document.getElementById('settings-local-fields');
+const settingsLocalApi = document.getElementById('settings-local-api');
+const settingsLocalBaseUrl = document.getElementById('settings-local-base-url');
+const settingsLocalModel = document.getElementById('settings-local-model');
+const settingsLocalModelList = document.getElementById('settings-local-model-list');
+const btnLocalModels = document.getElementById('btn-local-models');
+const settingsAnalysisContext = document.getElementById('settings-analysis-context');
+const settingsLocalOnly = document.getElementById('settings-local-only');
+const settingsOutputLanguage = document.getElementById('settings-output-language');
+const settingsTopicTemplate = document.getElementById('settings-topic-template');
+const settingsHeartbeatTemplate = document.getElementById('settings-heartbeat-template');
+const settingsAnalysisBudget = document.getElementById('settings-analysis-budget');
+const settingsAnalysisUsage = document.getElementById('settings-analysis-usage');
+const settingsRedactionEnabled = document.getElementById('settings-redaction-enabled');
+const settingsRedactionPatterns = document.getElementById('settings-redaction-patterns');
 const settingsArchiveMetrics = document.getElementById('settings-archive-metrics');
+const settingsSessionRecording = document.getElementById('settings-session-recording');
+const settingsRetentionDays = document.getElementById('settings-retention-days');
+const settingsRetentionSize = document.getElementById('settings-retention-size');
+const settingsRetentionPinned = document.getElementById('settings-retention-pinned');
+const btnRetentionRun = document.getElementById('btn-retention-run');
+const settingsDigestEnabled = document.getElementById('settings-digest-enabled');
+const settingsDigestFrequency = document.getElementById('settings-digest-frequency');
+const settingsDigestWeekday = document.getElementById('settings-digest-weekday');
+const settingsDigestTime = document.getElementById('settings-digest-time');
+const workDigestPanelElement = document.getElementById('work-digest-panel');
+const analyticsDashboardElement = document.getElementById('analytics-dashboard');
+const settingsLaunchProfileSelect = document.getElementById('settings-launch-profile-select');
+const settingsLaunchProfileFields = document.getElementById('settings-launch-profile-fields');
+const settingsLaunchProfileName = document.getElementById('settings-launch-profile-name');
+const settingsLaunchProfileCommand = document.getElementById('settings-launch-profile-command');
+const settingsLaunchProfileCwd = document.getElementById('settings-launch-profile-cwd');
+const settingsLaunchProfileShell = document.getElementById('settings-launch-profile-shell');
+const settingsLaunchProfileShellMode = document.getElementById('settings-launch-profile-shell-mode');
+const settingsLaunchProfileEnv = document.getElementById('settings-launch-profile-env');
+const settingsLaunchProfileDelay = document.getElementById('settings-launch-profile-delay');
+const settingsLaunchProfileShellOptions = document.getElementById('settings-launch-profile-shell-options');
+const btnLaunchProfileAdd = document.getElementById('btn-launch-profile-add');
+const btnLaunchProfileRemove = document.getElementById('btn-launch-profile-remove');
+const newTabMenu = document.getElementById('new-tab-menu');
+const commandPalette = document.getElementById('command-palette');
+const commandPaletteInput = document.getElementById('command-palette-input');
+const commandPaletteList = document.getElementById('command-palette-list');
 const btnSettingsSave = document.getElementById('btn-settings-save');
 const btnSettingsCancel = document.getElementById('btn-settings-cancel');
 const quickHeartbeatEnabled = document.getElementById('quick-heartbeat-enabled');
 const quickHeartbeatInterval = document.getElementById('quick-heartbeat-interval');
 const quickArchiveMetricsEnabled = document.getElementById('quick-archive-metrics-enabled');
+const workspaceModal = document.getElementById('workspace-modal');
+const workspaceNameInput = document.getElementById('workspace-name');
+const workspaceList = document.getElementById('workspace-list');
+const btnWorkspaceSave = document.getElementById('btn-workspace-save');
+const btnWorkspaceClose = document.getElementById('btn-workspace-close');
+const archiveExportModal = document.getElementById('archive-export-modal');
+const archiveExportFormat = document.getElementById('archive-export-format');
+const archiveExportDays = document.getElementById('archive-export-days');
+const archiveExportCwd = document.getElementById('archive-export-cwd');
+const archiveExportSession = document.getElementById('archive-export-session');
+const archiveExportEventType = document.getElementById('archive-export-event-type');
+const archiveExportKeyword = document.getElementById('archive-export-keyword');
+const archiveExportDigest = document.getElementById('archive-export-digest');
+const btnArchiveExport = document.getElementById('btn-archive-export');
+const btnArchiveExportCancel = document.getElementById('btn-archive-export-cancel');
 const UI_REQUIRED_ELEMENTS = [
   ['tab-bar', tabBar],
   ['terminal-container', terminalContainer],
@@ -196,6 +345,19 @@ const UI_REQUIRED_ELEMENTS = [
   ['settings-modal', settingsModal]
 ];
 let aiCommand = 'codex';
+let launchProfiles = [];
+let launchProfileDrafts = [];
+let selectedLaunchProfileId = '';
+let availableShellsPromise = null;
+let paletteItems = [];
+let paletteVisibleItems = [];
+let paletteSelectedIndex = 0;
+let paletteArgumentPrompt = null; // { placeholder, run(value) } while the palette collects free text
+let paletteReturnFocusId = '';
+let archiveBrowser = null;
+let workDigestPanel = null;
+let analyticsDashboard = null;
+let commandAccelerators = null; // commandId -> accelerator after keybindings.json overrides
 const HEARTBEAT_INTERVAL_OPTIONS = ['5', '10', '15', '30'];
 const TERMINAL_BOTTOM_SNAP_LINES = 2;
 const TERMINAL_CREATE_TIMEOUT_MS = 12000;
@@ -210,6 +372,12 @@ const HEARTBEAT_STATUS_TEXT = {
   error: '异常',
   ended: '已结束'
 };
+const ANALYSIS_HEALTH_TEXT = {
+  healthy: '正常',
+  degraded: '不稳定：最近请求失败或正在重试',
+  open: '已熔断：暂用本地摘要',
+  half_open: '冷却结束：等待下一次试探请求'
+};
 
 function normalizeHeartbeatStatus(status, fallbackText = '') {
   const raw = String(status || fallbackText || '').trim();
@@ -234,6 +402,20 @@ function formatHeartbeatTime(isoString) {
   }).format(date);
 }
 
+const SHELL_MODE_TEXT = {
+  '': '登录',
+  nologin: '非登录',
+  fast: '快速'
+};
+
+function formatResolvedShell(resolvedShell) {
+  if (!resolvedShell || !resolvedShell.path) return '';
+  const args = Array.isArray(resolvedShell.args) && resolvedShell.args.length > 0 ? ` ${resolvedShell.args.join(' ')}` : '';
+  const mode = SHELL_MODE_TEXT[resolvedShell.mode || ''] || '';
+  const fallback = resolvedShell.fallbackReason === 'selected_shell_unavailable' ? '，所选 Shell 不可用已回退' : '';
+  return `${resolvedShell.path}${args}${mode || fallback ? `（${mode}${fallback}）` : ''}`;
+}
+
 function formatHeartbeatTooltip(tabData) {
   if (!tabData) return '';
   const status = HEARTBEAT_STATUS_TEXT[tabData.heartbeatStatus || 'unknown'] || HEARTBEAT_STATUS_TEXT.unknown;
@@ -241,11 +423,18 @@ function formatHeartbeatTooltip(tabData) {
   const summary = String(tabData.heartbeatSummary || '').trim();
   const analysis = String(tabData.heartbeatAnalysis || '').trim();
   const cwd = String(tabData.cwd || '').trim();
+  const launchProfileName = String(tabData.launchProfileName || '').trim();
   const lines = [];
   if (cwd) lines.push(`目录：${cwd}`);
+  if (launchProfileName) lines.push(`启动配置：${launchProfileName}`);
+  const shellLine = formatResolvedShell(tabData.resolvedShell);
+  if (shellLine) lines.push(`Shell：${shellLine}`);
   lines.push(`心跳：${status}${at ? ` · ${at}` : ''}`);
   if (summary) lines.push(`总结：${summary}`);
   if (analysis) lines.push(`分析：${analysis}`);
+  if (heartbeatSchemaUtils && tabData.heartbeatDetails) {
+    lines.push(...heartbeatSchemaUtils.formatHeartbeatDetailLines(tabData.heartbeatDetails));
+  }
   return lines.join('\n');
 }
 
@@ -309,6 +498,37 @@ function syncConfirmQueueButton() {
   }
 }
 
+function describeAnalysisHealth(health) {
+  const option = analysisBackendUtils
+    ? analysisBackendUtils.ANALYSIS_BACKEND_OPTIONS.find((item) => item.value === health.backend)
+    : null;
+  const lines = [
+    `分析后端：${option ? option.label : health.backend}`,
+    `状态：${ANALYSIS_HEALTH_TEXT[health.health] || health.health}`
+  ];
+  if (health.health === 'open' && health.openUntil) {
+    lines.push(`恢复尝试时间：${new Date(health.openUntil).toLocaleTimeString()}`);
+  }
+  if (health.consecutiveFailures > 0) {
+    lines.push(`连续失败：${health.consecutiveFailures} 次`);
+  }
+  if (health.lastError) {
+    lines.push(`最近错误：${health.lastError}`);
+  }
+  return lines;
+}
+
+function renderAnalysisHealth(health) {
+  if (!btnAnalysisHealth || !health) return;
+  btnAnalysisHealth.dataset.health = health.health;
+  btnAnalysisHealth.title = describeAnalysisHealth(health).join('\n');
+}
+
+async function loadAnalysisHealth() {
+  if (!hasApiMethod('getAnalysisHealth')) return;
+  renderAnalysisHealth(await window.api.getAnalysisHealth());
+}
+
 function renderTabConfirmBadge(tabId) {
   const tabData = tabs.find((t) => t.id === tabId);
   if (!tabData) return;
@@ -380,6 +600,9 @@ function updateTabHeartbeatMeta(tabId, patch = {}) {
   if (patch.analysis !== undefined) {
     tabData.heartbeatAnalysis = String(patch.analysis || '').replace(/\s+/g, ' ').trim().slice(0, 220);
   }
+  if (patch.details !== undefined && heartbeatSchemaUtils) {
+    tabData.heartbeatDetails = heartbeatSchemaUtils.pickHeartbeatDetails(patch.details);
+  }
   if (patch.at !== undefined) {
     tabData.heartbeatAt = String(patch.at || '').trim();
   } else if (patch.status !== undefined || patch.summary !== undefined || patch.analysis !== undefined) {
@@ -396,7 +619,7 @@ function updateTabHeartbeatMeta(tabId, patch = {}) {
 
 function updateScrollBottomButton(distanceToBottom) {
   if (distanceToBottom > 0 && distanceToBottom <= TERMINAL_BOTTOM_SNAP_LINES) {
-    terminalManager.scrollToBottom(activeTabId);
+    terminalManager.scrollToBottom(getActiveTerminalId());
     return;
   }
   btnScrollBottom.classList.toggle('visible', distanceToBottom > TERMINAL_BOTTOM_SNAP_LINES);
@@ -407,12 +630,12 @@ function syncScrollBottomButton() {
     btnScrollBottom.classList.remove('visible');
     return;
   }
-  const distanceToBottom = terminalManager.getScrollDistance(activeTabId);
+  const distanceToBottom = terminalManager.getScrollDistance(getActiveTerminalId());
   updateScrollBottomButton(distanceToBottom);
 }
 
 function handleTerminalScrollStateChange({ tabId, distanceToBottom }) {
-  if (tabId !== activeTabId) return;
+  if (!activeTabId || tabId !== getActiveTerminalId()) return;
   updateScrollBottomButton(distanceToBottom);
 }
 
@@ -431,7 +654,27 @@ function normalizeRuntimeSettings(config = {}) {
     heartbeatEnabled: config.heartbeatEnabled !== false,
     heartbeatIntervalMs: normalizeHeartbeatIntervalMs(config.heartbeatIntervalMs),
     heartbeatPreferSessionAi: config.heartbeatPreferSessionAi !== false,
-    archiveMetricsEnabled: config.archiveMetricsEnabled === true
+    archiveMetricsEnabled: config.archiveMetricsEnabled === true,
+    sessionRecordingEnabled: config.sessionRecordingEnabled === true,
+    launchProfiles: launchProfileUtils ? launchProfileUtils.normalizeLaunchProfiles(config.launchProfiles) : [],
+    archiveRetention: archiveRetentionUtils
+      ? archiveRetentionUtils.normalizeArchiveRetention(config.archiveRetention)
+      : config.archiveRetention,
+    workDigestSchedule: workDigestUtils
+      ? workDigestUtils.normalizeWorkDigestSchedule(config.workDigestSchedule)
+      : config.workDigestSchedule,
+    analysisBackend: analysisBackendUtils
+      ? analysisBackendUtils.normalizeAnalysisBackendSettings(config.analysisBackend)
+      : config.analysisBackend,
+    redaction: secretRedactionUtils
+      ? secretRedactionUtils.normalizeRedactionSettings(config.redaction)
+      : config.redaction,
+    analysisBudget: analysisUsageUtils
+      ? analysisUsageUtils.normalizeAnalysisBudget(config.analysisBudget)
+      : config.analysisBudget,
+    analysisPrompts: analysisPromptUtils
+      ? analysisPromptUtils.normalizeAnalysisPromptSettings(config.analysisPrompts)
+      : config.analysisPrompts
   };
 }
 
@@ -455,12 +698,21 @@ function applyQuickSettings(config = {}) {
 async function persistRuntimeSettings(config) {
   const normalized = normalizeRuntimeSettings(config);
   aiCommand = normalized.aiCommand;
+  launchProfiles = normalized.launchProfiles;
   await window.api.saveSettings(normalized.apiKey, normalized.baseUrl, normalized.aiCommand, {
     heartbeatEnabled: normalized.heartbeatEnabled,
     heartbeatIntervalMs: normalized.heartbeatIntervalMs,
     heartbeatPreferSessionAi: normalized.heartbeatPreferSessionAi
   }, {
-    archiveMetricsEnabled: normalized.archiveMetricsEnabled
+    archiveMetricsEnabled: normalized.archiveMetricsEnabled,
+    sessionRecordingEnabled: normalized.sessionRecordingEnabled,
+    launchProfiles: normalized.launchProfiles,
+    archiveRetention: normalized.archiveRetention,
+    workDigestSchedule: normalized.workDigestSchedule,
+    analysisBackend: normalized.analysisBackend,
+    redaction: normalized.redaction,
+    analysisBudget: normalized.analysisBudget,
+    analysisPrompts: normalized.analysisPrompts
   });
   applyQuickSettings(normalized);
   return normalized;
@@ -536,17 +788,53 @@ function createTabSnapshot() {
   return {
     version: TAB_SNAPSHOT_SCHEMA_VERSION,
     activeTabId: activeTabId || '',
-    tabs: tabs.map((tab) => ({
-      tabId: tab.id,
-      title: tab.title,
-      manuallyRenamed: !!tab.manuallyRenamed,
-      cwd: tab.cwd || '',
-      lastCliCommand: tab.autoCommand || '',
-      autoCommand: tab.autoCommand || ''
-    }))
+    tabs: tabs.filter((tab) => !isReplayTab(tab)).map((tab) => {
+      const item = {
+        tabId: tab.id,
+        title: tab.title,
+        manuallyRenamed: !!tab.manuallyRenamed,
+        cwd: tab.cwd || '',
+        lastCliCommand: tab.autoCommand || '',
+        autoCommand: tab.autoCommand || ''
+      };
+      if (tab.launchProfileId) {
+        item.launchProfileId = tab.launchProfileId;
+      }
+      if (tab.shell) {
+        item.shell = tab.shell;
+      }
+      const paneIds = paneLayoutUtils && tab.layout ? paneLayoutUtils.listPaneIds(tab.layout) : [];
+      if (paneIds.length > 1) {
+        item.layout = tab.layout;
+        item.panes = getSecondaryPanes(tab).map((pane) => ({
+          paneId: pane.id,
+          cwd: pane.cwd || '',
+          lastCliCommand: pane.autoCommand || ''
+        }));
+      }
+      return item;
+    })
   };
 }
 
+function normalizeSnapshotPanes(item, tabId) {
+  if (!paneLayoutUtils) return {};
+  const layout = paneLayoutUtils.normalizePaneLayout(item.layout);
+  if (!layout || !paneLayoutUtils.hasPane(layout, tabId)) return {};
+  const paneIds = paneLayoutUtils.listPaneIds(layout);
+  if (paneIds.length < 2) return {};
+  const rawPanes = Array.isArray(item.panes) ? item.panes : [];
+  const panes = rawPanes
+    .filter((pane) => pane && typeof pane === 'object')
+    .map((pane) => ({
+      paneId: String(pane.paneId || '').trim(),
+      cwd: String(pane.cwd || '').trim(),
+      lastCliCommand: String(pane.lastCliCommand || '').trim()
+    }))
+    .filter((pane) => pane.paneId && pane.paneId !== tabId && paneIds.includes(pane.paneId));
+  return { layout, panes };
+}
+
 function normalizeTabSnapshot(snapshot) {
   const raw = snapshot && typeof snapshot === 'object' ? snapshot : {};
   const rawTabs = Array.isArray(raw.tabs) ? raw.tabs : [];
@@ -563,7 +851,10 @@ function normalizeTabSnapshot(snapshot) {
         manuallyRenamed: !!item.manuallyRenamed,
         cwd,
         lastCliCommand,
-        autoCommand: lastCliCommand
+        autoCommand: lastCliCommand,
+        launchProfileId: String(item.launchProfileId || '').trim(),
+        shell: String(item.shell || '').trim(),
+        ...normalizeSnapshotPanes(item, tabId)
       };
     })
     .filter(Boolean);
@@ -695,6 +986,31 @@ function resolveSnapshotActiveIndex(snapshot) {
   return Math.max(snapshot.tabs.length - 1, 0);
 }
 
+// Recreates a tab saved in tab-state.json or a workspace file. Only the
+// activated tab starts its session right away; the rest wait until selected.
+function createTabFromSavedItem(item, options = {}) {
+  const restoredAutoCommand = String(item.lastCliCommand || item.autoCommand || '').trim();
+  const savedShellMode = String(item.shellMode || '').trim();
+  const shouldActivate = !!options.activate;
+  return createNewTab({
+    title: item.title || '终端',
+    manuallyRenamed: !!item.manuallyRenamed,
+    cwd: item.cwd || null,
+    autoCommand: restoredAutoCommand || null,
+    skipDirectoryPrompt: true,
+    activate: shouldActivate,
+    deferSessionStart: !shouldActivate,
+    deferAutoRun: true,
+    deferPendingCommandFlush: true,
+    // CLI session must use login shell to load user PATH (~/.zshrc), otherwise codex/opencode may be missing.
+    shellMode: savedShellMode || (restoredAutoCommand ? '' : STARTUP_FAST_SHELL_MODE),
+    launchProfileId: item.launchProfileId || '',
+    shell: item.shell || '',
+    restoredPanes: item.layout ? { sourceTabId: item.tabId, layout: item.layout, panes: item.panes } : null,
+    restoreScrollbackKey: options.restoreScrollbackKey || ''
+  });
+}
+
 async function restoreTabsFromSnapshot() {
   const snapshot = await loadTabSnapshot();
   if (!snapshot) return false;
@@ -713,22 +1029,10 @@ async function restoreTabsFromSnapshot() {
     // Restore tab headers in original order, but only active tab starts its session immediately.
     for (let i = 0; i < snapshotTabs.length; i += 1) {
       const tab = snapshotTabs[i];
-      const isActiveTab = i === activeIndex;
-      const restoredAutoCommand = String(tab.lastCliCommand || tab.autoCommand || '').trim();
-      const shouldUseFastShell = !restoredAutoCommand;
       try {
-        const restoredId = await createNewTab({
-          title: tab.title || '终端',
-          manuallyRenamed: !!tab.manuallyRenamed,
-          cwd: tab.cwd || null,
-          autoCommand: restoredAutoCommand || null,
-          skipDirectoryPrompt: true,
-          activate: isActiveTab,
-          deferSessionStart: !isActiveTab,
-          deferAutoRun: true,
-          deferPendingCommandFlush: true,
-          // CLI session must use login shell to load user PATH (~/.zshrc), otherwise codex/opencode may be missing.
-          shellMode: shouldUseFastShell ? STARTUP_FAST_SHELL_MODE : ''
+        const restoredId = await createTabFromSavedItem(tab, {
+          activate: i === activeIndex,
+          restoreScrollbackKey: tab.tabId
         });
         if (restoredId) restoredCount += 1;
       } catch (tabErr) {
@@ -850,7 +1154,8 @@ async function ensureTabSessionReady(tabData, options = {}) {
     let cols = 80;
     let rows = 24;
     try {
-      const size = terminalManager.create(tabId, wrapper);
+      renderTabPaneLayout(tabData);
+      const size = terminalManager.create(tabId, ensurePaneElement(tabData, tabId));
       cols = size.cols;
       rows = size.rows;
     } catch (err) {
@@ -865,6 +1170,8 @@ async function ensureTabSessionReady(tabData, options = {}) {
       return false;
     }
 
+    await restoreTerminalScrollback(tabId, tabData);
+
     let createResult = null;
     try {
       createResult = await withTimeout(
@@ -874,6 +1181,8 @@ async function ensureTabSessionReady(tabData, options = {}) {
           tabData.autoCommand || null,
           {
             shellMode: options.shellMode || tabData.shellMode || '',
+            launchProfileId: tabData.launchProfileId || '',
+            shell: tabData.shell || '',
             autoRunCommand: options.autoRunCommand !== false
           }
         ),
@@ -902,6 +1211,18 @@ async function ensureTabSessionReady(tabData, options = {}) {
       tabData.cwd = createResult.resolvedCwd;
       renderTabLabel(tabId);
     }
+    tabData.launchProfileName = String((createResult && createResult.launchProfileName) || '').trim();
+    tabData.resolvedShell = createResult && createResult.shell
+      ? {
+        path: createResult.shell,
+        args: createResult.shellArgs,
+        mode: createResult.shellMode,
+        fallbackReason: createResult.shellFallbackReason
+      }
+      : null;
+    if (createResult && createResult.shellFallbackReason === 'selected_shell_unavailable') {
+      showInAppNotice('Shell 不可用', `未找到所选 Shell（${tabData.shell}），已改用：${createResult.shell}`);
+    }
     if (createResult && createResult.cwdFallbackApplied) {
       const requestedPath = String(createResult.requestedCwd || '').trim();
       const fallbackPath = String(createResult.resolvedCwd || '').trim();
@@ -927,7 +1248,7 @@ async function ensureTabSessionReady(tabData, options = {}) {
 
     window.api.resizeTerminal(tabId, cols, rows);
     if (activeTabId === tabId) {
-      terminalManager.focus(tabId);
+      terminalManager.focus(getActivePaneId(tabData));
     }
 
     return true;
@@ -940,12 +1261,77 @@ async function ensureTabSessionReady(tabData, options = {}) {
   if (ready && options.runPendingCommand !== false) {
     await runPendingAutoCommandIfNeeded(tabData);
   }
+  if (ready) {
+    await startSecondaryPaneSessions(tabData);
+  }
 
   syncScrollBottomButton();
   persistTabSnapshot();
   return !!ready;
 }
 
+function mountTabElement(tabData) {
+  const tabId = tabData.id;
+  const tabEl = document.createElement('div');
+  tabEl.className = 'tab';
+  tabEl.dataset.tabId = tabId;
+
+  const heartbeatDot = document.createElement('span');
+  heartbeatDot.className = 'tab-heartbeat-dot status-unknown';
+  heartbeatDot.setAttribute('aria-hidden', 'true');
+
+  const titleSpan = document.createElement('span');
+  titleSpan.className = 'tab-title';
+  titleSpan.textContent = tabData.title;
+
+  const folderSpan = document.createElement('span');
+  folderSpan.className = 'tab-folder hidden';
+
+  const confirmBadge = document.createElement('span');
+  confirmBadge.className = 'tab-confirm-badge hidden';
+  confirmBadge.textContent = TAB_CONFIRM_BADGE_TEXT;
+
+  const closeBtn = document.createElement('span');
+  closeBtn.className = 'tab-close';
+  closeBtn.textContent = '\u00d7';
+
+  tabEl.appendChild(heartbeatDot);
+  tabEl.appendChild(titleSpan);
+  tabEl.appendChild(folderSpan);
+  tabEl.appendChild(confirmBadge);
+  tabEl.appendChild(closeBtn);
+  // Insert before both add buttons
+  tabBar.insertBefore(tabEl, btnAddTerminal);
+  renderTabLabel(tabId);
+  renderTabHeartbeat(tabId);
+  renderTabConfirmBadge(tabId);
+
+  tabEl.addEventListener('click', (e) => {
+    if (!e.target.classList.contains('tab-close')) {
+      switchToTabById(tabId);
+    }
+  });
+
+  titleSpan.addEventListener('dblclick', (e) => {
+    e.stopPropagation();
+    startRename(tabEl, tabData);
+  });
+
+  closeBtn.addEventListener('click', (e) => {
+    e.stopPropagation();
+    closeTab(tabId).catch((closeErr) => {
+      console.warn('Failed to close tab:', closeErr);
+      showInAppNotice('关闭标签失败', `原因：${formatErrorDetail(closeErr)}`);
+    });
+  });
+
+  const wrapper = document.createElement('div');
+  wrapper.className = 'terminal-wrapper';
+  wrapper.dataset.tabId = tabId;
+  terminalContainer.appendChild(wrapper);
+  return wrapper;
+}
+
 async function createNewTab(options = {}) {
   try {
     const resolvedOptions = typeof options === 'string' ? { autoCommand: options } : (options || {});
@@ -975,6 +1361,11 @@ async function createNewTab(options = {}) {
       cwd,
       autoCommand,
       shellMode: String(resolvedOptions.shellMode || '').trim(),
+      launchShellMode: String(resolvedOptions.shellMode || '').trim(),
+      launchProfileId: String(resolvedOptions.launchProfileId || '').trim(),
+      launchProfileName: '',
+      shell: String(resolvedOptions.shell || '').trim(),
+      resolvedShell: null,
       sessionReady: false,
       sessionState: deferSessionStart ? 'dormant' : 'starting',
       sessionStartPromise: null,
@@ -982,70 +1373,21 @@ async function createNewTab(options = {}) {
       heartbeatStatus: 'unknown',
       heartbeatSummary: '',
       heartbeatAnalysis: '',
+      heartbeatDetails: null,
       heartbeatAt: '',
       confirmPending: false,
       confirmPrompt: '',
-      confirmDetectedAt: ''
+      confirmDetectedAt: '',
+      layout: paneLayoutUtils ? paneLayoutUtils.createPaneLayout(tabId) : null,
+      panes: [],
+      activePaneId: tabId,
+      restoreScrollbackKey: String(resolvedOptions.restoreScrollbackKey || '').trim()
     };
+    if (resolvedOptions.restoredPanes) {
+      applyRestoredPaneLayout(tabData, resolvedOptions.restoredPanes);
+    }
     tabs.push(tabData);
-
-    const tabEl = document.createElement('div');
-    tabEl.className = 'tab';
-    tabEl.dataset.tabId = tabId;
-
-    const heartbeatDot = document.createElement('span');
-    heartbeatDot.className = 'tab-heartbeat-dot status-unknown';
-    heartbeatDot.setAttribute('aria-hidden', 'true');
-
-    const titleSpan = document.createElement('span');
-    titleSpan.className = 'tab-title';
-    titleSpan.textContent = tabData.title;
-
-    const folderSpan = document.createElement('span');
-    folderSpan.className = 'tab-folder hidden';
-
-    const confirmBadge = document.createElement('span');
-    confirmBadge.className = 'tab-confirm-badge hidden';
-    confirmBadge.textContent = TAB_CONFIRM_BADGE_TEXT;
-
-    const closeBtn = document.createElement('span');
-    closeBtn.className = 'tab-close';
-    closeBtn.textContent = '\u00d7';
-
-    tabEl.appendChild(heartbeatDot);
-    tabEl.appendChild(titleSpan);
-    tabEl.appendChild(folderSpan);
-    tabEl.appendChild(confirmBadge);
-    tabEl.appendChild(closeBtn);
-    // Insert before both add buttons
-    tabBar.insertBefore(tabEl, btnAddTerminal);
-    renderTabLabel(tabId);
-    renderTabHeartbeat(tabId);
-    renderTabConfirmBadge(tabId);
-
-    tabEl.addEventListener('click', (e) => {
-      if (!e.target.classList.contains('tab-close')) {
-        switchToTabById(tabId);
-      }
-    });
-
-    titleSpan.addEventListener('dblclick', (e) => {
-      e.stopPropagation();
-      startRename(tabEl, tabData);
-    });
-
-    closeBtn.addEventListener('click', (e) => {
-      e.stopPropagation();
-      closeTab(tabId).catch((closeErr) => {
-        console.warn('Failed to close tab:', closeErr);
-        showInAppNotice('关闭标签失败', `原因：${formatErrorDetail(closeErr)}`);
-      });
-    });
-
-    const wrapper = document.createElement('div');
-    wrapper.className = 'terminal-wrapper';
-    wrapper.dataset.tabId = tabId;
-    terminalContainer.appendChild(wrapper);
+    mountTabElement(tabData);
 
     if (shouldActivate) {
       activeTabId = tabId;
@@ -1070,7 +1412,7 @@ async function createNewTab(options = {}) {
     }
 
     if (shouldActivate && tabData.sessionReady) {
-      terminalManager.focus(tabId);
+      terminalManager.focus(getActivePaneId(tabData));
     }
     syncScrollBottomButton();
     persistTabSnapshot();
@@ -1086,6 +1428,115 @@ async function createNewAiTab() {
   return createNewTab({ autoCommand: aiCommand });
 }
 
+async function createNewTabFromProfile(profileId) {
+  const profile = launchProfileUtils ? launchProfileUtils.findLaunchProfile(launchProfiles, profileId) : null;
+  if (!profile) {
+    showInAppNotice('启动配置不存在', '该配置可能已被删除，请在设置中检查。');
+    return null;
+  }
+  let cwd = profile.cwd || null;
+  if (!cwd) {
+    const result = await window.api.selectDirectory();
+    if (result.canceled) return null;
+    cwd = result.path;
+  }
+  return createNewTab({
+    title: profile.name,
+    cwd,
+    autoCommand: profile.command || null,
+    skipDirectoryPrompt: true,
+    shellMode: profile.shellMode,
+    launchProfileId: profile.id
+  });
+}
+
+let newTabMenuAnchor = null;
+
+function closeNewTabMenu() {
+  if (newTabMenu) {
+    newTabMenu.classList.add('hidden');
+  }
+  newTabMenuAnchor = null;
+}
+
+// items: [{ label, detail, onSelect }]
+function showNewTabMenu(anchor, items) {
+  if (!newTabMenu) return;
+  if (newTabMenuAnchor === anchor && !newTabMenu.classList.contains('hidden')) {
+    closeNewTabMenu();
+    return;
+  }
+  newTabMenu.innerHTML = '';
+  for (const item of items) {
+    const button = document.createElement('button');
+    button.textContent = item.label;
+    if (item.detail) {
+      const detailSpan = document.createElement('span');
+      detailSpan.className = 'new-tab-menu-detail';
+      detailSpan.textContent = item.detail;
+      button.appendChild(detailSpan);
+    }
+    bindClickSafely(button, () => {
+      closeNewTabMenu();
+      item.onSelect();
+    }, 'new-tab-menu-item');
+    newTabMenu.appendChild(button);
+  }
+  const rect = anchor.getBoundingClientRect();
+  newTabMenu.style.left = `${Math.round(rect.left)}px`;
+  newTabMenu.style.top = `${Math.round(rect.bottom + 4)}px`;
+  newTabMenu.classList.remove('hidden');
+  newTabMenuAnchor = anchor;
+}
+
+// Without profiles the AI+ button keeps its one-click behaviour.
+async function handleAddAiClick() {
+  if (!newTabMenu || launchProfiles.length === 0) {
+    return createNewAiTab();
+  }
+  showNewTabMenu(btnAddAi, [
+    {
+      label: '默认',
+      detail: aiCommand,
+      onSelect: runAsyncSafely(() => createNewAiTab(), '新建 AI 会话失败')
+    },
+    ...launchProfiles.map((profile) => ({
+      label: profile.name,
+      detail: profile.command || 'Shell',
+      onSelect: runAsyncSafely(() => createNewTabFromProfile(profile.id), '按启动配置新建失败')
+    }))
+  ]);
+  return null;
+}
+
+async function loadAvailableShells() {
+  if (!hasApiMethod('listShells')) return { defaultShell: '', shells: [] };
+  if (!availableShellsPromise) {
+    availableShellsPromise = window.api.listShells().catch((err) => {
+      availableShellsPromise = null;
+      throw err;
+    });
+  }
+  return availableShellsPromise;
+}
+
+// Right-clicking "+" picks the shell for the new plain terminal tab.
+async function handleAddTerminalContextMenu() {
+  const { defaultShell, shells } = await loadAvailableShells();
+  showNewTabMenu(btnAddTerminal, [
+    {
+      label: '默认 Shell',
+      detail: defaultShell,
+      onSelect: runAsyncSafely(() => createNewTab(), '新建标签失败')
+    },
+    ...shells.map((item) => ({
+      label: item.label,
+      detail: item.path,
+      onSelect: runAsyncSafely(() => createNewTab({ shell: item.id }), '新建标签失败')
+    }))
+  ]);
+}
+
 function switchToTabById(tabId) {
   const tabData = getTabDataById(tabId);
   if (!tabData) return;
@@ -1110,7 +1561,7 @@ function switchToTabById(tabId) {
       })
       .finally(() => {
         if (tabData.sessionReady) {
-          terminalManager.focus(tabId);
+          terminalManager.focus(getActivePaneId(tabData));
         }
         syncScrollBottomButton();
       });
@@ -1161,7 +1612,7 @@ async function closeTab(tabId) {
   if (index === -1) return;
 
   const tabData = tabs[index];
-  const shouldClose = await confirmCloseTab(tabData);
+  const shouldClose = isReplayTab(tabData) || await confirmCloseTab(tabData);
   if (!shouldClose) return;
 
   if (tabs.length === 1) {
@@ -1173,8 +1624,21 @@ async function closeTab(tabId) {
   pendingTopicRefreshTabs.delete(tabId);
   const tabEl = tabBar.querySelector(`.tab[data-tab-id="${tabId}"]`);
   if (tabEl) tabEl.remove();
-  terminalManager.destroy(tabId);
-  await window.api.closeTerminal(tabId);
+  for (const pane of getSecondaryPanes(tabData)) {
+    destroyPaneView(pane.id);
+    paneOwnerTabIds.delete(pane.id);
+    await window.api.closeTerminal(pane.id);
+  }
+  destroyPaneView(tabId);
+  if (tabData.replayViewer) {
+    tabData.replayViewer.destroy();
+    tabData.replayViewer = null;
+  }
+  const wrapper = getTabWrapper(tabId);
+  if (wrapper) wrapper.remove();
+  if (!isReplayTab(tabData)) {
+    await window.api.closeTerminal(tabId);
+  }
 
   if (activeTabId === tabId) {
     const newIndex = Math.min(index, tabs.length - 1);
@@ -1184,163 +1648,1271 @@ async function closeTab(tabId) {
   persistTabSnapshot();
 }
 
-// --- Tab Rename ---
+// --- Split Panes ---
 
-function startRename(tabEl, tabData) {
-  const titleSpan = tabEl.querySelector('.tab-title');
-  if (!titleSpan) return;
+function getSecondaryPanes(tabData) {
+  return tabData && Array.isArray(tabData.panes) ? tabData.panes : [];
+}
 
-  const input = document.createElement('input');
-  input.className = 'tab-rename-input';
-  input.value = tabData.title;
-  titleSpan.replaceWith(input);
-  input.select();
-  input.focus();
+function resolveTabIdForTerminal(terminalId) {
+  const normalized = String(terminalId || '').trim();
+  return paneOwnerTabIds.get(normalized) || normalized;
+}
 
-  let finished = false;
-  const finishRename = () => {
-    if (finished) return;
-    finished = true;
-    const newTitle = input.value.trim() || tabData.title;
-    tabData.title = newTitle;
-    tabData.manuallyRenamed = true;
-    const newSpan = document.createElement('span');
-    newSpan.className = 'tab-title';
-    newSpan.textContent = newTitle;
-    newSpan.addEventListener('dblclick', (e) => {
-      e.stopPropagation();
-      startRename(tabEl, tabData);
-    });
-    input.replaceWith(newSpan);
-    renderTabLabel(tabData.id, false);
-    persistTabSnapshot();
+function getPaneState(tabData, paneId) {
+  return getSecondaryPanes(tabData).find((pane) => pane.id === paneId) || null;
+}
+
+function getActivePaneId(tabData) {
+  if (!tabData) return '';
+  const paneId = String(tabData.activePaneId || '').trim();
+  if (paneId && paneLayoutUtils && paneLayoutUtils.hasPane(tabData.layout, paneId)) {
+    return paneId;
+  }
+  return tabData.id;
+}
+
+function getActiveTerminalId() {
+  return getActivePaneId(getTabDataById(activeTabId)) || activeTabId;
+}
+
+function createPaneState(tabData, options = {}) {
+  const pane = {
+    id: generateTabId(),
+    cwd: options.cwd || tabData.cwd || null,
+    autoCommand: normalizeOptionalCommand(options.autoCommand),
+    shellMode: String(options.shellMode || '').trim(),
+    launchProfileId: tabData.launchProfileId || '',
+    shell: tabData.shell || '',
+    sessionReady: false,
+    sessionStartPromise: null,
+    restoreScrollbackKey: String(options.restoreScrollbackKey || '').trim()
   };
+  paneOwnerTabIds.set(pane.id, tabData.id);
+  return pane;
+}
+
+function applyRestoredPaneLayout(tabData, restored) {
+  if (!paneLayoutUtils || !restored || !restored.layout) return;
+  const sourceTabId = String(restored.sourceTabId || '').trim();
+  if (!sourceTabId || !paneLayoutUtils.hasPane(restored.layout, sourceTabId)) return;
+
+  const paneSnapshots = Array.isArray(restored.panes) ? restored.panes : [];
+  const panes = [];
+  tabData.layout = paneLayoutUtils.remapPaneIds(restored.layout, (paneId) => {
+    if (paneId === sourceTabId) return tabData.id;
+    const snapshot = paneSnapshots.find((item) => item.paneId === paneId) || {};
+    const restoredCommand = normalizeOptionalCommand(snapshot.lastCliCommand);
+    const pane = createPaneState(tabData, {
+      cwd: snapshot.cwd || tabData.cwd,
+      autoCommand: restoredCommand,
+      shellMode: restoredCommand ? '' : STARTUP_FAST_SHELL_MODE,
+      restoreScrollbackKey: paneId
+    });
+    panes.push(pane);
+    return pane.id;
+  });
+  tabData.panes = panes;
+}
 
-  input.addEventListener('blur', finishRename);
-  input.addEventListener('keydown', (e) => {
-    if (e.key === 'Enter') finishRename();
-    if (e.key === 'Escape') {
-      input.value = tabData.title;
-      finishRename();
-    }
-    e.stopPropagation();
+function ensurePaneElement(tabData, paneId) {
+  let paneEl = paneElements.get(paneId);
+  if (paneEl) return paneEl;
+
+  paneEl = document.createElement('div');
+  paneEl.className = 'terminal-pane';
+  paneEl.dataset.paneId = paneId;
+  paneEl.addEventListener('mousedown', () => {
+    setActivePane(tabData, paneId, { focus: false });
   });
+  paneElements.set(paneId, paneEl);
+  return paneEl;
 }
 
-// --- Topic Detection ---
+function destroyPaneView(paneId) {
+  terminalManager.destroy(paneId);
+  const paneEl = paneElements.get(paneId);
+  if (paneEl) paneEl.remove();
+  paneElements.delete(paneId);
+}
 
-async function refreshAllTopics() {
-  const targetTabId = String(activeTabId || '').trim();
-  if (!targetTabId) {
-    showInAppNotice('刷新失败', '当前没有可刷新的会话标签。');
-    return;
+function buildPaneLayoutElement(tabData, node, splitPath) {
+  if (!paneLayoutUtils.isSplitNode(node)) {
+    return ensurePaneElement(tabData, node.paneId);
   }
 
-  const targetTab = tabs.find((tab) => tab.id === targetTabId);
-  if (!targetTab) {
-    showInAppNotice('刷新失败', '未找到当前会话标签，请重试。');
-    return;
-  }
+  const container = document.createElement('div');
+  container.className = `pane-split pane-split-${node.direction}`;
+  const first = buildPaneLayoutElement(tabData, node.children[0], splitPath ? `${splitPath}.0` : '0');
+  const second = buildPaneLayoutElement(tabData, node.children[1], splitPath ? `${splitPath}.1` : '1');
+  first.style.flex = `${node.ratio} 1 0`;
+  second.style.flex = `${1 - node.ratio} 1 0`;
 
-  const ready = await ensureTabSessionReady(targetTab, {
-    autoRunCommand: !String(targetTab.pendingAutoCommand || '').trim(),
-    shellMode: targetTab.shellMode,
-    runPendingCommand: true
+  const divider = document.createElement('div');
+  divider.className = 'pane-divider';
+  divider.addEventListener('mousedown', (e) => {
+    startPaneDividerDrag(e, tabData, splitPath, container, node.direction);
   });
-  if (!ready) {
-    showInAppNotice('刷新会话分析失败', '当前会话未就绪，无法刷新标题。');
+
+  container.appendChild(first);
+  container.appendChild(divider);
+  container.appendChild(second);
+  return container;
+}
+
+function renderTabPaneLayout(tabData) {
+  const wrapper = getTabWrapper(tabData.id);
+  if (!wrapper) return;
+  if (!paneLayoutUtils || !tabData.layout) {
+    const paneEl = ensurePaneElement(tabData, tabData.id);
+    if (paneEl.parentNode !== wrapper) wrapper.replaceChildren(paneEl);
     return;
   }
 
-  pendingTopicRefreshTabs.add(targetTabId);
-  updateTabTitle(targetTabId, '分析中...', true);
+  wrapper.replaceChildren(buildPaneLayoutElement(tabData, tabData.layout, ''));
+  const activePaneId = getActivePaneId(tabData);
+  for (const paneId of paneLayoutUtils.listPaneIds(tabData.layout)) {
+    const paneEl = paneElements.get(paneId);
+    if (paneEl) paneEl.classList.toggle('active-pane', paneId === activePaneId);
+  }
+  wrapper.classList.toggle('has-splits', paneLayoutUtils.isSplitNode(tabData.layout));
+}
+
+function startPaneDividerDrag(event, tabData, splitPath, container, direction) {
+  event.preventDefault();
+  const [first, , second] = container.children;
+  const onMove = (moveEvent) => {
+    const rect = container.getBoundingClientRect();
+    const ratio = direction === 'vertical'
+      ? (moveEvent.clientY - rect.top) / Math.max(rect.height, 1)
+      : (moveEvent.clientX - rect.left) / Math.max(rect.width, 1);
+    tabData.layout = paneLayoutUtils.setSplitRatio(tabData.layout, splitPath, ratio);
+    const node = paneLayoutUtils.getNodeAtPath(tabData.layout, splitPath);
+    if (!node) return;
+    first.style.flex = `${node.ratio} 1 0`;
+    second.style.flex = `${1 - node.ratio} 1 0`;
+  };
+  const onUp = () => {
+    document.removeEventListener('mousemove', onMove);
+    document.removeEventListener('mouseup', onUp);
+    document.body.classList.remove('pane-resizing');
+    persistTabSnapshot();
+  };
+  document.body.classList.add('pane-resizing');
+  document.addEventListener('mousemove', onMove);
+  document.addEventListener('mouseup', onUp);
+}
+
+function setActivePane(tabData, paneId, options = {}) {
+  if (!tabData || !paneId) return;
+  tabData.activePaneId = paneId;
+  if (paneLayoutUtils && tabData.layout) {
+    for (const id of paneLayoutUtils.listPaneIds(tabData.layout)) {
+      const paneEl = paneElements.get(id);
+      if (paneEl) paneEl.classList.toggle('active-pane', id === paneId);
+    }
+  }
+  if (options.focus !== false) {
+    terminalManager.focus(paneId);
+  }
+  if (tabData.id === activeTabId) {
+    syncScrollBottomButton();
+  }
+}
 
-  const result = await window.api.refreshTopics({ tabId: targetTabId });
-  if (result && Array.isArray(result.results)) {
-    const hit = result.results.find((item) => String(item.tabId || '') === targetTabId);
-    if (hit && String(hit.topic || '').trim()) {
-      updateTabTitle(targetTabId, String(hit.topic).trim(), false);
-      pendingTopicRefreshTabs.delete(targetTabId);
-      return;
+async function ensurePaneSessionReady(tabData, pane) {
+  if (pane.sessionReady) return true;
+  if (pane.sessionStartPromise) return pane.sessionStartPromise;
+
+  pane.sessionStartPromise = (async () => {
+    let size = { cols: 80, rows: 24 };
+    try {
+      size = terminalManager.create(pane.id, ensurePaneElement(tabData, pane.id));
+    } catch (err) {
+      console.warn('Failed to initialize pane terminal view:', err);
+      showInAppNotice('窗格加载失败', `终端渲染组件初始化失败：${formatErrorDetail(err)}`);
+      return false;
+    }
+
+    await restoreTerminalScrollback(pane.id, pane);
+
+    try {
+      const createResult = await withTimeout(
+        window.api.createTerminal(pane.id, pane.cwd, pane.autoCommand || null, {
+          shellMode: pane.shellMode || '',
+          launchProfileId: pane.launchProfileId || '',
+          shell: pane.shell || ''
+        }),
+        TERMINAL_CREATE_TIMEOUT_MS,
+        `终端创建超时（>${Math.round(TERMINAL_CREATE_TIMEOUT_MS / 1000)} 秒）`
+      );
+      if (createResult && createResult.resolvedCwd) {
+        pane.cwd = createResult.resolvedCwd;
+      }
+    } catch (err) {
+      console.warn('Failed to create pane session:', err);
+      window.api.closeTerminal(pane.id).catch((closeErr) => {
+        console.warn('Failed to cleanup failed pane session:', closeErr);
+      });
+      showInAppNotice('窗格创建失败', `无法创建终端会话：${formatErrorDetail(err)}`);
+      return false;
     }
+
+    pane.sessionReady = true;
+    pane.shellMode = '';
+    window.api.resizeTerminal(pane.id, size.cols, size.rows);
+    return true;
+  })();
+
+  const ready = await pane.sessionStartPromise;
+  pane.sessionStartPromise = null;
+  if (!ready) {
+    detachPane(tabData, pane.id);
   }
+  return ready;
+}
 
-  if (!result || result.success !== true) {
-    pendingTopicRefreshTabs.delete(targetTabId);
-    const reason = result && result.error ? String(result.error) : '未知错误';
-    showInAppNotice('刷新会话分析失败', `原因：${reason}`);
+async function startSecondaryPaneSessions(tabData) {
+  const pending = getSecondaryPanes(tabData).filter((pane) => !pane.sessionReady);
+  for (const pane of pending) {
+    await ensurePaneSessionReady(tabData, pane);
   }
 }
 
-function updateTabTitle(tabId, title, analyzing) {
-  const tabData = tabs.find((t) => t.id === tabId);
-  if (tabData && !analyzing) {
-    tabData.title = title;
-    persistTabSnapshot();
+function detachPane(tabData, paneId) {
+  if (!tabData || paneId === tabData.id) return;
+  destroyPaneView(paneId);
+  paneOwnerTabIds.delete(paneId);
+  tabData.panes = getSecondaryPanes(tabData).filter((pane) => pane.id !== paneId);
+  if (paneLayoutUtils && tabData.layout) {
+    tabData.layout = paneLayoutUtils.removePane(tabData.layout, paneId) || paneLayoutUtils.createPaneLayout(tabData.id);
   }
-  renderTabLabel(tabId, !!analyzing);
+  if (tabData.activePaneId === paneId) {
+    tabData.activePaneId = tabData.id;
+  }
+  renderTabPaneLayout(tabData);
+  if (tabData.id === activeTabId && tabData.sessionReady) {
+    setActivePane(tabData, getActivePaneId(tabData));
+  }
+  persistTabSnapshot();
 }
 
-// --- Theme Init ---
+async function splitActivePane(direction) {
+  const tabData = getTabDataById(activeTabId);
+  if (!tabData) return;
+  if (isReplayTab(tabData)) {
+    showInAppNotice('无法拆分窗格', '回放标签不支持拆分窗格。');
+    return;
+  }
+  if (!paneLayoutUtils || !tabData.layout) {
+    showInAppNotice('无法拆分窗格', '窗格布局组件未加载，请重新安装最新版应用。');
+    return;
+  }
+  if (!tabData.sessionReady) {
+    showInAppNotice('无法拆分窗格', '当前会话未就绪，请稍后再试。');
+    return;
+  }
+  if (paneLayoutUtils.listPaneIds(tabData.layout).length >= paneLayoutUtils.MAX_LAYOUT_PANES) {
+    showInAppNotice('无法拆分窗格', `单个标签最多支持 ${paneLayoutUtils.MAX_LAYOUT_PANES} 个窗格。`);
+    return;
+  }
 
-// Keep following system preference, but without manual toggle button in UI.
-const prefersDark = window.matchMedia('(prefers-color-scheme: dark)');
-const isLight = !prefersDark.matches;
+  const sourcePaneId = getActivePaneId(tabData);
+  const sourcePane = getPaneState(tabData, sourcePaneId);
+  const pane = createPaneState(tabData, { cwd: sourcePane ? sourcePane.cwd : tabData.cwd });
+  tabData.panes = [...getSecondaryPanes(tabData), pane];
+  tabData.layout = paneLayoutUtils.splitPane(tabData.layout, sourcePaneId, direction, pane.id);
+  tabData.activePaneId = pane.id;
+  renderTabPaneLayout(tabData);
 
-function initTheme() {
-  document.body.classList.toggle('light', isLight);
-  terminalManager.setLightMode(isLight);
+  const ready = await ensurePaneSessionReady(tabData, pane);
+  if (ready) {
+    setActivePane(tabData, pane.id);
+  }
+  persistTabSnapshot();
+}
+
+async function closeActivePane() {
+  const tabData = getTabDataById(activeTabId);
+  if (!tabData) return;
+  const paneId = getActivePaneId(tabData);
+  // The primary pane carries the tab's own session, so closing it closes the tab.
+  if (paneId === tabData.id) {
+    await closeTab(tabData.id);
+    return;
+  }
+
+  let confirmed = false;
+  try {
+    const result = await window.api.confirmDialog('关闭窗格', '确定要关闭当前窗格吗？', '关闭后该窗格中的会话将终止。');
+    confirmed = !!(result && result.confirmed);
+  } catch (err) {
+    console.warn('Failed to show native confirm dialog, fallback to window.confirm:', err);
+    confirmed = window.confirm('确定要关闭当前窗格吗？');
+  }
+  if (!confirmed) return;
+
+  detachPane(tabData, paneId);
+  await window.api.closeTerminal(paneId);
+}
+
+function focusAdjacentPane(move) {
+  const tabData = getTabDataById(activeTabId);
+  if (!tabData || !paneLayoutUtils || !tabData.layout) return;
+  const nextPaneId = paneLayoutUtils.findAdjacentPane(tabData.layout, getActivePaneId(tabData), move);
+  if (nextPaneId) {
+    setActivePane(tabData, nextPaneId);
+  }
+}
+
+// --- Scrollback Persistence ---
+
+// Writes the buffer saved at the end of the previous app run into a freshly
+// created terminal, before its shell starts producing output.
+async function restoreTerminalScrollback(terminalId, owner) {
+  const restoreKey = String((owner && owner.restoreScrollbackKey) || '').trim();
+  if (!restoreKey || !scrollbackRestoreUtils || !hasApiMethod('getTabScrollback')) return false;
+  owner.restoreScrollbackKey = '';
+
+  try {
+    const saved = await window.api.getTabScrollback(restoreKey);
+    const data = saved && typeof saved.data === 'string' ? saved.data : '';
+    if (!data) return false;
+    const size = terminalManager.getSize(terminalId);
+    terminalManager.write(terminalId, data);
+    terminalManager.write(terminalId, scrollbackRestoreUtils.buildRestoreDivider({
+      cols: size ? size.cols : 80,
+      savedAt: saved.savedAt
+    }));
+    return true;
+  } catch (err) {
+    console.warn('Failed to restore terminal scrollback:', err);
+    return false;
+  }
+}
+
+function collectScrollbackEntry(entries, terminalId, owner) {
+  if (terminalManager.has(terminalId)) {
+    const data = terminalManager.serialize(terminalId, scrollbackRestoreUtils.MAX_SCROLLBACK_LINES);
+    if (data) entries.push({ id: terminalId, data });
+    return;
+  }
+  // Dormant tabs never rendered their restored buffer yet; carry it over untouched.
+  const restoreKey = String((owner && owner.restoreScrollbackKey) || '').trim();
+  if (restoreKey) {
+    entries.push({ id: terminalId, sourceId: restoreKey });
+    // Once saved the buffer lives under this terminal's own id.
+    owner.restoreScrollbackKey = terminalId;
+  }
+}
+
+function collectScrollbackEntries() {
+  const entries = [];
+  for (const tab of tabs) {
+    if (isReplayTab(tab)) continue;
+    collectScrollbackEntry(entries, tab.id, tab);
+    for (const pane of getSecondaryPanes(tab)) {
+      collectScrollbackEntry(entries, pane.id, pane);
+    }
+  }
+  return entries;
+}
+
+function persistTabScrollback(options = {}) {
+  if (isRestoringTabs || !scrollbackRestoreUtils) return;
+  const entries = collectScrollbackEntries();
+  try {
+    if (options.sync && hasApiMethod('saveTabScrollbackSync')) {
+      window.api.saveTabScrollbackSync(entries);
+      return;
+    }
+    if (hasApiMethod('saveTabScrollback')) {
+      window.api.saveTabScrollback(entries).catch((err) => {
+        console.warn('Failed to persist tab scrollback:', err);
+      });
+    }
+  } catch (err) {
+    console.warn('Failed to persist tab scrollback:', err);
+  }
+}
+
+// --- Workspaces ---
+
+function createWorkspacePayload() {
+  const savedTabs = tabs.filter((tab) => !isReplayTab(tab));
+  const activeIndex = Math.max(0, savedTabs.findIndex((tab) => tab.id === activeTabId));
+  return {
+    activeIndex,
+    tabs: savedTabs.map((tab) => {
+      const item = {
+        tabId: tab.id,
+        title: tab.title,
+        manuallyRenamed: !!tab.manuallyRenamed,
+        cwd: tab.cwd || '',
+        autoCommand: tab.autoCommand || '',
+        shellMode: tab.launchShellMode || ''
+      };
+      if (tab.launchProfileId) {
+        item.launchProfileId = tab.launchProfileId;
+      }
+      if (tab.shell) {
+        item.shell = tab.shell;
+      }
+      const paneIds = paneLayoutUtils && tab.layout ? paneLayoutUtils.listPaneIds(tab.layout) : [];
+      if (paneIds.length > 1) {
+        item.layout = tab.layout;
+        item.panes = getSecondaryPanes(tab).map((pane) => ({
+          paneId: pane.id,
+          cwd: pane.cwd || '',
+          lastCliCommand: pane.autoCommand || ''
+        }));
+      }
+      return item;
+    })
+  };
+}
+
+function formatWorkspaceUpdatedAt(isoString) {
+  const date = new Date(isoString || '');
+  if (Number.isNaN(date.getTime())) return '';
+  return date.toLocaleString('zh-CN', { hour12: false });
+}
+
+function renderWorkspaceList(workspaces) {
+  if (!workspaceList) return;
+  workspaceList.innerHTML = '';
+  if (workspaces.length === 0) {
+    const empty = document.createElement('div');
+    empty.className = 'workspace-empty';
+    empty.textContent = '还没有保存的工作区。';
+    workspaceList.appendChild(empty);
+    return;
+  }
+
+  for (const workspace of workspaces) {
+    const row = document.createElement('div');
+    row.className = 'workspace-item';
+
+    const meta = document.createElement('div');
+    meta.className = 'workspace-item-meta';
+    const nameEl = document.createElement('div');
+    nameEl.className = 'workspace-item-name';
+    nameEl.textContent = workspace.name;
+    const detailEl = document.createElement('div');
+    detailEl.className = 'workspace-item-detail';
+    const updatedAt = formatWorkspaceUpdatedAt(workspace.updatedAt);
+    detailEl.textContent = `${workspace.tabCount} 个标签${updatedAt ? ` · ${updatedAt}` : ''}`;
+    meta.appendChild(nameEl);
+    meta.appendChild(detailEl);
+
+    const openBtn = document.createElement('button');
+    openBtn.textContent = '打开';
+    bindClickSafely(openBtn, runAsyncSafely(async () => {
+      closeWorkspacePicker();
+      await openWorkspace(workspace.name);
+    }, '打开工作区失败'), 'workspace-open');
+
+    const deleteBtn = document.createElement('button');
+    deleteBtn.className = 'btn-danger';
+    deleteBtn.textContent = '删除';
+    bindClickSafely(deleteBtn, runAsyncSafely(
+      () => deleteWorkspace(workspace.name),
+      '删除工作区失败'
+    ), 'workspace-delete');
+
+    row.appendChild(meta);
+    row.appendChild(openBtn);
+    row.appendChild(deleteBtn);
+    workspaceList.appendChild(row);
+  }
+}
+
+async function refreshWorkspaceList() {
+  const result = await window.api.listWorkspaces();
+  const workspaces = result && Array.isArray(result.workspaces) ? result.workspaces : [];
+  renderWorkspaceList(workspaces);
+  return workspaces;
+}
+
+async function openWorkspacePicker(mode = 'open') {
+  if (!workspaceModal || !hasApiMethod('listWorkspaces')) {
+    showInAppNotice('工作区不可用', '当前版本缺少工作区接口。');
+    return;
+  }
+  await refreshWorkspaceList();
+  workspaceModal.classList.remove('hidden');
+  if (mode === 'save' && workspaceNameInput) {
+    workspaceNameInput.focus();
+    workspaceNameInput.select();
+  }
+}
+
+function closeWorkspacePicker() {
+  if (workspaceModal) workspaceModal.classList.add('hidden');
+}
+
+async function saveCurrentWorkspace() {
+  const name = String(workspaceNameInput ? workspaceNameInput.value : '').trim();
+  if (!name) {
+    showInAppNotice('无法保存工作区', '请先输入工作区名称。');
+    if (workspaceNameInput) workspaceNameInput.focus();
+    return;
+  }
+  const payload = createWorkspacePayload();
+  if (payload.tabs.length === 0) {
+    showInAppNotice('无法保存工作区', '当前没有可保存的标签页。');
+    return;
+  }
+
+  const result = await window.api.saveWorkspace(name, payload);
+  if (!result || !result.success) {
+    showInAppNotice('无法保存工作区', (result && result.error) || '未知错误');
+    return;
+  }
+  await refreshWorkspaceList();
+  showInAppNotice('工作区已保存', `“${result.workspace.name}”包含 ${result.workspace.tabs.length} 个标签页。`);
+}
+
+async function openWorkspace(name) {
+  const result = await window.api.loadWorkspace(name);
+  if (!result || !result.success || !result.workspace) {
+    showInAppNotice('无法打开工作区', (result && result.error) || '未知错误');
+    return;
+  }
+
+  const workspace = result.workspace;
+  const createdIds = [];
+  for (let i = 0; i < workspace.tabs.length; i += 1) {
+    const tabId = await createTabFromSavedItem(workspace.tabs[i], { activate: false });
+    if (tabId) createdIds.push(tabId);
+  }
+  if (createdIds.length === 0) {
+    showInAppNotice('无法打开工作区', `“${workspace.name}”中的标签页均未能创建。`);
+    return;
+  }
+
+  const activeId = createdIds[Math.min(workspace.activeIndex, createdIds.length - 1)];
+  switchToTabById(activeId);
+  showInAppNotice('工作区已打开', `已从“${workspace.name}”打开 ${createdIds.length} 个标签页。`);
+}
+
+async function deleteWorkspace(name) {
+  let confirmed = false;
+  try {
+    const result = await window.api.confirmDialog('删除工作区', `确定要删除工作区“${name}”吗？`, '已打开的标签页不受影响。');
+    confirmed = !!(result && result.confirmed);
+  } catch (err) {
+    console.warn('Failed to show native confirm dialog, fallback to window.confirm:', err);
+    confirmed = window.confirm(`确定要删除工作区“${name}”吗？`);
+  }
+  if (!confirmed) return;
+
+  const result = await window.api.deleteWorkspace(name);
+  if (!result || !result.success) {
+    showInAppNotice('删除工作区失败', (result && result.error) || '工作区不存在或已被删除。');
+  }
+  await refreshWorkspaceList();
+}
+
+// --- Session Replay ---
+
+function isReplayTab(tabData) {
+  return !!(tabData && tabData.kind === 'replay');
+}
+
+async function openRecordingReplay(options = {}) {
+  if (typeof CastPlayerUtils === 'undefined' || typeof ReplayViewer === 'undefined') {
+    showInAppNotice('无法打开录像', '回放组件未加载，请重新安装最新版应用。');
+    return null;
+  }
+  if (!hasApiMethod('openRecording')) {
+    showInAppNotice('无法打开录像', '当前版本缺少录像读取接口。');
+    return null;
+  }
+
+  const result = await window.api.openRecording(options);
+  if (!result || result.canceled) return null;
+  if (result.error) {
+    showInAppNotice('无法打开录像', result.error);
+    return null;
+  }
+
+  let cast;
+  try {
+    cast = CastPlayerUtils.parseAsciicast(result.content);
+  } catch (err) {
+    showInAppNotice('无法打开录像', formatErrorDetail(err));
+    return null;
+  }
+
+  const tabId = generateTabId();
+  const fileName = String(result.fileName || '').replace(/\.cast$/, '') || '录像';
+  const tabData = {
+    id: tabId,
+    kind: 'replay',
+    title: `回放 · ${cast.header.title || fileName}`.slice(0, 60),
+    manuallyRenamed: true,
+    cwd: null,
+    autoCommand: null,
+    sessionReady: true,
+    sessionState: 'replay',
+    sessionStartPromise: null,
+    pendingAutoCommand: '',
+    heartbeatStatus: 'unknown',
+    heartbeatSummary: '会话回放',
+    heartbeatAnalysis: result.filePath || '',
+    heartbeatDetails: null,
+    heartbeatAt: '',
+    confirmPending: false,
+    confirmPrompt: '',
+    confirmDetectedAt: '',
+    layout: null,
+    panes: [],
+    activePaneId: tabId,
+    replayViewer: null
+  };
+  tabs.push(tabData);
+  const wrapper = mountTabElement(tabData);
+  wrapper.classList.add('replay-wrapper');
+  tabData.replayViewer = new ReplayViewer(wrapper, cast, {
+    isLight: !!terminalManager.isLight,
+    fontSize: terminalManager.fontSize
+  });
+
+  activeTabId = tabId;
+  setActiveTabVisual(tabId);
+  tabData.replayViewer.play();
+  syncScrollBottomButton();
+  if (cast.skipped > 0) {
+    showInAppNotice('录像已打开', `已跳过 ${cast.skipped} 行无法解析的事件。`);
+  }
+  return tabId;
+}
+
+// --- Tab Rename ---
+
+function startRename(tabEl, tabData) {
+  const titleSpan = tabEl.querySelector('.tab-title');
+  if (!titleSpan) return;
+
+  const input = document.createElement('input');
+  input.className = 'tab-rename-input';
+  input.value = tabData.title;
+  titleSpan.replaceWith(input);
+  input.select();
+  input.focus();
+
+  let finished = false;
+  const finishRename = () => {
+    if (finished) return;
+    finished = true;
+    const newTitle = input.value.trim() || tabData.title;
+    tabData.title = newTitle;
+    tabData.manuallyRenamed = true;
+    const newSpan = document.createElement('span');
+    newSpan.className = 'tab-title';
+    newSpan.textContent = newTitle;
+    newSpan.addEventListener('dblclick', (e) => {
+      e.stopPropagation();
+      startRename(tabEl, tabData);
+    });
+    input.replaceWith(newSpan);
+    renderTabLabel(tabData.id, false);
+    persistTabSnapshot();
+  };
+
+  input.addEventListener('blur', finishRename);
+  input.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') finishRename();
+    if (e.key === 'Escape') {
+      input.value = tabData.title;
+      finishRename();
+    }
+    e.stopPropagation();
+  });
+}
+
+// --- Topic Detection ---
+
+async function refreshAllTopics() {
+  const targetTabId = String(activeTabId || '').trim();
+  if (!targetTabId) {
+    showInAppNotice('刷新失败', '当前没有可刷新的会话标签。');
+    return;
+  }
+
+  const targetTab = tabs.find((tab) => tab.id === targetTabId);
+  if (!targetTab) {
+    showInAppNotice('刷新失败', '未找到当前会话标签，请重试。');
+    return;
+  }
+  if (isReplayTab(targetTab)) {
+    showInAppNotice('刷新失败', '回放标签没有运行中的会话。');
+    return;
+  }
+
+  const ready = await ensureTabSessionReady(targetTab, {
+    autoRunCommand: !String(targetTab.pendingAutoCommand || '').trim(),
+    shellMode: targetTab.shellMode,
+    runPendingCommand: true
+  });
+  if (!ready) {
+    showInAppNotice('刷新会话分析失败', '当前会话未就绪，无法刷新标题。');
+    return;
+  }
+
+  pendingTopicRefreshTabs.add(targetTabId);
+  updateTabTitle(targetTabId, '分析中...', true);
+
+  const result = await window.api.refreshTopics({ tabId: getActivePaneId(targetTab) });
+  if (result && Array.isArray(result.results)) {
+    const hit = result.results.find((item) => resolveTabIdForTerminal(item.tabId) === targetTabId);
+    if (hit && String(hit.topic || '').trim()) {
+      updateTabTitle(targetTabId, String(hit.topic).trim(), false);
+      pendingTopicRefreshTabs.delete(targetTabId);
+      return;
+    }
+  }
+
+  if (!result || result.success !== true) {
+    pendingTopicRefreshTabs.delete(targetTabId);
+    const reason = result && result.error ? String(result.error) : '未知错误';
+    showInAppNotice('刷新会话分析失败', `原因：${reason}`);
+  }
+}
+
+function updateTabTitle(tabId, title, analyzing) {
+  const tabData = tabs.find((t) => t.id === tabId);
+  if (tabData && !analyzing) {
+    tabData.title = title;
+    persistTabSnapshot();
+  }
+  renderTabLabel(tabId, !!analyzing);
+}
+
+// --- Theme Init ---
+
+// Keep following system preference, but without manual toggle button in UI.
+const prefersDark = window.matchMedia('(prefers-color-scheme: dark)');
+const isLight = !prefersDark.matches;
+
+function initTheme() {
+  document.body.classList.toggle('light', isLight);
+  terminalManager.setLightMode(isLight);
+}
+
+// --- Settings Modal ---
+
+async function loadRuntimeSettings() {
+  try {
+    const config = normalizeRuntimeSettings(await window.api.getSettings());
+    aiCommand = config.aiCommand;
+    launchProfiles = config.launchProfiles;
+    applyQuickSettings(config);
+    return config;
+  } catch (err) {
+    console.warn('Failed to load runtime settings:', err);
+    const fallback = normalizeRuntimeSettings({
+      apiKey: '',
+      baseUrl: '',
+      aiCommand: 'codex -m gpt-5.3-codex',
+      heartbeatEnabled: true,
+      heartbeatIntervalMs: 10 * 60 * 1000,
+      heartbeatPreferSessionAi: true,
+      archiveMetricsEnabled: false,
+      sessionRecordingEnabled: false,
+      launchProfiles: []
+    });
+    aiCommand = fallback.aiCommand;
+    applyQuickSettings(fallback);
+    return fallback;
+  }
+}
+
+async function openSettings() {
+  const config = await loadRuntimeSettings();
+  settingsAiCommand.value = config.aiCommand;
+  settingsBaseUrl.value = config.baseUrl || '';
+  settingsApiKey.value = config.apiKey || '';
+  if (settingsArchiveMetrics) {
+    settingsArchiveMetrics.checked = config.archiveMetricsEnabled === true;
+  }
+  if (settingsSessionRecording) {
+    settingsSessionRecording.checked = config.sessionRecordingEnabled === true;
+  }
+  fillArchiveRetentionForm(config.archiveRetention);
+  fillWorkDigestScheduleForm(config.workDigestSchedule);
+  fillAnalysisBackendForm(config.analysisBackend);
+  fillRedactionForm(config.redaction);
+  fillAnalysisBudgetForm(config.analysisBudget);
+  fillAnalysisPromptForm(config.analysisPrompts);
+  launchProfileDrafts = config.launchProfiles.map((profile) => ({ ...profile, env: { ...profile.env } }));
+  selectedLaunchProfileId = launchProfileDrafts.length > 0 ? launchProfileDrafts[0].id : '';
+  renderLaunchProfileEditor();
+  populateShellOptions().catch((err) => {
+    console.warn('Failed to list available shells:', err);
+  });
+  loadAnalysisUsage().catch((err) => {
+    console.warn('Failed to load analysis usage:', err);
+  });
+  settingsModal.classList.remove('hidden');
+  settingsAiCommand.focus();
+}
+
+function closeSettings() {
+  settingsModal.classList.add('hidden');
+}
+
+function fillArchiveRetentionForm(retention) {
+  if (!archiveRetentionUtils || !settingsRetentionDays) return;
+  const normalized = archiveRetentionUtils.normalizeArchiveRetention(retention);
+  settingsRetentionDays.value = String(normalized.days);
+  settingsRetentionSize.value = String(normalized.maxSizeMb);
+  settingsRetentionPinned.value = archiveRetentionUtils.formatPinnedCwdsText(normalized.pinnedCwds);
+}
+
+function readArchiveRetentionForm(fallback) {
+  if (!archiveRetentionUtils || !settingsRetentionDays) return fallback;
+  return archiveRetentionUtils.normalizeArchiveRetention({
+    days: settingsRetentionDays.value,
+    maxSizeMb: settingsRetentionSize.value,
+    pinnedCwds: archiveRetentionUtils.parsePinnedCwdsText(settingsRetentionPinned.value)
+  });
+}
+
+// Local-only pins the backend to the local model, mirroring the normalizer.
+function syncAnalysisBackendFields() {
+  if (settingsLocalOnly && settingsLocalOnly.checked) {
+    settingsAnalysisBackend.value = 'local';
+  }
+  settingsAnalysisBackend.disabled = !!(settingsLocalOnly && settingsLocalOnly.checked);
+  const backend = settingsAnalysisBackend.value;
+  if (settingsAnthropicFields) {
+    settingsAnthropicFields.classList.toggle('hidden', backend !== 'anthropic' && backend !== 'auto');
+  }
+  if (settingsLocalFields) {
+    settingsLocalFields.classList.toggle('hidden', backend !== 'local');
+  }
+}
+
+function fillSelectOptions(select, options) {
+  if (select.options.length > 0) return;
+  for (const { value, label } of options) {
+    const option = document.createElement('option');
+    option.value = value;
+    option.textContent = label;
+    select.appendChild(option);
+  }
+}
+
+function fillAnalysisBackendForm(settings) {
+  if (!analysisBackendUtils || !settingsAnalysisBackend) return;
+  const normalized = analysisBackendUtils.normalizeAnalysisBackendSettings(settings);
+  fillSelectOptions(settingsAnalysisBackend, analysisBackendUtils.ANALYSIS_BACKEND_OPTIONS);
+  fillSelectOptions(settingsLocalApi, analysisBackendUtils.LOCAL_API_OPTIONS);
+  settingsAnalysisBackend.value = normalized.backend;
+  settingsAnthropicBaseUrl.value = normalized.anthropic.baseUrl;
+  settingsAnthropicApiKey.value = normalized.anthropic.apiKey;
+  settingsAnthropicModel.value = normalized.anthropic.model;
+  settingsLocalApi.value = normalized.local.api;
+  settingsLocalBaseUrl.value = normalized.local.baseUrl;
+  settingsLocalModel.value = normalized.local.model;
+  settingsAnalysisContext.value = String(normalized.contextChars);
+  settingsLocalOnly.checked = normalized.localOnly;
+  syncAnalysisBackendFields();
+}
+
+function readAnalysisBackendForm(fallback) {
+  if (!analysisBackendUtils || !settingsAnalysisBackend) return fallback;
+  return analysisBackendUtils.normalizeAnalysisBackendSettings({
+    backend: settingsAnalysisBackend.value,
+    anthropic: {
+      baseUrl: settingsAnthropicBaseUrl.value,
+      apiKey: settingsAnthropicApiKey.value,
+      model: settingsAnthropicModel.value
+    },
+    local: {
+      api: settingsLocalApi.value,
+      baseUrl: settingsLocalBaseUrl.value,
+      model: settingsLocalModel.value
+    },
+    contextChars: settingsAnalysisContext.value,
+    localOnly: settingsLocalOnly.checked
+  });
+}
+
+function fillAnalysisBudgetForm(budget) {
+  if (!analysisUsageUtils || !settingsAnalysisBudget) return;
+  settingsAnalysisBudget.value = String(analysisUsageUtils.normalizeAnalysisBudget(budget).dailyTokenLimit);
+}
+
+function readAnalysisBudgetForm(fallback) {
+  if (!analysisUsageUtils || !settingsAnalysisBudget) return fallback;
+  return analysisUsageUtils.normalizeAnalysisBudget({ dailyTokenLimit: settingsAnalysisBudget.value });
+}
+
+function renderAnalysisUsage(result) {
+  settingsAnalysisUsage.textContent = '';
+  if (!result || !result.success) {
+    settingsAnalysisUsage.textContent = `无法读取分析用量${result && result.error ? `：${result.error}` : ''}`;
+    return;
+  }
+  const { formatTokenCount } = analysisUsageUtils;
+  const table = document.createElement('table');
+  const head = table.createTHead().insertRow();
+  for (const label of ['日期', '请求', '回退', '输入 Token', '输出 Token', '平均耗时']) {
+    const th = document.createElement('th');
+    th.textContent = label;
+    head.appendChild(th);
+  }
+  const body = table.createTBody();
+  for (const day of result.days) {
+    const approx = day.estimatedRequests > 0 ? '≈' : '';
+    const row = body.insertRow();
+    for (const value of [
+      day.day.slice(5),
+      String(day.requests),
+      String(day.failures),
+      `${approx}${formatTokenCount(day.promptTokens)}`,
+      `${approx}${formatTokenCount(day.completionTokens)}`,
+      day.requests > 0 ? `${(day.avgLatencyMs / 1000).toFixed(1)}s` : '-'
+    ]) {
+      row.insertCell().textContent = value;
+    }
+  }
+  settingsAnalysisUsage.appendChild(table);
+  if (result.paused) {
+    const paused = document.createElement('div');
+    paused.className = 'analysis-usage-paused';
+    paused.textContent = '今日已达到 Token 预算，后台心跳已暂停。';
+    settingsAnalysisUsage.appendChild(paused);
+  }
+}
+
+async function loadAnalysisUsage() {
+  if (!settingsAnalysisUsage || !analysisUsageUtils || !hasApiMethod('getAnalysisUsage')) return;
+  settingsAnalysisUsage.textContent = '正在读取分析用量…';
+  renderAnalysisUsage(await window.api.getAnalysisUsage({ days: analysisUsageUtils.DEFAULT_USAGE_DAYS }));
+}
+
+// Empty template fields show the built-in template of the selected language as placeholder.
+function syncAnalysisPromptPlaceholders() {
+  if (!analysisPromptUtils || !settingsOutputLanguage) return;
+  const language = analysisPromptUtils.resolveOutputLanguage(settingsOutputLanguage.value, navigator.language);
+  settingsTopicTemplate.placeholder = analysisPromptUtils.getDefaultPromptTemplate('topic', language);
+  settingsHeartbeatTemplate.placeholder = analysisPromptUtils.getDefaultPromptTemplate('heartbeat', language);
+}
+
+function fillAnalysisPromptForm(settings) {
+  if (!analysisPromptUtils || !settingsOutputLanguage) return;
+  const normalized = analysisPromptUtils.normalizeAnalysisPromptSettings(settings);
+  fillSelectOptions(settingsOutputLanguage, analysisPromptUtils.OUTPUT_LANGUAGE_OPTIONS);
+  settingsOutputLanguage.value = normalized.language;
+  settingsTopicTemplate.value = normalized.topicTemplate;
+  settingsHeartbeatTemplate.value = normalized.heartbeatTemplate;
+  syncAnalysisPromptPlaceholders();
+}
+
+// Returns { analysisPrompts, unknownVariables }; unknown {{variables}} block saving.
+function readAnalysisPromptForm(fallback) {
+  if (!analysisPromptUtils || !settingsOutputLanguage) return { analysisPrompts: fallback, unknownVariables: [] };
+  const analysisPrompts = analysisPromptUtils.normalizeAnalysisPromptSettings({
+    language: settingsOutputLanguage.value,
+    topicTemplate: settingsTopicTemplate.value,
+    heartbeatTemplate: settingsHeartbeatTemplate.value
+  });
+  const unknownVariables = [
+    ...analysisPromptUtils.findUnknownPromptVariables(analysisPrompts.topicTemplate),
+    ...analysisPromptUtils.findUnknownPromptVariables(analysisPrompts.heartbeatTemplate)
+  ].filter((name, index, list) => list.indexOf(name) === index);
+  return { analysisPrompts, unknownVariables };
+}
+
+function fillRedactionForm(settings) {
+  if (!secretRedactionUtils || !settingsRedactionEnabled) return;
+  const normalized = secretRedactionUtils.normalizeRedactionSettings(settings);
+  settingsRedactionEnabled.checked = normalized.enabled;
+  settingsRedactionPatterns.value = normalized.customPatterns.join('\n');
+}
+
+// Returns { redaction, invalidLines }; invalid regex lines block saving.
+function readRedactionForm(fallback) {
+  if (!secretRedactionUtils || !settingsRedactionEnabled) return { redaction: fallback, invalidLines: [] };
+  const { patterns, invalidLines } = secretRedactionUtils.parseCustomPatternsText(settingsRedactionPatterns.value);
+  return {
+    redaction: secretRedactionUtils.normalizeRedactionSettings({
+      enabled: settingsRedactionEnabled.checked,
+      customPatterns: patterns
+    }),
+    invalidLines
+  };
+}
+
+async function discoverLocalModels() {
+  if (!hasApiMethod('listLocalModels')) {
+    showInAppNotice('无法获取本地模型', '当前版本缺少本地模型发现接口。');
+    return;
+  }
+  btnLocalModels.disabled = true;
+  try {
+    const result = await window.api.listLocalModels({
+      api: settingsLocalApi.value,
+      baseUrl: settingsLocalBaseUrl.value.trim()
+    });
+    if (!result || !result.success) {
+      showInAppNotice('无法获取本地模型', `请确认本地服务已启动：${(result && result.error) || '未知错误'}`);
+      return;
+    }
+    settingsLocalModelList.innerHTML = '';
+    for (const model of result.models) {
+      const option = document.createElement('option');
+      option.value = model;
+      settingsLocalModelList.appendChild(option);
+    }
+    if (!settingsLocalModel.value.trim() && result.models.length > 0) {
+      settingsLocalModel.value = result.models[0];
+    }
+    showInAppNotice('本地模型', result.models.length > 0
+      ? `发现 ${result.models.length} 个模型：${result.models.slice(0, 5).join('、')}`
+      : '本地服务未返回任何模型，请先拉取或加载模型。');
+  } finally {
+    btnLocalModels.disabled = false;
+  }
+}
+
+function syncWorkDigestWeekdayState() {
+  if (settingsDigestWeekday) {
+    settingsDigestWeekday.disabled = settingsDigestFrequency.value !== 'weekly';
+  }
+}
+
+function fillWorkDigestScheduleForm(schedule) {
+  if (!workDigestUtils || !settingsDigestEnabled) return;
+  const normalized = workDigestUtils.normalizeWorkDigestSchedule(schedule);
+  if (settingsDigestWeekday.options.length === 0) {
+    workDigestUtils.WEEKDAY_LABELS.forEach((label, index) => {
+      const option = document.createElement('option');
+      option.value = String(index);
+      option.textContent = label;
+      settingsDigestWeekday.appendChild(option);
+    });
+  }
+  settingsDigestEnabled.checked = normalized.enabled;
+  settingsDigestFrequency.value = normalized.frequency;
+  settingsDigestWeekday.value = String(normalized.weekday);
+  settingsDigestTime.value = normalized.time;
+  syncWorkDigestWeekdayState();
+}
+
+function readWorkDigestScheduleForm(fallback) {
+  if (!workDigestUtils || !settingsDigestEnabled) return fallback;
+  return workDigestUtils.normalizeWorkDigestSchedule({
+    enabled: settingsDigestEnabled.checked,
+    frequency: settingsDigestFrequency.value,
+    weekday: Number(settingsDigestWeekday.value),
+    time: settingsDigestTime.value
+  });
 }
 
-// --- Settings Modal ---
+function formatByteSize(bytes) {
+  const n = Number(bytes) || 0;
+  if (n >= 1024 * 1024) return `${(n / 1024 / 1024).toFixed(1)} MB`;
+  if (n >= 1024) return `${Math.round(n / 1024)} KB`;
+  return `${n} B`;
+}
 
-async function loadRuntimeSettings() {
-  try {
-    const config = normalizeRuntimeSettings(await window.api.getSettings());
-    aiCommand = config.aiCommand;
-    applyQuickSettings(config);
-    return config;
-  } catch (err) {
-    console.warn('Failed to load runtime settings:', err);
-    const fallback = normalizeRuntimeSettings({
-      apiKey: '',
-      baseUrl: '',
-      aiCommand: 'codex -m gpt-5.3-codex',
-      heartbeatEnabled: true,
-      heartbeatIntervalMs: 10 * 60 * 1000,
-      heartbeatPreferSessionAi: true,
-      archiveMetricsEnabled: false
-    });
-    aiCommand = fallback.aiCommand;
-    applyQuickSettings(fallback);
-    return fallback;
+function formatArchiveRetentionReport(report) {
+  const lines = [];
+  if (report.removedSessions.length > 0) {
+    lines.push(`删除 ${report.removedSessions.length} 个会话（${report.removedFiles} 个文件，${formatByteSize(report.removedBytes)}）`);
+    lines.push(`其中超期 ${report.removedByAge} 个，超出容量 ${report.removedBySize} 个`);
+  } else {
+    lines.push('没有需要删除的会话归档');
   }
+  if (report.prunedIndexEntries > 0) lines.push(`清理失效索引 ${report.prunedIndexEntries} 条`);
+  if (report.pinnedSessions > 0) lines.push(`置顶目录保留 ${report.pinnedSessions} 个会话`);
+  lines.push(`归档占用 ${formatByteSize(report.totalBytesBefore)} → ${formatByteSize(report.totalBytesAfter)}`);
+  return lines.join('\n');
 }
 
-async function openSettings() {
-  const config = await loadRuntimeSettings();
-  settingsAiCommand.value = config.aiCommand;
-  settingsBaseUrl.value = config.baseUrl || '';
-  settingsApiKey.value = config.apiKey || '';
-  if (settingsArchiveMetrics) {
-    settingsArchiveMetrics.checked = config.archiveMetricsEnabled === true;
+function formatArchiveRepairReport(report) {
+  const lines = [`扫描 ${report.filesScanned} 个归档文件，${report.records} 条有效记录`];
+  if (report.badLines > 0) {
+    lines.push(`发现 ${report.badLines} 行损坏记录，已隔离到 .bad 文件的归档 ${report.quarantinedFiles.length} 个`);
+  } else {
+    lines.push('未发现损坏记录');
   }
-  settingsModal.classList.remove('hidden');
-  settingsAiCommand.focus();
+  if (report.skippedOpenFiles.length > 0) {
+    lines.push(`${report.skippedOpenFiles.length} 个归档属于运行中的会话，关闭后再修复`);
+  }
+  if (report.unreadableFiles.length > 0) lines.push(`${report.unreadableFiles.length} 个文件无法读取`);
+  lines.push(`已重建 ${report.rebuiltSessions} 个会话索引，移除失效条目 ${report.staleSessions} 条`);
+  if (report.indexRecovered) lines.push('index.json 曾损坏，原文件已保存为 index.json.bad');
+  return lines.join('\n');
 }
 
-function closeSettings() {
-  settingsModal.classList.add('hidden');
+async function repairArchive() {
+  if (!hasApiMethod('repairArchive')) {
+    showInAppNotice('无法修复归档', '当前版本缺少归档修复接口。');
+    return;
+  }
+  const result = await window.api.repairArchive();
+  if (!result || !result.success) {
+    showInAppNotice('归档修复失败', (result && result.error) || '未知错误');
+    return;
+  }
+  showInAppNotice('归档校验完成', formatArchiveRepairReport(result.report));
+}
+
+// Saves the retention fields first so "立即清理" always uses what is on screen.
+async function runArchiveRetentionNow() {
+  if (!hasApiMethod('runArchiveRetention')) {
+    showInAppNotice('无法清理归档', '当前版本缺少归档清理接口。');
+    return;
+  }
+  const current = normalizeRuntimeSettings(await window.api.getSettings());
+  await persistRuntimeSettings({
+    ...current,
+    archiveRetention: readArchiveRetentionForm(current.archiveRetention)
+  });
+  const result = await window.api.runArchiveRetention();
+  if (!result || !result.success) {
+    showInAppNotice('归档清理失败', (result && result.error) || '未知错误');
+    return;
+  }
+  showInAppNotice('归档清理完成', formatArchiveRetentionReport(result.report));
+}
+
+async function populateShellOptions() {
+  if (!settingsLaunchProfileShellOptions) return;
+  const { shells } = await loadAvailableShells();
+  settingsLaunchProfileShellOptions.innerHTML = '';
+  for (const item of shells) {
+    const option = document.createElement('option');
+    option.value = item.id;
+    option.label = `${item.label} · ${item.path}`;
+    settingsLaunchProfileShellOptions.appendChild(option);
+  }
+}
+
+function getSelectedLaunchProfileDraft() {
+  return launchProfileDrafts.find((profile) => profile.id === selectedLaunchProfileId) || null;
+}
+
+function renderLaunchProfileEditor() {
+  if (!settingsLaunchProfileSelect) return;
+  settingsLaunchProfileSelect.innerHTML = '';
+  if (launchProfileDrafts.length === 0) {
+    const option = document.createElement('option');
+    option.value = '';
+    option.textContent = '暂无启动配置';
+    settingsLaunchProfileSelect.appendChild(option);
+  }
+  for (const profile of launchProfileDrafts) {
+    const option = document.createElement('option');
+    option.value = profile.id;
+    option.textContent = profile.name || '未命名配置';
+    settingsLaunchProfileSelect.appendChild(option);
+  }
+  settingsLaunchProfileSelect.value = selectedLaunchProfileId;
+
+  const draft = getSelectedLaunchProfileDraft();
+  settingsLaunchProfileFields.classList.toggle('hidden', !draft);
+  if (btnLaunchProfileRemove) {
+    btnLaunchProfileRemove.disabled = !draft;
+  }
+  if (!draft) return;
+  settingsLaunchProfileName.value = draft.name;
+  settingsLaunchProfileCommand.value = draft.command;
+  settingsLaunchProfileCwd.value = draft.cwd;
+  settingsLaunchProfileShell.value = draft.shell;
+  settingsLaunchProfileShellMode.value = draft.shellMode;
+  settingsLaunchProfileEnv.value = launchProfileUtils.formatEnvOverridesText(draft.env);
+  settingsLaunchProfileDelay.value = String(draft.initialDelayMs);
+}
+
+// Writes the visible form back into the selected draft; returns env lines that failed to parse.
+function syncLaunchProfileDraftFromForm() {
+  const draft = getSelectedLaunchProfileDraft();
+  if (!draft || !launchProfileUtils) return [];
+  const parsedEnv = launchProfileUtils.parseEnvOverridesText(settingsLaunchProfileEnv.value);
+  draft.name = settingsLaunchProfileName.value.trim();
+  draft.command = settingsLaunchProfileCommand.value.trim();
+  draft.cwd = settingsLaunchProfileCwd.value.trim();
+  draft.shell = settingsLaunchProfileShell.value.trim();
+  draft.shellMode = settingsLaunchProfileShellMode.value;
+  draft.env = parsedEnv.env;
+  draft.initialDelayMs = settingsLaunchProfileDelay.value;
+  return parsedEnv.invalidLines;
+}
+
+function addLaunchProfileDraft() {
+  if (!launchProfileUtils) return;
+  syncLaunchProfileDraftFromForm();
+  const draft = {
+    id: launchProfileUtils.createLaunchProfileId(),
+    name: `启动配置 ${launchProfileDrafts.length + 1}`,
+    command: aiCommand,
+    cwd: '',
+    shell: '',
+    shellMode: '',
+    env: {},
+    initialDelayMs: launchProfileUtils.DEFAULT_INITIAL_DELAY_MS
+  };
+  launchProfileDrafts.push(draft);
+  selectedLaunchProfileId = draft.id;
+  renderLaunchProfileEditor();
+  settingsLaunchProfileName.focus();
+  settingsLaunchProfileName.select();
+}
+
+function removeLaunchProfileDraft() {
+  const index = launchProfileDrafts.findIndex((profile) => profile.id === selectedLaunchProfileId);
+  if (index < 0) return;
+  launchProfileDrafts.splice(index, 1);
+  const next = launchProfileDrafts[Math.min(index, launchProfileDrafts.length - 1)];
+  selectedLaunchProfileId = next ? next.id : '';
+  renderLaunchProfileEditor();
 }
 
 async function saveSettings() {
+  const invalidEnvLines = syncLaunchProfileDraftFromForm();
+  if (invalidEnvLines.length > 0) {
+    showInAppNotice('环境变量格式有误', `第 ${invalidEnvLines.join('、')} 行不是 KEY=value 格式，请修正后再保存。`);
+    return;
+  }
+  if (launchProfileDrafts.some((profile) => !String(profile.name || '').trim())) {
+    showInAppNotice('启动配置缺少名称', '请为每个启动配置填写名称。');
+    return;
+  }
   const current = normalizeRuntimeSettings(await window.api.getSettings());
+  const redactionForm = readRedactionForm(current.redaction);
+  if (redactionForm.invalidLines.length > 0) {
+    showInAppNotice('脱敏正则有误', `第 ${redactionForm.invalidLines.join('、')} 行不是有效的正则表达式，请修正后再保存。`);
+    return;
+  }
+  const promptForm = readAnalysisPromptForm(current.analysisPrompts);
+  if (promptForm.unknownVariables.length > 0) {
+    const names = promptForm.unknownVariables.map((name) => `{{${name}}}`).join('、');
+    showInAppNotice('提示词变量有误', `不支持的变量：${names}。可用变量为 {{cwd}}、{{cli}}、{{model}}、{{log}}。`);
+    return;
+  }
   const nextConfig = normalizeRuntimeSettings({
     ...current,
     apiKey: settingsApiKey.value.trim(),
     baseUrl: settingsBaseUrl.value.trim(),
     aiCommand: settingsAiCommand.value,
-    archiveMetricsEnabled: settingsArchiveMetrics ? settingsArchiveMetrics.checked : current.archiveMetricsEnabled
+    archiveMetricsEnabled: settingsArchiveMetrics ? settingsArchiveMetrics.checked : current.archiveMetricsEnabled,
+    sessionRecordingEnabled: settingsSessionRecording
+      ? settingsSessionRecording.checked
+      : current.sessionRecordingEnabled,
+    launchProfiles: settingsLaunchProfileSelect ? launchProfileDrafts : current.launchProfiles,
+    archiveRetention: readArchiveRetentionForm(current.archiveRetention),
+    workDigestSchedule: readWorkDigestScheduleForm(current.workDigestSchedule),
+    analysisBackend: readAnalysisBackendForm(current.analysisBackend),
+    redaction: redactionForm.redaction,
+    analysisBudget: readAnalysisBudgetForm(current.analysisBudget),
+    analysisPrompts: promptForm.analysisPrompts
   });
   await persistRuntimeSettings(nextConfig);
   closeSettings();
@@ -1412,7 +2984,7 @@ function ensureInAppNoticeContainer() {
   return inAppNoticeContainer;
 }
 
-function showInAppNotice(title, message) {
+function createInAppNoticeCard(title, message) {
   const container = ensureInAppNoticeContainer();
   const notice = document.createElement('div');
   notice.className = 'notice-card';
@@ -1432,13 +3004,59 @@ function showInAppNotice(title, message) {
   requestAnimationFrame(() => {
     notice.classList.add('visible');
   });
+  return { notice, titleEl, messageEl };
+}
 
+function removeInAppNoticeCard(notice) {
+  notice.classList.remove('visible');
   setTimeout(() => {
-    notice.classList.remove('visible');
-    setTimeout(() => {
-      notice.remove();
-    }, 220);
-  }, 5200);
+    notice.remove();
+  }, 220);
+}
+
+function showInAppNotice(title, message) {
+  const { notice } = createInAppNoticeCard(title, message);
+  setTimeout(() => removeInAppNoticeCard(notice), 5200);
+}
+
+// A notice that stays open while its content streams in. Closing it with the ×
+// button calls `onClose` (used to cancel the request); finish() shows the final
+// text and lets it fade out like a regular notice.
+function showStreamingNotice(title, message, options = {}) {
+  const { notice, messageEl } = createInAppNoticeCard(title, message);
+  notice.classList.add('notice-card-streaming');
+  let settled = false;
+
+  const closeBtn = document.createElement('button');
+  closeBtn.type = 'button';
+  closeBtn.className = 'notice-close';
+  closeBtn.title = '关闭并取消';
+  closeBtn.textContent = '×';
+  closeBtn.addEventListener('click', () => {
+    const wasStreaming = !settled;
+    settled = true;
+    removeInAppNoticeCard(notice);
+    if (wasStreaming && typeof options.onClose === 'function') options.onClose();
+  });
+  notice.appendChild(closeBtn);
+
+  return {
+    update(nextMessage) {
+      if (!settled) messageEl.textContent = nextMessage;
+    },
+    finish(finalMessage) {
+      if (settled) return;
+      settled = true;
+      notice.classList.remove('notice-card-streaming');
+      messageEl.textContent = finalMessage;
+      setTimeout(() => removeInAppNoticeCard(notice), 5200);
+    },
+    dismiss() {
+      if (settled) return;
+      settled = true;
+      removeInAppNoticeCard(notice);
+    }
+  };
 }
 
 function validateApiBridge() {
@@ -1531,6 +3149,19 @@ async function showNonBlockingNotice(title, message) {
   showInAppNotice(title, message);
 }
 
+function formatSummaryNoticeMessage(summary, analysis) {
+  const lines = [summary, analysis]
+    .map((text) => String(text || '').replace(/\s+/g, ' ').trim())
+    .filter(Boolean);
+  return lines.join('\n');
+}
+
+function createSummaryStreamId() {
+  return `summary-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+// Streams into an in-app notice when the bridge supports it; closing the notice
+// (or the tab) cancels the request.
 async function showHeartbeatArchiveDigestForActiveTab() {
   if (!activeTabId) {
     showInAppNotice('心跳归档', '当前没有可提取归档的活跃会话。');
@@ -1539,31 +3170,516 @@ async function showHeartbeatArchiveDigestForActiveTab() {
 
   const tabData = tabs.find((t) => t.id === activeTabId);
   const tabTitle = tabData && tabData.title ? tabData.title : '当前会话';
+  const noticeTitle = `归档总结 · ${tabTitle}`;
+  const streamId = hasApiMethod('cancelHeartbeatSummary') ? createSummaryStreamId() : '';
+  let streamNotice = null;
+  if (streamId) {
+    streamNotice = showStreamingNotice(noticeTitle, '正在生成总结…', {
+      onClose: () => {
+        summaryStreamNotices.delete(streamId);
+        window.api.cancelHeartbeatSummary(streamId).catch((err) => {
+          console.warn('Failed to cancel heartbeat archive summary:', err);
+        });
+      }
+    });
+    summaryStreamNotices.set(streamId, streamNotice);
+  }
 
   try {
     const result = await window.api.summarizeHeartbeatArchive({
-      tabId: activeTabId,
+      tabId: getActivePaneId(tabData) || activeTabId,
       days: 14,
-      limit: 30
+      limit: 30,
+      streamId
     });
+    if (result && result.cancelled) {
+      if (streamNotice) streamNotice.dismiss();
+      return;
+    }
 
     const hasRecords = !!(result && Array.isArray(result.records) && result.records.length > 0);
     const hasLiveSnapshot = !!(result && result.liveSnapshot);
     if (!hasRecords && !hasLiveSnapshot) {
+      if (streamNotice) streamNotice.dismiss();
       showInAppNotice('心跳归档', `会话“${tabTitle}”暂无可用归档记录。`);
       return;
     }
 
-    const summary = (result.summary || '已提取会话归档摘要').replace(/\s+/g, ' ').trim();
-    const analysis = (result.analysis || '').replace(/\s+/g, ' ').trim();
     const stats = hasRecords
       ? `提取 ${result.records.length}/${result.total} 条记录`
       : '基于当前会话输出即时总结';
-    const message = analysis ? `${summary}\n${analysis}\n${stats}` : `${summary}\n${stats}`;
-    showNonBlockingNotice(`归档总结 · ${tabTitle}`, message);
+    const message = `${formatSummaryNoticeMessage(result.summary || '已提取会话归档摘要', result.analysis)}\n${stats}`;
+    if (streamNotice) {
+      streamNotice.finish(message);
+    } else {
+      showNonBlockingNotice(noticeTitle, message);
+    }
   } catch (err) {
     console.warn('Failed to summarize heartbeat archive:', err);
+    if (streamNotice) streamNotice.dismiss();
     showInAppNotice('心跳归档提取失败', '请稍后重试。');
+  } finally {
+    if (streamId) summaryStreamNotices.delete(streamId);
+  }
+}
+
+function getArchiveBrowser() {
+  if (archiveBrowser) return archiveBrowser;
+  if (typeof ArchiveBrowserPanel === 'undefined' || !archiveBrowserElement) {
+    showInAppNotice('无法打开归档浏览器', '归档浏览组件未加载，请重新安装最新版应用。');
+    return null;
+  }
+  if (!hasApiMethod('listArchiveSessions')) {
+    showInAppNotice('无法打开归档浏览器', '当前版本缺少归档会话列表接口。');
+    return null;
+  }
+  archiveBrowser = new ArchiveBrowserPanel(archiveBrowserElement, {
+    listSessions: (filters) => window.api.listArchiveSessions({ ...filters, limit: 200 }),
+    queryTimeline: (sessionId, limit) => window.api.queryHeartbeatArchive({ sessionId, limit }),
+    onOpenRecording: runAsyncSafely((recordingPath) => openRecordingReplay({ filePath: recordingPath }), '打开录像失败'),
+    onExportSession: (session) => openArchiveExport({ sessionId: session.sessionId, cwd: session.cwd }),
+    onDockChange: (dock) => {
+      if (!mainArea) return;
+      mainArea.classList.toggle('dock-right', dock === 'right');
+      mainArea.classList.toggle('dock-bottom', dock === 'bottom');
+    },
+    onClose: () => {
+      const tabData = getTabDataById(activeTabId);
+      if (tabData) terminalManager.focus(getActivePaneId(tabData));
+    }
+  });
+  return archiveBrowser;
+}
+
+function toggleArchiveBrowser() {
+  const panel = getArchiveBrowser();
+  return panel ? panel.toggle() : null;
+}
+
+function getAnalyticsDashboard() {
+  if (analyticsDashboard) return analyticsDashboard;
+  if (typeof AnalyticsDashboard === 'undefined' || !analyticsDashboardElement) {
+    showInAppNotice('无法打开会话统计', '会话统计组件未加载，请重新安装最新版应用。');
+    return null;
+  }
+  if (!hasApiMethod('getArchiveAnalytics')) {
+    showInAppNotice('无法打开会话统计', '当前版本缺少归档统计接口。');
+    return null;
+  }
+  analyticsDashboard = new AnalyticsDashboard(analyticsDashboardElement, {
+    loadAnalytics: (options) => window.api.getArchiveAnalytics(options),
+    onClose: () => {
+      const tabData = getTabDataById(activeTabId);
+      if (tabData) terminalManager.focus(getActivePaneId(tabData));
+    }
+  });
+  return analyticsDashboard;
+}
+
+function openAnalyticsDashboard() {
+  const panel = getAnalyticsDashboard();
+  return panel ? panel.open() : null;
+}
+
+function getWorkDigestPanel() {
+  if (workDigestPanel) return workDigestPanel;
+  if (typeof WorkDigestPanel === 'undefined' || !workDigestPanelElement) {
+    showInAppNotice('无法打开工作摘要', '工作摘要组件未加载，请重新安装最新版应用。');
+    return null;
+  }
+  if (!hasApiMethod('listWorkDigests') || !hasApiMethod('runWorkDigest')) {
+    showInAppNotice('无法打开工作摘要', '当前版本缺少工作摘要接口。');
+    return null;
+  }
+  workDigestPanel = new WorkDigestPanel(workDigestPanelElement, {
+    listDigests: (options) => window.api.listWorkDigests(options),
+    runDigest: (frequency) => window.api.runWorkDigest({ frequency }),
+    onClose: () => {
+      const tabData = getTabDataById(activeTabId);
+      if (tabData) terminalManager.focus(getActivePaneId(tabData));
+    }
+  });
+  return workDigestPanel;
+}
+
+function openWorkDigestPanel(sessionId) {
+  const panel = getWorkDigestPanel();
+  return panel ? panel.open(sessionId) : null;
+}
+
+async function runWorkDigestNow(frequency) {
+  if (!hasApiMethod('runWorkDigest')) {
+    showInAppNotice('无法生成工作摘要', '当前版本缺少工作摘要接口。');
+    return;
+  }
+  showInAppNotice('工作摘要', '正在汇总会话归档，完成后会通知你。');
+  const result = await window.api.runWorkDigest({ frequency });
+  if (!result || !result.success) {
+    showInAppNotice('未生成工作摘要', (result && result.error) || '未知错误');
+  }
+}
+
+function handleWorkDigestReady({ record, notified } = {}) {
+  if (!record) return;
+  if (workDigestPanel && workDigestPanel.isOpen()) {
+    workDigestPanel.showRecord(record);
+    return;
+  }
+  if (!notified) {
+    const label = workDigestUtils ? workDigestUtils.getWorkDigestLabel(record.digest && record.digest.frequency) : '工作摘要';
+    showInAppNotice(label, `${record.summary}\n可在命令面板打开“工作摘要…”查看详情。`);
+  }
+}
+
+function openArchiveExport(prefill = {}) {
+  if (!archiveExportModal || !hasApiMethod('exportHeartbeatArchive')) {
+    showInAppNotice('无法导出归档', '当前版本缺少归档导出接口。');
+    return;
+  }
+  archiveExportCwd.value = prefill.cwd || '';
+  archiveExportSession.value = prefill.sessionId || '';
+  archiveExportEventType.value = prefill.eventType || '';
+  archiveExportKeyword.value = prefill.keyword || '';
+  syncArchiveExportDigestOption();
+  archiveExportModal.classList.remove('hidden');
+  archiveExportFormat.focus();
+}
+
+function closeArchiveExport() {
+  if (archiveExportModal) archiveExportModal.classList.add('hidden');
+}
+
+// CSV exports carry records only; main.js skips the digest request for them.
+function syncArchiveExportDigestOption() {
+  archiveExportDigest.disabled = archiveExportFormat.value === 'csv';
+}
+
+async function submitArchiveExport() {
+  const includeDigest = !!archiveExportDigest.checked && archiveExportFormat.value !== 'csv';
+  btnArchiveExport.disabled = true;
+  try {
+    const result = await window.api.exportHeartbeatArchive({
+      format: archiveExportFormat.value,
+      days: Number(archiveExportDays.value) || 14,
+      cwd: archiveExportCwd.value.trim(),
+      sessionId: archiveExportSession.value.trim(),
+      eventType: archiveExportEventType.value,
+      keyword: archiveExportKeyword.value.trim(),
+      includeDigest
+    });
+    if (result && result.canceled) return;
+    if (!result || !result.success) {
+      showInAppNotice('导出归档失败', (result && result.error) || '未知错误');
+      return;
+    }
+    closeArchiveExport();
+    const count = result.total > result.exported
+      ? `最新 ${result.exported}/${result.total} 条记录`
+      : `${result.exported} 条记录`;
+    showInAppNotice('归档已导出', `已导出 ${count}${includeDigest ? '（含 AI 摘要）' : ''}\n${result.path}`);
+  } finally {
+    btnArchiveExport.disabled = false;
+  }
+}
+
+// --- Commands & Palette ---
+
+function toggleHeartbeatFromCommand() {
+  if (!quickHeartbeatEnabled) return;
+  quickHeartbeatEnabled.checked = !quickHeartbeatEnabled.checked;
+  quickHeartbeatEnabled.dispatchEvent(new Event('change'));
+}
+
+function setHeartbeatIntervalFromCommand(minutes) {
+  if (!quickHeartbeatInterval || !HEARTBEAT_INTERVAL_OPTIONS.includes(String(minutes))) return;
+  quickHeartbeatInterval.value = String(minutes);
+  quickHeartbeatInterval.dispatchEvent(new Event('change'));
+}
+
+function renameActiveTab() {
+  const tabData = getTabDataById(activeTabId);
+  const tabEl = tabData ? tabBar.querySelector(`.tab[data-tab-id="${tabData.id}"]`) : null;
+  if (!tabEl) {
+    showInAppNotice('重命名失败', '当前没有可重命名的标签。');
+    return;
+  }
+  startRename(tabEl, tabData);
+}
+
+async function queryArchiveByKeyword(keyword) {
+  const normalizedKeyword = String(keyword || '').trim();
+  if (!normalizedKeyword) return;
+  const result = await window.api.queryHeartbeatArchive({ keyword: normalizedKeyword, days: 30, limit: 8 });
+  const records = result && Array.isArray(result.records) ? result.records : [];
+  if (records.length === 0) {
+    showInAppNotice('归档查询', `最近 30 天没有包含“${normalizedKeyword}”的归档记录。`);
+    return;
+  }
+  const lines = records.map((record) => {
+    const at = formatHeartbeatTime(record.ts);
+    return `${at ? `${at} ` : ''}${record.summary || record.analysis || record.eventType}`;
+  });
+  showNonBlockingNotice(`归档查询 · ${normalizedKeyword}（${result.total} 条）`, lines.join('\n'));
+}
+
+function getCommandAccelerator(command) {
+  if (commandAccelerators && Object.prototype.hasOwnProperty.call(commandAccelerators, command.id)) {
+    return commandAccelerators[command.id];
+  }
+  return commandRegistry.getDefaultAccelerator(command, window.api && window.api.platform);
+}
+
+function applyKeybindingState(state, { announce = false } = {}) {
+  if (!state || typeof state !== 'object') return;
+  commandAccelerators = state.commandAccelerators || null;
+  terminalManager.setTerminalKeybindings(state.terminalBindings);
+  const problems = [...(state.errors || []), ...(state.conflicts || [])];
+  if (problems.length > 0) {
+    const more = problems.length > 3 ? `\n……另有 ${problems.length - 3} 条` : '';
+    showInAppNotice('快捷键配置有问题', `${problems.slice(0, 3).join('\n')}${more}`);
+  } else if (announce) {
+    showInAppNotice('快捷键已更新', '已重新加载 keybindings.json。');
+  }
+}
+
+async function loadKeybindings() {
+  if (!hasApiMethod('getKeybindings')) return;
+  try {
+    applyKeybindingState(await window.api.getKeybindings());
+  } catch (err) {
+    console.warn('[keybindings] Failed to load keybindings:', err);
+  }
+}
+
+async function openKeybindingsFile() {
+  const result = await window.api.openKeybindings();
+  if (!result || !result.success) {
+    throw new Error((result && result.error) || '无法打开 keybindings.json');
+  }
+}
+
+const commandHandlers = {
+  'tab.newAi': () => createNewAiTab(),
+  'tab.newTerminal': () => createNewTab(),
+  'tab.close': () => (activeTabId ? closeTab(activeTabId) : null),
+  'tab.rename': () => renameActiveTab(),
+  'tab.prev': () => switchToPrevTab(),
+  'tab.next': () => switchToNextTab(),
+  'recording.open': () => openRecordingReplay(),
+  'settings.open': () => openSettings(),
+  'keybindings.open': () => openKeybindingsFile(),
+  'workspace.save': ({ mode }) => openWorkspacePicker(mode),
+  'workspace.open': ({ mode }) => openWorkspacePicker(mode),
+  'workspace.openNamed': ({ name }) => openWorkspace(name),
+  'pane.splitRight': ({ direction }) => splitActivePane(direction),
+  'pane.splitDown': ({ direction }) => splitActivePane(direction),
+  'pane.close': () => closeActivePane(),
+  'pane.focusLeft': ({ move }) => focusAdjacentPane(move),
+  'pane.focusRight': ({ move }) => focusAdjacentPane(move),
+  'pane.focusUp': ({ move }) => focusAdjacentPane(move),
+  'pane.focusDown': ({ move }) => focusAdjacentPane(move),
+  'palette.open': () => openCommandPalette(),
+  'topic.refresh': () => refreshAllTopics(),
+  'archive.summarize': () => showHeartbeatArchiveDigestForActiveTab(),
+  'archive.browse': () => toggleArchiveBrowser(),
+  'archive.export': () => openArchiveExport(),
+  'archive.repair': () => repairArchive(),
+  'archive.analytics': () => openAnalyticsDashboard(),
+  'digest.open': ({ sessionId }) => openWorkDigestPanel(sessionId),
+  'digest.runDaily': ({ frequency }) => runWorkDigestNow(frequency),
+  'archive.query': () => promptPaletteArgument('输入要搜索的归档关键词，回车查询', queryArchiveByKeyword),
+  'confirm.next': () => focusNextConfirmTab(),
+  'heartbeat.toggle': () => toggleHeartbeatFromCommand(),
+  'font.increase': () => terminalManager.increaseFontSize(),
+  'font.decrease': () => terminalManager.decreaseFontSize(),
+  'font.reset': () => terminalManager.resetFontSize()
+};
+for (let i = 1; i <= 9; i += 1) {
+  commandHandlers[`tab.select${i}`] = ({ index }) => switchToTabByIndex(index);
+}
+
+function runCommand(id, args = {}) {
+  const command = commandRegistry ? commandRegistry.getCommand(id) : null;
+  const handler = commandHandlers[id];
+  if (!command || !handler) {
+    console.warn(`[command] Unknown command: ${id}`);
+    return null;
+  }
+  return handler({ ...(command.args || {}), ...(args || {}) });
+}
+
+function runCommandSafely(id, args) {
+  const command = commandRegistry ? commandRegistry.getCommand(id) : null;
+  const title = command ? `${command.title.replace(/…$/, '')}失败` : '执行命令失败';
+  runAsyncSafely(() => runCommand(id, args), title)();
+}
+
+async function buildPaletteItems() {
+  const platform = window.api && window.api.platform;
+  const items = commandRegistry.listPaletteCommands().map((command) => ({
+    title: command.title,
+    keywords: `${command.keywords || ''} ${command.id}`,
+    detail: command.id === 'tab.newAi'
+      ? `${aiCommand}  ${commandRegistry.formatAccelerator(getCommandAccelerator(command), platform)}`
+      : commandRegistry.formatAccelerator(getCommandAccelerator(command), platform),
+    run: () => runCommand(command.id)
+  }));
+
+  for (const profile of launchProfiles) {
+    items.push({
+      title: `新建标签：${profile.name}`,
+      keywords: `new tab profile ${profile.command}`,
+      detail: profile.command || 'Shell',
+      run: () => createNewTabFromProfile(profile.id)
+    });
+  }
+
+  for (const tab of tabs) {
+    if (tab.confirmPending) {
+      items.push({
+        title: `跳转到待确认：${tab.title}`,
+        keywords: `confirm pending ${tab.cwd || ''}`,
+        detail: TAB_CONFIRM_BADGE_TEXT,
+        run: () => switchToTabById(tab.id)
+      });
+    }
+    items.push({
+      title: `跳转到标签：${tab.title}`,
+      keywords: `goto tab ${tab.cwd || ''}`,
+      detail: tab.cwd || '',
+      run: () => switchToTabById(tab.id)
+    });
+  }
+
+  for (const minutes of HEARTBEAT_INTERVAL_OPTIONS) {
+    items.push({
+      title: `心跳间隔：${minutes} 分钟`,
+      keywords: `heartbeat interval ${minutes} min`,
+      detail: quickHeartbeatInterval && quickHeartbeatInterval.value === minutes ? '当前' : '',
+      run: () => setHeartbeatIntervalFromCommand(minutes)
+    });
+  }
+
+  if (hasApiMethod('listWorkspaces')) {
+    try {
+      const result = await window.api.listWorkspaces();
+      for (const item of commandRegistry.buildWorkspacePaletteItems(result)) {
+        items.push({ ...item, run: () => openWorkspace(item.workspaceName) });
+      }
+    } catch (err) {
+      console.warn('Failed to list workspaces for command palette:', err);
+    }
+  }
+  return items;
+}
+
+function renderCommandPalette() {
+  commandPaletteList.innerHTML = '';
+  if (paletteArgumentPrompt) {
+    const hint = document.createElement('div');
+    hint.className = 'command-palette-empty';
+    hint.textContent = paletteArgumentPrompt.placeholder;
+    commandPaletteList.appendChild(hint);
+    return;
+  }
+  paletteVisibleItems = commandRegistry.rankCommands(paletteItems, commandPaletteInput.value, 60);
+  paletteSelectedIndex = Math.min(paletteSelectedIndex, Math.max(paletteVisibleItems.length - 1, 0));
+  if (paletteVisibleItems.length === 0) {
+    const empty = document.createElement('div');
+    empty.className = 'command-palette-empty';
+    empty.textContent = '没有匹配的命令';
+    commandPaletteList.appendChild(empty);
+    return;
+  }
+  paletteVisibleItems.forEach((item, index) => {
+    const row = document.createElement('div');
+    row.className = 'command-palette-item';
+    row.classList.toggle('selected', index === paletteSelectedIndex);
+    const title = document.createElement('span');
+    title.className = 'command-palette-title';
+    title.textContent = item.title;
+    row.appendChild(title);
+    if (item.detail) {
+      const detail = document.createElement('span');
+      detail.className = 'command-palette-detail';
+      detail.textContent = item.detail;
+      row.appendChild(detail);
+    }
+    row.addEventListener('mousemove', () => {
+      if (paletteSelectedIndex === index) return;
+      paletteSelectedIndex = index;
+      renderCommandPalette();
+    });
+    row.addEventListener('click', () => executePaletteItem(index));
+    commandPaletteList.appendChild(row);
+  });
+  const selectedRow = commandPaletteList.children[paletteSelectedIndex];
+  if (selectedRow) selectedRow.scrollIntoView({ block: 'nearest' });
+}
+
+async function openCommandPalette() {
+  if (!commandPalette || !commandRegistry) return;
+  paletteReturnFocusId = getActiveTerminalId() || '';
+  paletteArgumentPrompt = null;
+  paletteItems = await buildPaletteItems();
+  paletteSelectedIndex = 0;
+  commandPaletteInput.value = '';
+  commandPaletteInput.placeholder = '输入命令名称搜索…';
+  commandPalette.classList.remove('hidden');
+  renderCommandPalette();
+  commandPaletteInput.focus();
+}
+
+function closeCommandPalette() {
+  if (!commandPalette || commandPalette.classList.contains('hidden')) return;
+  commandPalette.classList.add('hidden');
+  paletteArgumentPrompt = null;
+  if (paletteReturnFocusId) {
+    terminalManager.focus(paletteReturnFocusId);
+  }
+}
+
+// Keeps the palette open and switches it to free-text input for commands that need an argument.
+function promptPaletteArgument(placeholder, run) {
+  if (!commandPalette) return;
+  if (commandPalette.classList.contains('hidden')) {
+    paletteReturnFocusId = getActiveTerminalId() || '';
+  }
+  paletteArgumentPrompt = { placeholder, run };
+  commandPaletteInput.value = '';
+  commandPaletteInput.placeholder = placeholder;
+  commandPalette.classList.remove('hidden');
+  renderCommandPalette();
+  commandPaletteInput.focus();
+}
+
+function executePaletteItem(index) {
+  if (paletteArgumentPrompt) {
+    const { run } = paletteArgumentPrompt;
+    const value = commandPaletteInput.value;
+    closeCommandPalette();
+    runAsyncSafely(() => run(value), '执行命令失败')();
+    return;
+  }
+  const item = paletteVisibleItems[index];
+  if (!item) return;
+  closeCommandPalette();
+  runAsyncSafely(() => item.run(), `${item.title.replace(/…$/, '')}失败`)();
+}
+
+function handleCommandPaletteKeydown(e) {
+  if (e.key === 'Escape') {
+    e.preventDefault();
+    closeCommandPalette();
+  } else if (e.key === 'Enter') {
+    e.preventDefault();
+    executePaletteItem(paletteSelectedIndex);
+  } else if ((e.key === 'ArrowDown' || e.key === 'ArrowUp') && !paletteArgumentPrompt) {
+    e.preventDefault();
+    const count = paletteVisibleItems.length;
+    if (count === 0) return;
+    paletteSelectedIndex = (paletteSelectedIndex + (e.key === 'ArrowDown' ? 1 : -1) + count) % count;
+    renderCommandPalette();
   }
 }
 
@@ -1573,7 +3689,13 @@ registerApiListener('onTerminalOutput', ({ tabId, data }) => {
   terminalManager.write(tabId, data);
 });
 
-registerApiListener('onTerminalClosed', ({ tabId }) => {
+registerApiListener('onTerminalClosed', ({ tabId: terminalId }) => {
+  const tabId = resolveTabIdForTerminal(terminalId);
+  if (tabId !== terminalId) {
+    // A split pane's shell exited: drop the pane instead of marking the whole tab as ended.
+    detachPane(getTabDataById(tabId), terminalId);
+    return;
+  }
   clearTabConfirmPending(tabId, { keepHeartbeatWaiting: true });
   const tabData = tabs.find((t) => t.id === tabId);
   if (tabData) {
@@ -1587,7 +3709,8 @@ registerApiListener('onTerminalClosed', ({ tabId }) => {
   }
 });
 
-registerApiListener('onTerminalHeartbeatSummary', ({ tabId, summary, analysis, status, at }) => {
+registerApiListener('onTerminalHeartbeatSummary', ({ tabId: terminalId, summary, analysis, status, details, at }) => {
+  const tabId = resolveTabIdForTerminal(terminalId);
   const tabData = tabs.find((t) => t.id === tabId);
   const tabTitle = tabData && tabData.title ? tabData.title : '当前会话';
   const compactSummary = (summary || '会话进行中').replace(/\s+/g, ' ').trim();
@@ -1596,18 +3719,30 @@ registerApiListener('onTerminalHeartbeatSummary', ({ tabId, summary, analysis, s
     status,
     summary: compactSummary,
     analysis: compactAnalysis,
+    details: details || null,
     at
   });
   debugLog(`[heartbeat][silent] ${tabTitle}: ${compactSummary}${compactAnalysis ? ` | ${compactAnalysis}` : ''}`);
 });
 
-registerApiListener('onTerminalSessionProfile', ({ tabId, autoCommand, source }) => {
+registerApiListener('onTerminalSessionProfile', ({ tabId: terminalId, autoCommand, source }) => {
+  const tabId = resolveTabIdForTerminal(terminalId);
   const tabData = tabs.find((t) => t.id === tabId);
   if (!tabData) return;
+  const pane = getPaneState(tabData, terminalId);
+  if (pane) {
+    const nextCommand = normalizeOptionalCommand(autoCommand);
+    if (nextCommand && nextCommand !== pane.autoCommand) {
+      pane.autoCommand = nextCommand;
+      persistTabSnapshot();
+    }
+    return;
+  }
   syncTabAutoCommand(tabData, autoCommand, source || 'session_profile');
 });
 
-registerApiListener('onTerminalConfirmNeeded', ({ tabId, prompt }) => {
+registerApiListener('onTerminalConfirmNeeded', ({ tabId: terminalId, prompt }) => {
+  const tabId = resolveTabIdForTerminal(terminalId);
   const tabData = tabs.find((t) => t.id === tabId);
   if (!tabData) return;
 
@@ -1625,11 +3760,32 @@ registerApiListener('onTerminalConfirmNeeded', ({ tabId, prompt }) => {
 });
 
 registerApiListener('onTerminalConfirmCleared', ({ tabId }) => {
-  clearTabConfirmPending(tabId);
+  clearTabConfirmPending(resolveTabIdForTerminal(tabId));
+});
+
+registerApiListener('onAnalysisHealth', (health) => {
+  renderAnalysisHealth(health);
+});
+
+registerApiListener('onHeartbeatSummaryProgress', ({ streamId, summary, analysis } = {}) => {
+  const notice = summaryStreamNotices.get(streamId);
+  if (notice) notice.update(formatSummaryNoticeMessage(summary, analysis));
+});
+
+registerApiListener('onAnalysisBudgetPaused', ({ totalTokens, dailyTokenLimit } = {}) => {
+  const format = analysisUsageUtils ? analysisUsageUtils.formatTokenCount : String;
+  showInAppNotice(
+    '后台心跳已暂停',
+    `今日分析已用 ${format(totalTokens)} Token，达到每日预算 ${format(dailyTokenLimit)}。次日自动恢复，也可在设置中调整预算。`
+  );
+});
+
+registerApiListener('onWorkDigestReady', (payload) => {
+  handleWorkDigestReady(payload);
 });
 
 registerApiListener('onTopicStatus', ({ tabId, status, topic }) => {
-  const normalizedTabId = String(tabId || '').trim();
+  const normalizedTabId = resolveTabIdForTerminal(tabId);
   if (!normalizedTabId) return;
 
   const tabData = tabs.find((t) => t.id === normalizedTabId);
@@ -1652,7 +3808,7 @@ registerApiListener('onFileDrop', ({ paths }) => {
     const quotedPaths = paths.map(p => p.includes(' ') ? `"${p}"` : p);
     const pathString = quotedPaths.join(' ');
     debugLog('Sending file paths to terminal:', pathString);
-    window.api.sendTerminalData(activeTabId, pathString);
+    window.api.sendTerminalData(getActiveTerminalId(), pathString);
   }
 });
 
@@ -1660,50 +3816,13 @@ registerApiListener('onFileDrop', ({ paths }) => {
 
 debugLog('Setting up shortcut listeners...');
 
-registerApiListener('onNewTab', runAsyncSafely(
-  () => createNewAiTab(),
-  '新建会话失败'
-));
-registerApiListener('onCloseTab', runAsyncSafely(
-  () => {
-    if (activeTabId) {
-      return closeTab(activeTabId);
-    }
-    return null;
-  },
-  '关闭会话失败'
-));
-registerApiListener('onRefreshTopics', runAsyncSafely(
-  () => refreshAllTopics(),
-  '刷新会话分析失败'
-));
-registerApiListener('onShowHeartbeatArchive', runAsyncSafely(
-  () => showHeartbeatArchiveDigestForActiveTab(),
-  '提取心跳归档失败'
-));
-registerApiListener('onNextConfirmTab', () => {
-  focusNextConfirmTab();
-});
-registerApiListener('onSwitchTab', ({ index }) => switchToTabByIndex(index));
-registerApiListener('onIncreaseFont', () => {
-  debugLog('onIncreaseFont shortcut triggered');
-  terminalManager.increaseFontSize();
-});
-registerApiListener('onDecreaseFont', () => {
-  debugLog('onDecreaseFont shortcut triggered');
-  terminalManager.decreaseFontSize();
-});
-registerApiListener('onResetFont', () => {
-  debugLog('onResetFont shortcut triggered');
-  terminalManager.resetFontSize();
+registerApiListener('onCommand', ({ id, args } = {}) => {
+  debugLog('Menu command triggered:', id);
+  runCommandSafely(id, args);
 });
-registerApiListener('onPrevTab', () => {
-  debugLog('onPrevTab shortcut triggered');
-  switchToPrevTab();
-});
-registerApiListener('onNextTab', () => {
-  debugLog('onNextTab shortcut triggered');
-  switchToNextTab();
+
+registerApiListener('onKeybindingsChanged', (state) => {
+  applyKeybindingState(state, { announce: true });
 });
 
 debugLog('Shortcut listeners set up complete');
@@ -1714,10 +3833,35 @@ bindClickSafely(btnAddTerminal, runAsyncSafely(
   () => createNewTab(),
   '新建标签失败'
 ), 'btn-add-terminal');
+if (btnAddTerminal) {
+  btnAddTerminal.addEventListener('contextmenu', (e) => {
+    e.preventDefault();
+    runAsyncSafely(() => handleAddTerminalContextMenu(), '读取 Shell 列表失败')();
+  });
+}
 bindClickSafely(btnAddAi, runAsyncSafely(
-  () => createNewAiTab(),
+  () => handleAddAiClick(),
   '新建 AI 会话失败'
 ), 'btn-add-ai');
+bindClickSafely(btnLaunchProfileAdd, () => addLaunchProfileDraft(), 'btn-launch-profile-add');
+bindClickSafely(btnLaunchProfileRemove, () => removeLaunchProfileDraft(), 'btn-launch-profile-remove');
+if (settingsLaunchProfileSelect) {
+  settingsLaunchProfileSelect.addEventListener('change', () => {
+    syncLaunchProfileDraftFromForm();
+    selectedLaunchProfileId = settingsLaunchProfileSelect.value;
+    renderLaunchProfileEditor();
+  });
+}
+if (newTabMenu) {
+  document.addEventListener('mousedown', (e) => {
+    if (newTabMenu.classList.contains('hidden')) return;
+    if (newTabMenu.contains(e.target) || (newTabMenuAnchor && newTabMenuAnchor.contains(e.target))) return;
+    closeNewTabMenu();
+  });
+  document.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape') closeNewTabMenu();
+  });
+}
 bindClickSafely(btnSettings, runAsyncSafely(
   () => openSettings(),
   '打开设置失败'
@@ -1725,6 +3869,12 @@ bindClickSafely(btnSettings, runAsyncSafely(
 bindClickSafely(btnConfirmQueue, () => {
   focusNextConfirmTab();
 }, 'btn-confirm-queue');
+bindClickSafely(btnAnalysisHealth, runAsyncSafely(async () => {
+  if (!hasApiMethod('getAnalysisHealth')) return;
+  const health = await window.api.getAnalysisHealth();
+  renderAnalysisHealth(health);
+  showInAppNotice('分析后端状态', describeAnalysisHealth(health).join('\n'));
+}, '读取分析后端状态失败'), 'btn-analysis-health');
 bindClickSafely(btnSettingsSave, runAsyncSafely(
   () => saveSettings(),
   '保存设置失败'
@@ -1733,11 +3883,75 @@ bindClickSafely(btnSettingsCancel, () => closeSettings(), 'btn-settings-cancel')
 bindClickSafely(btnScrollBottom, () => {
   debugLog('Scroll to bottom clicked');
   if (activeTabId) {
-    terminalManager.ensureInputVisible(activeTabId);
+    terminalManager.ensureInputVisible(getActiveTerminalId());
     btnScrollBottom.classList.remove('visible');
   }
 }, 'btn-scroll-bottom');
 
+bindClickSafely(btnWorkspaceSave, runAsyncSafely(
+  () => saveCurrentWorkspace(),
+  '保存工作区失败'
+), 'btn-workspace-save');
+bindClickSafely(btnWorkspaceClose, () => closeWorkspacePicker(), 'btn-workspace-close');
+if (workspaceNameInput) {
+  workspaceNameInput.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') {
+      runAsyncSafely(() => saveCurrentWorkspace(), '保存工作区失败')();
+    } else if (e.key === 'Escape') {
+      closeWorkspacePicker();
+    }
+  });
+}
+if (workspaceModal) {
+  workspaceModal.addEventListener('click', (e) => {
+    if (e.target === workspaceModal) closeWorkspacePicker();
+  });
+}
+
+bindClickSafely(btnRetentionRun, runAsyncSafely(
+  () => runArchiveRetentionNow(),
+  '归档清理失败'
+), 'btn-retention-run');
+if (settingsDigestFrequency) {
+  settingsDigestFrequency.addEventListener('change', () => syncWorkDigestWeekdayState());
+}
+if (settingsAnalysisBackend) {
+  settingsAnalysisBackend.addEventListener('change', () => syncAnalysisBackendFields());
+  settingsLocalOnly.addEventListener('change', () => syncAnalysisBackendFields());
+}
+if (settingsOutputLanguage) {
+  settingsOutputLanguage.addEventListener('change', () => syncAnalysisPromptPlaceholders());
+}
+bindClickSafely(btnLocalModels, runAsyncSafely(
+  () => discoverLocalModels(),
+  '获取本地模型失败'
+), 'btn-local-models');
+bindClickSafely(btnArchiveExport, runAsyncSafely(
+  () => submitArchiveExport(),
+  '导出归档失败'
+), 'btn-archive-export');
+bindClickSafely(btnArchiveExportCancel, () => closeArchiveExport(), 'btn-archive-export-cancel');
+if (archiveExportModal) {
+  archiveExportModal.addEventListener('click', (e) => {
+    if (e.target === archiveExportModal) closeArchiveExport();
+  });
+  archiveExportModal.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape') closeArchiveExport();
+  });
+  archiveExportFormat.addEventListener('change', syncArchiveExportDigestOption);
+}
+
+if (commandPalette && commandPaletteInput && commandPaletteList) {
+  commandPaletteInput.addEventListener('input', () => {
+    paletteSelectedIndex = 0;
+    if (!paletteArgumentPrompt) renderCommandPalette();
+  });
+  commandPaletteInput.addEventListener('keydown', handleCommandPaletteKeydown);
+  commandPalette.addEventListener('mousedown', (e) => {
+    if (e.target === commandPalette) closeCommandPalette();
+  });
+}
+
 if (settingsModal) {
   settingsModal.addEventListener('click', (e) => {
     if (e.target === settingsModal) closeSettings();
@@ -1748,6 +3962,9 @@ if (settingsModal) {
 
 terminalManager.onScrollStateChange(handleTerminalScrollStateChange);
 syncConfirmQueueButton();
+loadAnalysisHealth().catch((err) => {
+  console.warn('Failed to load analysis health:', err);
+});
 
 // --- Init ---
 
@@ -1759,15 +3976,19 @@ validateTerminalRuntime();
 validateUiRuntime();
 window.addEventListener('beforeunload', () => {
   persistTabSnapshot({ immediate: true });
+  // The window unloads right after before-quit, so this write has to be synchronous.
+  persistTabScrollback({ sync: true });
 });
 document.addEventListener('visibilitychange', () => {
   if (document.visibilityState === 'hidden') {
     persistTabSnapshot({ immediate: true });
+    persistTabScrollback();
   }
 });
 
 async function bootstrapApp() {
   await loadRuntimeSettings();
+  await loadKeybindings();
   await new Promise((resolve) => requestAnimationFrame(() => setTimeout(resolve, STARTUP_PHASE_DELAY_MS)));
 
   const restored = await restoreTabsFromSnapshot();
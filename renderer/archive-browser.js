@@ -0,0 +1,400 @@
+// Dockable browser for the session archive: filters sessions listed in index.json
+// and drills into one session's timeline of archived records.
+const ARCHIVE_EVENT_TYPE_LABELS = {
+  heartbeat: '心跳',
+  session_start: '会话开始',
+  session_exit: '会话退出',
+  confirm_prompt: '待确认',
+  confirm_resolved: '已确认',
+  tab_closed: '标签关闭',
+  app_shutdown: '应用关闭',
+  work_digest: '工作摘要'
+};
+const ARCHIVE_BROWSER_DOCKS = ['right', 'bottom'];
+const ARCHIVE_BROWSER_DOCK_STORAGE_KEY = 'shaoterm.archive-browser-dock.v1';
+const ARCHIVE_BROWSER_REFRESH_DEBOUNCE_MS = 250;
+const ARCHIVE_TIMELINE_LIMIT = 200;
+
+function formatArchiveTimestamp(ts) {
+  const date = new Date(ts);
+  if (Number.isNaN(date.getTime())) return '';
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${date.getMonth() + 1}-${pad(date.getDate())} ${pad(date.getHours())}:${pad(date.getMinutes())}`;
+}
+
+function lastPathSegment(value) {
+  const parts = String(value || '').split(/[\\/]/).filter(Boolean);
+  return parts.length > 0 ? parts[parts.length - 1] : String(value || '');
+}
+
+class ArchiveBrowserPanel {
+  // options.listSessions(filters) / options.queryTimeline(sessionId) return the IPC payloads;
+  // options.onOpenRecording(recordingPath), options.onExportSession({ sessionId, cwd }) and
+  // options.onDockChange(dock) are optional.
+  constructor(rootElement, options = {}) {
+    this.root = rootElement;
+    this.options = options;
+    this.dock = this.loadDock();
+    this.selectedSessionId = '';
+    this.sessions = [];
+    this.refreshTimer = null;
+    this.sessionsRequestSeq = 0;
+    this.timelineRequestSeq = 0;
+
+    this.root.classList.add('archive-browser');
+    this.root.innerHTML = '';
+
+    const header = document.createElement('div');
+    header.className = 'archive-browser-header';
+    const title = document.createElement('span');
+    title.className = 'archive-browser-title';
+    title.textContent = '会话归档';
+    this.dockButton = this.createButton('', () => this.setDock(this.dock === 'right' ? 'bottom' : 'right'));
+    const refreshButton = this.createButton('刷新', () => this.refresh());
+    const closeButton = this.createButton('×', () => this.close());
+    closeButton.title = '关闭';
+    header.append(title, this.dockButton, refreshButton, closeButton);
+
+    const filters = document.createElement('div');
+    filters.className = 'archive-browser-filters';
+    this.cwdSelect = this.createSelect('项目目录');
+    this.cliSelect = this.createSelect('CLI');
+    this.modelSelect = this.createSelect('模型');
+    this.statusSelect = this.createSelect('状态');
+    this.eventTypeSelect = this.createSelect('事件类型');
+    this.fillSelect(this.eventTypeSelect, '全部事件', Object.keys(ARCHIVE_EVENT_TYPE_LABELS).map((value) => ({
+      value,
+      label: ARCHIVE_EVENT_TYPE_LABELS[value]
+    })));
+    this.fromInput = this.createDateInput('开始日期');
+    this.toInput = this.createDateInput('结束日期');
+    this.keywordInput = document.createElement('input');
+    this.keywordInput.type = 'text';
+    this.keywordInput.className = 'archive-browser-keyword';
+    this.keywordInput.placeholder = '搜索摘要…';
+    this.keywordInput.spellcheck = false;
+    this.keywordInput.addEventListener('input', () => this.scheduleRefresh());
+    const dateRow = document.createElement('div');
+    dateRow.className = 'archive-browser-date-row';
+    const dateSeparator = document.createElement('span');
+    dateSeparator.textContent = '至';
+    dateRow.append(this.fromInput, dateSeparator, this.toInput);
+    filters.append(
+      this.cwdSelect,
+      this.cliSelect,
+      this.modelSelect,
+      this.statusSelect,
+      this.eventTypeSelect,
+      dateRow,
+      this.keywordInput
+    );
+
+    const body = document.createElement('div');
+    body.className = 'archive-browser-body';
+    this.sessionList = document.createElement('div');
+    this.sessionList.className = 'archive-browser-sessions';
+    this.timeline = document.createElement('div');
+    this.timeline.className = 'archive-browser-timeline';
+    body.append(this.sessionList, this.timeline);
+
+    this.statusLine = document.createElement('div');
+    this.statusLine.className = 'archive-browser-status';
+
+    this.root.append(header, filters, body, this.statusLine);
+    this.applyDock();
+    this.renderTimelinePlaceholder('选择一个会话查看时间线');
+  }
+
+  createButton(label, onClick) {
+    const button = document.createElement('button');
+    button.className = 'archive-browser-btn';
+    button.textContent = label;
+    button.addEventListener('click', onClick);
+    return button;
+  }
+
+  createSelect(title) {
+    const select = document.createElement('select');
+    select.className = 'archive-browser-select';
+    select.title = title;
+    select.addEventListener('change', () => this.scheduleRefresh(0));
+    return select;
+  }
+
+  createDateInput(title) {
+    const input = document.createElement('input');
+    input.type = 'date';
+    input.className = 'archive-browser-date';
+    input.title = title;
+    input.addEventListener('change', () => this.scheduleRefresh(0));
+    return input;
+  }
+
+  // Keeps the current selection even if the refreshed facets no longer contain it.
+  fillSelect(select, emptyLabel, items) {
+    const previous = select.value;
+    select.innerHTML = '';
+    const emptyOption = document.createElement('option');
+    emptyOption.value = '';
+    emptyOption.textContent = emptyLabel;
+    select.appendChild(emptyOption);
+    const values = new Set();
+    for (const item of items) {
+      const option = document.createElement('option');
+      option.value = item.value;
+      option.textContent = item.label;
+      if (item.title) option.title = item.title;
+      select.appendChild(option);
+      values.add(item.value);
+    }
+    if (previous && !values.has(previous)) {
+      const option = document.createElement('option');
+      option.value = previous;
+      option.textContent = previous;
+      select.appendChild(option);
+    }
+    select.value = previous;
+  }
+
+  applyFacets(facets = {}) {
+    const toItems = (list, formatLabel) => (Array.isArray(list) ? list : []).map((item) => ({
+      value: item.value,
+      label: `${formatLabel(item.value)}（${item.count}）`,
+      title: item.value
+    }));
+    this.fillSelect(this.cwdSelect, '全部目录', toItems(facets.cwds, lastPathSegment));
+    this.fillSelect(this.cliSelect, '全部 CLI', toItems(facets.clis, (value) => value));
+    this.fillSelect(this.modelSelect, '全部模型', toItems(facets.models, (value) => value));
+    this.fillSelect(this.statusSelect, '全部状态', toItems(facets.statuses, (value) => value));
+  }
+
+  getFilters() {
+    return {
+      cwd: this.cwdSelect.value,
+      cli: this.cliSelect.value,
+      model: this.modelSelect.value,
+      status: this.statusSelect.value,
+      eventType: this.eventTypeSelect.value,
+      from: this.fromInput.value,
+      to: this.toInput.value,
+      keyword: this.keywordInput.value.trim()
+    };
+  }
+
+  loadDock() {
+    try {
+      const stored = window.localStorage.getItem(ARCHIVE_BROWSER_DOCK_STORAGE_KEY);
+      return ARCHIVE_BROWSER_DOCKS.includes(stored) ? stored : 'right';
+    } catch (err) {
+      return 'right';
+    }
+  }
+
+  setDock(dock) {
+    if (!ARCHIVE_BROWSER_DOCKS.includes(dock)) return;
+    this.dock = dock;
+    try {
+      window.localStorage.setItem(ARCHIVE_BROWSER_DOCK_STORAGE_KEY, dock);
+    } catch (err) {
+      // Dock preference is best-effort.
+    }
+    this.applyDock();
+  }
+
+  applyDock() {
+    this.dockButton.textContent = this.dock === 'right' ? '停靠底部' : '停靠右侧';
+    if (typeof this.options.onDockChange === 'function') {
+      this.options.onDockChange(this.dock);
+    }
+  }
+
+  isOpen() {
+    return !this.root.classList.contains('hidden');
+  }
+
+  open() {
+    this.root.classList.remove('hidden');
+    this.applyDock();
+    return this.refresh();
+  }
+
+  close() {
+    clearTimeout(this.refreshTimer);
+    this.root.classList.add('hidden');
+    if (typeof this.options.onClose === 'function') {
+      this.options.onClose();
+    }
+  }
+
+  toggle() {
+    if (this.isOpen()) {
+      this.close();
+      return null;
+    }
+    return this.open();
+  }
+
+  scheduleRefresh(delayMs = ARCHIVE_BROWSER_REFRESH_DEBOUNCE_MS) {
+    clearTimeout(this.refreshTimer);
+    this.refreshTimer = setTimeout(() => {
+      this.refresh();
+    }, delayMs);
+  }
+
+  async refresh() {
+    const seq = ++this.sessionsRequestSeq;
+    const filters = this.getFilters();
+    this.statusLine.textContent = '加载中…';
+    let result;
+    try {
+      result = await this.options.listSessions(filters);
+    } catch (err) {
+      result = { sessions: [], total: 0, error: err && err.message ? err.message : String(err) };
+    }
+    if (seq !== this.sessionsRequestSeq) return;
+
+    this.applyFacets(result && result.facets);
+    this.sessions = result && Array.isArray(result.sessions) ? result.sessions : [];
+    if (result && result.error) {
+      this.statusLine.textContent = `读取失败：${result.error}`;
+    } else {
+      const total = Number(result && result.total) || 0;
+      this.statusLine.textContent = total > this.sessions.length
+        ? `共 ${total} 个会话，显示最近 ${this.sessions.length} 个`
+        : `共 ${total} 个会话`;
+    }
+    this.renderSessions();
+
+    if (this.selectedSessionId && this.sessions.some((session) => session.sessionId === this.selectedSessionId)) {
+      await this.loadTimeline(this.selectedSessionId);
+    } else {
+      this.selectedSessionId = '';
+      this.renderTimelinePlaceholder(this.sessions.length > 0 ? '选择一个会话查看时间线' : '没有符合条件的会话');
+    }
+  }
+
+  renderSessions() {
+    this.sessionList.innerHTML = '';
+    for (const session of this.sessions) {
+      const row = document.createElement('div');
+      row.className = 'archive-session';
+      if (session.sessionId === this.selectedSessionId) row.classList.add('active');
+      row.title = session.cwd || session.sessionId;
+
+      const head = document.createElement('div');
+      head.className = 'archive-session-head';
+      const name = document.createElement('span');
+      name.className = 'archive-session-name';
+      name.textContent = lastPathSegment(session.cwd) || session.sessionId;
+      const status = document.createElement('span');
+      status.className = 'archive-session-status';
+      status.textContent = session.lastStatus || '';
+      head.append(name, status);
+
+      const meta = document.createElement('div');
+      meta.className = 'archive-session-meta';
+      meta.textContent = [
+        formatArchiveTimestamp(session.lastAt || session.startedAt),
+        [session.cli, session.model].filter(Boolean).join(' · '),
+        `${Number(session.eventCount) || 0} 条`,
+        session.endedAt ? '已结束' : ''
+      ].filter(Boolean).join('  ');
+
+      const summary = document.createElement('div');
+      summary.className = 'archive-session-summary';
+      summary.textContent = session.lastSummary || '（暂无摘要）';
+
+      row.append(head, meta, summary);
+      row.addEventListener('click', () => {
+        this.selectedSessionId = session.sessionId;
+        this.renderSessions();
+        this.loadTimeline(session.sessionId);
+      });
+      this.sessionList.appendChild(row);
+    }
+  }
+
+  renderTimelinePlaceholder(text) {
+    this.timeline.innerHTML = '';
+    const placeholder = document.createElement('div');
+    placeholder.className = 'archive-browser-empty';
+    placeholder.textContent = text;
+    this.timeline.appendChild(placeholder);
+  }
+
+  async loadTimeline(sessionId) {
+    const seq = ++this.timelineRequestSeq;
+    let result;
+    try {
+      result = await this.options.queryTimeline(sessionId, ARCHIVE_TIMELINE_LIMIT);
+    } catch (err) {
+      result = { records: [], error: err && err.message ? err.message : String(err) };
+    }
+    if (seq !== this.timelineRequestSeq || sessionId !== this.selectedSessionId) return;
+    if (result && result.error) {
+      this.renderTimelinePlaceholder(`读取时间线失败：${result.error}`);
+      return;
+    }
+
+    const eventType = this.eventTypeSelect.value;
+    const records = (result && Array.isArray(result.records) ? result.records : [])
+      .filter((record) => !eventType || record.eventType === eventType)
+      .reverse();
+    const session = this.sessions.find((item) => item.sessionId === sessionId) || {};
+
+    this.timeline.innerHTML = '';
+    const header = document.createElement('div');
+    header.className = 'archive-timeline-header';
+    const title = document.createElement('span');
+    title.textContent = `${lastPathSegment(session.cwd) || sessionId} · ${records.length} 条记录`;
+    header.appendChild(title);
+    if (session.recordingPath && typeof this.options.onOpenRecording === 'function') {
+      header.appendChild(this.createButton('回放录像', () => this.options.onOpenRecording(session.recordingPath)));
+    }
+    if (typeof this.options.onExportSession === 'function') {
+      header.appendChild(this.createButton('导出', () => this.options.onExportSession({ sessionId, cwd: session.cwd || '' })));
+    }
+    this.timeline.appendChild(header);
+
+    if (records.length === 0) {
+      const empty = document.createElement('div');
+      empty.className = 'archive-browser-empty';
+      empty.textContent = '该会话没有符合条件的记录';
+      this.timeline.appendChild(empty);
+      return;
+    }
+
+    for (const record of records) {
+      const item = document.createElement('div');
+      item.className = `archive-timeline-item archive-event-${String(record.eventType || 'heartbeat').replace(/[^a-z_]/g, '')}`;
+
+      const line = document.createElement('div');
+      line.className = 'archive-timeline-line';
+      const at = document.createElement('span');
+      at.className = 'archive-timeline-time';
+      at.textContent = formatArchiveTimestamp(record.ts);
+      const type = document.createElement('span');
+      type.className = 'archive-timeline-type';
+      type.textContent = ARCHIVE_EVENT_TYPE_LABELS[record.eventType] || record.eventType || '';
+      const status = document.createElement('span');
+      status.className = 'archive-session-status';
+      status.textContent = record.status || '';
+      line.append(at, type, status);
+      item.appendChild(line);
+
+      if (record.summary) {
+        const summary = document.createElement('div');
+        summary.className = 'archive-timeline-summary';
+        summary.textContent = record.summary;
+        item.appendChild(summary);
+      }
+      if (record.analysis) {
+        const analysis = document.createElement('div');
+        analysis.className = 'archive-timeline-analysis';
+        analysis.textContent = record.analysis;
+        item.appendChild(analysis);
+      }
+      this.timeline.appendChild(item);
+    }
+  }
+}
@@ -0,0 +1,81 @@
+(function bootstrapArchiveRetention(root, factory) {
+  const api = factory();
+  if (typeof module === 'object' && module.exports) {
+    module.exports = api;
+  }
+  if (root && typeof root === 'object') {
+    root.ArchiveRetentionUtils = api;
+  }
+})(typeof globalThis !== 'undefined' ? globalThis : this, function createArchiveRetentionUtils() {
+  // Retention settings shape:
+  //   { days, maxSizeMb, pinnedCwds: [cwd] }
+  // `maxSizeMb: 0` means no size cap; sessions under a pinned cwd are never deleted.
+  const DEFAULT_RETENTION_DAYS = 30;
+  const MAX_RETENTION_DAYS = 3650;
+  const MAX_SIZE_MB = 1024 * 1024;
+  const MAX_PINNED_CWDS = 50;
+  const MAX_CWD_LENGTH = 640;
+
+  function clampInteger(value, min, max, fallback) {
+    const n = Number(value);
+    if (value === '' || value === null || value === undefined || !Number.isFinite(n)) return fallback;
+    return Math.min(max, Math.max(min, Math.round(n)));
+  }
+
+  // Trailing separators are dropped so "/work/app/" and "/work/app" pin the same tree.
+  function normalizeCwd(value) {
+    const text = String(value || '').trim().slice(0, MAX_CWD_LENGTH);
+    return text.length > 1 ? text.replace(/[\\/]+$/, '') || text : text;
+  }
+
+  function normalizePinnedCwds(value) {
+    const source = Array.isArray(value) ? value : [];
+    const seen = new Set();
+    const pinned = [];
+    for (const item of source) {
+      const cwd = normalizeCwd(item);
+      if (!cwd || seen.has(cwd)) continue;
+      seen.add(cwd);
+      pinned.push(cwd);
+      if (pinned.length >= MAX_PINNED_CWDS) break;
+    }
+    return pinned;
+  }
+
+  function parsePinnedCwdsText(text) {
+    return normalizePinnedCwds(String(text || '').split(/\r?\n/));
+  }
+
+  function formatPinnedCwdsText(pinnedCwds) {
+    return normalizePinnedCwds(pinnedCwds).join('\n');
+  }
+
+  function normalizeArchiveRetention(value) {
+    const source = value && typeof value === 'object' ? value : {};
+    return {
+      days: clampInteger(source.days, 1, MAX_RETENTION_DAYS, DEFAULT_RETENTION_DAYS),
+      maxSizeMb: clampInteger(source.maxSizeMb, 0, MAX_SIZE_MB, 0),
+      pinnedCwds: normalizePinnedCwds(source.pinnedCwds)
+    };
+  }
+
+  // A session is pinned when its cwd is a pinned directory or lives underneath one.
+  function isCwdPinned(cwd, pinnedCwds) {
+    const target = normalizeCwd(cwd);
+    if (!target) return false;
+    return normalizePinnedCwds(pinnedCwds).some((pinned) => (
+      target === pinned
+      || target.startsWith(`${pinned}/`)
+      || target.startsWith(`${pinned}\\`)
+    ));
+  }
+
+  return {
+    DEFAULT_RETENTION_DAYS,
+    MAX_RETENTION_DAYS,
+    normalizeArchiveRetention,
+    parsePinnedCwdsText,
+    formatPinnedCwdsText,
+    isCwdPinned
+  };
+});
@@ -0,0 +1,135 @@
+(function bootstrapCastPlayer(root, factory) {
+  const api = factory();
+  if (typeof module === 'object' && module.exports) {
+    module.exports = api;
+  }
+  if (root && typeof root === 'object') {
+    root.CastPlayerUtils = api;
+  }
+})(typeof globalThis !== 'undefined' ? globalThis : this, function createCastPlayerUtils() {
+  const PLAYBACK_SPEEDS = [0.5, 1, 2, 4, 8];
+  const DEFAULT_IDLE_TIME_LIMIT = 3;
+
+  function parseAsciicast(text, options = {}) {
+    const lines = String(text || '').split('\n');
+    let header = null;
+    const events = [];
+    let skipped = 0;
+
+    for (const rawLine of lines) {
+      const line = rawLine.trim();
+      if (!line) continue;
+      let parsed;
+      try {
+        parsed = JSON.parse(line);
+      } catch (err) {
+        skipped += 1;
+        continue;
+      }
+      if (!header) {
+        if (!parsed || Array.isArray(parsed) || parsed.version !== 2) {
+          throw new Error('不是有效的 asciicast v2 录像文件');
+        }
+        header = parsed;
+        continue;
+      }
+      if (!Array.isArray(parsed) || parsed.length < 3) {
+        skipped += 1;
+        continue;
+      }
+      const time = Number(parsed[0]);
+      const type = String(parsed[1] || '');
+      if (!Number.isFinite(time) || (type !== 'o' && type !== 'r')) {
+        skipped += 1;
+        continue;
+      }
+      events.push({ time, type, data: String(parsed[2] || '') });
+    }
+
+    if (!header) {
+      throw new Error('录像文件为空');
+    }
+
+    const idleLimit = options.idleTimeLimit !== undefined
+      ? Number(options.idleTimeLimit)
+      : Number(header.idle_time_limit || DEFAULT_IDLE_TIME_LIMIT);
+    const normalizedEvents = compressIdleTime(events, idleLimit);
+    const duration = normalizedEvents.length > 0 ? normalizedEvents[normalizedEvents.length - 1].time : 0;
+
+    return {
+      header: {
+        width: Number(header.width) || 80,
+        height: Number(header.height) || 24,
+        timestamp: Number(header.timestamp) || 0,
+        title: String(header.title || '')
+      },
+      events: normalizedEvents,
+      duration,
+      skipped
+    };
+  }
+
+  // Caps gaps between consecutive events so long idle periods replay quickly.
+  function compressIdleTime(events, idleTimeLimit) {
+    const limit = Number(idleTimeLimit);
+    const sorted = events.slice().sort((left, right) => left.time - right.time);
+    if (!Number.isFinite(limit) || limit <= 0) return sorted;
+
+    let previousRaw = 0;
+    let shifted = 0;
+    return sorted.map((event) => {
+      const gap = event.time - previousRaw;
+      previousRaw = event.time;
+      shifted += Math.min(gap, limit);
+      return { ...event, time: Number(shifted.toFixed(6)) };
+    });
+  }
+
+  // Returns how many events have time <= seconds (i.e. the index of the next event to play).
+  function findEventIndexAtTime(events, seconds) {
+    const target = Number(seconds);
+    if (!Array.isArray(events) || events.length === 0 || !Number.isFinite(target)) return 0;
+    let low = 0;
+    let high = events.length;
+    while (low < high) {
+      const mid = (low + high) >> 1;
+      if (events[mid].time <= target) {
+        low = mid + 1;
+      } else {
+        high = mid;
+      }
+    }
+    return low;
+  }
+
+  function normalizePlaybackSpeed(value) {
+    const speed = Number(value);
+    return PLAYBACK_SPEEDS.includes(speed) ? speed : 1;
+  }
+
+  function parseResizeEvent(data) {
+    const match = String(data || '').match(/^(\d+)x(\d+)$/);
+    if (!match) return null;
+    return { cols: Number(match[1]), rows: Number(match[2]) };
+  }
+
+  function formatPlaybackTime(seconds) {
+    const total = Math.max(0, Math.floor(Number(seconds) || 0));
+    const hours = Math.floor(total / 3600);
+    const minutes = Math.floor((total % 3600) / 60);
+    const secs = total % 60;
+    const mm = String(minutes).padStart(2, '0');
+    const ss = String(secs).padStart(2, '0');
+    return hours > 0 ? `${hours}:${mm}:${ss}` : `${mm}:${ss}`;
+  }
+
+  return {
+    PLAYBACK_SPEEDS,
+    parseAsciicast,
+    compressIdleTime,
+    findEventIndexAtTime,
+    normalizePlaybackSpeed,
+    parseResizeEvent,
+    formatPlaybackTime
+  };
+});
@@ -0,0 +1,183 @@
+(function bootstrapCommandRegistry(root, factory) {
+  const api = factory();
+  if (typeof module === 'object' && module.exports) {
+    module.exports = api;
+  }
+  if (root && typeof root === 'object') {
+    root.CommandRegistryUtils = api;
+  }
+})(typeof globalThis !== 'undefined' ? globalThis : this, function createCommandRegistryUtils() {
+  // Menus are built in main.js from this list and the renderer runs the same ids
+  // from the command palette, so every action has exactly one definition.
+  const COMMAND_MENUS = [
+    { id: 'file', label: '文件' },
+    { id: 'workspace', label: '工作区' },
+    { id: 'pane', label: '窗格' },
+    { id: 'view', label: '查看' }
+  ];
+
+  // Command shape:
+  //   { id, title, menu, group, accelerator, macAccelerator, args, keywords, palette }
+  // `macAccelerator` replaces `accelerator` on macOS, for chords that would take a
+  // control key away from the shell elsewhere (Ctrl+D is EOF).
+  // `menu: ''` keeps a command out of the application menu; `palette: false` hides it from the palette.
+  const COMMANDS = [
+    { id: 'tab.newAi', title: '新建 AI 标签页', menu: 'file', group: 'tab', accelerator: 'CmdOrCtrl+T', keywords: 'new ai tab codex claude xinjian' },
+    { id: 'tab.newTerminal', title: '新建终端标签页', menu: 'file', group: 'tab', keywords: 'new terminal shell tab' },
+    { id: 'tab.close', title: '关闭标签页', menu: 'file', group: 'tab', accelerator: 'CmdOrCtrl+W', keywords: 'close tab' },
+    { id: 'recording.open', title: '打开会话录像…', menu: 'file', group: 'recording', accelerator: 'CmdOrCtrl+Shift+O', keywords: 'open recording replay asciicast cast' },
+    { id: 'settings.open', title: '打开设置…', menu: 'file', group: 'settings', accelerator: 'CmdOrCtrl+,', keywords: 'settings preferences config' },
+    { id: 'keybindings.open', title: '编辑快捷键（keybindings.json）', menu: 'file', group: 'settings', keywords: 'keybindings shortcuts keymap hotkey' },
+
+    { id: 'workspace.save', title: '保存当前标签为工作区…', menu: 'workspace', group: 'picker', accelerator: 'CmdOrCtrl+Shift+S', args: { mode: 'save' }, keywords: 'save workspace' },
+    { id: 'workspace.open', title: '打开工作区…', menu: 'workspace', group: 'picker', accelerator: 'CmdOrCtrl+Shift+E', args: { mode: 'open' }, keywords: 'open workspace' },
+    { id: 'workspace.openNamed', title: '打开指定工作区', menu: '', palette: false },
+
+    { id: 'pane.splitRight', title: '向右拆分窗格', menu: 'pane', group: 'split', accelerator: 'Ctrl+Shift+D', macAccelerator: 'Cmd+D', args: { direction: 'horizontal' }, keywords: 'split pane right horizontal' },
+    { id: 'pane.splitDown', title: '向下拆分窗格', menu: 'pane', group: 'split', accelerator: 'Ctrl+Alt+Shift+D', macAccelerator: 'Cmd+Shift+D', args: { direction: 'vertical' }, keywords: 'split pane down vertical' },
+    { id: 'pane.close', title: '关闭当前窗格', menu: 'pane', group: 'split', accelerator: 'CmdOrCtrl+Shift+W', keywords: 'close pane' },
+    { id: 'pane.focusLeft', title: '聚焦左侧窗格', menu: 'pane', group: 'focus', accelerator: 'CmdOrCtrl+Shift+Left', args: { move: 'left' }, keywords: 'focus pane left' },
+    { id: 'pane.focusRight', title: '聚焦右侧窗格', menu: 'pane', group: 'focus', accelerator: 'CmdOrCtrl+Shift+Right', args: { move: 'right' }, keywords: 'focus pane right' },
+    { id: 'pane.focusUp', title: '聚焦上方窗格', menu: 'pane', group: 'focus', accelerator: 'CmdOrCtrl+Shift+Up', args: { move: 'up' }, keywords: 'focus pane up' },
+    { id: 'pane.focusDown', title: '聚焦下方窗格', menu: 'pane', group: 'focus', accelerator: 'CmdOrCtrl+Shift+Down', args: { move: 'down' }, keywords: 'focus pane down' },
+
+    { id: 'palette.open', title: '命令面板…', menu: 'view', group: 'palette', accelerator: 'CmdOrCtrl+Shift+P', palette: false },
+    { id: 'topic.refresh', title: '刷新标签分析', menu: 'view', group: 'session', accelerator: 'CmdOrCtrl+R', keywords: 'refresh topic title rename ai' },
+    { id: 'archive.summarize', title: '提取当前会话心跳归档', menu: 'view', group: 'session', accelerator: 'CmdOrCtrl+Shift+H', keywords: 'archive summarize heartbeat digest' },
+    { id: 'archive.browse', title: '会话归档浏览器', menu: 'view', group: 'session', accelerator: 'CmdOrCtrl+Shift+A', keywords: 'archive browser history sessions timeline' },
+    { id: 'archive.export', title: '导出会话归档…', menu: 'view', group: 'session', keywords: 'archive export markdown csv json report standup' },
+    { id: 'archive.repair', title: '校验并修复会话归档', menu: 'view', group: 'session', keywords: 'archive verify repair integrity fsck corrupt' },
+    { id: 'archive.analytics', title: '会话统计面板', menu: 'view', group: 'session', keywords: 'analytics dashboard stats heatmap hours error confirm tongji' },
+    { id: 'digest.open', title: '工作摘要…', menu: 'view', group: 'session', keywords: 'digest daily weekly report standup summary ribao' },
+    { id: 'digest.runDaily', title: '立即生成每日工作摘要', menu: 'view', group: 'session', args: { frequency: 'daily' }, keywords: 'digest daily report generate' },
+    { id: 'archive.query', title: '查询会话归档…', menu: 'view', group: 'session', keywords: 'archive query search heartbeat' },
+    { id: 'confirm.next', title: '跳转到下一个待确认会话', menu: 'view', group: 'session', accelerator: 'CmdOrCtrl+Shift+.', keywords: 'confirm pending next' },
+    { id: 'heartbeat.toggle', title: '开启/关闭会话心跳', menu: 'view', group: 'session', keywords: 'heartbeat toggle enable disable' },
+    { id: 'tab.rename', title: '重命名当前标签', menu: '', keywords: 'rename tab title' },
+    { id: 'font.increase', title: '放大字体', menu: 'view', group: 'font', accelerator: 'CmdOrCtrl+Plus', keywords: 'font zoom in bigger' },
+    { id: 'font.decrease', title: '缩小字体', menu: 'view', group: 'font', accelerator: 'CmdOrCtrl+-', keywords: 'font zoom out smaller' },
+    { id: 'font.reset', title: '重置字体大小', menu: 'view', group: 'font', accelerator: 'CmdOrCtrl+0', keywords: 'font reset zoom' },
+    { id: 'tab.prev', title: '上一个标签', menu: 'view', group: 'nav', accelerator: 'CmdOrCtrl+Alt+Left', keywords: 'previous tab' },
+    { id: 'tab.next', title: '下一个标签', menu: 'view', group: 'nav', accelerator: 'CmdOrCtrl+Alt+Right', keywords: 'next tab' },
+    ...Array.from({ length: 9 }, (_, i) => ({
+      id: `tab.select${i + 1}`,
+      title: `标签页 ${i + 1}`,
+      menu: 'view',
+      group: 'select',
+      accelerator: `CmdOrCtrl+${i + 1}`,
+      args: { index: i },
+      palette: false
+    }))
+  ];
+
+  const commandById = new Map(COMMANDS.map((command) => [command.id, command]));
+
+  function getCommand(id) {
+    return commandById.get(String(id || '')) || null;
+  }
+
+  function getDefaultAccelerator(command, platform) {
+    if (!command) return '';
+    if (platform === 'darwin' && command.macAccelerator) return command.macAccelerator;
+    return command.accelerator || '';
+  }
+
+  function listMenuCommands(menuId) {
+    return COMMANDS.filter((command) => command.menu === menuId);
+  }
+
+  function listPaletteCommands() {
+    return COMMANDS.filter((command) => command.palette !== false);
+  }
+
+  // Subsequence match: every query character must appear in order. Consecutive
+  // runs and matches at word starts score higher; returns null when nothing matches.
+  function fuzzyMatch(query, text) {
+    const needle = String(query || '').toLowerCase().replace(/\s+/g, '');
+    const haystack = String(text || '').toLowerCase();
+    if (!needle) return { score: 0, positions: [] };
+
+    const positions = [];
+    let score = 0;
+    let searchFrom = 0;
+    let previous = -2;
+    for (const ch of needle) {
+      const at = haystack.indexOf(ch, searchFrom);
+      if (at === -1) return null;
+      positions.push(at);
+      score += 1;
+      if (at === previous + 1) score += 3;
+      if (at === 0 || /[\s:：._/-]/.test(haystack[at - 1])) score += 2;
+      previous = at;
+      searchFrom = at + 1;
+    }
+    if (haystack.includes(needle)) score += needle.length * 2;
+    score -= Math.min(haystack.length, 80) / 100;
+    return { score, positions };
+  }
+
+  // items: [{ title, keywords }]. Titles outrank keyword-only matches.
+  function rankCommands(items, query, limit = 50) {
+    const list = Array.isArray(items) ? items : [];
+    if (!String(query || '').trim()) return list.slice(0, limit);
+    const ranked = [];
+    list.forEach((item, index) => {
+      const titleMatch = fuzzyMatch(query, item.title);
+      const keywordMatch = item.keywords ? fuzzyMatch(query, item.keywords) : null;
+      const score = Math.max(
+        titleMatch ? titleMatch.score + 1 : -Infinity,
+        keywordMatch ? keywordMatch.score : -Infinity
+      );
+      if (score === -Infinity) return;
+      ranked.push({ item, score, index });
+    });
+    ranked.sort((left, right) => right.score - left.score || left.index - right.index);
+    return ranked.slice(0, limit).map((entry) => entry.item);
+  }
+
+  // Palette entries for the `workspace:list` reply ({ workspaces: [{ name, tabCount }] }).
+  function buildWorkspacePaletteItems(result) {
+    const workspaces = result && Array.isArray(result.workspaces) ? result.workspaces : [];
+    return workspaces
+      .filter((workspace) => workspace && workspace.name)
+      .map((workspace) => ({
+        title: `打开工作区：${workspace.name}`,
+        keywords: 'open workspace',
+        detail: `${Number(workspace.tabCount) || 0} 个标签`,
+        workspaceName: workspace.name
+      }));
+  }
+
+  function formatAccelerator(accelerator, platform) {
+    const value = String(accelerator || '').trim();
+    if (!value) return '';
+    const isMac = platform === 'darwin';
+    const parts = value.split('+').map((part) => {
+      if (part === 'CmdOrCtrl' || part === 'CommandOrControl') return isMac ? '⌘' : 'Ctrl';
+      if (part === 'Cmd' || part === 'Command') return isMac ? '⌘' : part;
+      if (part === 'Ctrl' || part === 'Control') return isMac ? '⌃' : 'Ctrl';
+      if (part === 'Shift') return isMac ? '⇧' : 'Shift';
+      if (part === 'Alt' || part === 'Option') return isMac ? '⌥' : 'Alt';
+      if (part === 'Plus') return '+';
+      if (part === 'Left') return '←';
+      if (part === 'Right') return '→';
+      if (part === 'Up') return '↑';
+      if (part === 'Down') return '↓';
+      return part;
+    });
+    return parts.join(isMac ? '' : '+');
+  }
+
+  return {
+    COMMAND_MENUS,
+    COMMANDS,
+    getCommand,
+    getDefaultAccelerator,
+    listMenuCommands,
+    listPaletteCommands,
+    fuzzyMatch,
+    rankCommands,
+    buildWorkspacePaletteItems,
+    formatAccelerator
+  };
+});
@@ -0,0 +1,157 @@
+(function bootstrapHeartbeatSchema(root, factory) {
+  const api = factory();
+  if (typeof module === 'object' && module.exports) {
+    module.exports = api;
+  }
+  if (root && typeof root === 'object') {
+    root.HeartbeatSchemaUtils = api;
+  }
+})(typeof globalThis !== 'undefined' ? globalThis : this, function createHeartbeatSchemaUtils() {
+  // Heartbeat reply schema:
+  //   { status: 'running' | 'waiting' | 'success' | 'error', summary, analysis,
+  //     currentTask, filesTouched: [], commandsRun: [], blockers: [], nextStep }
+  // status, summary and analysis are required; the other fields may be omitted or
+  // null but must have the right type when present. Archive records keep the
+  // Chinese status label for compatibility and carry the details as flat fields.
+  const HEARTBEAT_STATUS_VALUES = ['running', 'waiting', 'success', 'error'];
+  const HEARTBEAT_STATUS_LABELS = {
+    running: '进行中',
+    waiting: '待输入',
+    success: '阶段完成',
+    error: '异常'
+  };
+  const HEARTBEAT_TEXT_FIELDS = ['currentTask', 'nextStep'];
+  const HEARTBEAT_LIST_FIELDS = ['filesTouched', 'commandsRun', 'blockers'];
+  const MAX_DETAIL_TEXT_CHARS = 200;
+  const MAX_LIST_ITEMS = 8;
+  const MAX_LIST_ITEM_CHARS = 200;
+  const DEFAULT_LIMITS = { summary: 140, analysis: 240 };
+
+  const DETAIL_LABELS = {
+    currentTask: '任务',
+    filesTouched: '文件',
+    commandsRun: '命令',
+    blockers: '阻塞',
+    nextStep: '下一步'
+  };
+
+  function cleanText(value, maxLength) {
+    return String(value === undefined || value === null ? '' : value)
+      .replace(/\s+/g, ' ')
+      .trim()
+      .slice(0, maxLength);
+  }
+
+  function cleanList(items) {
+    const result = [];
+    for (const item of items) {
+      const text = cleanText(item, MAX_LIST_ITEM_CHARS);
+      if (text && !result.includes(text)) result.push(text);
+      if (result.length >= MAX_LIST_ITEMS) break;
+    }
+    return result;
+  }
+
+  function getHeartbeatStatusLabel(status) {
+    return HEARTBEAT_STATUS_LABELS[status] || '';
+  }
+
+  function createEmptyHeartbeatDetails() {
+    return {
+      currentTask: '',
+      filesTouched: [],
+      commandsRun: [],
+      blockers: [],
+      nextStep: ''
+    };
+  }
+
+  // Lenient copy of the detail fields, for data that was validated earlier (IPC
+  // payloads, archive records); wrong types become empty values.
+  function pickHeartbeatDetails(source) {
+    const input = source && typeof source === 'object' ? source : {};
+    const details = createEmptyHeartbeatDetails();
+    for (const field of HEARTBEAT_TEXT_FIELDS) {
+      details[field] = typeof input[field] === 'string' ? cleanText(input[field], MAX_DETAIL_TEXT_CHARS) : '';
+    }
+    for (const field of HEARTBEAT_LIST_FIELDS) {
+      details[field] = Array.isArray(input[field])
+        ? cleanList(input[field].filter((item) => typeof item === 'string'))
+        : [];
+    }
+    return details;
+  }
+
+  function hasHeartbeatDetails(details) {
+    if (!details) return false;
+    return HEARTBEAT_TEXT_FIELDS.some((field) => !!details[field])
+      || HEARTBEAT_LIST_FIELDS.some((field) => Array.isArray(details[field]) && details[field].length > 0);
+  }
+
+  // Strict check of a parsed model reply. Returns { report, errors }; `report` is
+  // null whenever `errors` is non-empty so callers fall back as a whole instead of
+  // mixing model output with guesses.
+  function validateHeartbeatReport(value, limits = DEFAULT_LIMITS) {
+    const errors = [];
+    if (!value || typeof value !== 'object' || Array.isArray(value)) {
+      return { report: null, errors: ['reply is not a JSON object'] };
+    }
+    const status = typeof value.status === 'string' ? value.status.trim().toLowerCase() : '';
+    if (!HEARTBEAT_STATUS_VALUES.includes(status)) {
+      errors.push(`status must be one of ${HEARTBEAT_STATUS_VALUES.join('/')}`);
+    }
+    for (const field of ['summary', 'analysis']) {
+      if (typeof value[field] !== 'string' || !value[field].trim()) {
+        errors.push(`${field} must be a non-empty string`);
+      }
+    }
+    for (const field of HEARTBEAT_TEXT_FIELDS) {
+      const fieldValue = value[field];
+      if (fieldValue !== undefined && fieldValue !== null && typeof fieldValue !== 'string') {
+        errors.push(`${field} must be a string`);
+      }
+    }
+    for (const field of HEARTBEAT_LIST_FIELDS) {
+      const fieldValue = value[field];
+      if (fieldValue === undefined || fieldValue === null) continue;
+      if (!Array.isArray(fieldValue) || fieldValue.some((item) => typeof item !== 'string')) {
+        errors.push(`${field} must be an array of strings`);
+      }
+    }
+    if (errors.length > 0) return { report: null, errors };
+
+    return {
+      report: {
+        status,
+        summary: value.summary.trim().slice(0, limits.summary),
+        analysis: value.analysis.trim().slice(0, limits.analysis),
+        ...pickHeartbeatDetails(value)
+      },
+      errors
+    };
+  }
+
+  // Tooltip lines such as '文件：src/app.js、README.md'; empty fields are skipped.
+  function formatHeartbeatDetailLines(details) {
+    const picked = pickHeartbeatDetails(details);
+    const lines = [];
+    for (const field of ['currentTask', 'filesTouched', 'commandsRun', 'blockers', 'nextStep']) {
+      const fieldValue = picked[field];
+      const text = Array.isArray(fieldValue) ? fieldValue.join('、') : fieldValue;
+      if (text) lines.push(`${DETAIL_LABELS[field]}：${text}`);
+    }
+    return lines;
+  }
+
+  return {
+    HEARTBEAT_STATUS_VALUES,
+    HEARTBEAT_TEXT_FIELDS,
+    HEARTBEAT_LIST_FIELDS,
+    getHeartbeatStatusLabel,
+    createEmptyHeartbeatDetails,
+    pickHeartbeatDetails,
+    hasHeartbeatDetails,
+    validateHeartbeatReport,
+    formatHeartbeatDetailLines
+  };
+});
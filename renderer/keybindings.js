@@ -0,0 +1,268 @@
+(function bootstrapKeybindings(root, factory) {
+  const api = factory();
+  if (typeof module === 'object' && module.exports) {
+    module.exports = api;
+  }
+  if (root && typeof root === 'object') {
+    root.KeybindingUtils = api;
+  }
+})(typeof globalThis !== 'undefined' ? globalThis : this, function createKeybindingUtils() {
+  // keybindings.json shape:
+  //   {
+  //     "commands": { "<command id>": "Accelerator" | null },
+  //     "terminal": [{ "key": "Accelerator", "send": "text written to the PTY" }]
+  //   }
+  // A null/empty command binding removes the default accelerator.
+  const DEFAULT_TERMINAL_BINDINGS = [
+    // Same escape sequence xterm.js emits for Option+Enter, so CLIs insert a newline.
+    { key: 'Shift+Enter', send: '\x1b\r' }
+  ];
+  const MAX_TERMINAL_BINDINGS = 100;
+  const MAX_SEND_LENGTH = 512;
+
+  const MODIFIER_ALIASES = {
+    cmdorctrl: 'CmdOrCtrl',
+    commandorcontrol: 'CmdOrCtrl',
+    cmd: 'Cmd',
+    command: 'Cmd',
+    super: 'Cmd',
+    meta: 'Cmd',
+    ctrl: 'Ctrl',
+    control: 'Ctrl',
+    alt: 'Alt',
+    option: 'Alt',
+    altgr: 'Alt',
+    shift: 'Shift'
+  };
+  const MODIFIER_ORDER = ['Cmd', 'Ctrl', 'Alt', 'Shift'];
+  const KEY_ALIASES = {
+    plus: 'Plus',
+    '+': 'Plus',
+    enter: 'Enter',
+    return: 'Enter',
+    backspace: 'Backspace',
+    delete: 'Delete',
+    del: 'Delete',
+    tab: 'Tab',
+    space: 'Space',
+    ' ': 'Space',
+    esc: 'Escape',
+    escape: 'Escape',
+    up: 'Up',
+    arrowup: 'Up',
+    down: 'Down',
+    arrowdown: 'Down',
+    left: 'Left',
+    arrowleft: 'Left',
+    right: 'Right',
+    arrowright: 'Right',
+    home: 'Home',
+    end: 'End',
+    pageup: 'PageUp',
+    pagedown: 'PageDown',
+    insert: 'Insert'
+  };
+
+  const PUNCTUATION_CODES = {
+    Period: '.',
+    Comma: ',',
+    Minus: '-',
+    Equal: '=',
+    Slash: '/',
+    Backslash: '\\',
+    Semicolon: ';',
+    Quote: "'",
+    Backquote: '`',
+    BracketLeft: '[',
+    BracketRight: ']'
+  };
+
+  function normalizeKeyName(raw) {
+    const value = String(raw || '');
+    const lower = value.toLowerCase();
+    if (KEY_ALIASES[lower]) return KEY_ALIASES[lower];
+    if (/^f([1-9]|1[0-9]|2[0-4])$/.test(lower)) return lower.toUpperCase();
+    if (value.length === 1 && /[!-~]/.test(value)) return value.toUpperCase();
+    return '';
+  }
+
+  // Returns a canonical accelerator such as "Ctrl+Shift+W" for the given platform
+  // (CmdOrCtrl becomes Cmd on macOS and Ctrl elsewhere), or '' if it is invalid.
+  function canonicalizeAccelerator(accelerator, platform) {
+    const text = String(accelerator || '').trim();
+    if (!text) return '';
+    const parts = text.replace(/\+\+$/, '+Plus').split('+').map((part) => part.trim());
+    if (parts.some((part) => !part)) return '';
+    const keyPart = parts.pop();
+    const modifiers = new Set();
+    for (const part of parts) {
+      let modifier = MODIFIER_ALIASES[part.toLowerCase()];
+      if (!modifier) return '';
+      if (modifier === 'CmdOrCtrl') {
+        modifier = platform === 'darwin' ? 'Cmd' : 'Ctrl';
+      }
+      modifiers.add(modifier);
+    }
+    const key = normalizeKeyName(keyPart);
+    if (!key) return '';
+    return [...MODIFIER_ORDER.filter((modifier) => modifiers.has(modifier)), key].join('+');
+  }
+
+  // Builds the canonical accelerator for a DOM KeyboardEvent.
+  function eventToAccelerator(event) {
+    if (!event) return '';
+    let keyName = event.key;
+    const code = typeof event.code === 'string' ? event.code : '';
+    // Shift/Alt change event.key (e.g. Alt+W is "∑" on macOS); the physical key is stable.
+    if (/^(Key[A-Z]|Digit[0-9])$/.test(code)) {
+      keyName = code.slice(-1);
+    } else if (PUNCTUATION_CODES[code]) {
+      keyName = PUNCTUATION_CODES[code];
+    }
+    const key = normalizeKeyName(keyName);
+    if (!key) return '';
+    const modifiers = [];
+    if (event.metaKey) modifiers.push('Cmd');
+    if (event.ctrlKey) modifiers.push('Ctrl');
+    if (event.altKey) modifiers.push('Alt');
+    if (event.shiftKey) modifiers.push('Shift');
+    return [...modifiers, key].join('+');
+  }
+
+  function normalizeTerminalBindings(rawList, platform, errors) {
+    const bindings = [];
+    const list = Array.isArray(rawList) ? rawList : [];
+    list.slice(0, MAX_TERMINAL_BINDINGS).forEach((item, index) => {
+      const key = item && typeof item === 'object' ? String(item.key || '').trim() : '';
+      const canonical = canonicalizeAccelerator(key, platform);
+      if (!canonical) {
+        errors.push(`terminal[${index}]：无效的按键 "${key}"`);
+        return;
+      }
+      if (typeof item.send !== 'string' || item.send.length > MAX_SEND_LENGTH) {
+        errors.push(`terminal[${index}]：send 必须是不超过 ${MAX_SEND_LENGTH} 个字符的字符串`);
+        return;
+      }
+      bindings.push({ key, canonical, send: item.send });
+    });
+    return bindings;
+  }
+
+  // commands: registry entries ({ id, accelerator }). Returns the effective bindings plus
+  // human-readable errors (invalid entries, ignored) and conflicts (resolved, reported).
+  function resolveKeybindings(raw, options = {}) {
+    const platform = String(options.platform || '');
+    const commands = Array.isArray(options.commands) ? options.commands : [];
+    const source = raw && typeof raw === 'object' && !Array.isArray(raw) ? raw : {};
+    const overrides = source.commands && typeof source.commands === 'object' && !Array.isArray(source.commands)
+      ? source.commands
+      : {};
+    const errors = [];
+    const conflicts = [];
+    const knownIds = new Set(commands.map((command) => command.id));
+
+    const userBound = new Map(); // commandId -> canonical accelerator chosen by the user
+    const commandAccelerators = {};
+    for (const id of Object.keys(overrides)) {
+      if (!knownIds.has(id)) {
+        errors.push(`commands.${id}：未知命令`);
+        continue;
+      }
+      const value = overrides[id];
+      if (value === null || value === '') {
+        userBound.set(id, '');
+        continue;
+      }
+      const canonical = canonicalizeAccelerator(value, platform);
+      if (!canonical) {
+        errors.push(`commands.${id}：无效的快捷键 "${value}"`);
+        continue;
+      }
+      userBound.set(id, canonical);
+      commandAccelerators[id] = String(value).trim();
+    }
+
+    // User bindings claim their keys first, in registry order.
+    const owners = new Map(); // canonical -> commandId
+    for (const command of commands) {
+      const canonical = userBound.get(command.id);
+      if (!canonical) continue;
+      if (owners.has(canonical)) {
+        conflicts.push(`${canonical} 同时绑定到 ${owners.get(canonical)} 和 ${command.id}，已忽略后者`);
+        delete commandAccelerators[command.id];
+        userBound.set(command.id, '');
+        continue;
+      }
+      owners.set(canonical, command.id);
+    }
+
+    for (const command of commands) {
+      if (userBound.has(command.id)) {
+        if (!userBound.get(command.id)) commandAccelerators[command.id] = '';
+        continue;
+      }
+      const canonical = canonicalizeAccelerator(command.accelerator, platform);
+      if (!canonical) {
+        commandAccelerators[command.id] = '';
+        continue;
+      }
+      if (owners.has(canonical)) {
+        conflicts.push(`${canonical} 已改绑到 ${owners.get(canonical)}，${command.id} 的默认快捷键已移除`);
+        commandAccelerators[command.id] = '';
+        continue;
+      }
+      owners.set(canonical, command.id);
+      commandAccelerators[command.id] = command.accelerator;
+    }
+
+    const terminalSource = Array.isArray(source.terminal) ? source.terminal : DEFAULT_TERMINAL_BINDINGS;
+    const terminalBindings = [];
+    const terminalKeys = new Set();
+    for (const binding of normalizeTerminalBindings(terminalSource, platform, errors)) {
+      if (owners.has(binding.canonical)) {
+        conflicts.push(`${binding.canonical} 已被菜单命令 ${owners.get(binding.canonical)} 占用，终端按键映射已忽略`);
+        continue;
+      }
+      if (terminalKeys.has(binding.canonical)) {
+        conflicts.push(`${binding.canonical} 在 terminal 中重复定义，已忽略后者`);
+        continue;
+      }
+      terminalKeys.add(binding.canonical);
+      terminalBindings.push(binding);
+    }
+
+    return { commandAccelerators, terminalBindings, errors, conflicts };
+  }
+
+  function findTerminalBinding(bindings, event) {
+    if (!Array.isArray(bindings) || bindings.length === 0) return null;
+    const accelerator = eventToAccelerator(event);
+    if (!accelerator) return null;
+    return bindings.find((binding) => binding.canonical === accelerator) || null;
+  }
+
+  // Written when the user first opens keybindings.json. `_availableCommands` is only a
+  // reference list and is never read back.
+  function createKeybindingsTemplate(commands) {
+    const availableCommands = {};
+    for (const command of Array.isArray(commands) ? commands : []) {
+      availableCommands[command.id] = command.accelerator
+        ? `${command.title}（默认 ${command.accelerator}）`
+        : command.title;
+    }
+    return {
+      commands: {},
+      terminal: DEFAULT_TERMINAL_BINDINGS.map((binding) => ({ ...binding })),
+      _availableCommands: availableCommands
+    };
+  }
+
+  return {
+    DEFAULT_TERMINAL_BINDINGS,
+    canonicalizeAccelerator,
+    eventToAccelerator,
+    resolveKeybindings,
+    findTerminalBinding,
+    createKeybindingsTemplate
+  };
+});
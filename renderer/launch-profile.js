@@ -0,0 +1,138 @@
+(function bootstrapLaunchProfile(root, factory) {
+  const api = factory();
+  if (typeof module === 'object' && module.exports) {
+    module.exports = api;
+  }
+  if (root && typeof root === 'object') {
+    root.LaunchProfileUtils = api;
+  }
+})(typeof globalThis !== 'undefined' ? globalThis : this, function createLaunchProfileUtils() {
+  // Launch profile shape:
+  //   { id, name, command, cwd, shell, shellMode, env: { KEY: value }, initialDelayMs }
+  const SHELL_MODES = ['', 'nologin', 'fast'];
+  const MAX_LAUNCH_PROFILES = 30;
+  const MAX_ENV_ENTRIES = 50;
+  const DEFAULT_INITIAL_DELAY_MS = 500;
+  const MAX_INITIAL_DELAY_MS = 30000;
+  const ENV_KEY_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+  function sanitizeLine(value, maxLength) {
+    return String(value || '')
+      .replace(/\s+/g, ' ')
+      .trim()
+      .slice(0, maxLength);
+  }
+
+  function normalizeInitialDelayMs(value) {
+    const n = Number(value);
+    if (value === '' || value === null || value === undefined || !Number.isFinite(n)) {
+      return DEFAULT_INITIAL_DELAY_MS;
+    }
+    return Math.min(MAX_INITIAL_DELAY_MS, Math.max(0, Math.round(n)));
+  }
+
+  function normalizeEnvOverrides(raw) {
+    const source = raw && typeof raw === 'object' && !Array.isArray(raw) ? raw : {};
+    const env = {};
+    let count = 0;
+    for (const key of Object.keys(source)) {
+      if (count >= MAX_ENV_ENTRIES) break;
+      const name = String(key || '').trim();
+      if (!ENV_KEY_PATTERN.test(name)) continue;
+      env[name] = String(source[key] === undefined || source[key] === null ? '' : source[key]).slice(0, 4096);
+      count += 1;
+    }
+    return env;
+  }
+
+  function stripMatchingQuotes(value) {
+    const text = String(value || '');
+    if (text.length >= 2) {
+      const first = text[0];
+      const last = text[text.length - 1];
+      if ((first === '"' || first === '\'') && first === last) {
+        return text.slice(1, -1);
+      }
+    }
+    return text;
+  }
+
+  // Accepts one `KEY=value` per line; `export ` prefixes, blank lines and `#` comments are ignored.
+  function parseEnvOverridesText(text) {
+    const env = {};
+    const invalidLines = [];
+    const lines = String(text || '').split(/\r?\n/);
+    lines.forEach((rawLine, index) => {
+      const line = rawLine.trim();
+      if (!line || line.startsWith('#')) return;
+      const body = line.replace(/^export\s+/, '');
+      const eqIndex = body.indexOf('=');
+      const key = eqIndex > 0 ? body.slice(0, eqIndex).trim() : '';
+      if (!ENV_KEY_PATTERN.test(key)) {
+        invalidLines.push(index + 1);
+        return;
+      }
+      env[key] = stripMatchingQuotes(body.slice(eqIndex + 1).trim());
+    });
+    return { env: normalizeEnvOverrides(env), invalidLines };
+  }
+
+  function formatEnvOverridesText(env) {
+    const normalized = normalizeEnvOverrides(env);
+    return Object.keys(normalized)
+      .map((key) => `${key}=${normalized[key]}`)
+      .join('\n');
+  }
+
+  function normalizeLaunchProfile(raw, index = 0) {
+    if (!raw || typeof raw !== 'object') return null;
+    const name = sanitizeLine(raw.name, 60);
+    if (!name) return null;
+    const shellMode = sanitizeLine(raw.shellMode, 20).toLowerCase();
+    return {
+      id: sanitizeLine(raw.id, 60) || `profile-${index + 1}`,
+      name,
+      command: sanitizeLine(raw.command, 220),
+      cwd: sanitizeLine(raw.cwd, 640),
+      shell: sanitizeLine(raw.shell, 260),
+      shellMode: SHELL_MODES.includes(shellMode) ? shellMode : '',
+      env: normalizeEnvOverrides(raw.env),
+      initialDelayMs: normalizeInitialDelayMs(raw.initialDelayMs)
+    };
+  }
+
+  function normalizeLaunchProfiles(list) {
+    const seen = new Set();
+    const profiles = [];
+    for (const [index, item] of (Array.isArray(list) ? list : []).entries()) {
+      const profile = normalizeLaunchProfile(item, index);
+      if (!profile || seen.has(profile.id)) continue;
+      seen.add(profile.id);
+      profiles.push(profile);
+      if (profiles.length >= MAX_LAUNCH_PROFILES) break;
+    }
+    return profiles;
+  }
+
+  function findLaunchProfile(profiles, profileId) {
+    const id = sanitizeLine(profileId, 60);
+    if (!id || !Array.isArray(profiles)) return null;
+    return profiles.find((profile) => profile && profile.id === id) || null;
+  }
+
+  function createLaunchProfileId() {
+    return `profile-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`;
+  }
+
+  return {
+    SHELL_MODES,
+    DEFAULT_INITIAL_DELAY_MS,
+    normalizeEnvOverrides,
+    parseEnvOverridesText,
+    formatEnvOverridesText,
+    normalizeLaunchProfile,
+    normalizeLaunchProfiles,
+    findLaunchProfile,
+    createLaunchProfileId
+  };
+});
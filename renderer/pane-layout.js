@@ -0,0 +1,247 @@
+(function bootstrapPaneLayout(root, factory) {
+  const api = factory();
+  if (typeof module === 'object' && module.exports) {
+    module.exports = api;
+  }
+  if (root && typeof root === 'object') {
+    root.PaneLayoutUtils = api;
+  }
+})(typeof globalThis !== 'undefined' ? globalThis : this, function createPaneLayoutUtils() {
+  // Layout tree nodes:
+  //   { type: 'pane', paneId }
+  //   { type: 'split', direction, ratio, children: [first, second] }
+  // direction 'horizontal' lays children out left-to-right (vertical divider),
+  // direction 'vertical' stacks them top-to-bottom (horizontal divider).
+  const SPLIT_DIRECTIONS = ['horizontal', 'vertical'];
+  const MIN_SPLIT_RATIO = 0.1;
+  const MAX_SPLIT_RATIO = 0.9;
+  const DEFAULT_SPLIT_RATIO = 0.5;
+  const MAX_LAYOUT_DEPTH = 8;
+  const MAX_LAYOUT_PANES = 16;
+
+  function normalizePaneId(value) {
+    return String(value || '').trim().slice(0, 80);
+  }
+
+  function normalizeDirection(value) {
+    const direction = String(value || '').trim().toLowerCase();
+    return SPLIT_DIRECTIONS.includes(direction) ? direction : 'horizontal';
+  }
+
+  function clampRatio(value) {
+    const n = Number(value);
+    if (!Number.isFinite(n)) return DEFAULT_SPLIT_RATIO;
+    return Math.min(MAX_SPLIT_RATIO, Math.max(MIN_SPLIT_RATIO, n));
+  }
+
+  function createPaneLayout(paneId) {
+    return { type: 'pane', paneId: normalizePaneId(paneId) };
+  }
+
+  function isSplitNode(node) {
+    return !!(node && node.type === 'split' && Array.isArray(node.children) && node.children.length === 2);
+  }
+
+  function listPaneIds(layout) {
+    if (!layout) return [];
+    if (isSplitNode(layout)) {
+      return [...listPaneIds(layout.children[0]), ...listPaneIds(layout.children[1])];
+    }
+    return layout.paneId ? [layout.paneId] : [];
+  }
+
+  function hasPane(layout, paneId) {
+    const target = normalizePaneId(paneId);
+    return !!target && listPaneIds(layout).includes(target);
+  }
+
+  function splitPane(layout, targetPaneId, direction, newPaneId) {
+    const target = normalizePaneId(targetPaneId);
+    const created = normalizePaneId(newPaneId);
+    if (!layout || !target || !created || !hasPane(layout, target) || hasPane(layout, created)) return layout;
+
+    function visit(node) {
+      if (isSplitNode(node)) {
+        return {
+          ...node,
+          children: [visit(node.children[0]), visit(node.children[1])]
+        };
+      }
+      if (node.paneId !== target) return node;
+      return {
+        type: 'split',
+        direction: normalizeDirection(direction),
+        ratio: DEFAULT_SPLIT_RATIO,
+        children: [node, createPaneLayout(created)]
+      };
+    }
+
+    return visit(layout);
+  }
+
+  function removePane(layout, paneId) {
+    const target = normalizePaneId(paneId);
+    if (!layout || !target) return layout;
+    if (!isSplitNode(layout)) {
+      return layout.paneId === target ? null : layout;
+    }
+
+    const first = removePane(layout.children[0], target);
+    const second = removePane(layout.children[1], target);
+    if (!first) return second;
+    if (!second) return first;
+    return { ...layout, children: [first, second] };
+  }
+
+  function getNodeAtPath(layout, splitPath) {
+    const steps = String(splitPath || '').split('.').filter(Boolean);
+    let node = layout;
+    for (const step of steps) {
+      if (!isSplitNode(node)) return null;
+      node = node.children[step === '1' ? 1 : 0];
+    }
+    return node || null;
+  }
+
+  function setSplitRatio(layout, splitPath, ratio) {
+    if (!isSplitNode(getNodeAtPath(layout, splitPath))) return layout;
+    const steps = String(splitPath || '').split('.').filter(Boolean);
+
+    function visit(node, depth) {
+      if (depth === steps.length) {
+        return { ...node, ratio: clampRatio(ratio) };
+      }
+      const index = steps[depth] === '1' ? 1 : 0;
+      const children = node.children.slice();
+      children[index] = visit(children[index], depth + 1);
+      return { ...node, children };
+    }
+
+    return visit(layout, 0);
+  }
+
+  function computePaneRects(layout, bounds = { x: 0, y: 0, width: 1, height: 1 }) {
+    const rects = new Map();
+
+    function visit(node, rect) {
+      if (!node) return;
+      if (!isSplitNode(node)) {
+        if (node.paneId) rects.set(node.paneId, rect);
+        return;
+      }
+      const ratio = clampRatio(node.ratio);
+      if (node.direction === 'vertical') {
+        const firstHeight = rect.height * ratio;
+        visit(node.children[0], { x: rect.x, y: rect.y, width: rect.width, height: firstHeight });
+        visit(node.children[1], {
+          x: rect.x,
+          y: rect.y + firstHeight,
+          width: rect.width,
+          height: rect.height - firstHeight
+        });
+        return;
+      }
+      const firstWidth = rect.width * ratio;
+      visit(node.children[0], { x: rect.x, y: rect.y, width: firstWidth, height: rect.height });
+      visit(node.children[1], {
+        x: rect.x + firstWidth,
+        y: rect.y,
+        width: rect.width - firstWidth,
+        height: rect.height
+      });
+    }
+
+    visit(layout, bounds);
+    return rects;
+  }
+
+  function overlapLength(startA, endA, startB, endB) {
+    return Math.max(0, Math.min(endA, endB) - Math.max(startA, startB));
+  }
+
+  function findAdjacentPane(layout, paneId, move) {
+    const rects = computePaneRects(layout);
+    const origin = rects.get(normalizePaneId(paneId));
+    if (!origin) return '';
+
+    const epsilon = 1e-6;
+    let best = null;
+    for (const [candidateId, rect] of rects) {
+      if (candidateId === paneId) continue;
+      let touches = false;
+      let overlap = 0;
+      if (move === 'left' || move === 'right') {
+        touches = move === 'left'
+          ? Math.abs(rect.x + rect.width - origin.x) < epsilon
+          : Math.abs(origin.x + origin.width - rect.x) < epsilon;
+        overlap = overlapLength(origin.y, origin.y + origin.height, rect.y, rect.y + rect.height);
+      } else if (move === 'up' || move === 'down') {
+        touches = move === 'up'
+          ? Math.abs(rect.y + rect.height - origin.y) < epsilon
+          : Math.abs(origin.y + origin.height - rect.y) < epsilon;
+        overlap = overlapLength(origin.x, origin.x + origin.width, rect.x, rect.x + rect.width);
+      }
+      if (!touches || overlap <= epsilon) continue;
+      if (!best || overlap > best.overlap) {
+        best = { paneId: candidateId, overlap };
+      }
+    }
+    return best ? best.paneId : '';
+  }
+
+  function normalizePaneLayout(rawLayout, options = {}) {
+    const maxPanes = Number.isInteger(options.maxPanes) ? options.maxPanes : MAX_LAYOUT_PANES;
+    const seen = new Set();
+
+    function visit(node, depth) {
+      if (!node || typeof node !== 'object' || depth > MAX_LAYOUT_DEPTH) return null;
+      if (node.type === 'split') {
+        const children = Array.isArray(node.children) ? node.children : [];
+        const first = visit(children[0], depth + 1);
+        const second = visit(children[1], depth + 1);
+        if (!first) return second;
+        if (!second) return first;
+        return {
+          type: 'split',
+          direction: normalizeDirection(node.direction),
+          ratio: clampRatio(node.ratio),
+          children: [first, second]
+        };
+      }
+      const paneId = normalizePaneId(node.paneId);
+      if (!paneId || seen.has(paneId) || seen.size >= maxPanes) return null;
+      seen.add(paneId);
+      return createPaneLayout(paneId);
+    }
+
+    return visit(rawLayout, 0);
+  }
+
+  function remapPaneIds(layout, mapPaneId) {
+    if (!layout) return null;
+    if (isSplitNode(layout)) {
+      return {
+        ...layout,
+        children: [remapPaneIds(layout.children[0], mapPaneId), remapPaneIds(layout.children[1], mapPaneId)]
+      };
+    }
+    return createPaneLayout(mapPaneId(layout.paneId));
+  }
+
+  return {
+    SPLIT_DIRECTIONS,
+    MAX_LAYOUT_PANES,
+    createPaneLayout,
+    isSplitNode,
+    listPaneIds,
+    hasPane,
+    splitPane,
+    removePane,
+    getNodeAtPath,
+    setSplitRatio,
+    computePaneRects,
+    findAdjacentPane,
+    normalizePaneLayout,
+    remapPaneIds
+  };
+});
@@ -0,0 +1,183 @@
+/* global Terminal, CastPlayerUtils, DARK_THEME, LIGHT_THEME */
+
+// Plays an asciicast recording back into a read-only xterm instance.
+class ReplayViewer {
+  constructor(containerElement, cast, options = {}) {
+    this.container = containerElement;
+    this.cast = cast;
+    this.events = Array.isArray(cast && cast.events) ? cast.events : [];
+    this.duration = Number(cast && cast.duration) || 0;
+    this.position = 0;
+    this.nextIndex = 0;
+    this.speed = 1;
+    this.playing = false;
+    this.frameHandle = null;
+    this.lastTickAt = 0;
+
+    const root = document.createElement('div');
+    root.className = 'replay-viewer';
+
+    const toolbar = document.createElement('div');
+    toolbar.className = 'replay-toolbar';
+
+    this.playButton = document.createElement('button');
+    this.playButton.className = 'replay-btn';
+    this.playButton.addEventListener('click', () => this.togglePlay());
+
+    this.timeLabel = document.createElement('span');
+    this.timeLabel.className = 'replay-time';
+
+    this.seekInput = document.createElement('input');
+    this.seekInput.type = 'range';
+    this.seekInput.className = 'replay-seek';
+    this.seekInput.min = '0';
+    this.seekInput.max = String(Math.max(this.duration, 0.01));
+    this.seekInput.step = '0.01';
+    this.seekInput.value = '0';
+    this.seekInput.addEventListener('input', () => {
+      this.seek(Number(this.seekInput.value));
+    });
+
+    this.speedSelect = document.createElement('select');
+    this.speedSelect.className = 'replay-speed tab-quick-select';
+    this.speedSelect.title = '播放速度';
+    for (const speed of CastPlayerUtils.PLAYBACK_SPEEDS) {
+      const option = document.createElement('option');
+      option.value = String(speed);
+      option.textContent = `${speed}x`;
+      this.speedSelect.appendChild(option);
+    }
+    this.speedSelect.value = '1';
+    this.speedSelect.addEventListener('change', () => {
+      this.speed = CastPlayerUtils.normalizePlaybackSpeed(this.speedSelect.value);
+    });
+
+    toolbar.appendChild(this.playButton);
+    toolbar.appendChild(this.seekInput);
+    toolbar.appendChild(this.timeLabel);
+    toolbar.appendChild(this.speedSelect);
+
+    const surface = document.createElement('div');
+    surface.className = 'replay-surface';
+
+    root.appendChild(toolbar);
+    root.appendChild(surface);
+    containerElement.appendChild(root);
+    this.root = root;
+
+    this.terminal = new Terminal({
+      cols: cast.header.width,
+      rows: cast.header.height,
+      cursorBlink: false,
+      disableStdin: true,
+      scrollback: 5000,
+      fontSize: options.fontSize || 14,
+      fontFamily: '"SF Mono", Menlo, Monaco, "Courier New", monospace',
+      lineHeight: 1.24,
+      drawBoldTextInBrightColors: false,
+      theme: options.isLight ? LIGHT_THEME : DARK_THEME
+    });
+    this.terminal.open(surface);
+    this.renderControls();
+  }
+
+  renderControls() {
+    this.playButton.textContent = this.playing ? '暂停' : '播放';
+    this.seekInput.value = String(this.position);
+    this.timeLabel.textContent = `${CastPlayerUtils.formatPlaybackTime(this.position)} / ${CastPlayerUtils.formatPlaybackTime(this.duration)}`;
+  }
+
+  applyEvent(event, outputChunks) {
+    if (event.type === 'r') {
+      const size = CastPlayerUtils.parseResizeEvent(event.data);
+      if (size) {
+        if (outputChunks.length > 0) {
+          this.terminal.write(outputChunks.splice(0).join(''));
+        }
+        this.terminal.resize(size.cols, size.rows);
+      }
+      return;
+    }
+    outputChunks.push(event.data);
+  }
+
+  playUntil(targetIndex) {
+    const chunks = [];
+    while (this.nextIndex < targetIndex) {
+      this.applyEvent(this.events[this.nextIndex], chunks);
+      this.nextIndex += 1;
+    }
+    if (chunks.length > 0) {
+      this.terminal.write(chunks.join(''));
+    }
+  }
+
+  seek(seconds) {
+    const target = Math.min(this.duration, Math.max(0, Number(seconds) || 0));
+    const targetIndex = CastPlayerUtils.findEventIndexAtTime(this.events, target);
+    if (targetIndex < this.nextIndex) {
+      this.terminal.reset();
+      this.terminal.resize(this.cast.header.width, this.cast.header.height);
+      this.nextIndex = 0;
+    }
+    this.playUntil(targetIndex);
+    this.position = target;
+    this.renderControls();
+  }
+
+  tick(now) {
+    if (!this.playing) return;
+    const elapsed = Math.max(0, now - this.lastTickAt) / 1000;
+    this.lastTickAt = now;
+    this.position = Math.min(this.duration, this.position + elapsed * this.speed);
+    this.playUntil(CastPlayerUtils.findEventIndexAtTime(this.events, this.position));
+    if (this.position >= this.duration) {
+      this.pause();
+      return;
+    }
+    this.renderControls();
+    this.frameHandle = requestAnimationFrame((next) => this.tick(next));
+  }
+
+  play() {
+    if (this.playing) return;
+    if (this.position >= this.duration) {
+      this.seek(0);
+    }
+    this.playing = true;
+    this.lastTickAt = performance.now();
+    this.renderControls();
+    this.frameHandle = requestAnimationFrame((next) => this.tick(next));
+  }
+
+  pause() {
+    this.playing = false;
+    if (this.frameHandle) {
+      cancelAnimationFrame(this.frameHandle);
+      this.frameHandle = null;
+    }
+    this.renderControls();
+  }
+
+  togglePlay() {
+    if (this.playing) {
+      this.pause();
+    } else {
+      this.play();
+    }
+  }
+
+  focus() {
+    this.playButton.focus();
+  }
+
+  setLightMode(isLight) {
+    this.terminal.options.theme = isLight ? LIGHT_THEME : DARK_THEME;
+  }
+
+  destroy() {
+    this.pause();
+    this.terminal.dispose();
+    this.root.remove();
+  }
+}
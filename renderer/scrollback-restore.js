@@ -0,0 +1,89 @@
+(function bootstrapScrollbackRestore(root, factory) {
+  const api = factory();
+  if (typeof module === 'object' && module.exports) {
+    module.exports = api;
+  }
+  if (root && typeof root === 'object') {
+    root.ScrollbackRestoreUtils = api;
+  }
+})(typeof globalThis !== 'undefined' ? globalThis : this, function createScrollbackRestoreUtils() {
+  const MAX_SCROLLBACK_LINES = 1000;
+  const MAX_SERIALIZED_CHARS = 256 * 1024;
+  const MAX_SCROLLBACK_ENTRIES = 64;
+  const RESTORE_DIVIDER_LABEL = '以上内容恢复自上次会话';
+
+  function normalizeTerminalId(value) {
+    return String(value || '').trim().slice(0, 80);
+  }
+
+  // Keeps the newest part of a serialized buffer, cutting on a line boundary so
+  // we never start in the middle of an escape sequence.
+  function trimSerializedScrollback(data, maxChars = MAX_SERIALIZED_CHARS) {
+    const text = String(data || '').replace(/\s+$/, '');
+    if (text.length <= maxChars) return text;
+    const cutAt = text.length - maxChars;
+    const lineBreakAt = text.indexOf('\r\n', Math.max(0, cutAt - 2));
+    if (lineBreakAt === -1) return '';
+    return text.slice(lineBreakAt + 2);
+  }
+
+  function getDisplayWidth(text) {
+    let width = 0;
+    for (const ch of String(text || '')) {
+      width += /[ᄀ-ᅟ⺀-꓏가-힣豈-﫿︰-﹏＀-｠￠-￦]/.test(ch) ? 2 : 1;
+    }
+    return width;
+  }
+
+  function formatSavedAt(savedAt) {
+    const date = new Date(savedAt || '');
+    if (Number.isNaN(date.getTime())) return '';
+    const pad = (n) => String(n).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} ${pad(date.getHours())}:${pad(date.getMinutes())}`;
+  }
+
+  function buildRestoreDivider(options = {}) {
+    const cols = Math.max(20, Math.min(240, Number(options.cols) || 80));
+    const savedAtLabel = formatSavedAt(options.savedAt);
+    const label = ` ${RESTORE_DIVIDER_LABEL}${savedAtLabel ? ` · ${savedAtLabel}` : ''} `;
+    const fill = Math.max(4, cols - 1 - getDisplayWidth(label));
+    const left = Math.floor(fill / 2);
+    const right = fill - left;
+    return `\x1b[0m\r\n\x1b[2m${'─'.repeat(left)}${label}${'─'.repeat(right)}\x1b[0m\r\n`;
+  }
+
+  // Entries come from the renderer as either serialized content for a live
+  // terminal ({ id, data }) or a carry-over of a not-yet-restored buffer ({ id, sourceId }).
+  function normalizeScrollbackEntries(rawEntries) {
+    const entries = Array.isArray(rawEntries) ? rawEntries : [];
+    const seen = new Set();
+    const normalized = [];
+    for (const item of entries) {
+      if (!item || typeof item !== 'object') continue;
+      const id = normalizeTerminalId(item.id);
+      if (!id || seen.has(id)) continue;
+      if (typeof item.data === 'string') {
+        const data = trimSerializedScrollback(item.data);
+        if (!data) continue;
+        seen.add(id);
+        normalized.push({ id, data });
+      } else {
+        const sourceId = normalizeTerminalId(item.sourceId);
+        if (!sourceId) continue;
+        seen.add(id);
+        normalized.push({ id, sourceId });
+      }
+      if (normalized.length >= MAX_SCROLLBACK_ENTRIES) break;
+    }
+    return normalized;
+  }
+
+  return {
+    MAX_SCROLLBACK_LINES,
+    MAX_SERIALIZED_CHARS,
+    trimSerializedScrollback,
+    getDisplayWidth,
+    buildRestoreDivider,
+    normalizeScrollbackEntries
+  };
+});
@@ -0,0 +1,125 @@
+(function bootstrapSecretRedaction(root, factory) {
+  const api = factory();
+  if (typeof module === 'object' && module.exports) {
+    module.exports = api;
+  }
+  if (root && typeof root === 'object') {
+    root.SecretRedactionUtils = api;
+  }
+})(typeof globalThis !== 'undefined' ? globalThis : this, function createSecretRedactionUtils() {
+  // Redaction settings shape:
+  //   { enabled, customPatterns: [regex source] }
+  // Matches are replaced with `[REDACTED:<type>]` before terminal text is sent for
+  // analysis or written to the archive; custom patterns are reported as 'custom'.
+  const MAX_CUSTOM_PATTERNS = 20;
+  const MAX_PATTERN_LENGTH = 300;
+  // Names like API_KEY, GITHUB_TOKEN, DB_PASSWORD; upper-case only so prose such as
+  // "monkey=1" is left alone.
+  const SECRET_NAME = '[A-Z0-9_]*(?:KEY|TOKEN|SECRET|PASSWORD|PASSWD|PWD|CREDENTIALS?)[A-Z0-9_]*';
+
+  // Order matters: PEM blocks and assignments go first so the token rules do not
+  // split them into several partial matches. Values that are already a marker are
+  // skipped, so redacting twice does not change the text or the counts.
+  const BUILTIN_SECRET_RULES = [
+    { type: 'pem', label: 'PEM 密钥块', pattern: /-----BEGIN ([A-Z0-9 ]+)-----[\s\S]*?(?:-----END \1-----|$)/g },
+    {
+      type: 'assignment',
+      label: 'KEY=... 赋值',
+      pattern: new RegExp(`\\b(${SECRET_NAME})(\\s*[=:]\\s*)(["']?)(?!\\[REDACTED:)([^\\s"'\`]{4,})\\3`, 'g'),
+      replace: (match, name, separator, quote) => `${name}${separator}${quote}[REDACTED:assignment]${quote}`
+    },
+    { type: 'jwt', label: 'JWT', pattern: /\beyJ[A-Za-z0-9_-]{8,}\.eyJ[A-Za-z0-9_-]{8,}\.[A-Za-z0-9_-]{8,}/g },
+    { type: 'api_key', label: 'sk- API Key', pattern: /\bsk-[A-Za-z0-9_-]{16,}/g },
+    { type: 'github_token', label: 'GitHub Token', pattern: /\b(?:gh[pousr]|github_pat)_[A-Za-z0-9_]{20,}/g },
+    { type: 'aws_access_key', label: 'AWS Access Key', pattern: /\b(?:AKIA|ASIA)[0-9A-Z]{16}\b/g }
+  ];
+
+  function compileCustomPattern(source) {
+    const text = String(source || '').trim();
+    if (!text || text.length > MAX_PATTERN_LENGTH) return null;
+    try {
+      return new RegExp(text, 'g');
+    } catch (err) {
+      return null;
+    }
+  }
+
+  // Returns the usable patterns plus the 1-based line numbers that did not compile.
+  function parseCustomPatternsText(text) {
+    const patterns = [];
+    const invalidLines = [];
+    String(text || '').split(/\r?\n/).forEach((line, index) => {
+      const source = line.trim();
+      if (!source) return;
+      if (!compileCustomPattern(source)) {
+        invalidLines.push(index + 1);
+        return;
+      }
+      if (!patterns.includes(source) && patterns.length < MAX_CUSTOM_PATTERNS) patterns.push(source);
+    });
+    return { patterns, invalidLines };
+  }
+
+  function normalizeRedactionSettings(value) {
+    const source = value && typeof value === 'object' ? value : {};
+    const patterns = Array.isArray(source.customPatterns) ? source.customPatterns : [];
+    return {
+      enabled: source.enabled !== false,
+      customPatterns: parseCustomPatternsText(patterns.join('\n')).patterns
+    };
+  }
+
+  function compileRedactionRules(settings) {
+    const normalized = normalizeRedactionSettings(settings);
+    if (!normalized.enabled) return [];
+    return [
+      ...BUILTIN_SECRET_RULES,
+      ...normalized.customPatterns.map((source) => ({ type: 'custom', pattern: compileCustomPattern(source) }))
+    ];
+  }
+
+  function createRedactionCounts() {
+    return { count: 0, types: {} };
+  }
+
+  // text -> { text, count, types: { [type]: n } }. Empty matches are ignored so a
+  // custom pattern like `a*` cannot flood the output with markers.
+  function redactSecrets(value, rules) {
+    let text = String(value || '');
+    const counts = createRedactionCounts();
+    for (const rule of Array.isArray(rules) ? rules : []) {
+      if (!text) break;
+      rule.pattern.lastIndex = 0;
+      text = text.replace(rule.pattern, (...args) => {
+        const match = args[0];
+        if (!match) return match;
+        counts.count += 1;
+        counts.types[rule.type] = (counts.types[rule.type] || 0) + 1;
+        return rule.replace ? rule.replace(...args) : `[REDACTED:${rule.type}]`;
+      });
+    }
+    return { text, ...counts };
+  }
+
+  function mergeRedactionCounts(...items) {
+    const merged = createRedactionCounts();
+    for (const item of items) {
+      if (!item || !item.count) continue;
+      merged.count += item.count;
+      for (const [type, n] of Object.entries(item.types || {})) {
+        merged.types[type] = (merged.types[type] || 0) + n;
+      }
+    }
+    return merged;
+  }
+
+  return {
+    BUILTIN_SECRET_RULES,
+    MAX_CUSTOM_PATTERNS,
+    parseCustomPatternsText,
+    normalizeRedactionSettings,
+    compileRedactionRules,
+    redactSecrets,
+    mergeRedactionCounts
+  };
+});
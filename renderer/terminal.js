@@ -1,4 +1,4 @@
-/* global Terminal, FitAddon */
+/* global Terminal, FitAddon, SerializeAddon, KeybindingUtils */
 
 const DEBUG_MODE_STORAGE_KEY = 'shaoterm.debug-mode.v1';
 const DEBUG_MODE = (() => {
@@ -87,6 +87,9 @@ class TerminalManager {
     this.isLight = false;
     this.fontSize = 14; // Default font size
     this.scrollStateListeners = new Set();
+    this.terminalKeybindings = typeof KeybindingUtils !== 'undefined'
+      ? KeybindingUtils.resolveKeybindings({}).terminalBindings
+      : [];
   }
 
   create(tabId, containerElement) {
@@ -108,6 +111,12 @@ class TerminalManager {
 
     const fitAddon = new FitAddon.FitAddon();
     terminal.loadAddon(fitAddon);
+    // Serialize addon is optional: without it scrollback simply isn't persisted.
+    let serializeAddon = null;
+    if (typeof SerializeAddon !== 'undefined' && SerializeAddon.SerializeAddon) {
+      serializeAddon = new SerializeAddon.SerializeAddon();
+      terminal.loadAddon(serializeAddon);
+    }
     terminal.open(surface);
     // Don't fit here — container may be hidden (display:none).
     // ResizeObserver below handles fitting when it becomes visible.
@@ -134,19 +143,23 @@ class TerminalManager {
       callApiSafely('sendTerminalData', tabId, data);
     });
 
-    // Handle Shift+Enter for newline (send same escape sequence as Option+Enter)
+    // Terminal key mappings from keybindings.json (defaults to Shift+Enter -> ESC+Enter)
     terminal.attachCustomKeyEventHandler((event) => {
-      if (event.type === 'keydown' && event.key === 'Enter' && event.shiftKey) {
-        debugLog('Shift+Enter detected, sending ESC+Enter sequence');
-        // Send ESC + carriage return (same as Option+Enter in xterm.js)
-        callApiSafely('sendTerminalData', tabId, '\x1b\r');
-        return false; // Prevent default behavior
+      if (event.type !== 'keydown') return true;
+      if (typeof KeybindingUtils === 'undefined') {
+        if (event.key === 'Enter' && event.shiftKey) {
+          callApiSafely('sendTerminalData', tabId, '\x1b\r');
+          return false;
+        }
+        return true;
       }
-      return true;
+      const binding = KeybindingUtils.findTerminalBinding(this.terminalKeybindings, event);
+      if (!binding) return true;
+      debugLog(`Terminal keybinding ${binding.key} matched`);
+      callApiSafely('sendTerminalData', tabId, binding.send);
+      return false; // Prevent default behavior
     });
 
-    debugLog('Shift+Enter handler attached');
-
     // Enable drag and drop for files/folders
     containerElement.addEventListener('dragover', (e) => {
       e.preventDefault();
@@ -187,6 +200,7 @@ class TerminalManager {
     this.instances.set(tabId, {
       terminal,
       fitAddon,
+      serializeAddon,
       container: containerElement,
       observer,
       scrollSubscription
@@ -215,6 +229,27 @@ class TerminalManager {
     return null;
   }
 
+  has(tabId) {
+    return this.instances.has(tabId);
+  }
+
+  getSize(tabId) {
+    const instance = this.instances.get(tabId);
+    if (!instance) return null;
+    return { cols: instance.terminal.cols, rows: instance.terminal.rows };
+  }
+
+  serialize(tabId, scrollbackLines) {
+    const instance = this.instances.get(tabId);
+    if (!instance || !instance.serializeAddon) return '';
+    try {
+      return instance.serializeAddon.serialize({ scrollback: scrollbackLines });
+    } catch (err) {
+      console.warn(`[terminal] Failed to serialize tab ${tabId}:`, err);
+      return '';
+    }
+  }
+
   focus(tabId) {
     const instance = this.instances.get(tabId);
     if (instance) {
@@ -288,6 +323,10 @@ class TerminalManager {
     }
   }
 
+  setTerminalKeybindings(bindings) {
+    this.terminalKeybindings = Array.isArray(bindings) ? bindings : [];
+  }
+
   setLightMode(isLight) {
     this.isLight = isLight;
     const theme = isLight ? LIGHT_THEME : DARK_THEME;
@@ -0,0 +1,256 @@
+// Panel for the scheduled / on-demand work digests (`work_digest` archive records):
+// lists recent digests and shows one digest's per-project breakdown.
+const WORK_DIGEST_LIST_LIMIT = 60;
+
+function formatDigestRangeTime(ts) {
+  const date = new Date(ts);
+  if (Number.isNaN(date.getTime())) return '';
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${date.getMonth() + 1}-${pad(date.getDate())} ${pad(date.getHours())}:${pad(date.getMinutes())}`;
+}
+
+function getWorkDigestUtils() {
+  return typeof WorkDigestUtils === 'object' && WorkDigestUtils ? WorkDigestUtils : null;
+}
+
+function describeDigestConfirms(item) {
+  const utils = getWorkDigestUtils();
+  const prompts = Number(item && item.confirmPrompts) || 0;
+  if (!prompts) return '无确认请求';
+  const pending = Number(item.pendingConfirms) || 0;
+  // Digests archived before confirmsResolved was recorded fall back to the old estimate.
+  const answered = item.confirmsResolved === undefined ? prompts - pending : Number(item.confirmsResolved) || 0;
+  const parts = [`确认 ${prompts} 次`];
+  if (answered > 0 && utils) {
+    parts.push(`平均等待 ${utils.formatDigestDuration(item.confirmWaitMs / answered)}`);
+  }
+  if (pending > 0) parts.push(`${pending} 次未响应`);
+  return parts.join('，');
+}
+
+function describeDigestSessionState(session) {
+  if (session.endedInError) return '以异常结束';
+  if (session.ended) return '已结束';
+  return session.lastStatus === '异常' ? '当前异常' : '进行中';
+}
+
+class WorkDigestPanel {
+  // options.listDigests() and options.runDigest(frequency) return the IPC payloads;
+  // options.onClose() is optional.
+  constructor(rootElement, options = {}) {
+    this.root = rootElement;
+    this.options = options;
+    this.digests = [];
+    this.selectedId = '';
+    this.requestSeq = 0;
+
+    this.content = document.createElement('div');
+    this.content.className = 'modal-content work-digest-content';
+    this.root.innerHTML = '';
+    this.root.appendChild(this.content);
+
+    const header = document.createElement('div');
+    header.className = 'archive-browser-header';
+    const title = document.createElement('span');
+    title.className = 'archive-browser-title';
+    title.textContent = '工作摘要';
+    this.dailyButton = this.createButton('生成日报', () => this.generate('daily'));
+    this.weeklyButton = this.createButton('生成周报', () => this.generate('weekly'));
+    const refreshButton = this.createButton('刷新', () => this.refresh());
+    const closeButton = this.createButton('×', () => this.close());
+    closeButton.title = '关闭';
+    header.append(title, this.dailyButton, this.weeklyButton, refreshButton, closeButton);
+
+    const body = document.createElement('div');
+    body.className = 'work-digest-body';
+    this.list = document.createElement('div');
+    this.list.className = 'work-digest-list';
+    this.detail = document.createElement('div');
+    this.detail.className = 'work-digest-detail';
+    body.append(this.list, this.detail);
+
+    this.statusLine = document.createElement('div');
+    this.statusLine.className = 'archive-browser-status';
+
+    this.content.append(header, body, this.statusLine);
+    this.root.addEventListener('click', (event) => {
+      if (event.target === this.root) this.close();
+    });
+    this.root.addEventListener('keydown', (event) => {
+      if (event.key === 'Escape') this.close();
+    });
+  }
+
+  createButton(label, onClick) {
+    const button = document.createElement('button');
+    button.className = 'archive-browser-btn';
+    button.textContent = label;
+    button.addEventListener('click', onClick);
+    return button;
+  }
+
+  isOpen() {
+    return !this.root.classList.contains('hidden');
+  }
+
+  open(selectedId = '') {
+    if (selectedId) this.selectedId = selectedId;
+    this.root.classList.remove('hidden');
+    return this.refresh();
+  }
+
+  close() {
+    this.root.classList.add('hidden');
+    if (typeof this.options.onClose === 'function') {
+      this.options.onClose();
+    }
+  }
+
+  // Called when the main process announces a freshly generated digest.
+  showRecord(record) {
+    if (!record || !record.sessionId) return null;
+    this.selectedId = record.sessionId;
+    return this.isOpen() ? this.refresh() : null;
+  }
+
+  async refresh() {
+    const seq = ++this.requestSeq;
+    this.statusLine.textContent = '加载中…';
+    let result;
+    try {
+      result = await this.options.listDigests({ limit: WORK_DIGEST_LIST_LIMIT });
+    } catch (err) {
+      result = { digests: [], error: err && err.message ? err.message : String(err) };
+    }
+    if (seq !== this.requestSeq) return;
+
+    this.digests = result && Array.isArray(result.digests) ? result.digests : [];
+    if (result && result.error) {
+      this.statusLine.textContent = `读取失败：${result.error}`;
+    } else {
+      this.statusLine.textContent = this.digests.length > 0 ? `共 ${this.digests.length} 份工作摘要` : '';
+    }
+    if (!this.digests.some((digest) => digest.sessionId === this.selectedId)) {
+      this.selectedId = this.digests.length > 0 ? this.digests[0].sessionId : '';
+    }
+    this.renderList();
+    this.renderDetail();
+  }
+
+  async generate(frequency) {
+    this.dailyButton.disabled = true;
+    this.weeklyButton.disabled = true;
+    this.statusLine.textContent = '正在生成工作摘要…';
+    try {
+      const result = await this.options.runDigest(frequency);
+      if (!result || !result.success) {
+        this.statusLine.textContent = (result && result.error) || '生成失败';
+        return;
+      }
+      this.selectedId = result.record.sessionId;
+      await this.refresh();
+    } catch (err) {
+      this.statusLine.textContent = `生成失败：${err && err.message ? err.message : String(err)}`;
+    } finally {
+      this.dailyButton.disabled = false;
+      this.weeklyButton.disabled = false;
+    }
+  }
+
+  renderList() {
+    const utils = getWorkDigestUtils();
+    this.list.innerHTML = '';
+    for (const record of this.digests) {
+      const digest = record.digest || {};
+      const row = document.createElement('div');
+      row.className = 'archive-session';
+      if (record.sessionId === this.selectedId) row.classList.add('active');
+
+      const head = document.createElement('div');
+      head.className = 'archive-session-head';
+      const name = document.createElement('span');
+      name.className = 'archive-session-name';
+      name.textContent = utils ? utils.getWorkDigestLabel(digest.frequency) : '工作摘要';
+      const at = document.createElement('span');
+      at.className = 'archive-session-meta';
+      at.textContent = formatDigestRangeTime(record.ts);
+      head.append(name, at);
+
+      const summary = document.createElement('div');
+      summary.className = 'archive-session-summary';
+      summary.textContent = record.summary || '（暂无摘要）';
+
+      row.append(head, summary);
+      row.addEventListener('click', () => {
+        this.selectedId = record.sessionId;
+        this.renderList();
+        this.renderDetail();
+      });
+      this.list.appendChild(row);
+    }
+  }
+
+  appendText(parent, className, text) {
+    const element = document.createElement('div');
+    element.className = className;
+    element.textContent = text;
+    parent.appendChild(element);
+    return element;
+  }
+
+  renderDetail() {
+    this.detail.innerHTML = '';
+    const record = this.digests.find((item) => item.sessionId === this.selectedId);
+    if (!record) {
+      this.appendText(this.detail, 'archive-browser-empty', '还没有工作摘要，可点击“生成日报”立即生成。');
+      return;
+    }
+    const digest = record.digest || {};
+    const totals = digest.totals || {};
+
+    this.appendText(
+      this.detail,
+      'work-digest-range',
+      `${formatDigestRangeTime(digest.since)} — ${formatDigestRangeTime(digest.until)}${digest.generatedBy === 'ai' ? '' : '（本地汇总）'}`
+    );
+    this.appendText(this.detail, 'work-digest-summary', record.summary || '');
+    if (record.analysis) this.appendText(this.detail, 'work-digest-analysis', record.analysis);
+    this.appendText(
+      this.detail,
+      'work-digest-totals',
+      `${Number(totals.projects) || 0} 个项目 · ${Number(totals.sessions) || 0} 个会话 · ${Number(totals.errorSessions) || 0} 个以异常结束 · ${describeDigestConfirms(totals)}`
+    );
+
+    for (const project of Array.isArray(digest.projects) ? digest.projects : []) {
+      const block = document.createElement('div');
+      block.className = 'work-digest-project';
+      const title = this.appendText(block, 'work-digest-project-title', project.cwd);
+      title.title = project.cwd;
+      if (project.summary) this.appendText(block, 'work-digest-project-summary', project.summary);
+      this.appendText(
+        block,
+        'archive-session-meta',
+        `${(project.sessions || []).length} 个会话 · ${Number(project.errorSessions) || 0} 个以异常结束 · ${describeDigestConfirms(project)}`
+      );
+      for (const session of project.sessions || []) {
+        const item = document.createElement('div');
+        item.className = `archive-timeline-item${session.endedInError ? ' work-digest-session-error' : ''}`;
+        const line = document.createElement('div');
+        line.className = 'archive-timeline-line';
+        const name = document.createElement('span');
+        name.className = 'archive-timeline-type';
+        name.textContent = [session.cli, session.model].filter(Boolean).join(' · ') || '终端会话';
+        const state = document.createElement('span');
+        state.className = 'archive-session-status';
+        state.textContent = `${describeDigestSessionState(session)} · ${describeDigestConfirms(session)}`;
+        line.append(name, state);
+        item.appendChild(line);
+        for (const highlight of session.highlights || []) {
+          this.appendText(item, 'archive-timeline-analysis', highlight);
+        }
+        block.appendChild(item);
+      }
+      this.detail.appendChild(block);
+    }
+  }
+}
@@ -0,0 +1,110 @@
+(function bootstrapWorkDigestUtils(root, factory) {
+  const api = factory();
+  if (typeof module === 'object' && module.exports) {
+    module.exports = api;
+  }
+  if (root && typeof root === 'object') {
+    root.WorkDigestUtils = api;
+  }
+})(typeof globalThis !== 'undefined' ? globalThis : this, function createWorkDigestUtils() {
+  // Schedule shape:
+  //   { enabled, frequency: 'daily' | 'weekly', time: 'HH:MM', weekday: 0-6 (0 = 周日) }
+  // Times are local wall-clock times; a digest covers the day or week before its run.
+  const DAY_MS = 24 * 60 * 60 * 1000;
+  // Labels are keyed by output language ('zh' | 'en' | 'ja'); the UI uses 'zh'.
+  const WORK_DIGEST_FREQUENCIES = {
+    daily: { label: { zh: '每日工作摘要', en: 'Daily work digest', ja: '日次作業サマリー' }, periodMs: DAY_MS },
+    weekly: { label: { zh: '每周工作摘要', en: 'Weekly work digest', ja: '週次作業サマリー' }, periodMs: 7 * DAY_MS }
+  };
+  const DURATION_UNITS = {
+    zh: { seconds: (n) => `${n} 秒`, minutes: (n) => `${n} 分钟`, hours: (n) => `${n} 小时` },
+    en: { seconds: (n) => `${n}s`, minutes: (n) => `${n} min`, hours: (n) => `${n} h` },
+    ja: { seconds: (n) => `${n} 秒`, minutes: (n) => `${n} 分`, hours: (n) => `${n} 時間` }
+  };
+  const WEEKDAY_LABELS = ['周日', '周一', '周二', '周三', '周四', '周五', '周六'];
+  const DEFAULT_WORK_DIGEST_SCHEDULE = {
+    enabled: false,
+    frequency: 'daily',
+    time: '18:00',
+    weekday: 5
+  };
+
+  function normalizeWorkDigestFrequency(value) {
+    const frequency = String(value || '').trim().toLowerCase();
+    return Object.prototype.hasOwnProperty.call(WORK_DIGEST_FREQUENCIES, frequency) ? frequency : 'daily';
+  }
+
+  function parseDigestTime(value) {
+    const match = String(value || '').trim().match(/^(\d{1,2}):(\d{2})$/);
+    if (!match) return null;
+    const hours = Number(match[1]);
+    const minutes = Number(match[2]);
+    if (hours > 23 || minutes > 59) return null;
+    return { hours, minutes };
+  }
+
+  function normalizeWorkDigestSchedule(value) {
+    const source = value && typeof value === 'object' ? value : {};
+    const parsedTime = parseDigestTime(source.time) || parseDigestTime(DEFAULT_WORK_DIGEST_SCHEDULE.time);
+    const weekday = Number(source.weekday);
+    return {
+      enabled: source.enabled === true,
+      frequency: normalizeWorkDigestFrequency(source.frequency),
+      time: `${String(parsedTime.hours).padStart(2, '0')}:${String(parsedTime.minutes).padStart(2, '0')}`,
+      weekday: Number.isInteger(weekday) && weekday >= 0 && weekday <= 6 ? weekday : DEFAULT_WORK_DIGEST_SCHEDULE.weekday
+    };
+  }
+
+  // Next run strictly after `now`, or 0 when the schedule is disabled.
+  function computeNextWorkDigestRunAt(schedule, now = Date.now()) {
+    const normalized = normalizeWorkDigestSchedule(schedule);
+    if (!normalized.enabled) return 0;
+    const { hours, minutes } = parseDigestTime(normalized.time);
+    const next = new Date(now);
+    next.setHours(hours, minutes, 0, 0);
+    if (normalized.frequency === 'weekly') {
+      next.setDate(next.getDate() + ((normalized.weekday - next.getDay() + 7) % 7));
+      if (next.getTime() <= now) next.setDate(next.getDate() + 7);
+    } else if (next.getTime() <= now) {
+      next.setDate(next.getDate() + 1);
+    }
+    return next.getTime();
+  }
+
+  function resolveWorkDigestPeriod(frequency, runAt = Date.now()) {
+    const { periodMs } = WORK_DIGEST_FREQUENCIES[normalizeWorkDigestFrequency(frequency)];
+    return {
+      since: new Date(runAt - periodMs).toISOString(),
+      until: new Date(runAt).toISOString()
+    };
+  }
+
+  function pickDigestLanguage(language) {
+    return Object.prototype.hasOwnProperty.call(DURATION_UNITS, language) ? language : 'zh';
+  }
+
+  function formatDigestDuration(ms, language = 'zh') {
+    const units = DURATION_UNITS[pickDigestLanguage(language)];
+    const seconds = Math.max(0, Math.round((Number(ms) || 0) / 1000));
+    if (seconds < 60) return units.seconds(seconds);
+    const minutes = Math.round(seconds / 60);
+    if (minutes < 60) return units.minutes(minutes);
+    const hours = Math.floor(minutes / 60);
+    return minutes % 60 ? `${units.hours(hours)} ${units.minutes(minutes % 60)}` : units.hours(hours);
+  }
+
+  function getWorkDigestLabel(frequency, language = 'zh') {
+    return WORK_DIGEST_FREQUENCIES[normalizeWorkDigestFrequency(frequency)].label[pickDigestLanguage(language)];
+  }
+
+  return {
+    WEEKDAY_LABELS,
+    DEFAULT_WORK_DIGEST_SCHEDULE,
+    normalizeWorkDigestFrequency,
+    normalizeWorkDigestSchedule,
+    computeNextWorkDigestRunAt,
+    resolveWorkDigestPeriod,
+    formatDigestDuration,
+    getWorkDigestLabel
+  };
+});
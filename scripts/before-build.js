@@ -0,0 +1,16 @@
+// better-sqlite3 (the ARCHIVE_DRIVER=sqlite archive) is a native module that npm
+// builds for the Node ABI. `npmRebuild` stays off so the other dependencies are
+// packed as installed; only better-sqlite3 is rebuilt for the packaged Electron
+// version and the target arch, otherwise the app always falls back to JSONL.
+exports.default = async function beforeBuild(context) {
+  // @electron/rebuild is published as an ES module.
+  const { rebuild } = await import('@electron/rebuild');
+  await rebuild({
+    buildPath: context.appDir,
+    electronVersion: context.electronVersion,
+    arch: context.arch,
+    onlyModules: ['better-sqlite3'],
+    force: true
+  });
+  console.log(`[beforeBuild] better-sqlite3 rebuilt for Electron ${context.electronVersion} (${context.arch})`);
+};
@@ -0,0 +1,137 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const {
+  normalizeAnalysisBudget,
+  estimateTokens,
+  summarizeUsageByDay,
+  isBudgetExceeded,
+  formatTokenCount
+} = require('../renderer/analysis-usage');
+const { normalizeAuditEntry, createAnalysisAuditLog } = require('../main/analysis-audit');
+
+const NOW = Date.parse('2026-03-10T12:00:00.000Z');
+
+function createTempAuditContext(nowRef = { value: NOW }) {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'shaoterm-audit-test-'));
+  const dir = path.join(root, 'analysis-audit');
+  return {
+    dir,
+    nowRef,
+    log: createAnalysisAuditLog({ getAuditDir: () => dir, now: () => nowRef.value }),
+    dispose() {
+      fs.rmSync(root, { recursive: true, force: true });
+    }
+  };
+}
+
+test('budget and token helpers normalize input', () => {
+  assert.deepEqual(normalizeAnalysisBudget(), { dailyTokenLimit: 0 });
+  assert.deepEqual(normalizeAnalysisBudget({ dailyTokenLimit: '50000.4' }), { dailyTokenLimit: 50000 });
+  assert.deepEqual(normalizeAnalysisBudget({ dailyTokenLimit: -3 }), { dailyTokenLimit: 0 });
+  assert.equal(isBudgetExceeded({ totalTokens: 999 }, { dailyTokenLimit: 1000 }), false);
+  assert.equal(isBudgetExceeded({ totalTokens: 1000 }, { dailyTokenLimit: 1000 }), true);
+  assert.equal(isBudgetExceeded({ totalTokens: 1e9 }, { dailyTokenLimit: 0 }), false);
+  assert.equal(estimateTokens('npm test'), 2);
+  assert.equal(estimateTokens('测试通过 ok'), 5);
+  assert.equal(formatTokenCount(9999), '9999');
+  assert.equal(formatTokenCount(12345), '12.3k');
+});
+
+test('normalizeAuditEntry keeps only known fields and marks failures as fallback', () => {
+  const entry = normalizeAuditEntry({
+    ts: '2026-03-10T08:00:00.000Z',
+    tabId: 'tab-1',
+    purpose: 'unknown-purpose',
+    backend: 'anthropic',
+    model: 'claude-haiku-4-5',
+    promptTokens: '120',
+    completionTokens: -4,
+    latencyMs: 850.6,
+    error: 'Anthropic request failed (529):\n overloaded',
+    secret: 'should be dropped'
+  });
+  assert.deepEqual(entry, {
+    ts: '2026-03-10T08:00:00.000Z',
+    day: '2026-03-10',
+    tabId: 'tab-1',
+    purpose: 'topic',
+    backend: 'anthropic',
+    model: 'claude-haiku-4-5',
+    promptTokens: 120,
+    completionTokens: 0,
+    tokensEstimated: false,
+    latencyMs: 851,
+    outcome: 'fallback',
+    error: 'Anthropic request failed (529): overloaded'
+  });
+});
+
+test('audit log appends one JSONL file per day and keeps today totals in memory', () => {
+  const ctx = createTempAuditContext();
+  try {
+    ctx.log.record({ tabId: 'tab-1', purpose: 'heartbeat', backend: 'openai_compat', model: 'gpt-5.2', promptTokens: 900, completionTokens: 100, latencyMs: 1200, outcome: 'success' });
+    ctx.log.record({ tabId: 'tab-2', purpose: 'topic', backend: 'openai_compat', model: 'gpt-5.2', latencyMs: 300, outcome: 'fallback', error: 'timeout' });
+    ctx.log.record({ tabId: 'tab-2', purpose: 'archive_summary', backend: 'openai_compat', latencyMs: 400, outcome: 'cancelled', error: 'Analysis request was cancelled' });
+    ctx.log.record({ ts: '2026-03-09T23:00:00.000Z', purpose: 'work_digest', backend: 'local', promptTokens: 50, completionTokens: 50, tokensEstimated: true, outcome: 'success' });
+
+    assert.deepEqual(fs.readdirSync(ctx.dir).sort(), ['2026-03-09.jsonl', '2026-03-10.jsonl']);
+    const today = ctx.log.getDayTotals();
+    assert.equal(today.day, '2026-03-10');
+    assert.equal(today.requests, 3);
+    assert.equal(today.failures, 1, 'cancelled requests are not failures');
+    assert.equal(today.totalTokens, 1000);
+    assert.deepEqual(today.byPurpose, {
+      heartbeat: { requests: 1, totalTokens: 1000 },
+      topic: { requests: 1, totalTokens: 0 },
+      archive_summary: { requests: 1, totalTokens: 0 }
+    });
+
+    // A fresh log instance rebuilds today's totals from disk.
+    const reopened = createAnalysisAuditLog({ getAuditDir: () => ctx.dir, now: () => NOW });
+    assert.equal(reopened.getDayTotals().totalTokens, 1000);
+
+    const [day0, day1, day2] = ctx.log.summarize({ days: 3 });
+    assert.equal(day0.day, '2026-03-10');
+    assert.equal(day0.avgLatencyMs, 633);
+    assert.equal(day1.day, '2026-03-09');
+    assert.equal(day1.estimatedRequests, 1);
+    assert.equal(day1.totalTokens, 100);
+    assert.equal(day2.requests, 0);
+  } finally {
+    ctx.dispose();
+  }
+});
+
+test('today totals roll over at midnight and prune removes old day files', () => {
+  const ctx = createTempAuditContext();
+  try {
+    ctx.log.record({ purpose: 'heartbeat', promptTokens: 10, completionTokens: 5, outcome: 'success' });
+    ctx.nowRef.value = NOW + 24 * 60 * 60 * 1000;
+    assert.equal(ctx.log.getDayTotals().totalTokens, 0);
+    ctx.log.record({ purpose: 'heartbeat', promptTokens: 1, completionTokens: 1, outcome: 'success' });
+    assert.equal(ctx.log.getDayTotals().totalTokens, 2);
+
+    fs.writeFileSync(path.join(ctx.dir, '2025-01-01.jsonl'), '{"day":"2025-01-01"}\n');
+    fs.writeFileSync(path.join(ctx.dir, 'notes.txt'), 'keep');
+    assert.deepEqual(ctx.log.prune(), ['2025-01-01.jsonl']);
+    assert.deepEqual(fs.readdirSync(ctx.dir).sort(), ['2026-03-10.jsonl', '2026-03-11.jsonl', 'notes.txt']);
+  } finally {
+    ctx.dispose();
+  }
+});
+
+test('summarizeUsageByDay ignores entries outside the window and corrupt rows', () => {
+  const rows = summarizeUsageByDay([
+    { ts: '2026-03-10T01:00:00.000Z', purpose: 'archive_summary', promptTokens: 7, completionTokens: 3, outcome: 'success' },
+    { ts: '2026-02-01T01:00:00.000Z', promptTokens: 100, outcome: 'success' },
+    null
+  ], { days: 2, now: NOW });
+  assert.deepEqual(rows.map((row) => [row.day, row.requests, row.totalTokens]), [
+    ['2026-03-10', 1, 10],
+    ['2026-03-09', 0, 0]
+  ]);
+});
@@ -0,0 +1,80 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  resolveOutputLanguage,
+  normalizeAnalysisPromptSettings,
+  getDefaultTopic,
+  getDefaultPromptTemplate,
+  getEmptyHeartbeatReport,
+  findUnknownPromptVariables,
+  renderPromptTemplate,
+  buildPromptMessages,
+  buildWorkDigestMessages,
+  normalizeTopicText
+} = require('../renderer/analysis-prompts');
+
+test('output language follows the setting, or the system locale in auto mode', () => {
+  assert.equal(resolveOutputLanguage('en', 'zh-CN'), 'en');
+  assert.equal(resolveOutputLanguage('auto', 'zh-TW'), 'zh');
+  assert.equal(resolveOutputLanguage('auto', 'ja'), 'ja');
+  assert.equal(resolveOutputLanguage('auto', 'en-US'), 'en');
+  assert.equal(resolveOutputLanguage('auto', 'de_DE'), 'en');
+  assert.equal(resolveOutputLanguage('auto', ''), 'zh');
+  assert.equal(resolveOutputLanguage('fr', 'ja-JP'), 'ja');
+});
+
+test('prompt settings are normalized and empty templates mean the built-in ones', () => {
+  assert.deepEqual(normalizeAnalysisPromptSettings(), { language: 'auto', topicTemplate: '', heartbeatTemplate: '' });
+  const normalized = normalizeAnalysisPromptSettings({ language: 'EN', topicTemplate: '  Name it: {{log}}\r\n', heartbeatTemplate: 'x'.repeat(5000) });
+  assert.equal(normalized.language, 'en');
+  assert.equal(normalized.topicTemplate, 'Name it: {{log}}');
+  assert.equal(normalized.heartbeatTemplate.length, 4000);
+  assert.match(getDefaultPromptTemplate('topic', 'en'), /2-4 English words/);
+  assert.match(getDefaultPromptTemplate('heartbeat', 'ko'), /终端日志/);
+});
+
+test('templates render known variables and keep unknown placeholders', () => {
+  assert.deepEqual(findUnknownPromptVariables('{{ cwd }} {{branch}} {{log}} {{branch}}'), ['branch']);
+  assert.equal(
+    renderPromptTemplate('dir={{ cwd }} cli={{cli}} model={{model}} {{branch}}\n{{log}}', { cwd: '/repo', cli: 'codex', log: 'npm test' }, 'en'),
+    'dir=/repo cli=codex model=unknown {{branch}}\nnpm test'
+  );
+  // Without {{log}} the log is appended so the model still sees it.
+  assert.equal(renderPromptTemplate('只起名字', { log: 'cargo build' }, 'zh'), '只起名字\n\ncargo build');
+});
+
+test('buildPromptMessages pairs the language system prompt with the custom or default template', () => {
+  const [system, user] = buildPromptMessages('heartbeat', { topicTemplate: 'unused' }, 'en', { cwd: '/srv/api', log: 'PASS 12 tests' });
+  assert.equal(system.role, 'system');
+  assert.match(system.content, /strict JSON/);
+  assert.match(user.content, /Working directory: \/srv\/api/);
+  assert.match(user.content, /PASS 12 tests$/);
+
+  const [, custom] = buildPromptMessages('topic', { topicTemplate: 'Tab for {{cli}}: {{log}}' }, 'ja', { log: 'go test ./...' });
+  assert.equal(custom.content, 'Tab for 不明: go test ./...');
+});
+
+test('the empty-buffer heartbeat and the work digest prompt follow the output language', () => {
+  assert.deepEqual(getEmptyHeartbeatReport('zh'), { summary: '会话暂时无输出', analysis: '状态：等待新内容。' });
+  assert.match(getEmptyHeartbeatReport('en').analysis, /^Status: waiting/);
+  assert.match(getEmptyHeartbeatReport('ja').analysis, /^状態：/);
+
+  const [system, user] = buildWorkDigestMessages('en', '项目 /work/app\n- s1 ...');
+  assert.match(system.content, /strict JSON/);
+  assert.match(user.content, /^Write a work summary/);
+  assert.match(user.content, /Session statistics:\n项目 \/work\/app\n- s1 \.\.\.$/);
+  assert.match(buildWorkDigestMessages('ja', 'x')[1].content, /セッション統計：\nx$/);
+  assert.match(buildWorkDigestMessages('ko', 'x')[0].content, /团队工作日报/);
+});
+
+test('topic text is cleaned and capped per language', () => {
+  assert.equal(normalizeTopicText('“修复登录接口超时问题并补充测试”。', 'zh'), '修复登录接口超时问题并补');
+  assert.equal(normalizeTopicText('主题：数据库迁移', 'zh'), '数据库迁移');
+  assert.equal(normalizeTopicText('「認証のバグ修正」', 'ja'), '認証のバグ修正');
+  assert.equal(normalizeTopicText('Topic: "Fix flaky login tests in CI pipeline."\nBecause...', 'en'), 'Fix flaky login tests');
+  assert.equal(normalizeTopicText('Internationalization configuration refactoring', 'en'), 'Internationalization');
+  assert.equal(normalizeTopicText('  ', 'en'), 'New session');
+  assert.equal(normalizeTopicText('！？', 'ja'), getDefaultTopic('ja'));
+  assert.equal(getDefaultTopic('zh'), '新对话');
+});
@@ -0,0 +1,176 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  isRetryableStatus,
+  parseRetryAfterMs,
+  isCircuitOpenError,
+  createCancelledError,
+  isCancelledError,
+  createAnalysisScheduler
+} = require('../lib/analysis-scheduler');
+
+function httpError(status, retryAfter) {
+  const err = new Error(`request failed (${status})`);
+  err.status = status;
+  if (retryAfter !== undefined) err.retryAfter = retryAfter;
+  return err;
+}
+
+// Virtual clock: sleep() advances time instead of waiting.
+function createClock(start = Date.parse('2026-03-10T12:00:00.000Z')) {
+  const clock = { value: start, sleeps: [] };
+  clock.now = () => clock.value;
+  clock.sleep = async (ms) => {
+    clock.sleeps.push(ms);
+    clock.value += ms;
+  };
+  return clock;
+}
+
+test('retryable statuses and Retry-After parsing', () => {
+  assert.equal(isRetryableStatus(429), true);
+  assert.equal(isRetryableStatus(503), true);
+  assert.equal(isRetryableStatus(400), false);
+  assert.equal(isRetryableStatus(undefined), false);
+  const now = Date.parse('2026-03-10T12:00:00.000Z');
+  assert.equal(parseRetryAfterMs('3', now), 3000);
+  assert.equal(parseRetryAfterMs('0.5', now), 500);
+  assert.equal(parseRetryAfterMs('Tue, 10 Mar 2026 12:00:10 GMT', now), 10000);
+  assert.equal(parseRetryAfterMs('Tue, 10 Mar 2026 11:00:00 GMT', now), 0);
+  assert.equal(parseRetryAfterMs('', now), null);
+  assert.equal(parseRetryAfterMs('soon', now), null);
+});
+
+test('no more than `concurrency` tasks run at once', async () => {
+  const scheduler = createAnalysisScheduler({ concurrency: 2 });
+  let running = 0;
+  let peak = 0;
+  const task = async (value) => {
+    running += 1;
+    peak = Math.max(peak, running);
+    await new Promise((resolve) => setImmediate(resolve));
+    running -= 1;
+    return value;
+  };
+  const results = await Promise.all([1, 2, 3, 4, 5].map((value) => scheduler.schedule(() => task(value))));
+  assert.deepEqual(results, [1, 2, 3, 4, 5]);
+  assert.equal(peak, 2);
+  assert.equal(scheduler.getState().health, 'healthy');
+});
+
+test('429/5xx are retried with exponential backoff or the Retry-After delay', async () => {
+  const clock = createClock();
+  const scheduler = createAnalysisScheduler({ now: clock.now, sleep: clock.sleep, baseDelayMs: 1000, maxRetries: 2 });
+  const failures = [httpError(503), httpError(429, '7')];
+  const result = await scheduler.schedule(async () => {
+    if (failures.length > 0) throw failures.shift();
+    return 'ok';
+  });
+  assert.equal(result, 'ok');
+  assert.deepEqual(clock.sleeps, [1000, 7000]);
+  assert.equal(scheduler.getState().consecutiveFailures, 0);
+
+  let calls = 0;
+  await assert.rejects(scheduler.schedule(async () => {
+    calls += 1;
+    throw httpError(400);
+  }), /400/);
+  assert.equal(calls, 1);
+  assert.equal(scheduler.getState().health, 'degraded');
+});
+
+test('repeated failures open the circuit, fail fast, then probe after the cool-down', async () => {
+  const clock = createClock();
+  const states = [];
+  const scheduler = createAnalysisScheduler({
+    now: clock.now,
+    sleep: clock.sleep,
+    maxRetries: 0,
+    failureThreshold: 2,
+    cooldownMs: 60000,
+    onStateChange: (state) => states.push(state.health)
+  });
+  const timeout = () => Promise.reject(new Error('This operation was aborted'));
+
+  await assert.rejects(scheduler.schedule(timeout), /aborted/);
+  await assert.rejects(scheduler.schedule(timeout), /aborted/);
+  assert.equal(scheduler.getState().health, 'open');
+
+  let calls = 0;
+  const err = await scheduler.schedule(async () => { calls += 1; }).catch((error) => error);
+  assert.equal(isCircuitOpenError(err), true);
+  assert.equal(calls, 0);
+
+  clock.value += 60000;
+  assert.equal(scheduler.getState().health, 'half_open');
+  // The probe fails: the circuit re-opens for another cool-down.
+  await assert.rejects(scheduler.schedule(timeout), /aborted/);
+  assert.equal(scheduler.getState().health, 'open');
+
+  clock.value += 60000;
+  assert.equal(await scheduler.schedule(async () => 'back'), 'back');
+  assert.equal(scheduler.getState().health, 'healthy');
+  assert.deepEqual(states, ['degraded', 'open', 'half_open', 'open', 'half_open', 'healthy']);
+});
+
+test('a Retry-After longer than the backoff cap opens the circuit for that long', async () => {
+  const clock = createClock();
+  const scheduler = createAnalysisScheduler({ now: clock.now, sleep: clock.sleep, maxDelayMs: 30000, cooldownMs: 1000 });
+  await assert.rejects(scheduler.schedule(() => Promise.reject(httpError(429, '300'))), /429/);
+  assert.deepEqual(clock.sleeps, []);
+  const state = scheduler.getState();
+  assert.equal(state.health, 'open');
+  assert.equal(state.openUntil, new Date(clock.value + 300000).toISOString());
+});
+
+test('queued requests are rejected once the circuit opens', async () => {
+  const clock = createClock();
+  const scheduler = createAnalysisScheduler({ now: clock.now, sleep: clock.sleep, concurrency: 1, maxRetries: 0, failureThreshold: 1 });
+  let queuedCalls = 0;
+  const first = scheduler.schedule(() => Promise.reject(new Error('connect ECONNREFUSED')));
+  const queued = [1, 2, 3].map(() => scheduler.schedule(async () => { queuedCalls += 1; }).catch((err) => err));
+  await assert.rejects(first, /ECONNREFUSED/);
+  const errors = await Promise.all(queued);
+  assert.equal(errors.every(isCircuitOpenError), true);
+  assert.equal(queuedCalls, 0);
+});
+
+test('cancelled requests are dropped from the queue and never count as failures', async () => {
+  const clock = createClock();
+  const scheduler = createAnalysisScheduler({ now: clock.now, sleep: clock.sleep, concurrency: 1, failureThreshold: 1 });
+  const controller = new AbortController();
+  let release;
+  const running = scheduler.schedule(() => new Promise((resolve) => { release = resolve; }));
+  let queuedCalls = 0;
+  const queued = scheduler.schedule(async () => { queuedCalls += 1; }, { signal: controller.signal });
+  assert.equal(scheduler.getState().queued, 1);
+  controller.abort();
+  assert.equal(isCancelledError(await queued.catch((err) => err)), true);
+  assert.equal(scheduler.getState().queued, 0);
+  release('first');
+  assert.equal(await running, 'first');
+  assert.equal(queuedCalls, 0);
+
+  await assert.rejects(scheduler.schedule(() => Promise.reject(createCancelledError())), /cancelled/);
+  assert.equal(scheduler.getState().health, 'healthy');
+  const aborted = new AbortController();
+  aborted.abort();
+  assert.equal(isCancelledError(await scheduler.schedule(async () => 'never', { signal: aborted.signal }).catch((err) => err)), true);
+});
+
+test('a cancelled half-open probe lets the next request probe again', async () => {
+  const clock = createClock();
+  const scheduler = createAnalysisScheduler({ now: clock.now, sleep: clock.sleep, maxRetries: 0, failureThreshold: 1, cooldownMs: 60000 });
+  await assert.rejects(scheduler.schedule(() => Promise.reject(new Error('connect ECONNREFUSED'))), /ECONNREFUSED/);
+  const { openUntil } = scheduler.getState();
+
+  clock.value += 60000;
+  await assert.rejects(scheduler.schedule(() => Promise.reject(createCancelledError())), /cancelled/);
+  assert.equal(scheduler.getState().openUntil, openUntil);
+  assert.equal(scheduler.getState().health, 'half_open');
+
+  clock.value += 10 * 60000;
+  assert.equal(await scheduler.schedule(async () => 'probe'), 'probe');
+  assert.equal(scheduler.getState().health, 'healthy');
+});
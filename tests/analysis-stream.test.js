@@ -0,0 +1,98 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  linkAbortSignal,
+  createSseParser,
+  readChatCompletionStream,
+  extractPartialJsonFields
+} = require('../lib/analysis-stream');
+
+async function* chunksOf(parts) {
+  for (const part of parts) {
+    yield part;
+  }
+}
+
+function sseEvent(payload) {
+  return `data: ${typeof payload === 'string' ? payload : JSON.stringify(payload)}\n\n`;
+}
+
+test('SSE parser joins data lines, skips comments and handles events split across chunks', () => {
+  const events = [];
+  const parser = createSseParser((data) => events.push(data));
+  parser.push(': keep-alive\n\ndata: {"a"');
+  parser.push(':1}\r\n\r\nevent: ping\ndata: line one\ndata: line two\n');
+  assert.deepEqual(events, ['{"a":1}']);
+  parser.push('\n');
+  parser.push('data: tail');
+  parser.flush();
+  assert.deepEqual(events, ['{"a":1}', 'line one\nline two', 'tail']);
+});
+
+test('readChatCompletionStream accumulates deltas, usage and model until [DONE]', async () => {
+  const encoder = new TextEncoder();
+  const body = encoder.encode([
+    sseEvent({ model: 'gpt-5.2', choices: [{ delta: { role: 'assistant' } }] }),
+    sseEvent({ choices: [{ delta: { content: '{"summary":"完成' } }] }),
+    sseEvent({ choices: [{ delta: { content: '登录"}' } }] }),
+    sseEvent({ choices: [], usage: { prompt_tokens: 120, completion_tokens: 9 } }),
+    sseEvent('[DONE]'),
+    sseEvent({ choices: [{ delta: { content: 'ignored' } }] })
+  ].join(''));
+  // Split inside a multi-byte character to exercise the streaming decoder.
+  const cut = body.indexOf(0xe5) + 1;
+  const partials = [];
+  let chunks = 0;
+  const result = await readChatCompletionStream(chunksOf([body.slice(0, cut), body.slice(cut)]), {
+    onDelta: (text) => partials.push(text),
+    onChunk: () => { chunks += 1; }
+  });
+  assert.deepEqual(result, {
+    text: '{"summary":"完成登录"}',
+    model: 'gpt-5.2',
+    usage: { promptTokens: 120, completionTokens: 9 }
+  });
+  assert.deepEqual(partials, ['{"summary":"完成', '{"summary":"完成登录"}']);
+  assert.equal(chunks, 2);
+});
+
+test('readChatCompletionStream surfaces in-stream errors', async () => {
+  await assert.rejects(
+    readChatCompletionStream(chunksOf([sseEvent({ error: { message: 'context length exceeded' } })])),
+    /context length exceeded/
+  );
+});
+
+test('extractPartialJsonFields reads string fields from truncated JSON', () => {
+  assert.deepEqual(extractPartialJsonFields('{"summary":"完成登', ['summary', 'analysis']), { summary: '完成登' });
+  assert.deepEqual(
+    extractPartialJsonFields('{"summary": "跑通 \\"npm test\\"", "analysis":"下一步\\n提交 \\u4ee3', ['summary', 'analysis']),
+    { summary: '跑通 "npm test"', analysis: '下一步\n提交 代' }
+  );
+  // A cut-off escape is dropped rather than rendered half-way.
+  assert.deepEqual(extractPartialJsonFields('{"analysis":"路径 C:\\', ['analysis']), { analysis: '路径 C:' });
+  assert.deepEqual(extractPartialJsonFields('{"analysis":"x\\u4e', ['analysis']), { analysis: 'x' });
+  assert.deepEqual(extractPartialJsonFields('', ['summary']), {});
+});
+
+test('linkAbortSignal forwards aborts until unlinked', () => {
+  const source = new AbortController();
+  const linked = new AbortController();
+  const unlink = linkAbortSignal(linked, source.signal);
+  source.abort();
+  assert.equal(linked.signal.aborted, true);
+
+  const later = new AbortController();
+  const detached = new AbortController();
+  linkAbortSignal(detached, later.signal)();
+  later.abort();
+  assert.equal(detached.signal.aborted, false);
+
+  const early = new AbortController();
+  early.abort();
+  const target = new AbortController();
+  linkAbortSignal(target, early.signal);
+  assert.equal(target.signal.aborted, true);
+  unlink();
+});
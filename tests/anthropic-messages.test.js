@@ -0,0 +1,145 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+
+const {
+  normalizeAnalysisBackendSettings
+} = require('../renderer/analysis-backend');
+const {
+  normalizeAnthropicBaseUrl,
+  toAnthropicMessages,
+  requestAnthropicCompletion,
+  createAnthropicCompletion
+} = require('../lib/anthropic-messages');
+
+// The request tests need @anthropic-ai/sdk; they are skipped when dependencies
+// have not been installed.
+function isAnthropicSdkAvailable() {
+  try {
+    require.resolve('@anthropic-ai/sdk');
+    return true;
+  } catch (err) {
+    return false;
+  }
+}
+const SDK_SKIP = isAnthropicSdkAvailable() ? false : '@anthropic-ai/sdk 未安装';
+
+// Local stand-in for the Messages API: records each request and answers with the
+// next queued { status, body }.
+async function startMockServer(responses) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let raw = '';
+    req.on('data', (chunk) => { raw += chunk; });
+    req.on('end', () => {
+      requests.push({ method: req.method, url: req.url, headers: req.headers, body: raw ? JSON.parse(raw) : null });
+      const next = responses.shift() || { status: 500, body: { type: 'error', error: { type: 'api_error', message: 'no response queued' } } };
+      res.writeHead(next.status, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(next.body));
+    });
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  return {
+    requests,
+    baseUrl: `http://127.0.0.1:${server.address().port}`,
+    close: () => new Promise((resolve) => server.close(resolve))
+  };
+}
+
+function messageResponse(text) {
+  return {
+    status: 200,
+    body: {
+      id: 'msg_test',
+      type: 'message',
+      role: 'assistant',
+      model: 'claude-haiku-4-5',
+      content: [{ type: 'text', text }],
+      stop_reason: 'end_turn',
+      usage: { input_tokens: 12, output_tokens: 8 }
+    }
+  };
+}
+
+test('normalizeAnalysisBackendSettings defaults to the OpenAI-compatible backend', () => {
+  const defaults = normalizeAnalysisBackendSettings();
+  assert.equal(defaults.backend, 'openai_compat');
+  assert.deepEqual(defaults.anthropic, { apiKey: '', baseUrl: '', model: '' });
+  const anthropic = normalizeAnalysisBackendSettings({
+    backend: 'Anthropic',
+    anthropic: { apiKey: ' sk-ant ', baseUrl: 'https://proxy.local/', model: 'claude-sonnet-4-5' }
+  });
+  assert.equal(anthropic.backend, 'anthropic');
+  assert.deepEqual(anthropic.anthropic, { apiKey: 'sk-ant', baseUrl: 'https://proxy.local', model: 'claude-sonnet-4-5' });
+  assert.equal(normalizeAnalysisBackendSettings({ backend: 'gemini' }).backend, 'openai_compat');
+});
+
+test('base URL and chat messages are converted for the Messages API', () => {
+  assert.equal(normalizeAnthropicBaseUrl(''), 'https://api.anthropic.com');
+  assert.equal(normalizeAnthropicBaseUrl('localhost:8317/v1/'), 'http://localhost:8317');
+  assert.deepEqual(
+    toAnthropicMessages([
+      { role: 'system', content: '只输出 JSON' },
+      { role: 'user', content: '终端日志' }
+    ]),
+    { system: '只输出 JSON', messages: [{ role: 'user', content: '终端日志' }] }
+  );
+});
+
+test('createAnthropicCompletion posts to /v1/messages with its own key and model', { skip: SDK_SKIP }, async () => {
+  const server = await startMockServer([messageResponse('{"summary":"完成登录","analysis":"继续测试"}')]);
+  try {
+    const text = await createAnthropicCompletion([
+      { role: 'system', content: '你是终端会话监控分析助手。' },
+      { role: 'user', content: '终端日志：npm test 通过' }
+    ], 180, { apiKey: 'sk-ant-test', baseUrl: `${server.baseUrl}/v1`, model: 'claude-sonnet-4-5' });
+
+    assert.equal(text, '{"summary":"完成登录","analysis":"继续测试"}');
+    assert.equal(server.requests.length, 1);
+    const [request] = server.requests;
+    assert.equal(request.method, 'POST');
+    assert.equal(request.url, '/v1/messages');
+    assert.equal(request.headers['x-api-key'], 'sk-ant-test');
+    assert.ok(request.headers['anthropic-version']);
+    assert.equal(request.body.model, 'claude-sonnet-4-5');
+    assert.equal(request.body.max_tokens, 180);
+    assert.equal(request.body.system, '你是终端会话监控分析助手。');
+    assert.deepEqual(request.body.messages, [{ role: 'user', content: '终端日志：npm test 通过' }]);
+  } finally {
+    await server.close();
+  }
+});
+
+test('requestAnthropicCompletion reports the model and token usage', { skip: SDK_SKIP }, async () => {
+  const server = await startMockServer([messageResponse('主题')]);
+  try {
+    const result = await requestAnthropicCompletion([{ role: 'user', content: 'hi' }], 40, { apiKey: 'sk-ant-test', baseUrl: server.baseUrl });
+    assert.deepEqual(result, {
+      text: '主题',
+      model: 'claude-haiku-4-5',
+      usage: { promptTokens: 12, completionTokens: 8 }
+    });
+  } finally {
+    await server.close();
+  }
+});
+
+test('createAnthropicCompletion surfaces API errors without retrying', { skip: SDK_SKIP }, async () => {
+  const server = await startMockServer([
+    { status: 401, body: { type: 'error', error: { type: 'authentication_error', message: 'invalid x-api-key' } } }
+  ]);
+  try {
+    await assert.rejects(
+      createAnthropicCompletion([{ role: 'user', content: 'hi' }], 40, { apiKey: 'bad', baseUrl: server.baseUrl }),
+      /Anthropic request failed \(401\).*invalid x-api-key/
+    );
+    assert.equal(server.requests.length, 1);
+    assert.equal(server.requests[0].body.model, 'claude-haiku-4-5');
+  } finally {
+    await server.close();
+  }
+});
+
+test('createAnthropicCompletion refuses to send a request without an API key', async () => {
+  await assert.rejects(createAnthropicCompletion([{ role: 'user', content: 'hi' }], 40, {}), /API key is not configured/);
+});
@@ -0,0 +1,138 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  resolveAnalyticsRange,
+  summarizeConfirmWaits,
+  countDayActivity,
+  buildArchiveAnalytics
+} = require('../main/archive-store/analytics');
+const { formatActiveHours, formatPercent, buildHeatmapWeeks } = require('../renderer/analytics-utils');
+
+const NOW = Date.parse('2026-03-05T12:00:00.000Z');
+const MINUTE_MS = 60 * 1000;
+
+function confirm(ts, sessionId, eventType) {
+  return { ts: `2026-03-${ts}:00.000Z`, sessionId, eventType };
+}
+
+test('resolveAnalyticsRange covers whole UTC days up to now', () => {
+  assert.deepEqual(resolveAnalyticsRange({ days: 3, cwd: ' /work ' }, { maxQueryDays: 90 }, NOW), {
+    days: 3,
+    firstDay: '2026-03-03',
+    lastDay: '2026-03-05',
+    since: '2026-03-03T00:00:00.000Z',
+    until: '2026-03-05T12:00:00.000Z',
+    cwd: '/work'
+  });
+  assert.equal(resolveAnalyticsRange({}, {}, NOW).days, 30);
+  assert.equal(resolveAnalyticsRange({ days: 500 }, { maxQueryDays: 90 }, NOW).days, 90);
+});
+
+test('summarizeConfirmWaits pairs prompts per session and keeps open ones pending', () => {
+  const summary = summarizeConfirmWaits([
+    confirm('01T10:00', 's1', 'confirm_prompt'),
+    confirm('01T10:01', 's2', 'confirm_prompt'),
+    confirm('01T10:02', 's1', 'confirm_prompt'),
+    confirm('01T10:04', 's1', 'confirm_resolved'),
+    confirm('01T10:05', 's3', 'confirm_resolved'),
+    confirm('01T10:11', 's2', 'confirm_resolved'),
+    confirm('01T10:20', 's1', 'confirm_prompt')
+  ]);
+  assert.deepEqual(summary, {
+    prompts: 4,
+    resolved: 2,
+    pending: 1,
+    totalWaitMs: 14 * MINUTE_MS,
+    maxWaitMs: 10 * MINUTE_MS,
+    avgWaitMs: 7 * MINUTE_MS
+  });
+});
+
+test('buildArchiveAnalytics clips session spans to the range and fills empty days', () => {
+  const range = resolveAnalyticsRange({ days: 3 }, {}, NOW);
+  const analytics = buildArchiveAnalytics({
+    range,
+    sessions: [
+      { sessionId: 'old', cwd: '/work/app', cli: 'codex', startedAt: '2026-03-02T22:00:00.000Z', lastAt: '2026-03-03T01:00:00.000Z', endedAt: '2026-03-03T01:00:00.000Z', lastStatus: '阶段完成' },
+      { sessionId: 'live', cwd: '/work/app', cli: 'codex', model: 'gpt-5', startedAt: '2026-03-05T11:00:00.000Z', lastAt: '2026-03-05T11:30:00.000Z', endedAt: null, lastStatus: '异常' },
+      { sessionId: 'site', cwd: '/work/site', cli: 'claude', startedAt: '2026-03-04T09:00:00.000Z', lastAt: '2026-03-04T09:15:00.000Z', endedAt: '2026-03-04T09:15:00.000Z', lastStatus: '阶段完成' },
+      { sessionId: 'before', cwd: '/work/app', startedAt: '2026-03-01T09:00:00.000Z', lastAt: '2026-03-01T10:00:00.000Z' }
+    ],
+    activityRecords: [
+      { ts: '2026-03-03T00:30:00.000Z', sessionId: 'old', eventType: 'heartbeat', status: '阶段完成' },
+      { ts: '2026-03-04T09:10:00.000Z', sessionId: 'site', eventType: 'heartbeat', status: '阶段完成' },
+      { ts: '2026-03-05T11:30:00.000Z', sessionId: 'live', eventType: 'heartbeat', status: '异常' }
+    ],
+    dayActivity: countDayActivity([
+      { ts: '2026-03-03T00:30:00.000Z', sessionId: 'old' },
+      { ts: '2026-03-05T11:00:00.000Z', sessionId: 'live' },
+      { ts: '2026-03-05T11:30:00.000Z', sessionId: 'live' }
+    ])
+  });
+
+  assert.equal(analytics.totals.sessions, 3);
+  assert.equal(analytics.totals.errorSessions, 1);
+  assert.equal(analytics.totals.activeMs, (60 + 30 + 15) * MINUTE_MS);
+  assert.deepEqual(
+    analytics.projects.map((project) => [project.cwd, project.sessions, project.activeMs]),
+    [['/work/app', 2, 90 * MINUTE_MS], ['/work/site', 1, 15 * MINUTE_MS]]
+  );
+  assert.deepEqual(analytics.clis, [{ value: 'codex', count: 2 }, { value: 'claude', count: 1 }]);
+  assert.deepEqual(analytics.models, [{ value: '(未知)', count: 2 }, { value: 'gpt-5', count: 1 }]);
+  assert.deepEqual(analytics.heatmap, [
+    { day: '2026-03-03', events: 1, sessions: 1 },
+    { day: '2026-03-04', events: 0, sessions: 0 },
+    { day: '2026-03-05', events: 2, sessions: 1 }
+  ]);
+  assert.equal(analytics.totals.events, 3);
+});
+
+test('buildArchiveAnalytics takes the status from the last heartbeat, not from end records', () => {
+  const range = resolveAnalyticsRange({ days: 3 }, {}, NOW);
+  // tab_closed rewrote the index lastStatus of both sessions to 会话结束.
+  const sessions = ['s1', 's2'].map((sessionId) => ({
+    sessionId,
+    cwd: '/work/app',
+    startedAt: '2026-03-05T09:00:00.000Z',
+    lastAt: '2026-03-05T10:00:00.000Z',
+    endedAt: '2026-03-05T10:00:00.000Z',
+    lastStatus: '会话结束'
+  }));
+  const analytics = buildArchiveAnalytics({
+    range,
+    sessions,
+    activityRecords: [
+      { ts: '2026-03-05T09:10:00.000Z', sessionId: 's1', eventType: 'heartbeat', status: '异常' },
+      { ts: '2026-03-05T09:20:00.000Z', sessionId: 's1', eventType: 'tab_closed', status: '会话结束' },
+      { ts: '2026-03-05T09:10:00.000Z', sessionId: 's2', eventType: 'heartbeat', status: '异常' },
+      { ts: '2026-03-05T09:30:00.000Z', sessionId: 's2', eventType: 'confirm_prompt', status: '等待确认' },
+      { ts: '2026-03-05T09:33:00.000Z', sessionId: 's2', eventType: 'confirm_resolved', status: '' }
+    ],
+    dayActivity: []
+  });
+  assert.equal(analytics.totals.errorSessions, 1);
+  assert.equal(analytics.totals.errorRatio, 0.5);
+  assert.deepEqual(analytics.statuses, [{ value: '异常', count: 1 }, { value: '等待确认', count: 1 }]);
+  assert.equal(analytics.confirmWait.avgWaitMs, 3 * MINUTE_MS);
+});
+
+test('dashboard helpers format hours and lay the heatmap out in Monday-first weeks', () => {
+  assert.equal(formatActiveHours(25 * MINUTE_MS), '25 分钟');
+  assert.equal(formatActiveHours(90 * MINUTE_MS), '1.5 小时');
+  assert.equal(formatActiveHours(12.4 * 60 * MINUTE_MS), '12 小时');
+  assert.equal(formatPercent(1 / 3), '33%');
+
+  // 2026-03-04 is a Wednesday, 2026-03-09 the following Monday.
+  const { max, weeks } = buildHeatmapWeeks([
+    { day: '2026-03-04', events: 8 },
+    { day: '2026-03-05', events: 0 },
+    { day: '2026-03-08', events: 3 },
+    { day: '2026-03-09', events: 1 }
+  ]);
+  assert.equal(max, 8);
+  assert.equal(weeks.length, 2);
+  assert.deepEqual(weeks[0].map((cell) => cell && cell.level), [null, null, 4, 0, null, null, 2]);
+  assert.deepEqual(weeks[1][0], { day: '2026-03-09', value: 1, level: 1 });
+  assert.deepEqual(weeks[1].slice(1), [null, null, null, null, null, null]);
+});
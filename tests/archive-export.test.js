@@ -0,0 +1,90 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  normalizeExportFormat,
+  exportFormatIncludesDigest,
+  buildExportFileName,
+  groupRecordsByProject,
+  buildRecordsCsv,
+  buildMarkdownReport,
+  buildArchiveExport
+} = require('../main/archive-export');
+
+const RECORDS = [
+  { ts: '2026-03-02T09:30:00.000Z', sessionId: 's2', tabId: 't2', cwd: '/work/beta', eventType: 'heartbeat', status: '异常', summary: '构建失败', analysis: 'exit 1, "tsc" 报错', cli: 'claude', model: 'sonnet' },
+  { ts: '2026-03-02T09:00:00.000Z', sessionId: 's1', tabId: 't1', cwd: '/work/alpha', eventType: 'heartbeat', status: '进行中', summary: '修复登录', analysis: '' },
+  { ts: '2026-03-02T08:00:00.000Z', sessionId: 's1', tabId: 't1', cwd: '/work/alpha', eventType: 'session_start', status: '进行中', summary: '会话已启动', analysis: '' },
+  { ts: '2026-03-01T08:00:00.000Z', sessionId: 's0', tabId: 't0', cwd: '/work/alpha', eventType: 'heartbeat', status: '阶段完成', summary: '发布完成', analysis: '' }
+];
+
+test('normalizeExportFormat falls back to markdown', () => {
+  assert.equal(normalizeExportFormat('CSV'), 'csv');
+  assert.equal(normalizeExportFormat('md'), 'markdown');
+  assert.equal(normalizeExportFormat('pdf'), 'markdown');
+  assert.equal(buildExportFileName('json', new Date(2026, 2, 4, 7, 5)), 'shaoterm-archive-20260304-0705.json');
+});
+
+test('only markdown and JSON exports request the AI digest', () => {
+  assert.equal(exportFormatIncludesDigest('csv'), false);
+  assert.equal(exportFormatIncludesDigest('markdown'), true);
+  assert.equal(exportFormatIncludesDigest('json'), true);
+});
+
+test('groupRecordsByProject orders by latest activity and sessions chronologically', () => {
+  const groups = groupRecordsByProject(RECORDS);
+  assert.deepEqual(groups.map((group) => group.cwd), ['/work/beta', '/work/alpha']);
+  assert.deepEqual(groups[1].sessions.map((session) => session.sessionId), ['s1', 's0']);
+  assert.deepEqual(groups[1].sessions[0].records.map((record) => record.summary), ['会话已启动', '修复登录']);
+});
+
+test('buildRecordsCsv escapes quotes and commas', () => {
+  const csv = buildRecordsCsv(RECORDS.slice(0, 1));
+  assert.ok(csv.startsWith('\ufeffts,sessionId,tabId,cwd,eventType,status,summary,analysis,'));
+  const row = csv.split('\r\n')[1];
+  assert.match(row, /"exit 1, ""tsc"" 报错"/);
+  assert.match(row, /,claude,,sonnet,,$/);
+});
+
+test('buildRecordsCsv neutralizes spreadsheet formulas from terminal text', () => {
+  const csv = buildRecordsCsv([{ summary: '=HYPERLINK("http://x","y")', analysis: '+1', reason: '-rm', source: '@SUM(A1)', cli: 'a=b' }]);
+  const row = csv.split('\r\n')[1];
+  assert.match(row, /,"'=HYPERLINK\(""http:\/\/x"",""y""\)",'\+1,a=b,/);
+  assert.match(row, /,'-rm,'@SUM\(A1\)$/);
+});
+
+test('buildMarkdownReport groups by project and puts the digest first', () => {
+  const markdown = buildMarkdownReport({
+    records: RECORDS,
+    query: { days: 7, keyword: '登录' },
+    total: 10,
+    digest: { summary: '本周主要在修登录', analysis: '构建仍有失败' },
+    generatedAt: '2026-03-03T00:00:00.000Z'
+  });
+  assert.match(markdown, /- 筛选条件：最近 7 天，关键词“登录”/);
+  assert.match(markdown, /导出最新 4 条（共 10 条）/);
+  const digestAt = markdown.indexOf('## AI 摘要');
+  const betaAt = markdown.indexOf('## beta');
+  const alphaAt = markdown.indexOf('## alpha');
+  assert.ok(digestAt > 0 && digestAt < betaAt && betaAt < alphaAt);
+  assert.match(markdown, /### 会话 s1\n\n2026-03-02 08:00 → 2026-03-02 09:00，2 条记录/);
+  assert.match(markdown, /- 2026-03-02 09:30 心跳 \[异常\] 构建失败 — exit 1/);
+  assert.match(markdown, /（claude · sonnet）/);
+});
+
+test('buildArchiveExport returns a JSON bundle with the digest error', () => {
+  const bundle = buildArchiveExport({
+    format: 'json',
+    records: RECORDS,
+    query: { days: 7 },
+    total: 4,
+    digest: { error: 'timeout' },
+    generatedAt: '2026-03-03T00:00:00.000Z'
+  });
+  assert.equal(bundle.extension, 'json');
+  const parsed = JSON.parse(bundle.content);
+  assert.equal(parsed.kind, 'shaoterm-archive-export');
+  assert.equal(parsed.exported, 4);
+  assert.deepEqual(parsed.digest, { error: 'timeout' });
+  assert.equal(parsed.records[0].sessionId, 's2');
+});
@@ -0,0 +1,130 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { createArchiveStore } = require('../main/archive-store');
+const { readArchiveFileLines, scanArchiveIntegrity } = require('../main/archive-store/integrity');
+
+function createArchiveRoot() {
+  return fs.mkdtempSync(path.join(os.tmpdir(), 'shaoterm-integrity-'));
+}
+
+function writeLines(root, relativePath, lines) {
+  const filePath = path.join(root, relativePath);
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, `${lines.join('\n')}\n`, 'utf8');
+  return filePath;
+}
+
+const GOOD_LINES = [
+  JSON.stringify({ ts: '2026-03-01T08:00:00.000Z', sessionId: 's1', tabId: 't1', cwd: '/work/app', eventType: 'session_start', status: '进行中', summary: '会话已启动', cli: 'codex' }),
+  JSON.stringify({ ts: '2026-03-01T08:10:00.000Z', sessionId: 's1', tabId: 't1', cwd: '/work/app', eventType: 'heartbeat', status: '异常', summary: '构建失败', analysis: 'tsc 报错' }),
+  JSON.stringify({ ts: '2026-03-01T08:20:00.000Z', sessionId: 's1', tabId: 't1', cwd: '/work/app', eventType: 'tab_closed', status: '阶段完成', summary: '标签页已关闭，会话结束' })
+];
+
+test('readArchiveFileLines separates corrupt and ts-less lines', () => {
+  const root = createArchiveRoot();
+  try {
+    const filePath = writeLines(root, '2026-03-01/s1.jsonl', [GOOD_LINES[0], '{"ts":"2026-03-01T08:05', '[1,2]', '{"summary":"no ts"}', GOOD_LINES[1]]);
+    const { records, badLines } = readArchiveFileLines(filePath);
+    assert.equal(records.length, 2);
+    assert.equal(badLines.length, 3);
+  } finally {
+    fs.rmSync(root, { recursive: true, force: true });
+  }
+});
+
+test('scanArchiveIntegrity reports without touching files unless repairing', () => {
+  const root = createArchiveRoot();
+  try {
+    const filePath = writeLines(root, '2026-03-01/s1.jsonl', [GOOD_LINES[0], 'garbage', GOOD_LINES[1]]);
+    const before = fs.readFileSync(filePath, 'utf8');
+    const { report } = scanArchiveIntegrity(root);
+    assert.equal(report.repaired, false);
+    assert.equal(report.badLines, 1);
+    assert.deepEqual(report.quarantinedFiles, []);
+    assert.equal(fs.readFileSync(filePath, 'utf8'), before);
+    assert.equal(fs.existsSync(`${filePath}.bad`), false);
+  } finally {
+    fs.rmSync(root, { recursive: true, force: true });
+  }
+});
+
+test('verifyAndRepair quarantines bad lines and rebuilds index.json from records', () => {
+  const root = createArchiveRoot();
+  try {
+    const filePath = writeLines(root, '2026-03-01/s1.jsonl', [GOOD_LINES[0], 'garbage{', GOOD_LINES[1], GOOD_LINES[2]]);
+    writeLines(root, '2026-03-02/s2.jsonl', ['not json']);
+    fs.writeFileSync(path.join(root, '2026-03-01/s1.cast'), '{"version":2}\n', 'utf8');
+    fs.writeFileSync(path.join(root, 'index.json'), JSON.stringify({
+      version: 1,
+      sessions: {
+        s1: { sessionId: 's1', isAiSession: true, eventCount: 99 },
+        gone: { sessionId: 'gone', archivePath: '2026-01-01/gone.jsonl' }
+      }
+    }), 'utf8');
+
+    const store = createArchiveStore({ getArchiveRootDir: () => root });
+    const report = store.verifyAndRepair();
+    assert.equal(report.filesScanned, 2);
+    assert.equal(report.records, 3);
+    assert.equal(report.badLines, 2);
+    assert.deepEqual(report.quarantinedFiles.sort(), [path.join('2026-03-01', 's1.jsonl'), path.join('2026-03-02', 's2.jsonl')]);
+    assert.equal(report.rebuiltSessions, 1);
+    assert.equal(report.staleSessions, 1);
+
+    assert.equal(fs.readFileSync(filePath, 'utf8'), `${[GOOD_LINES[0], GOOD_LINES[1], GOOD_LINES[2]].join('\n')}\n`);
+    assert.equal(fs.readFileSync(`${filePath}.bad`, 'utf8'), 'garbage{\n');
+
+    const index = JSON.parse(fs.readFileSync(path.join(root, 'index.json'), 'utf8'));
+    assert.deepEqual(Object.keys(index.sessions), ['s1']);
+    const session = index.sessions.s1;
+    assert.equal(session.eventCount, 3);
+    assert.equal(session.startedAt, '2026-03-01T08:00:00.000Z');
+    assert.equal(session.endedAt, '2026-03-01T08:20:00.000Z');
+    assert.equal(session.lastSummary, '标签页已关闭，会话结束');
+    assert.equal(session.cli, 'codex');
+    assert.equal(session.isAiSession, true);
+    assert.equal(session.archivePath, path.join('2026-03-01', 's1.jsonl'));
+    assert.equal(session.recordingPath, path.join('2026-03-01', 's1.cast'));
+    assert.equal(fs.existsSync(path.join(root, 'index.json.tmp')), false);
+
+    assert.equal(store.verifyAndRepair().badLines, 0);
+  } finally {
+    fs.rmSync(root, { recursive: true, force: true });
+  }
+});
+
+test('a corrupt index.json is moved aside instead of being overwritten', () => {
+  const root = createArchiveRoot();
+  try {
+    writeLines(root, '2026-03-01/s1.jsonl', GOOD_LINES);
+    fs.writeFileSync(path.join(root, 'index.json'), '{"version":1,"sessions":{"s1":', 'utf8');
+
+    const store = createArchiveStore({ getArchiveRootDir: () => root });
+    store.upsertSessionMeta({ sessionId: 's9', cwd: '/tmp' });
+    assert.equal(fs.readFileSync(path.join(root, 'index.json.bad'), 'utf8'), '{"version":1,"sessions":{"s1":');
+
+    const report = store.verifyAndRepair();
+    assert.equal(report.indexRecovered, true);
+    const sessions = store.listSessions().sessions.map((session) => session.sessionId);
+    assert.deepEqual(sessions, ['s1']);
+  } finally {
+    fs.rmSync(root, { recursive: true, force: true });
+  }
+});
+
+test('files of open sessions are reported but not rewritten', () => {
+  const root = createArchiveRoot();
+  try {
+    const filePath = writeLines(root, '2026-03-01/s1.jsonl', [GOOD_LINES[0], 'garbage']);
+    const store = createArchiveStore({ getArchiveRootDir: () => root });
+    const report = store.verifyAndRepair({ protectedSessionIds: new Set(['s1']) });
+    assert.deepEqual(report.skippedOpenFiles, [path.join('2026-03-01', 's1.jsonl')]);
+    assert.match(fs.readFileSync(filePath, 'utf8'), /garbage/);
+  } finally {
+    fs.rmSync(root, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,59 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  normalizeArchiveRetention,
+  parsePinnedCwdsText,
+  isCwdPinned
+} = require('../renderer/archive-retention');
+const { planArchiveRetention } = require('../main/archive-store/retention');
+
+const NOW = Date.parse('2026-03-31T12:00:00Z');
+const MB = 1024 * 1024;
+
+function unit(day, sessionId, size = MB) {
+  return { day, sessionId, files: [`/archive/${day}/${sessionId}.jsonl`], size, mtimeMs: Date.parse(`${day}T12:00:00Z`) };
+}
+
+test('normalizeArchiveRetention clamps values and dedupes pinned cwds', () => {
+  assert.deepEqual(normalizeArchiveRetention(), { days: 30, maxSizeMb: 0, pinnedCwds: [] });
+  assert.deepEqual(
+    normalizeArchiveRetention({ days: '0', maxSizeMb: -5, pinnedCwds: ['/work/app/', '/work/app', ' ', 42] }),
+    { days: 1, maxSizeMb: 0, pinnedCwds: ['/work/app', '42'] }
+  );
+  assert.deepEqual(parsePinnedCwdsText('/a\r\n\n  /b  \n/a'), ['/a', '/b']);
+});
+
+test('isCwdPinned matches the pinned directory and its children only', () => {
+  const pinned = ['/work/app', 'C:\\repos\\tool'];
+  assert.equal(isCwdPinned('/work/app', pinned), true);
+  assert.equal(isCwdPinned('/work/app/packages/ui', pinned), true);
+  assert.equal(isCwdPinned('/work/application', pinned), false);
+  assert.equal(isCwdPinned('C:\\repos\\tool\\src', pinned), true);
+  assert.equal(isCwdPinned('', pinned), false);
+});
+
+test('planArchiveRetention removes expired units but keeps pinned and open sessions', () => {
+  const units = [unit('2026-02-01', 'old'), unit('2026-02-02', 'old-pinned'), unit('2026-02-03', 'old-open'), unit('2026-03-30', 'fresh')];
+  const plan = planArchiveRetention(units, {
+    policy: { days: 30, pinnedCwds: ['/keep'] },
+    now: NOW,
+    resolveCwd: (sessionId) => (sessionId === 'old-pinned' ? '/keep/sub' : '/tmp'),
+    protectedSessionIds: new Set(['old-open'])
+  });
+  assert.deepEqual(plan.removals.map((item) => [item.sessionId, item.reason]), [['old', 'age']]);
+  assert.equal(plan.pinnedUnits, 1);
+  assert.equal(plan.totalBytes, 4 * MB);
+  assert.equal(plan.remainingBytes, 3 * MB);
+});
+
+test('planArchiveRetention trims the oldest units to fit the size cap', () => {
+  const units = [unit('2026-03-29', 'c'), unit('2026-03-27', 'a'), unit('2026-03-28', 'b'), unit('2026-03-26', 'pinned')];
+  const plan = planArchiveRetention(units, {
+    policy: { days: 30, maxSizeMb: 2, pinnedCwds: ['/keep'] },
+    now: NOW,
+    resolveCwd: (sessionId) => (sessionId === 'pinned' ? '/keep' : '/tmp')
+  });
+  assert.deepEqual(plan.removals.map((item) => [item.sessionId, item.reason]), [['a', 'size'], ['b', 'size']]);
+  assert.equal(plan.remainingBytes, 2 * MB);
+});
@@ -0,0 +1,347 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { createArchiveStore, isSqliteAvailable } = require('../main/archive-store');
+
+// Every scenario runs against both drivers; SQLite is skipped when neither
+// better-sqlite3 nor node:sqlite can be loaded.
+const DRIVERS = [
+  { driver: 'jsonl', skip: false },
+  { driver: 'sqlite', skip: isSqliteAvailable() ? false : 'SQLite 驱动不可用' }
+];
+
+function createDriverContext(driver) {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), `shaoterm-parity-${driver}-`));
+  const store = createArchiveStore({
+    driver,
+    getArchiveRootDir: () => root,
+    resolveSessionIdByTab: (tabId) => (tabId === 'tab-live' ? 'session-live' : ''),
+    maxQueryDays: 90,
+    maxQueryLimit: 200,
+    defaultQueryDays: 14,
+    defaultQueryLimit: 40
+  });
+
+  const sessionFiles = new Map();
+
+  // Mirrors main.js: a session keeps the file of its first day, the JSONL line is
+  // written first and then the store is told about it.
+  function appendRecord(record) {
+    if (!sessionFiles.has(record.sessionId)) {
+      sessionFiles.set(record.sessionId, path.join(record.ts.slice(0, 10), `${record.sessionId}.jsonl`));
+    }
+    const relativePath = sessionFiles.get(record.sessionId);
+    const filePath = path.join(root, relativePath);
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.appendFileSync(filePath, `${JSON.stringify(record)}\n`, 'utf8');
+    store.append(record, {
+      filePath,
+      sessionMeta: {
+        sessionId: record.sessionId,
+        tabId: record.tabId,
+        cwd: record.cwd,
+        cli: record.cli,
+        model: record.model,
+        startedAt: record.startedAt,
+        lastAt: record.ts,
+        incrementEventCount: true,
+        lastSummary: record.summary,
+        lastAnalysis: record.analysis,
+        lastStatus: record.status,
+        archivePath: relativePath
+      }
+    });
+  }
+
+  return {
+    root,
+    store,
+    appendRecord,
+    dispose() {
+      if (typeof store.close === 'function') store.close();
+      fs.rmSync(root, { recursive: true, force: true });
+    }
+  };
+}
+
+function isoMinutesAgo(minutes) {
+  return new Date(Date.now() - minutes * 60 * 1000).toISOString();
+}
+
+function seedRecords(ctx) {
+  const base = { cwd: '/work/alpha', eventType: 'heartbeat', status: '进行中', cli: 'codex', model: 'gpt-5' };
+  const records = [
+    { ...base, ts: isoMinutesAgo(50), sessionId: 'session-a', tabId: 'tab-a', eventType: 'session_start', summary: '会话已启动', analysis: '' },
+    { ...base, ts: isoMinutesAgo(40), sessionId: 'session-a', tabId: 'tab-a', summary: '修复登录失败', analysis: '登录接口返回 500，正在排查 building 流程' },
+    { ...base, ts: isoMinutesAgo(30), sessionId: 'session-a', tabId: 'tab-a', eventType: 'confirm_prompt', status: '待输入', summary: '等待确认删除文件', analysis: '' },
+    { ...base, ts: isoMinutesAgo(20), sessionId: 'session-b', tabId: 'tab-b', cwd: '/work/beta', cli: 'claude', model: 'sonnet', summary: '整理文档', analysis: '顺带提到登录 build ok' },
+    { ...base, ts: isoMinutesAgo(10), sessionId: 'session-b', tabId: 'tab-b', cwd: '/work/beta', cli: 'claude', model: 'sonnet', status: '异常', summary: '构建失败', analysis: 'npm run build exited 1' }
+  ];
+  for (const record of records) {
+    ctx.appendRecord(record);
+  }
+  return records;
+}
+
+for (const { driver, skip } of DRIVERS) {
+  test(`[${driver}] query filters by tab, event type and cwd, newest first`, { skip }, () => {
+    const ctx = createDriverContext(driver);
+    try {
+      seedRecords(ctx);
+      const byTab = ctx.store.query({ days: 1, tabId: 'tab-a' });
+      assert.equal(byTab.total, 3);
+      assert.deepEqual(byTab.records.map((record) => record.summary), ['等待确认删除文件', '修复登录失败', '会话已启动']);
+
+      assert.equal(ctx.store.query({ days: 1, eventType: 'confirm_prompt' }).total, 1);
+      assert.equal(ctx.store.query({ days: 1, cwd: 'beta' }).total, 2);
+      assert.equal(ctx.store.query({ days: 1, limit: 2 }).records.length, 2);
+      assert.equal(ctx.store.query({ days: 1, limit: 2 }).total, 5);
+    } finally {
+      ctx.dispose();
+    }
+  });
+
+  test(`[${driver}] keyword queries rank, match phrases and report index hits`, { skip }, () => {
+    const ctx = createDriverContext(driver);
+    try {
+      seedRecords(ctx);
+      const ranked = ctx.store.query({ days: 1, keyword: '登录' });
+      assert.equal(ranked.total, 2);
+      assert.equal(ranked.records[0].summary, '修复登录失败');
+      assert.equal(ranked.stats.fullText, true);
+      assert.equal(ranked.stats.indexHits, 2);
+
+      assert.deepEqual(
+        ctx.store.query({ days: 1, keyword: '"登录失败"' }).records.map((record) => record.summary),
+        ['修复登录失败']
+      );
+      assert.deepEqual(
+        ctx.store.query({ days: 1, keyword: 'build', sort: 'time' }).records.map((record) => record.summary),
+        ['构建失败', '整理文档', '修复登录失败']
+      );
+      assert.equal(ctx.store.query({ days: 1, keyword: '删' }).total, 1);
+      assert.equal(ctx.store.query({ days: 1, keyword: '登录 文档' }).total, 1);
+      assert.equal(ctx.store.query({ days: 1, keyword: '!!!' }).total, 0);
+
+      const legacy = ctx.store.query({ days: 1, keyword: '登录', queryMode: 'legacy' });
+      assert.equal(legacy.total, 2);
+      assert.equal(legacy.stats.fullText, false);
+
+      // Keywords made only of punctuation have no index tokens and fall back to a substring scan.
+      ctx.appendRecord({
+        ts: isoMinutesAgo(5),
+        sessionId: 'session-b',
+        tabId: 'tab-b',
+        cwd: '/work/beta',
+        eventType: 'heartbeat',
+        status: '进行中',
+        summary: '检查退出码',
+        analysis: 'echo $? -> 2'
+      });
+      for (const keyword of ['->', '$?']) {
+        const punctuation = ctx.store.query({ days: 1, keyword });
+        assert.deepEqual(punctuation.records.map((record) => record.summary), ['检查退出码']);
+        assert.equal(punctuation.stats.fullText, false);
+      }
+
+      // Substrings of longer words still match, as the file scan did.
+      ctx.appendRecord({
+        ts: isoMinutesAgo(4),
+        sessionId: 'session-b',
+        tabId: 'tab-b',
+        cwd: '/work/beta',
+        eventType: 'heartbeat',
+        status: '异常',
+        summary: '类型错误',
+        analysis: 'TypeError: x is undefined in build.ts'
+      });
+      const substring = ctx.store.query({ days: 1, keyword: 'error' });
+      assert.deepEqual(substring.records.map((record) => record.summary), ['类型错误']);
+      assert.equal(substring.stats.fullText, true);
+    } finally {
+      ctx.dispose();
+    }
+  });
+
+  test(`[${driver}] known sessions are returned whole regardless of days`, { skip }, () => {
+    const ctx = createDriverContext(driver);
+    try {
+      const oldTs = new Date(Date.now() - 20 * 24 * 60 * 60 * 1000).toISOString();
+      ctx.appendRecord({ ts: oldTs, sessionId: 'session-live', tabId: 'tab-live', cwd: '/tmp', eventType: 'heartbeat', status: '进行中', summary: '旧记录', analysis: '' });
+      ctx.appendRecord({ ts: isoMinutesAgo(1), sessionId: 'session-live', tabId: 'tab-live', cwd: '/tmp', eventType: 'heartbeat', status: '进行中', summary: '新记录', analysis: '' });
+
+      assert.equal(ctx.store.query({ days: 1 }).total, 0);
+      assert.equal(ctx.store.query({ days: 1, sessionId: 'session-live' }).total, 2);
+      assert.equal(ctx.store.query({ days: 1, tabId: 'tab-live' }).total, 2);
+    } finally {
+      ctx.dispose();
+    }
+  });
+
+  test(`[${driver}] session metadata merges and lists with facets`, { skip }, () => {
+    const ctx = createDriverContext(driver);
+    try {
+      seedRecords(ctx);
+      ctx.store.upsertSessionMeta({ sessionId: 'session-a', endedAt: isoMinutesAgo(5), lastAt: isoMinutesAgo(5), lastStatus: '阶段完成' });
+
+      const all = ctx.store.listSessions();
+      assert.deepEqual(all.sessions.map((session) => session.sessionId), ['session-a', 'session-b']);
+      const sessionA = all.sessions[0];
+      assert.equal(sessionA.eventCount, 3);
+      assert.equal(sessionA.cwd, '/work/alpha');
+      assert.equal(sessionA.lastStatus, '阶段完成');
+      assert.equal(sessionA.lastSummary, '等待确认删除文件');
+      assert.equal(typeof sessionA.endedAt, 'string');
+      assert.equal(sessionA.isAiSession, false);
+      assert.deepEqual(all.facets.clis, [{ value: 'claude', count: 1 }, { value: 'codex', count: 1 }]);
+
+      assert.deepEqual(ctx.store.listSessions({ cli: 'claude' }).sessions.map((session) => session.sessionId), ['session-b']);
+      assert.deepEqual(ctx.store.listSessions({ status: '异常' }).sessions.map((session) => session.sessionId), ['session-b']);
+      assert.deepEqual(ctx.store.listSessions({ eventType: 'confirm_prompt' }).sessions.map((session) => session.sessionId), ['session-a']);
+      assert.equal(ctx.store.listSessions({ from: '2000-01-01', to: '2000-01-02' }).total, 0);
+    } finally {
+      ctx.dispose();
+    }
+  });
+
+  test(`[${driver}] retention deletes expired sessions and prunes their metadata`, { skip }, () => {
+    const ctx = createDriverContext(driver);
+    try {
+      const oldTs = new Date(Date.now() - 40 * 24 * 60 * 60 * 1000).toISOString();
+      const oldRecord = { ts: oldTs, cwd: '/work/gamma', eventType: 'heartbeat', status: '进行中', analysis: '' };
+      ctx.appendRecord({ ...oldRecord, sessionId: 'session-old', tabId: 'tab-old', summary: '旧的部署记录' });
+      ctx.appendRecord({ ...oldRecord, sessionId: 'session-pinned', tabId: 'tab-pinned', cwd: '/work/keep/api', summary: '置顶目录的部署记录' });
+      ctx.appendRecord({ ...oldRecord, sessionId: 'session-live', tabId: 'tab-live', summary: '仍在运行的部署记录' });
+      seedRecords(ctx);
+      assert.equal(ctx.store.query({ days: 60, keyword: '部署' }).total, 3);
+
+      const report = ctx.store.applyRetention(
+        { days: 30, pinnedCwds: ['/work/keep'] },
+        { protectedSessionIds: new Set(['session-live']) }
+      );
+      assert.deepEqual(report.removedSessions, ['session-old']);
+      assert.equal(report.removedByAge, 1);
+      assert.equal(report.pinnedSessions, 1);
+      assert.equal(report.prunedIndexEntries, 1);
+      assert.ok(report.totalBytesAfter < report.totalBytesBefore);
+
+      assert.deepEqual(
+        ctx.store.query({ days: 60, keyword: '部署', sort: 'time' }).records.map((record) => record.sessionId).sort(),
+        ['session-live', 'session-pinned']
+      );
+      assert.equal(ctx.store.query({ days: 60, sessionId: 'session-old' }).total, 0);
+      const sessionIds = ctx.store.listSessions().sessions.map((session) => session.sessionId);
+      assert.equal(sessionIds.includes('session-old'), false);
+      assert.equal(sessionIds.length, 4);
+    } finally {
+      ctx.dispose();
+    }
+  });
+
+  test(`[${driver}] summarizeInput builds a chronological timeline`, { skip }, () => {
+    const ctx = createDriverContext(driver);
+    try {
+      seedRecords(ctx);
+      const { result, timeline, stats } = ctx.store.summarizeInput({ days: 1, tabId: 'tab-a' });
+      assert.equal(result.total, 3);
+      assert.ok(stats);
+      const lines = timeline.split('\n');
+      assert.equal(lines.length, 3);
+      assert.match(lines[0], /会话已启动/);
+      assert.match(lines[2], /待输入 等待确认删除文件/);
+    } finally {
+      ctx.dispose();
+    }
+  });
+
+  test(`[${driver}] listRecordsInRange reads every session active in the range, oldest first`, { skip }, () => {
+    const ctx = createDriverContext(driver);
+    try {
+      seedRecords(ctx);
+      const base = { cwd: '/work/gamma', eventType: 'heartbeat', status: '进行中', tabId: 'tab-c', sessionId: 'session-long' };
+      ctx.appendRecord({ ...base, ts: isoMinutesAgo(3 * 24 * 60), summary: '三天前开始' });
+      ctx.appendRecord({ ...base, ts: isoMinutesAgo(5), summary: '仍在继续' });
+
+      const records = ctx.store.listRecordsInRange({ since: isoMinutesAgo(45), until: isoMinutesAgo(1) });
+      assert.deepEqual(
+        records.map((record) => record.summary),
+        ['修复登录失败', '等待确认删除文件', '整理文档', '构建失败', '仍在继续']
+      );
+      assert.deepEqual(ctx.store.listRecordsInRange({ since: isoMinutesAgo(1), until: isoMinutesAgo(45) }), []);
+    } finally {
+      ctx.dispose();
+    }
+  });
+
+  test(`[${driver}] aggregate reports projects, CLIs, error ratio, confirm waits and daily activity`, { skip }, () => {
+    const ctx = createDriverContext(driver);
+    try {
+      seedRecords(ctx);
+      const startedAtMs = Date.now() - 120 * 60 * 1000;
+      const at = (minutes) => new Date(startedAtMs + minutes * 60 * 1000).toISOString();
+      const base = { cwd: '/work/gamma', status: '进行中', tabId: 'tab-c', sessionId: 'session-c', cli: 'codex', startedAt: at(0) };
+      ctx.appendRecord({ ...base, ts: at(0), eventType: 'session_start', summary: '会话已启动' });
+      ctx.appendRecord({ ...base, ts: at(20), eventType: 'confirm_prompt', status: '待输入', summary: '等待确认' });
+      ctx.appendRecord({ ...base, ts: at(26), eventType: 'confirm_resolved', summary: '已确认' });
+      ctx.appendRecord({ ...base, ts: at(28), eventType: 'heartbeat', status: '异常', summary: '构建失败' });
+      // The close record overwrites the index lastStatus; the session still ended in an error.
+      ctx.appendRecord({ ...base, ts: at(30), eventType: 'tab_closed', status: '阶段完成', summary: '标签页已关闭' });
+
+      const analytics = ctx.store.aggregate({ days: 7 });
+      assert.equal(analytics.range.days, 7);
+      assert.equal(analytics.totals.sessions, 3);
+      assert.equal(analytics.totals.errorSessions, 2);
+      assert.equal(analytics.totals.errorRatio, 2 / 3);
+      assert.equal(analytics.totals.events, 10);
+      assert.equal(analytics.projects[0].cwd, '/work/gamma');
+      assert.equal(analytics.projects[0].activeMs, 30 * 60 * 1000);
+      assert.deepEqual(analytics.clis, [{ value: 'codex', count: 2 }, { value: 'claude', count: 1 }]);
+      assert.deepEqual(
+        { prompts: analytics.confirmWait.prompts, resolved: analytics.confirmWait.resolved, pending: analytics.confirmWait.pending },
+        { prompts: 2, resolved: 1, pending: 1 }
+      );
+      assert.equal(analytics.confirmWait.avgWaitMs, 6 * 60 * 1000);
+      assert.equal(analytics.heatmap.length, 7);
+      assert.equal(analytics.heatmap.reduce((sum, day) => sum + day.events, 0), 10);
+
+      const gamma = ctx.store.aggregate({ days: 7, cwd: 'gamma' });
+      assert.equal(gamma.totals.sessions, 1);
+      assert.equal(gamma.totals.events, 5);
+      assert.equal(gamma.totals.errorSessions, 1);
+      assert.equal(gamma.confirmWait.pending, 0);
+    } finally {
+      ctx.dispose();
+    }
+  });
+}
+
+test('sqlite importer loads JSONL day directories once', { skip: DRIVERS[1].skip }, () => {
+  const jsonl = createDriverContext('jsonl');
+  try {
+    const records = seedRecords(jsonl);
+    const sqlite = createArchiveStore({ driver: 'sqlite', getArchiveRootDir: () => jsonl.root });
+    try {
+      const first = sqlite.importJsonlArchive();
+      assert.equal(first.records, records.length);
+      assert.equal(first.sessions, 2);
+
+      const second = sqlite.importJsonlArchive();
+      assert.equal(second.records, 0);
+      assert.equal(second.files, 0);
+      assert.equal(second.skippedFiles, first.files);
+
+      assert.deepEqual(
+        sqlite.query({ days: 1, tabId: 'tab-a' }).records,
+        jsonl.store.query({ days: 1, tabId: 'tab-a' }).records
+      );
+      assert.deepEqual(sqlite.listSessions().sessions, jsonl.store.listSessions().sessions);
+    } finally {
+      sqlite.close();
+    }
+  } finally {
+    jsonl.dispose();
+  }
+});
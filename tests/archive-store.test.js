@@ -5,6 +5,7 @@ const os = require('os');
 const path = require('path');
 
 const { createArchiveStore } = require('../main/archive-store');
+const { selectSqliteDriver } = require('../main/archive-store/sqlite-database');
 
 function writeRecord(filePath, record) {
   fs.appendFileSync(filePath, `${JSON.stringify(record)}\n`, 'utf8');
@@ -185,3 +186,122 @@ test('upsertSessionMeta writes and increments archive index state', () => {
     ctx.dispose();
   }
 });
+
+test('listSessions filters index.json sessions and reports facets', () => {
+  const ctx = createTempArchiveContext();
+  try {
+    const store = createArchiveStore({ getArchiveRootDir: () => ctx.root });
+    const sessions = [
+      { sessionId: 's-1', cwd: '/work/alpha', cli: 'codex', model: 'gpt-5', lastStatus: '进行中', startedAt: '2026-01-02T08:00:00.000Z', lastAt: '2026-01-02T09:00:00.000Z', lastSummary: '修复登录' },
+      { sessionId: 's-2', cwd: '/work/beta', cli: 'claude', model: 'sonnet', lastStatus: '异常', startedAt: '2026-01-05T08:00:00.000Z', lastAt: '2026-01-06T09:00:00.000Z', lastSummary: '构建失败' },
+      { sessionId: 's-3', cwd: '/work/alpha', cli: 'claude', model: 'sonnet', lastStatus: '阶段完成', startedAt: '2026-01-10T08:00:00.000Z', lastAt: '2026-01-10T09:00:00.000Z', lastSummary: '发布完成' }
+    ];
+    for (const session of sessions) {
+      store.upsertSessionMeta({ ...session, archivePath: path.join(ctx.dayStamp, `${session.sessionId}.jsonl`) });
+    }
+
+    const all = store.listSessions();
+    assert.deepEqual(all.sessions.map((item) => item.sessionId), ['s-3', 's-2', 's-1']);
+    assert.deepEqual(all.facets.cwds, [{ value: '/work/alpha', count: 2 }, { value: '/work/beta', count: 1 }]);
+    assert.deepEqual(all.facets.clis.map((item) => item.value), ['claude', 'codex']);
+
+    assert.deepEqual(store.listSessions({ cwd: '/work/alpha', cli: 'claude' }).sessions.map((item) => item.sessionId), ['s-3']);
+    assert.deepEqual(store.listSessions({ status: '异常' }).sessions.map((item) => item.sessionId), ['s-2']);
+    assert.deepEqual(store.listSessions({ keyword: '登录' }).sessions.map((item) => item.sessionId), ['s-1']);
+    // Sessions overlapping the range are kept; reversed bounds are swapped.
+    assert.deepEqual(store.listSessions({ from: '2026-01-06', to: '2026-01-03' }).sessions.map((item) => item.sessionId), ['s-2']);
+    assert.equal(store.listSessions({ limit: 1 }).total, 3);
+  } finally {
+    ctx.dispose();
+  }
+});
+
+test('listSessions keeps only sessions containing the requested event type', () => {
+  const ctx = createTempArchiveContext();
+  try {
+    const store = createArchiveStore({ getArchiveRootDir: () => ctx.root });
+    const ts = new Date().toISOString();
+    for (const [sessionId, eventType] of [['s-1', 'heartbeat'], ['s-2', 'confirm_prompt']]) {
+      const filePath = path.join(ctx.dayDir, `${sessionId}.jsonl`);
+      const record = { ts, sessionId, tabId: 'tab-1', cwd: '/tmp', eventType, summary: eventType };
+      writeRecord(filePath, record);
+      store.append(record, {
+        filePath,
+        sessionMeta: { sessionId, cwd: '/tmp', lastAt: ts, archivePath: path.join(ctx.dayStamp, `${sessionId}.jsonl`) }
+      });
+    }
+
+    assert.deepEqual(store.listSessions({ eventType: 'confirm_prompt' }).sessions.map((item) => item.sessionId), ['s-2']);
+    assert.equal(store.listSessions({ eventType: 'session_exit' }).total, 0);
+
+    const timeline = store.query({ sessionId: 's-2' });
+    assert.deepEqual(timeline.records.map((record) => record.eventType), ['confirm_prompt']);
+  } finally {
+    ctx.dispose();
+  }
+});
+
+test('keyword queries use the full-text index and report index hits', () => {
+  const ctx = createTempArchiveContext();
+  try {
+    const store = createArchiveStore({ getArchiveRootDir: () => ctx.root });
+    const now = Date.now();
+    const records = [
+      { summary: '修复登录失败', analysis: '登录接口返回 500', tabId: 'tab-1' },
+      { summary: '整理文档', analysis: '顺带提到登录', tabId: 'tab-1' },
+      { summary: '登录失败重试', analysis: 'retry login', tabId: 'tab-2' }
+    ].map((item, i) => ({
+      ts: new Date(now - i * 1000).toISOString(),
+      sessionId: `session-${item.tabId}`,
+      cwd: '/tmp',
+      eventType: 'heartbeat',
+      status: '进行中',
+      ...item
+    }));
+    for (const record of records) {
+      writeRecord(path.join(ctx.dayDir, `${record.sessionId}.jsonl`), record);
+    }
+
+    const ranked = store.query({ days: 1, keyword: '登录' });
+    assert.equal(ranked.total, 3);
+    assert.equal(ranked.stats.fullText, true);
+    assert.equal(ranked.stats.indexHits, 3);
+    assert.equal(ranked.records[0].summary, '修复登录失败');
+
+    const phrase = store.query({ days: 1, keyword: '"登录失败"', tabId: 'tab-1' });
+    assert.deepEqual(phrase.records.map((record) => record.summary), ['修复登录失败']);
+    assert.equal(phrase.stats.filesScanned, 0);
+
+    const byTime = store.query({ days: 1, keyword: '登录', sort: 'time' });
+    assert.deepEqual(byTime.records.map((record) => record.summary), ['修复登录失败', '整理文档', '登录失败重试']);
+
+    const legacy = store.query({ days: 1, keyword: '登录', queryMode: 'legacy' });
+    assert.equal(legacy.stats.fullText, false);
+    assert.equal(legacy.total, 3);
+  } finally {
+    ctx.dispose();
+  }
+});
+
+test('a SQLite driver that loads but cannot open a database is skipped', () => {
+  class MissingBinding {
+    constructor() {
+      throw new Error('Could not locate the bindings file');
+    }
+  }
+  class WorkingDriver {
+    close() {}
+  }
+  const warn = console.warn;
+  console.warn = () => {};
+  try {
+    const selected = selectSqliteDriver([
+      { name: 'better-sqlite3', load: () => MissingBinding },
+      { name: 'node:sqlite', load: () => WorkingDriver }
+    ]);
+    assert.equal(selected.name, 'node:sqlite');
+    assert.equal(selectSqliteDriver([{ name: 'better-sqlite3', load: () => MissingBinding }, { name: 'node:sqlite', load: () => null }]), null);
+  } finally {
+    console.warn = warn;
+  }
+});
@@ -0,0 +1,96 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  COMMAND_MENUS,
+  COMMANDS,
+  getCommand,
+  getDefaultAccelerator,
+  listMenuCommands,
+  listPaletteCommands,
+  fuzzyMatch,
+  rankCommands,
+  buildWorkspacePaletteItems,
+  formatAccelerator
+} = require('../renderer/command-registry');
+
+test('command ids and accelerators are unique', () => {
+  const ids = COMMANDS.map((command) => command.id);
+  assert.equal(new Set(ids).size, ids.length);
+
+  for (const platform of ['darwin', 'linux']) {
+    const accelerators = COMMANDS.map((command) => getDefaultAccelerator(command, platform)).filter(Boolean);
+    assert.equal(new Set(accelerators).size, accelerators.length, platform);
+  }
+});
+
+test('no default chord takes a bare Ctrl+letter the shell relies on outside macOS', () => {
+  assert.equal(getDefaultAccelerator(getCommand('pane.splitRight'), 'darwin'), 'Cmd+D');
+  assert.equal(getDefaultAccelerator(getCommand('pane.splitRight'), 'linux'), 'Ctrl+Shift+D');
+  assert.equal(getDefaultAccelerator(getCommand('pane.splitDown'), 'win32'), 'Ctrl+Alt+Shift+D');
+  const blocked = COMMANDS.filter((command) => /^(?:CmdOrCtrl|Ctrl)\+[CDZ]$/.test(getDefaultAccelerator(command, 'linux')));
+  assert.deepEqual(blocked, []);
+});
+
+test('every menu command points at a known menu', () => {
+  const menuIds = new Set(COMMAND_MENUS.map((menu) => menu.id));
+  for (const command of COMMANDS) {
+    assert.ok(command.menu === '' || menuIds.has(command.menu), `${command.id} uses unknown menu ${command.menu}`);
+  }
+  assert.deepEqual(listMenuCommands('workspace').map((command) => command.id), ['workspace.save', 'workspace.open']);
+});
+
+test('palette hides internal commands', () => {
+  const paletteIds = listPaletteCommands().map((command) => command.id);
+  assert.ok(paletteIds.includes('tab.rename'));
+  assert.ok(paletteIds.includes('archive.query'));
+  assert.ok(!paletteIds.includes('palette.open'));
+  assert.ok(!paletteIds.includes('workspace.openNamed'));
+  assert.ok(!paletteIds.includes('tab.select1'));
+  assert.deepEqual(getCommand('tab.select3').args, { index: 2 });
+  assert.equal(getCommand('missing'), null);
+});
+
+test('fuzzyMatch requires in-order characters and prefers contiguous runs', () => {
+  assert.equal(fuzzyMatch('xyz', 'split pane'), null);
+  const contiguous = fuzzyMatch('split', 'split pane');
+  const scattered = fuzzyMatch('spln', 'split pane');
+  assert.ok(contiguous && scattered);
+  assert.ok(contiguous.score > scattered.score);
+  assert.deepEqual(fuzzyMatch('心跳', '开启/关闭会话心跳').positions, [7, 8]);
+});
+
+test('rankCommands orders matches and keeps input order for empty queries', () => {
+  const items = [
+    { title: '关闭标签页', keywords: 'close tab' },
+    { title: '向右拆分窗格', keywords: 'split pane right' },
+    { title: '关闭当前窗格', keywords: 'close pane' }
+  ];
+  assert.deepEqual(rankCommands(items, '').map((item) => item.title), items.map((item) => item.title));
+  assert.deepEqual(rankCommands(items, 'close pane').map((item) => item.title), ['关闭当前窗格']);
+  assert.deepEqual(rankCommands(items, '窗格').map((item) => item.title), ['向右拆分窗格', '关闭当前窗格']);
+  assert.deepEqual(rankCommands(items, 'tab').map((item) => item.title), ['关闭标签页']);
+});
+
+test('workspaces from the workspace:list reply reach the palette', () => {
+  const items = buildWorkspacePaletteItems({ workspaces: [{ name: 'api', tabCount: 3 }, { name: '' }, null] });
+  assert.deepEqual(items, [
+    { title: '打开工作区：api', keywords: 'open workspace', detail: '3 个标签', workspaceName: 'api' }
+  ]);
+  assert.deepEqual(rankCommands(items, 'api').map((item) => item.workspaceName), ['api']);
+  assert.deepEqual(buildWorkspacePaletteItems([{ name: 'api' }]), []);
+  assert.deepEqual(buildWorkspacePaletteItems(null), []);
+});
+
+test('formatAccelerator renders platform-specific labels', () => {
+  assert.equal(formatAccelerator('CmdOrCtrl+Shift+P', 'darwin'), '⌘⇧P');
+  assert.equal(formatAccelerator('CmdOrCtrl+Shift+P', 'win32'), 'Ctrl+Shift+P');
+  assert.equal(formatAccelerator('CmdOrCtrl+Plus', 'linux'), 'Ctrl++');
+  assert.equal(formatAccelerator('', 'darwin'), '');
+  assert.equal(formatAccelerator('Control+Alt+T', 'darwin'), '⌃⌥T');
+  assert.equal(formatAccelerator('Control+Alt+T', 'linux'), 'Ctrl+Alt+T');
+  // The macOS-only defaults of the split commands spell out Cmd.
+  assert.equal(formatAccelerator(getDefaultAccelerator(getCommand('pane.splitRight'), 'darwin'), 'darwin'), '⌘D');
+  assert.equal(formatAccelerator(getDefaultAccelerator(getCommand('pane.splitDown'), 'darwin'), 'darwin'), '⌘⇧D');
+  assert.equal(formatAccelerator(getDefaultAccelerator(getCommand('pane.splitRight'), 'linux'), 'linux'), 'Ctrl+Shift+D');
+});
@@ -0,0 +1,95 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  getHeartbeatStatusLabel,
+  pickHeartbeatDetails,
+  hasHeartbeatDetails,
+  validateHeartbeatReport,
+  formatHeartbeatDetailLines
+} = require('../renderer/heartbeat-schema');
+
+const VALID_REPLY = {
+  status: ' Error ',
+  summary: '单元测试有 2 个失败',
+  analysis: '登录模块断言失败，需要先修复 token 过期判断。',
+  currentTask: '修复登录测试',
+  filesTouched: ['src/auth.js', 'src/auth.js', '  tests/auth.test.js '],
+  commandsRun: ['npm test'],
+  blockers: [],
+  nextStep: '修改过期判断后重跑测试'
+};
+
+test('a reply matching the schema is normalized', () => {
+  const { report, errors } = validateHeartbeatReport(VALID_REPLY);
+  assert.deepEqual(errors, []);
+  assert.deepEqual(report, {
+    status: 'error',
+    summary: '单元测试有 2 个失败',
+    analysis: '登录模块断言失败，需要先修复 token 过期判断。',
+    currentTask: '修复登录测试',
+    filesTouched: ['src/auth.js', 'tests/auth.test.js'],
+    commandsRun: ['npm test'],
+    blockers: [],
+    nextStep: '修改过期判断后重跑测试'
+  });
+  assert.equal(getHeartbeatStatusLabel(report.status), '异常');
+});
+
+test('optional detail fields may be omitted or null, and text is capped by the limits', () => {
+  const { report } = validateHeartbeatReport({
+    status: 'running',
+    summary: 'x'.repeat(50),
+    analysis: 'y'.repeat(50),
+    currentTask: null
+  }, { summary: 10, analysis: 20 });
+  assert.equal(report.summary.length, 10);
+  assert.equal(report.analysis.length, 20);
+  assert.equal(report.currentTask, '');
+  assert.deepEqual(report.filesTouched, []);
+});
+
+test('schema violations reject the whole reply', () => {
+  const cases = [
+    [null, /not a JSON object/],
+    [['status'], /not a JSON object/],
+    [{ ...VALID_REPLY, status: '异常' }, /status must be one of running\/waiting\/success\/error/],
+    [{ ...VALID_REPLY, status: undefined }, /status must be one of/],
+    [{ ...VALID_REPLY, summary: '  ' }, /summary must be a non-empty string/],
+    [{ ...VALID_REPLY, nextStep: 3 }, /nextStep must be a string/],
+    [{ ...VALID_REPLY, filesTouched: 'src/auth.js' }, /filesTouched must be an array of strings/],
+    [{ ...VALID_REPLY, commandsRun: ['npm test', { cmd: 'ls' }] }, /commandsRun must be an array of strings/]
+  ];
+  for (const [value, pattern] of cases) {
+    const { report, errors } = validateHeartbeatReport(value);
+    assert.equal(report, null);
+    assert.match(errors.join('; '), pattern);
+  }
+  const { errors } = validateHeartbeatReport({ status: 'done', analysis: 1 });
+  assert.equal(errors.length, 3);
+});
+
+test('pickHeartbeatDetails is lenient and caps list size', () => {
+  const details = pickHeartbeatDetails({
+    currentTask: '  部署\n预发环境 ',
+    filesTouched: Array.from({ length: 12 }, (_, i) => `file-${i}.js`),
+    commandsRun: ['make deploy', 42],
+    blockers: 'not a list'
+  });
+  assert.equal(details.currentTask, '部署 预发环境');
+  assert.equal(details.filesTouched.length, 8);
+  assert.deepEqual(details.commandsRun, ['make deploy']);
+  assert.deepEqual(details.blockers, []);
+  assert.equal(hasHeartbeatDetails(details), true);
+  assert.equal(hasHeartbeatDetails(pickHeartbeatDetails({})), false);
+});
+
+test('detail lines for the tab tooltip skip empty fields', () => {
+  assert.deepEqual(formatHeartbeatDetailLines(VALID_REPLY), [
+    '任务：修复登录测试',
+    '文件：src/auth.js、tests/auth.test.js',
+    '命令：npm test',
+    '下一步：修改过期判断后重跑测试'
+  ]);
+  assert.deepEqual(formatHeartbeatDetailLines(null), []);
+});
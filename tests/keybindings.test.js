@@ -0,0 +1,151 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const {
+  canonicalizeAccelerator,
+  eventToAccelerator,
+  resolveKeybindings,
+  findTerminalBinding,
+  createKeybindingsTemplate
+} = require('../renderer/keybindings');
+const { createKeybindingStore } = require('../main/keybinding-store');
+
+const COMMANDS = [
+  { id: 'tab.close', title: '关闭标签页', accelerator: 'CmdOrCtrl+W' },
+  { id: 'pane.close', title: '关闭当前窗格', accelerator: 'CmdOrCtrl+Shift+W' },
+  { id: 'font.increase', title: '放大字体', accelerator: 'CmdOrCtrl+Plus' },
+  { id: 'tab.rename', title: '重命名当前标签' }
+];
+
+function createTempKeybindingContext() {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'shaoterm-keybindings-test-'));
+  const filePath = path.join(root, 'keybindings.json');
+  return {
+    filePath,
+    store: createKeybindingStore({ getFilePath: () => filePath, platform: 'linux', commands: COMMANDS }),
+    dispose() {
+      fs.rmSync(root, { recursive: true, force: true });
+    }
+  };
+}
+
+test('canonicalizeAccelerator normalizes modifiers per platform', () => {
+  assert.equal(canonicalizeAccelerator('CmdOrCtrl+Shift+w', 'darwin'), 'Cmd+Shift+W');
+  assert.equal(canonicalizeAccelerator('shift+cmdorctrl+w', 'linux'), 'Ctrl+Shift+W');
+  assert.equal(canonicalizeAccelerator('Ctrl++', 'linux'), 'Ctrl+Plus');
+  assert.equal(canonicalizeAccelerator('Option+ArrowLeft', 'darwin'), 'Alt+Left');
+  assert.equal(canonicalizeAccelerator('Ctrl+F12', 'linux'), 'Ctrl+F12');
+  assert.equal(canonicalizeAccelerator('Hyper+K', 'linux'), '');
+  assert.equal(canonicalizeAccelerator('Ctrl+', 'linux'), '');
+  assert.equal(canonicalizeAccelerator('', 'linux'), '');
+});
+
+test('eventToAccelerator uses the physical key for letters and punctuation', () => {
+  assert.equal(eventToAccelerator({ key: '∑', code: 'KeyW', altKey: true, metaKey: true }), 'Cmd+Alt+W');
+  assert.equal(eventToAccelerator({ key: 'Enter', code: 'Enter', shiftKey: true }), 'Shift+Enter');
+  assert.equal(eventToAccelerator({ key: '>', code: 'Period', shiftKey: true, ctrlKey: true }), 'Ctrl+Shift+.');
+  assert.equal(eventToAccelerator({ key: 'Shift', code: 'ShiftLeft', shiftKey: true }), '');
+});
+
+test('resolveKeybindings applies defaults when no user file exists', () => {
+  const result = resolveKeybindings({}, { platform: 'linux', commands: COMMANDS });
+  assert.equal(result.commandAccelerators['tab.close'], 'CmdOrCtrl+W');
+  assert.equal(result.commandAccelerators['tab.rename'], '');
+  assert.deepEqual(result.terminalBindings.map((item) => item.canonical), ['Shift+Enter']);
+  assert.deepEqual(result.errors, []);
+  assert.deepEqual(result.conflicts, []);
+});
+
+test('resolveKeybindings lets user bindings win and reports conflicts', () => {
+  const result = resolveKeybindings({
+    commands: {
+      'tab.rename': 'Ctrl+W',
+      'font.increase': null,
+      'pane.close': 'Ctrl+W',
+      'missing.command': 'Ctrl+K',
+      'tab.close': 'Bogus+Q'
+    },
+    terminal: [
+      { key: 'CmdOrCtrl+W', send: 'x' },
+      { key: 'Alt+Enter', send: '\x1b\r' },
+      { key: 'alt+return', send: 'dup' },
+      { key: 'Ctrl+J', send: 42 }
+    ]
+  }, { platform: 'linux', commands: COMMANDS });
+
+  // Both claim Ctrl+W; pane.close comes first in registry order.
+  assert.equal(result.commandAccelerators['pane.close'], 'Ctrl+W');
+  assert.equal(result.commandAccelerators['tab.rename'], '');
+  assert.equal(result.commandAccelerators['font.increase'], '');
+  // tab.close had an invalid override, so it keeps its default, which now collides with pane.close.
+  assert.equal(result.commandAccelerators['tab.close'], '');
+  assert.deepEqual(result.terminalBindings.map((item) => item.canonical), ['Alt+Enter']);
+
+  assert.equal(result.errors.length, 3);
+  assert.match(result.errors.join('\n'), /missing\.command/);
+  assert.match(result.errors.join('\n'), /Bogus\+Q/);
+  assert.match(result.errors.join('\n'), /terminal\[3\]/);
+  assert.equal(result.conflicts.length, 4);
+});
+
+test('findTerminalBinding matches keyboard events against resolved bindings', () => {
+  const { terminalBindings } = resolveKeybindings({
+    terminal: [{ key: 'Ctrl+Shift+K', send: 'clear\r' }]
+  }, { platform: 'linux', commands: COMMANDS });
+  const binding = findTerminalBinding(terminalBindings, { key: 'K', code: 'KeyK', ctrlKey: true, shiftKey: true });
+  assert.equal(binding && binding.send, 'clear\r');
+  assert.equal(findTerminalBinding(terminalBindings, { key: 'Enter', code: 'Enter', shiftKey: true }), null);
+});
+
+test('createKeybindingsTemplate lists available commands with their defaults', () => {
+  const template = createKeybindingsTemplate(COMMANDS);
+  assert.deepEqual(template.commands, {});
+  assert.equal(template.terminal[0].key, 'Shift+Enter');
+  assert.equal(template._availableCommands['tab.close'], '关闭标签页（默认 CmdOrCtrl+W）');
+  assert.equal(template._availableCommands['tab.rename'], '重命名当前标签');
+});
+
+test('keybinding store writes a template and loads user overrides', () => {
+  const ctx = createTempKeybindingContext();
+  try {
+    assert.equal(ctx.store.load().exists, false);
+    assert.equal(ctx.store.getAccelerator('tab.close'), 'CmdOrCtrl+W');
+
+    ctx.store.ensureFile();
+    const template = JSON.parse(fs.readFileSync(ctx.filePath, 'utf8'));
+    assert.ok(template._availableCommands['pane.close']);
+
+    fs.writeFileSync(ctx.filePath, JSON.stringify({ commands: { 'tab.close': 'Ctrl+Q' } }), 'utf8');
+    const state = ctx.store.load();
+    assert.equal(state.exists, true);
+    assert.equal(ctx.store.getAccelerator('tab.close'), 'Ctrl+Q');
+  } finally {
+    ctx.dispose();
+  }
+});
+
+test('keybinding store keeps the last good state when the file fails to parse', () => {
+  const ctx = createTempKeybindingContext();
+  try {
+    fs.writeFileSync(ctx.filePath, JSON.stringify({ commands: { 'tab.close': 'Ctrl+Q' } }), 'utf8');
+    ctx.store.load();
+    fs.writeFileSync(ctx.filePath, '{ "commands": ', 'utf8');
+    const state = ctx.store.load();
+    assert.equal(ctx.store.getAccelerator('tab.close'), 'Ctrl+Q');
+    assert.equal(state.errors.length, 1);
+    assert.match(state.errors[0], /解析失败/);
+  } finally {
+    ctx.dispose();
+  }
+});
+
+test('keybinding store uses the macOS default only on macOS', () => {
+  const commands = [{ id: 'pane.splitRight', title: '向右拆分窗格', accelerator: 'Ctrl+Shift+D', macAccelerator: 'Cmd+D' }];
+  const mac = createKeybindingStore({ platform: 'darwin', commands });
+  const linux = createKeybindingStore({ platform: 'linux', commands });
+  assert.equal(mac.getAccelerator('pane.splitRight'), 'Cmd+D');
+  assert.equal(linux.getAccelerator('pane.splitRight'), 'Ctrl+Shift+D');
+});
@@ -0,0 +1,80 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  DEFAULT_INITIAL_DELAY_MS,
+  normalizeEnvOverrides,
+  parseEnvOverridesText,
+  formatEnvOverridesText,
+  normalizeLaunchProfile,
+  normalizeLaunchProfiles,
+  findLaunchProfile
+} = require('../renderer/launch-profile');
+
+test('parseEnvOverridesText reads KEY=value lines and reports invalid ones', () => {
+  const parsed = parseEnvOverridesText([
+    '# comment',
+    'ANTHROPIC_MODEL=claude-sonnet',
+    '',
+    'export NODE_ENV = development',
+    'QUOTED="a b=c"',
+    'bad line',
+    '1BAD=x',
+    'EMPTY='
+  ].join('\n'));
+  assert.deepEqual(parsed.env, {
+    ANTHROPIC_MODEL: 'claude-sonnet',
+    NODE_ENV: 'development',
+    QUOTED: 'a b=c',
+    EMPTY: ''
+  });
+  assert.deepEqual(parsed.invalidLines, [6, 7]);
+});
+
+test('formatEnvOverridesText round-trips through the parser', () => {
+  const env = { A: '1', B_KEY: 'x=y' };
+  assert.equal(formatEnvOverridesText(env), 'A=1\nB_KEY=x=y');
+  assert.deepEqual(parseEnvOverridesText(formatEnvOverridesText(env)).env, env);
+});
+
+test('normalizeEnvOverrides drops invalid keys and stringifies values', () => {
+  assert.deepEqual(normalizeEnvOverrides({ OK: 1, 'NOT-OK': 'x', ' SPACED ': null }), { OK: '1', SPACED: '' });
+  assert.deepEqual(normalizeEnvOverrides(['A=1']), {});
+});
+
+test('normalizeLaunchProfile fills defaults and clamps the initial delay', () => {
+  const profile = normalizeLaunchProfile({
+    name: '  Claude  ',
+    command: 'claude',
+    shellMode: 'FAST',
+    env: { TOKEN: 'secret' },
+    initialDelayMs: 999999
+  }, 2);
+  assert.deepEqual(profile, {
+    id: 'profile-3',
+    name: 'Claude',
+    command: 'claude',
+    cwd: '',
+    shell: '',
+    shellMode: 'fast',
+    env: { TOKEN: 'secret' },
+    initialDelayMs: 30000
+  });
+  assert.equal(normalizeLaunchProfile({ name: 'x', initialDelayMs: '' }).initialDelayMs, DEFAULT_INITIAL_DELAY_MS);
+  assert.equal(normalizeLaunchProfile({ name: 'x', shellMode: 'weird' }).shellMode, '');
+  assert.equal(normalizeLaunchProfile({ name: 'x', shellMode: 'nologin', shell: 'wsl:Debian' }).shell, 'wsl:Debian');
+  assert.equal(normalizeLaunchProfile({ command: 'no name' }), null);
+});
+
+test('normalizeLaunchProfiles skips duplicates and findLaunchProfile looks up by id', () => {
+  const profiles = normalizeLaunchProfiles([
+    { id: 'a', name: 'First' },
+    { id: 'a', name: 'Duplicate' },
+    null,
+    { id: 'b', name: 'Second' }
+  ]);
+  assert.deepEqual(profiles.map((profile) => profile.name), ['First', 'Second']);
+  assert.equal(findLaunchProfile(profiles, 'b').name, 'Second');
+  assert.equal(findLaunchProfile(profiles, 'missing'), null);
+  assert.equal(findLaunchProfile(profiles, ''), null);
+});
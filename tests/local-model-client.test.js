@@ -0,0 +1,169 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+
+const { normalizeAnalysisBackendSettings } = require('../renderer/analysis-backend');
+const {
+  normalizeLocalBaseUrl,
+  isLoopbackUrl,
+  listLocalModels,
+  requestLocalCompletion,
+  createLocalCompletion
+} = require('../lib/local-model-client');
+const { isCancelledError } = require('../lib/analysis-scheduler');
+
+// Answers like Ollama (/api/*) and llama.cpp's server (/v1/*) and records requests.
+async function startMockServer() {
+  const requests = [];
+  const routes = {
+    'GET /api/tags': { models: [{ name: 'qwen2.5:7b' }, { name: 'llama3.2:3b' }] },
+    'GET /v1/models': { object: 'list', data: [{ id: 'local-gguf' }] },
+    'POST /api/chat': {
+      model: 'qwen2.5:7b',
+      message: { role: 'assistant', content: ' {"summary":"本地总结"} ' },
+      done: true,
+      prompt_eval_count: 310,
+      eval_count: 42
+    },
+    'POST /v1/chat/completions': {
+      choices: [{ index: 0, message: { role: 'assistant', content: '本地主题' } }],
+      usage: { prompt_tokens: 120, completion_tokens: 6, total_tokens: 126 }
+    }
+  };
+  const server = http.createServer((req, res) => {
+    let raw = '';
+    req.on('data', (chunk) => { raw += chunk; });
+    req.on('end', () => {
+      requests.push({ method: req.method, url: req.url, body: raw ? JSON.parse(raw) : null });
+      const body = routes[`${req.method} ${req.url}`];
+      res.writeHead(body ? 200 : 404, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(body || { error: 'not found' }));
+    });
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  return {
+    requests,
+    baseUrl: `http://127.0.0.1:${server.address().port}`,
+    close: () => new Promise((resolve) => server.close(resolve))
+  };
+}
+
+const MESSAGES = [
+  { role: 'system', content: '只输出 JSON' },
+  { role: 'user', content: '终端日志' }
+];
+
+test('local-only settings pin the backend and context length is clamped', () => {
+  const defaults = normalizeAnalysisBackendSettings();
+  assert.deepEqual(defaults.local, { api: 'ollama', baseUrl: '', model: '' });
+  assert.equal(defaults.contextChars, 2600);
+  assert.equal(defaults.localOnly, false);
+
+  const pinned = normalizeAnalysisBackendSettings({ backend: 'anthropic', localOnly: true, contextChars: '100000' });
+  assert.equal(pinned.backend, 'local');
+  assert.equal(pinned.contextChars, 24000);
+  assert.equal(normalizeAnalysisBackendSettings({ contextChars: 10 }).contextChars, 500);
+  assert.equal(normalizeAnalysisBackendSettings({ local: { api: 'openai' } }).local.api, 'openai');
+});
+
+test('only loopback endpoints count as local', () => {
+  assert.equal(normalizeLocalBaseUrl(''), 'http://127.0.0.1:11434');
+  assert.equal(normalizeLocalBaseUrl('localhost:8080/v1/'), 'http://localhost:8080');
+  assert.equal(isLoopbackUrl('http://localhost:11434'), true);
+  assert.equal(isLoopbackUrl('127.0.0.2:8080'), true);
+  assert.equal(isLoopbackUrl('http://[::1]:11434'), true);
+  assert.equal(isLoopbackUrl('http://192.168.1.20:11434'), false);
+  assert.equal(isLoopbackUrl('http://localhost.example.com'), false);
+});
+
+test('listLocalModels reads /api/tags for Ollama and /v1/models otherwise', async () => {
+  const server = await startMockServer();
+  try {
+    assert.deepEqual(await listLocalModels({ api: 'ollama', baseUrl: server.baseUrl }), ['qwen2.5:7b', 'llama3.2:3b']);
+    assert.deepEqual(await listLocalModels({ api: 'openai', baseUrl: `${server.baseUrl}/v1` }), ['local-gguf']);
+  } finally {
+    await server.close();
+  }
+});
+
+test('createLocalCompletion talks to Ollama /api/chat without streaming', async () => {
+  const server = await startMockServer();
+  try {
+    const text = await createLocalCompletion(MESSAGES, 180, { api: 'ollama', baseUrl: server.baseUrl, model: 'qwen2.5:7b', localOnly: true });
+    assert.equal(text, '{"summary":"本地总结"}');
+    const [request] = server.requests;
+    assert.equal(request.url, '/api/chat');
+    assert.equal(request.body.stream, false);
+    assert.equal(request.body.model, 'qwen2.5:7b');
+    assert.equal(request.body.options.num_predict, 180);
+    assert.deepEqual(request.body.messages, MESSAGES);
+  } finally {
+    await server.close();
+  }
+});
+
+test('createLocalCompletion uses the OpenAI-compatible route for llama.cpp', async () => {
+  const server = await startMockServer();
+  try {
+    const text = await createLocalCompletion(MESSAGES, 40, { api: 'openai', baseUrl: server.baseUrl, model: 'local-gguf' });
+    assert.equal(text, '本地主题');
+    assert.equal(server.requests[0].url, '/v1/chat/completions');
+    assert.equal(server.requests[0].body.max_tokens, 40);
+  } finally {
+    await server.close();
+  }
+});
+
+test('requestLocalCompletion reports token usage from either API', async () => {
+  const server = await startMockServer();
+  try {
+    const ollama = await requestLocalCompletion(MESSAGES, 180, { api: 'ollama', baseUrl: server.baseUrl, model: 'qwen2.5:7b' });
+    assert.deepEqual(ollama.usage, { promptTokens: 310, completionTokens: 42 });
+    assert.equal(ollama.model, 'qwen2.5:7b');
+    const llamaCpp = await requestLocalCompletion(MESSAGES, 40, { api: 'openai', baseUrl: server.baseUrl, model: 'local-gguf' });
+    assert.deepEqual(llamaCpp, { text: '本地主题', model: 'local-gguf', usage: { promptTokens: 120, completionTokens: 6 } });
+  } finally {
+    await server.close();
+  }
+});
+
+test('HTTP errors carry the status for the request scheduler', async () => {
+  const server = await startMockServer();
+  try {
+    const err = await requestLocalCompletion(MESSAGES, 40, { api: 'openai', baseUrl: `${server.baseUrl}/missing`, model: 'x' })
+      .catch((error) => error);
+    assert.match(err.message, /Local model request failed \(404\)/);
+    assert.equal(err.status, 404);
+    assert.equal(err.retryAfter, '');
+  } finally {
+    await server.close();
+  }
+});
+
+test('an aborted signal rejects with a cancelled error', async () => {
+  const server = await startMockServer();
+  try {
+    const controller = new AbortController();
+    controller.abort();
+    const err = await requestLocalCompletion(MESSAGES, 40, {
+      api: 'ollama',
+      baseUrl: server.baseUrl,
+      model: 'qwen2.5:7b',
+      signal: controller.signal
+    }).catch((error) => error);
+    assert.equal(isCancelledError(err), true);
+  } finally {
+    await server.close();
+  }
+});
+
+test('local-only mode refuses remote endpoints before sending anything', async () => {
+  await assert.rejects(
+    createLocalCompletion(MESSAGES, 40, { api: 'ollama', baseUrl: 'http://10.0.0.5:11434', model: 'qwen2.5:7b', localOnly: true }),
+    /Local-only mode refuses non-loopback endpoint/
+  );
+  await assert.rejects(
+    createLocalCompletion(MESSAGES, 40, { api: 'ollama', baseUrl: 'http://127.0.0.1:1' }),
+    /Local model is not configured/
+  );
+});
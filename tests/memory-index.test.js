@@ -0,0 +1,86 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  createMemoryArchiveIndex,
+  tokenizeText,
+  parseSearchQuery
+} = require('../main/archive-store/memory-index');
+
+test('tokenizeText splits CJK runs into bigrams and words into lowercase tokens', () => {
+  assert.deepEqual(tokenizeText('修复登录 Bug，build-failed'), ['修复', '复登', '登录', 'bug', 'build', 'failed']);
+  assert.deepEqual(tokenizeText('测'), ['测']);
+  assert.deepEqual(tokenizeText('テスト失敗'), ['テス', 'スト', 'ト失', '失敗']);
+  assert.deepEqual(tokenizeText('  '), []);
+});
+
+test('parseSearchQuery extracts quoted phrases and merges their tokens', () => {
+  assert.deepEqual(parseSearchQuery('"登录失败" build'), {
+    phrases: ['登录失败'],
+    tokens: ['build', '登录', '录失', '失败']
+  });
+  assert.deepEqual(parseSearchQuery('""'), { phrases: [], tokens: [] });
+});
+
+test('search ranks records by relevance and requires every term', () => {
+  const index = createMemoryArchiveIndex();
+  index.addRecord({ ts: '2026-01-01T00:00:00Z', summary: '登录页面调整', analysis: '顺便修复了登录失败的问题，登录流程已验证' }, 'a.jsonl');
+  index.addRecord({ ts: '2026-01-02T00:00:00Z', summary: '更新依赖', analysis: '登录模块未改动' }, 'b.jsonl');
+  index.addRecord({ ts: '2026-01-03T00:00:00Z', summary: 'npm install', analysis: 'dependencies updated' }, 'c.jsonl');
+
+  assert.deepEqual(index.search('登录').map((hit) => hit.filePath), ['a.jsonl', 'b.jsonl']);
+  assert.deepEqual(index.search('登录 依赖').map((hit) => hit.filePath), ['b.jsonl']);
+  assert.deepEqual(index.search('登录', { files: new Set(['b.jsonl']) }).map((hit) => hit.filePath), ['b.jsonl']);
+  assert.deepEqual(index.search('missing').map((hit) => hit.filePath), []);
+});
+
+test('search supports phrase queries, prefixes and single CJK characters', () => {
+  const index = createMemoryArchiveIndex();
+  index.addRecord({ ts: '1', summary: '登录失败', analysis: 'building the app' }, 'a.jsonl');
+  index.addRecord({ ts: '2', summary: '失败后重新登录', analysis: 'build ok' }, 'b.jsonl');
+
+  assert.deepEqual(index.search('"登录失败"').map((hit) => hit.filePath), ['a.jsonl']);
+  assert.deepEqual(index.search('"build ok"').map((hit) => hit.filePath), ['b.jsonl']);
+  // Exact token matches outrank prefix expansions.
+  assert.deepEqual(index.search('build').map((hit) => hit.filePath), ['b.jsonl', 'a.jsonl']);
+  assert.equal(index.search('败').length, 2);
+});
+
+test('search also finds the keyword inside longer words, ranked after token matches', () => {
+  const index = createMemoryArchiveIndex();
+  index.addRecord({ ts: '1', summary: 'TypeError: x is undefined in build.ts', analysis: '' }, 'a.jsonl');
+  index.addRecord({ ts: '2', summary: 'error while linking', analysis: '' }, 'b.jsonl');
+  index.addRecord({ ts: '3', summary: 'all green', analysis: '' }, 'c.jsonl');
+
+  assert.deepEqual(index.search('error').map((hit) => hit.filePath), ['b.jsonl', 'a.jsonl']);
+  assert.deepEqual(index.search('rror').map((hit) => hit.filePath), ['b.jsonl', 'a.jsonl']);
+  assert.deepEqual(index.search('build.ts').map((hit) => hit.filePath), ['a.jsonl']);
+});
+
+test('addRecord ignores records that were already indexed', () => {
+  const index = createMemoryArchiveIndex();
+  const record = { ts: '1', eventType: 'heartbeat', summary: '重复记录' };
+  index.addRecord(record, 'a.jsonl');
+  index.addRecord({ ...record }, 'a.jsonl');
+  assert.equal(index.getStats().documents, 1);
+  assert.equal(index.search('重复').length, 1);
+  assert.equal(index.hasFile('a.jsonl'), true);
+  assert.equal(index.hasFile('b.jsonl'), false);
+});
+
+test('removeFiles forgets records and postings of deleted files', () => {
+  const index = createMemoryArchiveIndex();
+  index.addRecord({ ts: '1', sessionId: 's1', eventType: 'heartbeat', summary: '登录失败' }, 'a.jsonl');
+  index.addRecord({ ts: '2', sessionId: 's2', eventType: 'heartbeat', summary: '登录成功' }, 'b.jsonl');
+
+  assert.equal(index.removeFiles(['a.jsonl']), 1);
+  assert.equal(index.hasFile('a.jsonl'), false);
+  assert.deepEqual(index.getCandidateFiles({ eventType: 'heartbeat' }), ['b.jsonl']);
+  assert.deepEqual(index.search('登录').map((hit) => hit.filePath), ['b.jsonl']);
+  assert.deepEqual(index.search('失败'), []);
+  assert.equal(index.getStats().documents, 1);
+
+  // A re-added record is indexed again.
+  index.addRecord({ ts: '1', sessionId: 's1', eventType: 'heartbeat', summary: '登录失败' }, 'a.jsonl');
+  assert.equal(index.search('失败').length, 1);
+});
@@ -0,0 +1,149 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  analyzeTerminalOutput,
+  inferStatusFromKeywords,
+  buildOfflineHeartbeat,
+  buildOfflineTopic
+} = require('../lib/offline-analyzer');
+const { validateHeartbeatReport } = require('../renderer/heartbeat-schema');
+
+const JEST_RUN = [
+  'dev@box shop % git status',
+  'On branch feature/login',
+  'Changes not staged for commit:',
+  '        modified:   src/auth.js',
+  '        new file:   tests/auth.test.js',
+  'dev@box shop % npm test',
+  '',
+  '> shop@1.0.0 test',
+  '> jest',
+  '',
+  'FAIL tests/auth.test.js',
+  '  ● login › rejects expired tokens',
+  '',
+  '    expect(received).toBe(expected)',
+  'Tests:       1 failed, 1 skipped, 11 passed, 13 total',
+  'Time:        2.1 s'
+].join('\n');
+
+test('jest output yields counts, failing tests, branch and changed files', () => {
+  const facts = analyzeTerminalOutput(JEST_RUN);
+  assert.equal(facts.branch, 'feature/login');
+  assert.deepEqual(facts.commands, ['git status', 'npm test']);
+  assert.deepEqual(facts.changedFiles, ['src/auth.js', 'tests/auth.test.js']);
+  assert.deepEqual(facts.tests, [
+    { tool: 'jest', passed: 11, failed: 1, skipped: 1, failing: ['login › rejects expired tokens'] }
+  ]);
+  assert.equal(facts.outcome, 'fail');
+});
+
+test('the offline heartbeat matches the schema and names the failing test', () => {
+  const report = buildOfflineHeartbeat(JEST_RUN, { language: 'zh' });
+  assert.deepEqual(validateHeartbeatReport(report).errors, []);
+  assert.equal(report.status, 'error');
+  assert.equal(report.summary, 'jest 测试：11 通过，1 失败，1 跳过；分支 feature/login，2 个文件有改动');
+  assert.match(report.analysis, /^状态：异常。.*失败用例：login › rejects expired tokens。$/);
+  assert.equal(report.currentTask, '运行 npm test');
+  assert.deepEqual(report.filesTouched, ['src/auth.js', 'tests/auth.test.js']);
+  assert.deepEqual(report.blockers, ['jest: login › rejects expired tokens']);
+  assert.equal(report.nextStep, '修复 login › rejects expired tokens 后重新运行 npm test');
+
+  const english = buildOfflineHeartbeat(JEST_RUN, { language: 'en', limits: { summary: 30, analysis: 240 } });
+  assert.equal(english.summary, 'jest tests: 11 passed, 1 faile');
+  assert.match(english.analysis, /^Status: error\./);
+  // Same input, same output.
+  assert.deepEqual(buildOfflineHeartbeat(JEST_RUN, { language: 'en', limits: { summary: 30, analysis: 240 } }), english);
+});
+
+test('pytest, cargo, go and node --test summaries are recognized', () => {
+  const pytest = analyzeTerminalOutput([
+    '$ pytest -q',
+    'FAILED tests/test_api.py::test_create - AssertionError',
+    '=========== 1 failed, 24 passed, 2 skipped in 3.41s ===========',
+  ].join('\n'));
+  assert.deepEqual(pytest.tests, [{ tool: 'pytest', passed: 24, failed: 1, skipped: 2, failing: ['tests/test_api.py::test_create'] }]);
+
+  // Results from the binaries of one cargo test run add up.
+  const cargo = analyzeTerminalOutput([
+    '$ cargo test',
+    'test parser::tests::empty ... ok',
+    'test parser::tests::nested ... FAILED',
+    'test result: FAILED. 7 passed; 1 failed; 0 ignored; 0 measured; 0 filtered out',
+    'test result: ok. 3 passed; 0 failed; 1 ignored; 0 measured; 0 filtered out'
+  ].join('\n'));
+  assert.deepEqual(cargo.tests, [{ tool: 'cargo', passed: 10, failed: 1, skipped: 1, failing: ['parser::tests::nested'] }]);
+
+  const go = analyzeTerminalOutput([
+    '$ go test ./...',
+    'ok  \texample.com/api\t0.12s',
+    '--- FAIL: TestStore (0.00s)',
+    'FAIL\texample.com/store\t0.05s',
+    'ok  \texample.com/util\t(cached)'
+  ].join('\n'));
+  assert.deepEqual(go.tests, [{ tool: 'go', passed: 2, failed: 1, skipped: 0, failing: ['TestStore'] }]);
+
+  const node = analyzeTerminalOutput(['$ node --test', '✖ parses empty input (1.2ms)', 'ℹ tests 9', 'ℹ pass 8', 'ℹ fail 1'].join('\n'));
+  assert.deepEqual(node.tests, [{ tool: 'node', passed: 8, failed: 1, skipped: 0, failing: ['parses empty input'] }]);
+});
+
+test('a rerun replaces the earlier result and decides the outcome', () => {
+  const facts = analyzeTerminalOutput([
+    '$ npx jest',
+    'Tests:       2 failed, 10 passed, 12 total',
+    '$ npx jest',
+    'Tests:       12 passed, 12 total'
+  ].join('\n'));
+  assert.deepEqual(facts.tests, [{ tool: 'jest', passed: 12, failed: 0, skipped: 0, failing: [] }]);
+  assert.equal(facts.outcome, 'pass');
+  assert.equal(buildOfflineHeartbeat('$ npx jest\nTests:       12 passed, 12 total').status, 'success');
+});
+
+test('tsc, cargo and npm errors become blockers', () => {
+  const tsc = buildOfflineHeartbeat([
+    '$ npx tsc --noEmit',
+    "src/app.ts(12,5): error TS2322: Type 'string' is not assignable to type 'number'.",
+    'src/db.ts:3:1 - error TS2307: Cannot find module \'pg\'.',
+    'Found 2 errors in 2 files.'
+  ].join('\n'), { language: 'en' });
+  assert.equal(tsc.status, 'error');
+  assert.equal(tsc.summary, 'tsc: 2 errors');
+  assert.deepEqual(tsc.filesTouched, ['src/app.ts', 'src/db.ts']);
+  assert.deepEqual(tsc.blockers, ['tsc: src/app.ts:12 TS2322', 'tsc: src/db.ts:3 TS2307']);
+  assert.equal(tsc.nextStep, 'Fix the tsc errors and rebuild');
+
+  const cargo = analyzeTerminalOutput([
+    '$ cargo build',
+    'error[E0308]: mismatched types',
+    '  --> src/main.rs:4:18',
+    'error: could not compile `demo` due to 1 previous error'
+  ].join('\n'));
+  assert.deepEqual(cargo.builds, [{ tool: 'cargo', errors: 1, messages: ['E0308 mismatched types'], files: ['src/main.rs'] }]);
+
+  const npm = analyzeTerminalOutput('$ npm run build\nnpm ERR! code ELIFECYCLE\nnpm ERR! errno 1');
+  assert.deepEqual(npm.builds[0].messages, ['npm ELIFECYCLE']);
+  assert.equal(npm.outcome, 'fail');
+});
+
+test('status falls back to the prompt tail and keywords', () => {
+  assert.equal(buildOfflineHeartbeat('$ npx jest\nTests:       3 passed, 3 total\nProceed with deploy? (y/n)').status, 'waiting');
+  assert.equal(inferStatusFromKeywords('Traceback (most recent call last)'), 'error');
+  assert.equal(inferStatusFromKeywords('building...'), 'running');
+  const idle = buildOfflineHeartbeat('compiling assets\nstill compiling', { language: 'ja' });
+  assert.equal(idle.summary, 'compiling assets | still compiling');
+  assert.match(idle.analysis, /^状態：進行中。/);
+  assert.equal(idle.commandsRun.length, 0);
+});
+
+test('topics use repo and branch, then the last meaningful command', () => {
+  assert.equal(buildOfflineTopic(JEST_RUN, { cwd: '/home/dev/shop', homeDir: '/home/dev' }), 'shop · feature/login');
+  assert.equal(buildOfflineTopic('➜  shop git:(main) ✗ cargo test', { cwd: 'C:\\work\\shop\\' }), 'shop · main');
+  assert.equal(buildOfflineTopic('$ git status\nnothing\n$ npm run build\nok\n$ git diff', { cwd: '/home/dev' }), 'npm run build');
+  assert.equal(
+    buildOfflineTopic('$ docker compose up --build --force-recreate api worker'),
+    'docker compose up --build --for…'
+  );
+  assert.equal(buildOfflineTopic('$ git status\n$ ls', { cwd: '/home/dev', homeDir: '/home/dev' }), '');
+  assert.equal(buildOfflineTopic('> shop@1.0.0 test\n# pass 12'), '');
+});
@@ -0,0 +1,99 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  createPaneLayout,
+  listPaneIds,
+  splitPane,
+  removePane,
+  setSplitRatio,
+  computePaneRects,
+  findAdjacentPane,
+  normalizePaneLayout,
+  remapPaneIds
+} = require('../renderer/pane-layout');
+
+test('splitPane nests the target pane with a new sibling', () => {
+  let layout = createPaneLayout('tab-1');
+  layout = splitPane(layout, 'tab-1', 'horizontal', 'pane-a');
+  layout = splitPane(layout, 'pane-a', 'vertical', 'pane-b');
+
+  assert.deepEqual(listPaneIds(layout), ['tab-1', 'pane-a', 'pane-b']);
+  assert.equal(layout.direction, 'horizontal');
+  assert.equal(layout.children[1].direction, 'vertical');
+});
+
+test('splitPane ignores unknown targets and duplicate ids', () => {
+  const layout = splitPane(createPaneLayout('tab-1'), 'tab-1', 'horizontal', 'pane-a');
+  assert.equal(splitPane(layout, 'missing', 'horizontal', 'pane-b'), layout);
+  assert.equal(splitPane(layout, 'tab-1', 'horizontal', 'pane-a'), layout);
+});
+
+test('removePane collapses the parent split and returns null for the last pane', () => {
+  let layout = splitPane(createPaneLayout('tab-1'), 'tab-1', 'horizontal', 'pane-a');
+  layout = splitPane(layout, 'pane-a', 'vertical', 'pane-b');
+
+  const collapsed = removePane(layout, 'pane-a');
+  assert.deepEqual(listPaneIds(collapsed), ['tab-1', 'pane-b']);
+  assert.equal(collapsed.direction, 'horizontal');
+  assert.equal(removePane(createPaneLayout('tab-1'), 'tab-1'), null);
+});
+
+test('setSplitRatio updates the addressed split and clamps the ratio', () => {
+  let layout = splitPane(createPaneLayout('tab-1'), 'tab-1', 'horizontal', 'pane-a');
+  layout = splitPane(layout, 'pane-a', 'vertical', 'pane-b');
+
+  const resized = setSplitRatio(layout, '1', 0.99);
+  assert.equal(resized.children[1].ratio, 0.9);
+  assert.equal(resized.ratio, 0.5);
+  assert.equal(setSplitRatio(layout, '0', 0.3), layout);
+});
+
+test('computePaneRects and findAdjacentPane resolve directional focus', () => {
+  let layout = splitPane(createPaneLayout('tab-1'), 'tab-1', 'horizontal', 'pane-a');
+  layout = splitPane(layout, 'pane-a', 'vertical', 'pane-b');
+
+  const rects = computePaneRects(layout);
+  assert.deepEqual(rects.get('pane-b'), { x: 0.5, y: 0.5, width: 0.5, height: 0.5 });
+
+  assert.equal(findAdjacentPane(layout, 'tab-1', 'right'), 'pane-a');
+  assert.equal(findAdjacentPane(layout, 'pane-b', 'left'), 'tab-1');
+  assert.equal(findAdjacentPane(layout, 'pane-b', 'up'), 'pane-a');
+  assert.equal(findAdjacentPane(layout, 'tab-1', 'up'), '');
+});
+
+test('normalizePaneLayout drops malformed nodes and duplicate panes', () => {
+  const layout = normalizePaneLayout({
+    type: 'split',
+    direction: 'diagonal',
+    ratio: 'abc',
+    children: [
+      { type: 'pane', paneId: 'tab-1' },
+      {
+        type: 'split',
+        direction: 'vertical',
+        ratio: 0.3,
+        children: [{ type: 'pane', paneId: 'tab-1' }, { type: 'pane', paneId: 'pane-a' }]
+      }
+    ]
+  });
+
+  assert.deepEqual(layout, {
+    type: 'split',
+    direction: 'horizontal',
+    ratio: 0.5,
+    children: [
+      { type: 'pane', paneId: 'tab-1' },
+      { type: 'pane', paneId: 'pane-a' }
+    ]
+  });
+  assert.equal(normalizePaneLayout(null), null);
+  assert.equal(normalizePaneLayout({ type: 'pane', paneId: '' }), null);
+});
+
+test('remapPaneIds rewrites pane ids while keeping the tree shape', () => {
+  const layout = splitPane(createPaneLayout('tab-1'), 'tab-1', 'vertical', 'pane-a');
+  const remapped = remapPaneIds(layout, (paneId) => `new-${paneId}`);
+  assert.deepEqual(listPaneIds(remapped), ['new-tab-1', 'new-pane-a']);
+  assert.equal(remapped.direction, 'vertical');
+});
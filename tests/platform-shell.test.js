@@ -1,7 +1,25 @@
 const test = require('node:test');
 const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
 
-const { resolveShellLaunch } = require('../main/platform-shell');
+const {
+  buildShellArgs,
+  listAvailableShells,
+  parseWslDistroList,
+  resolveShellLaunch
+} = require('../main/platform-shell');
+
+function createFakeBinDir(names) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'shaoterm-shell-test-'));
+  for (const name of names) {
+    const filePath = path.join(dir, name);
+    fs.writeFileSync(filePath, '#!/bin/sh\n');
+    fs.chmodSync(filePath, 0o755);
+  }
+  return dir;
+}
 
 test('uses preferred shell in fast mode for zsh', () => {
   const result = resolveShellLaunch({
@@ -58,3 +76,74 @@ test('supports cmd fast mode on win32', () => {
   assert.equal(result.resolvedFrom, 'preferred_shell');
   assert.equal(result.isFallback, false);
 });
+
+test('builds login, non-login and fast args per shell family', () => {
+  assert.deepEqual(buildShellArgs('/usr/bin/fish', 'darwin', ''), ['-l']);
+  assert.deepEqual(buildShellArgs('/usr/bin/fish', 'darwin', 'nologin'), ['-i']);
+  assert.deepEqual(buildShellArgs('/usr/bin/fish', 'darwin', 'fast'), ['--no-config']);
+  assert.deepEqual(buildShellArgs('/usr/local/bin/nu', 'linux', 'fast'), ['--no-config-file']);
+  assert.deepEqual(buildShellArgs('/usr/local/bin/nu', 'linux', 'nologin'), []);
+  assert.deepEqual(buildShellArgs('/bin/bash', 'linux', 'nologin'), ['-i']);
+  assert.deepEqual(buildShellArgs('/usr/bin/pwsh', 'linux', ''), ['-Login', '-NoLogo']);
+  assert.deepEqual(buildShellArgs('pwsh.exe', 'win32', ''), ['-NoLogo']);
+  assert.deepEqual(buildShellArgs('C:\\Program Files\\Git\\bin\\bash.exe', 'win32', 'fast'), ['--noprofile', '--norc']);
+  assert.deepEqual(buildShellArgs('/bin/sh', 'linux', 'bogus'), ['-l']);
+});
+
+test('uses an explicitly selected shell found on PATH', () => {
+  const binDir = createFakeBinDir(['fish']);
+  try {
+    const result = resolveShellLaunch({
+      platform: 'linux',
+      env: { PATH: binDir, SHELL: '/bin/bash' },
+      preferredShell: '/bin/bash',
+      shell: 'fish',
+      shellMode: 'nologin'
+    });
+    assert.equal(result.shell, path.join(binDir, 'fish'));
+    assert.deepEqual(result.args, ['-i']);
+    assert.equal(result.resolvedFrom, 'selected_shell');
+    assert.equal(result.isFallback, false);
+  } finally {
+    fs.rmSync(binDir, { recursive: true, force: true });
+  }
+});
+
+test('falls back when the selected shell is not installed', () => {
+  const result = resolveShellLaunch({
+    platform: 'linux',
+    env: { PATH: '' },
+    preferredShell: 'zsh',
+    shell: '/definitely/missing/nu',
+    shellMode: ''
+  });
+  assert.equal(result.shell, 'zsh');
+  assert.equal(result.isFallback, true);
+  assert.equal(result.fallbackReason, 'selected_shell_unavailable');
+});
+
+test('launches WSL distributions through wsl.exe -d on win32', () => {
+  const binDir = createFakeBinDir(['wsl.exe']);
+  try {
+    const result = resolveShellLaunch({
+      platform: 'win32',
+      env: { PATH: binDir },
+      shell: 'wsl:Ubuntu-22.04',
+      shellMode: 'fast'
+    });
+    assert.equal(result.shell, path.join(binDir, 'wsl.exe'));
+    assert.deepEqual(result.args, ['-d', 'Ubuntu-22.04']);
+    assert.equal(result.resolvedFrom, 'selected_shell');
+
+    const shells = listAvailableShells({ platform: 'win32', env: { PATH: binDir }, wslDistros: ['Ubuntu-22.04'] });
+    assert.deepEqual(shells.map((item) => item.id), ['wsl:Ubuntu-22.04']);
+  } finally {
+    fs.rmSync(binDir, { recursive: true, force: true });
+  }
+});
+
+test('parses UTF-16 wsl.exe distribution lists', () => {
+  const output = Buffer.from('\uFEFFUbuntu\r\nDebian\r\n\r\nUbuntu\r\n', 'utf16le');
+  assert.deepEqual(parseWslDistroList(output), ['Ubuntu', 'Debian']);
+  assert.deepEqual(parseWslDistroList('Alpine\n'), ['Alpine']);
+});
@@ -0,0 +1,43 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  MAX_SERIALIZED_CHARS,
+  trimSerializedScrollback,
+  getDisplayWidth,
+  buildRestoreDivider,
+  normalizeScrollbackEntries
+} = require('../renderer/scrollback-restore');
+
+test('trimSerializedScrollback keeps the newest lines and cuts on a line boundary', () => {
+  assert.equal(trimSerializedScrollback('short\r\n  \r\n'), 'short');
+  const text = ['\x1b[31mline-1', 'line-2', 'line-3', 'line-4'].join('\r\n');
+  assert.equal(trimSerializedScrollback(text, 14), 'line-3\r\nline-4');
+  assert.equal(trimSerializedScrollback('x'.repeat(40), 10), '');
+});
+
+test('buildRestoreDivider fills the terminal width and includes the saved time', () => {
+  const divider = buildRestoreDivider({ cols: 60, savedAt: '2026-01-02T03:04:00' });
+  assert.match(divider, /以上内容恢复自上次会话 · 2026-01-02 03:04/);
+  const visible = divider.replace(/\x1b\[[0-9;]*m/g, '').replace(/\r\n/g, '');
+  assert.equal(getDisplayWidth(visible), 59);
+
+  const undated = buildRestoreDivider({ cols: 10 });
+  assert.doesNotMatch(undated, /·/);
+});
+
+test('normalizeScrollbackEntries validates ids, data and carry-over sources', () => {
+  const entries = normalizeScrollbackEntries([
+    { id: 'tab-1', data: 'hello' },
+    { id: 'tab-1', data: 'duplicate' },
+    { id: 'tab-2', data: '   ' },
+    { id: 'tab-3', sourceId: 'tab-old' },
+    { id: 'tab-4' },
+    { id: '', data: 'x' },
+    null,
+    { id: 'tab-5', data: 'y'.repeat(MAX_SERIALIZED_CHARS + 10) }
+  ]);
+  assert.deepEqual(entries.map((item) => item.id), ['tab-1', 'tab-3']);
+  assert.deepEqual(entries[1], { id: 'tab-3', sourceId: 'tab-old' });
+  assert.deepEqual(normalizeScrollbackEntries('bad'), []);
+});
@@ -0,0 +1,111 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { createSessionRecorder } = require('../main/session-recorder');
+const {
+  parseAsciicast,
+  findEventIndexAtTime,
+  normalizePlaybackSpeed,
+  parseResizeEvent,
+  formatPlaybackTime
+} = require('../renderer/cast-player');
+
+function createTempDir() {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'shaoterm-recording-test-'));
+  return {
+    root,
+    dispose() {
+      fs.rmSync(root, { recursive: true, force: true });
+    }
+  };
+}
+
+test('session recorder writes asciicast v2 header, output and resize events', () => {
+  const ctx = createTempDir();
+  try {
+    let clock = 1700000000000;
+    const filePath = path.join(ctx.root, 'session.cast');
+    const recorder = createSessionRecorder({
+      filePath,
+      cols: 100,
+      rows: 30,
+      title: 'codex',
+      now: () => clock
+    });
+    clock += 250;
+    recorder.writeOutput('hello\r\n');
+    clock += 1000;
+    recorder.writeResize(120, 40);
+    recorder.writeOutput('');
+    recorder.close();
+    assert.equal(recorder.writeOutput('late'), false);
+
+    const lines = fs.readFileSync(filePath, 'utf8').trim().split('\n').map((line) => JSON.parse(line));
+    assert.deepEqual(lines[0], { version: 2, width: 100, height: 30, timestamp: 1700000000, title: 'codex' });
+    assert.deepEqual(lines.slice(1), [
+      [0.25, 'o', 'hello\r\n'],
+      [1.25, 'r', '120x40']
+    ]);
+  } finally {
+    ctx.dispose();
+  }
+});
+
+test('session recorder stops appending once the size cap is reached', () => {
+  const ctx = createTempDir();
+  try {
+    const filePath = path.join(ctx.root, 'capped.cast');
+    const recorder = createSessionRecorder({ filePath, maxFileBytes: 1024, flushIntervalMs: 0 });
+    for (let i = 0; i < 50; i += 1) {
+      recorder.writeOutput('x'.repeat(64));
+    }
+    recorder.close();
+    assert.equal(recorder.isTruncated(), true);
+    const content = fs.readFileSync(filePath, 'utf8');
+    assert.match(content, /size limit reached/);
+    assert.ok(Buffer.byteLength(content, 'utf8') < 1400);
+  } finally {
+    ctx.dispose();
+  }
+});
+
+test('parseAsciicast reads events, skips bad lines and caps idle gaps', () => {
+  const text = [
+    JSON.stringify({ version: 2, width: 90, height: 20, timestamp: 1 }),
+    JSON.stringify([0.5, 'o', 'a']),
+    'not json',
+    JSON.stringify([1.0, 'i', 'ignored']),
+    JSON.stringify([20.5, 'o', 'b']),
+    JSON.stringify([21, 'r', '100x30'])
+  ].join('\n');
+
+  const cast = parseAsciicast(text);
+  assert.equal(cast.header.width, 90);
+  assert.equal(cast.skipped, 2);
+  assert.deepEqual(cast.events.map((event) => event.time), [0.5, 3.5, 4]);
+  assert.equal(cast.duration, 4);
+
+  const uncapped = parseAsciicast(text, { idleTimeLimit: 0 });
+  assert.equal(uncapped.duration, 21);
+
+  assert.throws(() => parseAsciicast(JSON.stringify({ version: 1 })), /asciicast v2/);
+  assert.throws(() => parseAsciicast(''), /为空/);
+});
+
+test('cast player helpers resolve seek index, speed and labels', () => {
+  const events = [{ time: 0.1 }, { time: 0.5 }, { time: 0.5 }, { time: 2 }];
+  assert.equal(findEventIndexAtTime(events, 0), 0);
+  assert.equal(findEventIndexAtTime(events, 0.5), 3);
+  assert.equal(findEventIndexAtTime(events, 10), 4);
+  assert.equal(findEventIndexAtTime([], 1), 0);
+
+  assert.equal(normalizePlaybackSpeed('4'), 4);
+  assert.equal(normalizePlaybackSpeed(3), 1);
+  assert.deepEqual(parseResizeEvent('120x40'), { cols: 120, rows: 40 });
+  assert.equal(parseResizeEvent('bad'), null);
+  assert.equal(formatPlaybackTime(75.9), '01:15');
+  assert.equal(formatPlaybackTime(3725), '1:02:05');
+});
@@ -0,0 +1,168 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  normalizeWorkDigestSchedule,
+  computeNextWorkDigestRunAt,
+  resolveWorkDigestPeriod,
+  formatDigestDuration
+} = require('../renderer/work-digest-utils');
+const {
+  WORK_DIGEST_EVENT_TYPE,
+  buildWorkDigestStats,
+  buildWorkDigestPrompt,
+  buildFallbackWorkDigest,
+  buildWorkDigestRecord
+} = require('../main/work-digest');
+
+function localTime(year, month, day, hours, minutes) {
+  return new Date(year, month - 1, day, hours, minutes, 0, 0).getTime();
+}
+
+function record(ts, sessionId, eventType, extra = {}) {
+  return { ts: `2026-03-02T${ts}:00.000Z`, sessionId, tabId: `tab-${sessionId}`, cwd: '/work/app', eventType, status: '进行中', summary: '', ...extra };
+}
+
+const RECORDS = [
+  record('09:00', 's1', 'session_start', { summary: '会话已启动', cli: 'codex' }),
+  record('09:10', 's1', 'heartbeat', { summary: '实现登录接口', cli: 'codex', model: 'gpt-5' }),
+  record('09:20', 's1', 'confirm_prompt', { status: '待输入' }),
+  record('09:24', 's1', 'confirm_resolved'),
+  record('09:30', 's1', 'heartbeat', { summary: '测试失败', status: '异常' }),
+  record('09:40', 's1', 'tab_closed', { summary: '标签页已关闭，会话结束' }),
+  record('10:00', 's2', 'heartbeat', { summary: '编写文档', cli: 'claude' }),
+  record('10:05', 's2', 'confirm_prompt', { status: '待输入' }),
+  record('11:00', 's3', 'heartbeat', { cwd: '/work/site', summary: '调整样式' }),
+  record('11:30', 's4', 'session_start', { cwd: '/work/site' }),
+  record('11:35', 's4', 'tab_closed', { cwd: '/work/site' }),
+  record('12:00', 'digest-daily-x', WORK_DIGEST_EVENT_TYPE, { cwd: '', summary: '上一份摘要' })
+];
+const PERIOD = { since: '2026-03-02T00:00:00.000Z', until: '2026-03-03T00:00:00.000Z' };
+
+test('normalizeWorkDigestSchedule falls back to defaults for bad values', () => {
+  assert.deepEqual(normalizeWorkDigestSchedule(), { enabled: false, frequency: 'daily', time: '18:00', weekday: 5 });
+  assert.deepEqual(
+    normalizeWorkDigestSchedule({ enabled: true, frequency: 'WEEKLY', time: '7:05', weekday: 1 }),
+    { enabled: true, frequency: 'weekly', time: '07:05', weekday: 1 }
+  );
+  assert.deepEqual(
+    normalizeWorkDigestSchedule({ enabled: 'yes', frequency: 'hourly', time: '25:00', weekday: 9 }),
+    { enabled: false, frequency: 'daily', time: '18:00', weekday: 5 }
+  );
+});
+
+test('computeNextWorkDigestRunAt picks the next local run time', () => {
+  const wednesdayNoon = localTime(2026, 3, 4, 12, 0);
+  assert.equal(computeNextWorkDigestRunAt({ enabled: false }, wednesdayNoon), 0);
+  assert.equal(computeNextWorkDigestRunAt({ enabled: true, time: '18:00' }, wednesdayNoon), localTime(2026, 3, 4, 18, 0));
+  assert.equal(computeNextWorkDigestRunAt({ enabled: true, time: '09:30' }, wednesdayNoon), localTime(2026, 3, 5, 9, 30));
+  assert.equal(
+    computeNextWorkDigestRunAt({ enabled: true, frequency: 'weekly', weekday: 5, time: '18:00' }, wednesdayNoon),
+    localTime(2026, 3, 6, 18, 0)
+  );
+  assert.equal(
+    computeNextWorkDigestRunAt({ enabled: true, frequency: 'weekly', weekday: 3, time: '09:00' }, wednesdayNoon),
+    localTime(2026, 3, 11, 9, 0)
+  );
+});
+
+test('resolveWorkDigestPeriod covers the day or week before the run', () => {
+  const runAt = Date.parse('2026-03-06T10:00:00.000Z');
+  assert.deepEqual(resolveWorkDigestPeriod('daily', runAt), { since: '2026-03-05T10:00:00.000Z', until: '2026-03-06T10:00:00.000Z' });
+  assert.equal(resolveWorkDigestPeriod('weekly', runAt).since, '2026-02-27T10:00:00.000Z');
+  assert.equal(formatDigestDuration(45 * 1000), '45 秒');
+  assert.equal(formatDigestDuration(4 * 60 * 1000), '4 分钟');
+  assert.equal(formatDigestDuration(65 * 60 * 1000), '1 小时 5 分钟');
+});
+
+test('buildWorkDigestStats groups sessions by project with confirm waits and error endings', () => {
+  const stats = buildWorkDigestStats(RECORDS, PERIOD);
+  assert.deepEqual(stats.totals, {
+    projects: 2,
+    sessions: 3,
+    errorSessions: 1,
+    confirmPrompts: 2,
+    confirmsResolved: 1,
+    confirmWaitMs: 4 * 60 * 1000,
+    pendingConfirms: 1
+  });
+  assert.deepEqual(stats.projects.map((project) => project.cwd), ['/work/app', '/work/site']);
+
+  const [first, second] = stats.projects[0].sessions;
+  assert.equal(first.sessionId, 's1');
+  assert.equal(first.ended, true);
+  assert.equal(first.endedInError, true);
+  assert.equal(first.cli, 'codex');
+  assert.equal(first.model, 'gpt-5');
+  assert.deepEqual(first.highlights, ['实现登录接口', '测试失败']);
+  assert.equal(first.maxConfirmWaitMs, 4 * 60 * 1000);
+  assert.equal(second.sessionId, 's2');
+  assert.equal(second.ended, false);
+  assert.equal(second.pendingConfirms, 1);
+
+  // s4 opened and closed without doing anything.
+  assert.deepEqual(stats.projects[1].sessions.map((session) => session.sessionId), ['s3']);
+});
+
+test('digest prompt and local fallback describe every project', () => {
+  const stats = buildWorkDigestStats(RECORDS, PERIOD);
+  const prompt = buildWorkDigestPrompt(stats, 'daily');
+  assert.match(prompt, /^每日工作摘要/);
+  assert.match(prompt, /项目 \/work\/app：2 个会话，1 个以异常结束，确认请求 2 次，平均等待 4 分钟，1 次未响应/);
+  assert.match(prompt, /- codex·gpt-5（以异常结束，确认请求 1 次，平均等待 4 分钟）：实现登录接口 \| 测试失败/);
+
+  const fallback = buildFallbackWorkDigest(stats);
+  assert.equal(fallback.summary, '2 个项目共 3 个会话，1 个会话以异常结束');
+  assert.deepEqual(fallback.projects.map((project) => project.summary), ['测试失败；编写文档', '调整样式']);
+  assert.equal(buildFallbackWorkDigest(buildWorkDigestStats([], PERIOD)).summary, '该时间段内没有 AI 会话活动');
+});
+
+test('digest prompt and local fallback follow the output language', () => {
+  const stats = buildWorkDigestStats(RECORDS, PERIOD);
+  const prompt = buildWorkDigestPrompt(stats, 'weekly', 'en');
+  assert.match(prompt, /^Weekly work digest, period \(UTC\)/);
+  assert.match(prompt, /Project \/work\/app: 2 sessions, 1 ended with an error, 2 confirmation requests, average wait 4 min, 1 unanswered/);
+  assert.match(prompt, /- codex·gpt-5 \(ended with an error, 1 confirmation request, average wait 4 min\): 实现登录接口 \| 测试失败/);
+  assert.doesNotMatch(prompt, /项目|会话|确认/);
+
+  const english = buildFallbackWorkDigest(stats, 'en');
+  assert.equal(english.summary, '3 sessions across 2 projects, 1 ended with an error');
+  assert.equal(english.analysis, '2 confirmation requests, average wait 4 min, 1 unanswered. Review the sessions that ended with an error first.');
+  assert.deepEqual(english.projects.map((project) => project.summary), ['测试失败; 编写文档', '调整样式']);
+  assert.equal(buildFallbackWorkDigest(buildWorkDigestStats([], PERIOD), 'ja').summary, 'この期間に AI セッションの活動はありません');
+  assert.match(buildWorkDigestPrompt(stats, 'daily', 'ja'), /^日次作業サマリー、期間（UTC）/);
+  assert.equal(formatDigestDuration(65 * 60 * 1000, 'en'), '1 h 5 min');
+});
+
+test('a redrawn confirm prompt does not lower the average wait', () => {
+  const stats = buildWorkDigestStats([
+    record('09:00', 's1', 'heartbeat', { summary: '部署' }),
+    record('09:10', 's1', 'confirm_prompt', { status: '待输入' }),
+    record('09:11', 's1', 'confirm_prompt', { status: '待输入' }),
+    record('09:12', 's1', 'confirm_resolved')
+  ], PERIOD);
+  assert.equal(stats.totals.confirmPrompts, 2);
+  assert.equal(stats.totals.confirmsResolved, 1);
+  assert.equal(stats.totals.pendingConfirms, 0);
+  assert.match(buildWorkDigestPrompt(stats, 'daily'), /确认请求 2 次，平均等待 2 分钟/);
+});
+
+test('buildWorkDigestRecord stores the digest as a work_digest record', () => {
+  const stats = buildWorkDigestStats(RECORDS, PERIOD);
+  const digestRecord = buildWorkDigestRecord({
+    stats,
+    report: { summary: '完成登录接口', analysis: '测试失败需跟进', projects: [{ cwd: '/work/app', summary: '登录接口已完成' }], generatedBy: 'ai' },
+    frequency: 'daily',
+    reason: 'schedule',
+    now: Date.parse('2026-03-03T00:00:00.000Z')
+  });
+  assert.equal(digestRecord.eventType, WORK_DIGEST_EVENT_TYPE);
+  assert.equal(digestRecord.sessionId, 'digest-daily-20260303T0000');
+  assert.equal(digestRecord.ts, '2026-03-03T00:00:00.000Z');
+  assert.equal(digestRecord.status, '异常');
+  assert.equal(digestRecord.reason, 'schedule');
+  assert.equal(digestRecord.digest.generatedBy, 'ai');
+  assert.equal(digestRecord.digest.language, 'zh');
+  assert.deepEqual(digestRecord.digest.projects.map((project) => project.summary), ['登录接口已完成', '']);
+  assert.equal(digestRecord.digest.totals.sessions, 3);
+});
@@ -0,0 +1,110 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const {
+  createWorkspaceStore,
+  normalizeWorkspace,
+  workspaceFileNameFor
+} = require('../main/workspace-store');
+
+function createTempWorkspaceContext() {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'shaoterm-workspace-test-'));
+  const dir = path.join(root, 'workspaces');
+  return {
+    dir,
+    store: createWorkspaceStore({ getWorkspaceDir: () => dir }),
+    dispose() {
+      fs.rmSync(root, { recursive: true, force: true });
+    }
+  };
+}
+
+test('workspaceFileNameFor builds stable, filesystem-safe names', () => {
+  assert.equal(workspaceFileNameFor('ShaoTerm'), 'shaoterm.json');
+  assert.equal(workspaceFileNameFor('  my repo/../x '), 'my~20repo~2f~2e~2e~2fx.json');
+  assert.equal(workspaceFileNameFor('前端'), '~524d~7aef.json');
+  assert.equal(workspaceFileNameFor('   '), '');
+});
+
+test('normalizeWorkspace sanitizes tabs, shell modes and active index', () => {
+  const workspace = normalizeWorkspace({
+    name: 'demo',
+    activeIndex: 9,
+    tabs: [
+      { tabId: 'a', title: '', cwd: '/repo', autoCommand: 'codex', shellMode: 'FAST' },
+      null,
+      { tabId: 'b', title: 'server', cwd: '/repo/web', shellMode: 'bogus', launchProfileId: ' profile-dev ', shell: 'wsl:Ubuntu' },
+      { tabId: 'c', title: 'repl', shellMode: 'NoLogin', shell: 'fish' }
+    ]
+  });
+  assert.equal(workspace.activeIndex, 2);
+  assert.deepEqual(workspace.tabs.map((tab) => [tab.title, tab.shellMode]), [['终端', 'fast'], ['server', ''], ['repl', 'nologin']]);
+  assert.equal('launchProfileId' in workspace.tabs[0], false);
+  assert.equal(workspace.tabs[1].launchProfileId, 'profile-dev');
+  assert.deepEqual(workspace.tabs.map((tab) => tab.shell), [undefined, 'wsl:Ubuntu', 'fish']);
+});
+
+test('workspace store saves, lists, loads and deletes workspaces', () => {
+  const ctx = createTempWorkspaceContext();
+  try {
+    assert.deepEqual(ctx.store.list(), []);
+    assert.throws(() => ctx.store.save('', { tabs: [{ cwd: '/x' }] }), /名称/);
+    assert.throws(() => ctx.store.save('empty', { tabs: [] }), /至少需要一个标签页/);
+
+    const saved = ctx.store.save('Backend', {
+      activeIndex: 1,
+      tabs: [
+        { tabId: 'tab-1', title: 'api', cwd: '/repo', autoCommand: 'claude' },
+        {
+          tabId: 'tab-2',
+          title: 'dev',
+          cwd: '/repo/web',
+          layout: {
+            type: 'split',
+            direction: 'vertical',
+            ratio: 0.4,
+            children: [{ type: 'pane', paneId: 'tab-2' }, { type: 'pane', paneId: 'pane-x' }]
+          },
+          panes: [{ paneId: 'pane-x', cwd: '/repo/web', lastCliCommand: '' }]
+        }
+      ]
+    });
+    assert.equal(saved.tabs.length, 2);
+    assert.ok(saved.createdAt);
+    ctx.store.save('Frontend', { tabs: [{ title: 'ui', cwd: '/ui' }] });
+
+    const listed = ctx.store.list();
+    assert.deepEqual(listed.map((item) => [item.name, item.tabCount]), [['Backend', 2], ['Frontend', 1]]);
+
+    const loaded = ctx.store.load('backend');
+    assert.equal(loaded.name, 'Backend');
+    assert.equal(loaded.activeIndex, 1);
+    assert.equal(loaded.tabs[1].layout.ratio, 0.4);
+    assert.deepEqual(loaded.tabs[1].panes.map((pane) => pane.paneId), ['pane-x']);
+
+    const resaved = ctx.store.save('Backend', { tabs: [{ title: 'api', cwd: '/repo' }] });
+    assert.equal(resaved.createdAt, saved.createdAt);
+
+    assert.equal(ctx.store.remove('Backend'), true);
+    assert.equal(ctx.store.remove('Backend'), false);
+    assert.equal(ctx.store.load('Backend'), null);
+    assert.deepEqual(ctx.store.list().map((item) => item.name), ['Frontend']);
+  } finally {
+    ctx.dispose();
+  }
+});
+
+test('workspace store skips unreadable workspace files', () => {
+  const ctx = createTempWorkspaceContext();
+  try {
+    fs.mkdirSync(ctx.dir, { recursive: true });
+    fs.writeFileSync(path.join(ctx.dir, 'broken.json'), '{not json', 'utf8');
+    fs.writeFileSync(path.join(ctx.dir, 'nameless.json'), JSON.stringify({ tabs: [] }), 'utf8');
+    assert.deepEqual(ctx.store.list(), []);
+  } finally {
+    ctx.dispose();
+  }
+});